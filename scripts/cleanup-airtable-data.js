@@ -7,10 +7,10 @@
  * 3. Updates "TeamLeaders" category to "Team Leader"
  */
 
-import { base } from '../src/config/airtable.js';
+import { getDataStore } from '../src/config/dataStore.js';
 import { TABLES, FIELDS, PNL_CATEGORIES } from '../src/config/constants.js';
+import { eq, or, isEmpty } from '../src/stores/filters.js';
 import { logger } from '../src/utils/logger.js';
-import { retryWithBackoff } from '../src/services/airtableService.js';
 
 /**
  * Normalize Team Leader names (same logic as in pnlService.js)
@@ -34,121 +34,111 @@ async function fixEmptyCheltuialaFields() {
   try {
     const recordsToUpdate = [];
     
-    await retryWithBackoff(async () => {
-      await base(TABLES.PNL)
-        .select({
-          filterByFormula: `{${FIELDS.PNL_CHELTUIALA}} = ""`,
-          fields: [
-            FIELDS.PNL_CHELTUIALA,
-            FIELDS.PNL_DESCRIERE,
-            FIELDS.PNL_PROJECT,
-            FIELDS.PNL_MONTH,
-            FIELDS.PNL_CATEGORY
-          ]
-        })
-        .eachPage((records, fetchNextPage) => {
-          records.forEach(record => {
-            const cheltuiala = record.get(FIELDS.PNL_CHELTUIALA);
-            const descriere = record.get(FIELDS.PNL_DESCRIERE);
-            const project = record.get(FIELDS.PNL_PROJECT);
-            const month = record.get(FIELDS.PNL_MONTH);
-            const category = record.get(FIELDS.PNL_CATEGORY);
-            
-            // Only update if Descriere has content
-            if (descriere && descriere.trim()) {
-              // Extract name from description
-              let newCheltuiala = descriere.trim();
-              
-              // Clean up common patterns
-              if (newCheltuiala.includes(' - ')) {
-                // Extract name before " - Month"
-                newCheltuiala = newCheltuiala.split(' - ')[0].trim();
-              }
-              
-              recordsToUpdate.push({
-                id: record.id,
-                fields: {
-                  [FIELDS.PNL_CHELTUIALA]: newCheltuiala
-                }
-              });
-              
-              logger.info('Will update empty Cheltuiala', {
-                recordId: record.id,
-                project,
-                month,
-                category,
-                oldCheltuiala: cheltuiala || '(empty)',
-                newCheltuiala,
-                sourceDescriere: descriere
-              });
-            } else {
-              logger.warn('Skipping record - no Descriere to use', {
-                recordId: record.id,
-                project,
-                month,
-                category
-              });
-            }
-          });
-          fetchNextPage();
+    const emptyRecords = await getDataStore().select(TABLES.PNL, {
+      filter: isEmpty(FIELDS.PNL_CHELTUIALA),
+      fields: [
+        FIELDS.PNL_CHELTUIALA,
+        FIELDS.PNL_DESCRIERE,
+        FIELDS.PNL_PROJECT,
+        FIELDS.PNL_MONTH,
+        FIELDS.PNL_CATEGORY
+      ]
+    });
+    
+    emptyRecords.forEach(record => {
+      const cheltuiala = record.get(FIELDS.PNL_CHELTUIALA);
+      const descriere = record.get(FIELDS.PNL_DESCRIERE);
+      const project = record.get(FIELDS.PNL_PROJECT);
+      const month = record.get(FIELDS.PNL_MONTH);
+      const category = record.get(FIELDS.PNL_CATEGORY);
+      
+      // Only update if Descriere has content
+      if (descriere && descriere.trim()) {
+        // Extract name from description
+        let newCheltuiala = descriere.trim();
+        
+        // Clean up common patterns
+        if (newCheltuiala.includes(' - ')) {
+          // Extract name before " - Month"
+          newCheltuiala = newCheltuiala.split(' - ')[0].trim();
+        }
+        
+        recordsToUpdate.push({
+          id: record.id,
+          fields: {
+            [FIELDS.PNL_CHELTUIALA]: newCheltuiala
+          }
+        });
+        
+        logger.info('Will update empty Cheltuiala', {
+          recordId: record.id,
+          project,
+          month,
+          category,
+          oldCheltuiala: cheltuiala || '(empty)',
+          newCheltuiala,
+          sourceDescriere: descriere
+        });
+      } else {
+        logger.warn('Skipping record - no Descriere to use', {
+          recordId: record.id,
+          project,
+          month,
+          category
         });
+      }
     });
     
     // Also check records where Cheltuiala field might be missing (not in fields)
     // We'll fetch all records and check programmatically
-    await retryWithBackoff(async () => {
-      await base(TABLES.PNL)
-        .select({
-          fields: [
-            FIELDS.PNL_CHELTUIALA,
-            FIELDS.PNL_DESCRIERE,
-            FIELDS.PNL_PROJECT,
-            FIELDS.PNL_MONTH,
-            FIELDS.PNL_CATEGORY
-          ]
-        })
-        .eachPage((records, fetchNextPage) => {
-          records.forEach(record => {
-            const cheltuiala = record.get(FIELDS.PNL_CHELTUIALA);
-            const descriere = record.get(FIELDS.PNL_DESCRIERE);
-            const project = record.get(FIELDS.PNL_PROJECT);
-            const month = record.get(FIELDS.PNL_MONTH);
-            const category = record.get(FIELDS.PNL_CATEGORY);
-            
-            // Check if Cheltuiala is empty or missing
-            if (!cheltuiala || cheltuiala.trim() === '') {
-              // Only update if Descriere has content and we haven't already added this record
-              if (descriere && descriere.trim() && !recordsToUpdate.find(r => r.id === record.id)) {
-                // Extract name from description
-                let newCheltuiala = descriere.trim();
-                
-                // Clean up common patterns
-                if (newCheltuiala.includes(' - ')) {
-                  // Extract name before " - Month"
-                  newCheltuiala = newCheltuiala.split(' - ')[0].trim();
-                }
-                
-                recordsToUpdate.push({
-                  id: record.id,
-                  fields: {
-                    [FIELDS.PNL_CHELTUIALA]: newCheltuiala
-                  }
-                });
-                
-                logger.info('Will update empty Cheltuiala (from all records check)', {
-                  recordId: record.id,
-                  project,
-                  month,
-                  category,
-                  oldCheltuiala: cheltuiala || '(empty)',
-                  newCheltuiala,
-                  sourceDescriere: descriere
-                });
-              }
+    const allRecords = await getDataStore().select(TABLES.PNL, {
+      fields: [
+        FIELDS.PNL_CHELTUIALA,
+        FIELDS.PNL_DESCRIERE,
+        FIELDS.PNL_PROJECT,
+        FIELDS.PNL_MONTH,
+        FIELDS.PNL_CATEGORY
+      ]
+    });
+    
+    allRecords.forEach(record => {
+      const cheltuiala = record.get(FIELDS.PNL_CHELTUIALA);
+      const descriere = record.get(FIELDS.PNL_DESCRIERE);
+      const project = record.get(FIELDS.PNL_PROJECT);
+      const month = record.get(FIELDS.PNL_MONTH);
+      const category = record.get(FIELDS.PNL_CATEGORY);
+      
+      // Check if Cheltuiala is empty or missing
+      if (!cheltuiala || cheltuiala.trim() === '') {
+        // Only update if Descriere has content and we haven't already added this record
+        if (descriere && descriere.trim() && !recordsToUpdate.find(r => r.id === record.id)) {
+          // Extract name from description
+          let newCheltuiala = descriere.trim();
+          
+          // Clean up common patterns
+          if (newCheltuiala.includes(' - ')) {
+            // Extract name before " - Month"
+            newCheltuiala = newCheltuiala.split(' - ')[0].trim();
+          }
+          
+          recordsToUpdate.push({
+            id: record.id,
+            fields: {
+              [FIELDS.PNL_CHELTUIALA]: newCheltuiala
             }
           });
-          fetchNextPage();
-        });
+          
+          logger.info('Will update empty Cheltuiala (from all records check)', {
+            recordId: record.id,
+            project,
+            month,
+            category,
+            oldCheltuiala: cheltuiala || '(empty)',
+            newCheltuiala,
+            sourceDescriere: descriere
+          });
+        }
+      }
     });
     
     if (recordsToUpdate.length === 0) {
@@ -163,9 +153,7 @@ async function fixEmptyCheltuialaFields() {
     for (let i = 0; i < recordsToUpdate.length; i += 10) {
       const batch = recordsToUpdate.slice(i, i + 10);
       
-      await retryWithBackoff(async () => {
-        await base(TABLES.PNL).update(batch);
-      });
+      await getDataStore().updateBatch(TABLES.PNL, batch);
       
       updated += batch.length;
       logger.info(`Updated ${updated}/${recordsToUpdate.length} records`);
@@ -193,37 +181,32 @@ async function fixCategoryInconsistency() {
   try {
     const recordsToUpdate = [];
     
-    await retryWithBackoff(async () => {
-      await base(TABLES.PNL)
-        .select({
-          filterByFormula: `{${FIELDS.PNL_CATEGORY}} = "TeamLeaders"`,
-          fields: [
-            FIELDS.PNL_CATEGORY,
-            FIELDS.PNL_PROJECT,
-            FIELDS.PNL_MONTH,
-            FIELDS.PNL_CHELTUIALA
-          ]
-        })
-        .eachPage((records, fetchNextPage) => {
-          records.forEach(record => {
-            recordsToUpdate.push({
-              id: record.id,
-              fields: {
-                [FIELDS.PNL_CATEGORY]: PNL_CATEGORIES.TEAM_LEADERS // "Team Leader"
-              }
-            });
-            
-            logger.info('Will update category', {
-              recordId: record.id,
-              project: record.get(FIELDS.PNL_PROJECT),
-              month: record.get(FIELDS.PNL_MONTH),
-              cheltuiala: record.get(FIELDS.PNL_CHELTUIALA),
-              oldCategory: 'TeamLeaders',
-              newCategory: PNL_CATEGORIES.TEAM_LEADERS
-            });
-          });
-          fetchNextPage();
-        });
+    const categoryRecords = await getDataStore().select(TABLES.PNL, {
+      filter: eq(FIELDS.PNL_CATEGORY, 'TeamLeaders'),
+      fields: [
+        FIELDS.PNL_CATEGORY,
+        FIELDS.PNL_PROJECT,
+        FIELDS.PNL_MONTH,
+        FIELDS.PNL_CHELTUIALA
+      ]
+    });
+    
+    categoryRecords.forEach(record => {
+      recordsToUpdate.push({
+        id: record.id,
+        fields: {
+          [FIELDS.PNL_CATEGORY]: PNL_CATEGORIES.TEAM_LEADERS // "Team Leader"
+        }
+      });
+      
+      logger.info('Will update category', {
+        recordId: record.id,
+        project: record.get(FIELDS.PNL_PROJECT),
+        month: record.get(FIELDS.PNL_MONTH),
+        cheltuiala: record.get(FIELDS.PNL_CHELTUIALA),
+        oldCategory: 'TeamLeaders',
+        newCategory: PNL_CATEGORIES.TEAM_LEADERS
+      });
     });
     
     if (recordsToUpdate.length === 0) {
@@ -242,9 +225,7 @@ async function fixCategoryInconsistency() {
       for (let i = 0; i < recordsToUpdate.length; i += 10) {
         const batch = recordsToUpdate.slice(i, i + 10);
         
-        await retryWithBackoff(async () => {
-          await base(TABLES.PNL).update(batch);
-        });
+        await getDataStore().updateBatch(TABLES.PNL, batch);
         
         updated += batch.length;
         logger.info(`Updated ${updated}/${recordsToUpdate.length} records`);
@@ -283,40 +264,35 @@ async function mergeDuplicateTeamLeaderRecords() {
     const teamLeaderRecords = [];
     
     // Get records with both "Team Leader" and "TeamLeaders" categories
-    await retryWithBackoff(async () => {
-      await base(TABLES.PNL)
-        .select({
-          filterByFormula: `OR(
-            {${FIELDS.PNL_CATEGORY}} = "${PNL_CATEGORIES.TEAM_LEADERS}",
-            {${FIELDS.PNL_CATEGORY}} = "TeamLeaders"
-          )`,
-          fields: [
-            FIELDS.PNL_CHELTUIALA,
-            FIELDS.PNL_PROJECT,
-            FIELDS.PNL_MONTH,
-            FIELDS.PNL_YEAR,
-            FIELDS.PNL_SUMA_RON,
-            FIELDS.PNL_SUMA_EURO,
-            FIELDS.PNL_DESCRIERE,
-            FIELDS.PNL_CATEGORY
-          ]
-        })
-        .eachPage((records, fetchNextPage) => {
-          records.forEach(record => {
-            teamLeaderRecords.push({
-              id: record.id,
-              cheltuiala: record.get(FIELDS.PNL_CHELTUIALA),
-              project: record.get(FIELDS.PNL_PROJECT),
-              month: record.get(FIELDS.PNL_MONTH),
-              year: record.get(FIELDS.PNL_YEAR),
-              sumaRON: record.get(FIELDS.PNL_SUMA_RON) || 0,
-              sumaEURO: record.get(FIELDS.PNL_SUMA_EURO) || 0,
-              descriere: record.get(FIELDS.PNL_DESCRIERE),
-              category: record.get(FIELDS.PNL_CATEGORY)
-            });
-          });
-          fetchNextPage();
-        });
+    const teamLeaderPnlRecords = await getDataStore().select(TABLES.PNL, {
+      filter: or(
+        eq(FIELDS.PNL_CATEGORY, PNL_CATEGORIES.TEAM_LEADERS),
+        eq(FIELDS.PNL_CATEGORY, 'TeamLeaders')
+      ),
+      fields: [
+        FIELDS.PNL_CHELTUIALA,
+        FIELDS.PNL_PROJECT,
+        FIELDS.PNL_MONTH,
+        FIELDS.PNL_YEAR,
+        FIELDS.PNL_SUMA_RON,
+        FIELDS.PNL_SUMA_EURO,
+        FIELDS.PNL_DESCRIERE,
+        FIELDS.PNL_CATEGORY
+      ]
+    });
+    
+    teamLeaderPnlRecords.forEach(record => {
+      teamLeaderRecords.push({
+        id: record.id,
+        cheltuiala: record.get(FIELDS.PNL_CHELTUIALA),
+        project: record.get(FIELDS.PNL_PROJECT),
+        month: record.get(FIELDS.PNL_MONTH),
+        year: record.get(FIELDS.PNL_YEAR),
+        sumaRON: record.get(FIELDS.PNL_SUMA_RON) || 0,
+        sumaEURO: record.get(FIELDS.PNL_SUMA_EURO) || 0,
+        descriere: record.get(FIELDS.PNL_DESCRIERE),
+        category: record.get(FIELDS.PNL_CATEGORY)
+      });
     });
     
     logger.info(`Found ${teamLeaderRecords.length} Team Leader records`);
@@ -413,9 +389,7 @@ async function mergeDuplicateTeamLeaderRecords() {
     for (let i = 0; i < recordsToUpdate.length; i += 10) {
       const batch = recordsToUpdate.slice(i, i + 10);
       
-      await retryWithBackoff(async () => {
-        await base(TABLES.PNL).update(batch);
-      });
+      await getDataStore().updateBatch(TABLES.PNL, batch);
       
       updated += batch.length;
       logger.info(`Updated ${updated}/${recordsToUpdate.length} records`);
@@ -426,9 +400,7 @@ async function mergeDuplicateTeamLeaderRecords() {
     for (let i = 0; i < recordsToDelete.length; i += 10) {
       const batch = recordsToDelete.slice(i, i + 10);
       
-      await retryWithBackoff(async () => {
-        await base(TABLES.PNL).destroy(batch);
-      });
+      await getDataStore().destroyBatch(TABLES.PNL, batch);
       
       deleted += batch.length;
       logger.info(`Deleted ${deleted}/${recordsToDelete.length} duplicate records`);
@@ -0,0 +1,73 @@
+/**
+ * Export Airtable Snapshot
+ *
+ * Copies every table the automation uses into a local JSON file that the
+ * JSON data store can run against (DATA_STORE=json).
+ *
+ * Usage:
+ *   node scripts/export-airtable-snapshot.js [outputFile]
+ *   (default output: ./data/snapshot.json)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createAirtableStore } from '../src/stores/airtableStore.js';
+import { TABLES } from '../src/config/constants.js';
+import { logger } from '../src/utils/logger.js';
+
+/**
+ * Export all tables to a snapshot file
+ * @param {string} outputFile - Destination path
+ * @returns {Promise<Object>} Record counts per table
+ */
+async function exportSnapshot(outputFile) {
+  logger.info('=== Exporting Airtable Snapshot ===', { outputFile });
+
+  const store = createAirtableStore();
+  const snapshot = {
+    exportedAt: new Date().toISOString(),
+    tables: {}
+  };
+  const counts = {};
+
+  for (const table of Object.values(TABLES)) {
+    let records;
+    try {
+      records = await store.select(table);
+    } catch (error) {
+      // Optional tables (e.g. "Reguli" when rules come from a file) may not exist
+      if (error.statusCode === 404) {
+        logger.warn(`Table ${table} not found, skipping`);
+        continue;
+      }
+      throw error;
+    }
+    snapshot.tables[table] = records.map(record => ({ id: record.id, createdTime: record.createdTime, fields: record.fields }));
+    counts[table] = records.length;
+
+    logger.info(`Exported ${records.length} records from ${table}`);
+  }
+
+  fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+  fs.writeFileSync(outputFile, JSON.stringify(snapshot, null, 2));
+
+  logger.info('✅ Snapshot export complete', { outputFile, counts });
+  return counts;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const outputFile = process.argv[2] || './data/snapshot.json';
+
+  exportSnapshot(outputFile)
+    .then(counts => {
+      console.log('Snapshot exported successfully:', counts);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Snapshot export failed:', error);
+      process.exit(1);
+    });
+}
+
+export { exportSnapshot };
@@ -0,0 +1,48 @@
+/**
+ * Import BNR Exchange Rates
+ *
+ * Loads daily EUR/RON reference rates from BNR XML files (the format of
+ * https://www.bnr.ro/nbrfxrates.xml and the yearly nbrfxrates{year}.xml archives)
+ * into the local rate store used for P&L EURO columns and copywriting tiers.
+ *
+ * Usage:
+ *   node scripts/import-bnr-rates.js <file.xml> [file2.xml ...]
+ */
+
+import fs from 'fs';
+import { importBnrRates } from '../src/services/exchangeRateService.js';
+import { logger } from '../src/utils/logger.js';
+
+/**
+ * Import every given XML file
+ * @param {Array<string>} files - BNR XML file paths
+ * @returns {Array<Object>} Import result per file
+ */
+function importFiles(files) {
+  return files.map(file => {
+    logger.info('Importing BNR rates', { file });
+    const result = importBnrRates(fs.readFileSync(file, 'utf8'));
+    return { file, ...result };
+  });
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const files = process.argv.slice(2);
+
+  if (files.length === 0) {
+    console.error('Usage: node scripts/import-bnr-rates.js <file.xml> [file2.xml ...]');
+    process.exit(1);
+  }
+
+  try {
+    const results = importFiles(files);
+    console.log('BNR rates imported successfully:', results);
+    process.exit(0);
+  } catch (error) {
+    console.error('BNR rate import failed:', error);
+    process.exit(1);
+  }
+}
+
+export { importFiles };
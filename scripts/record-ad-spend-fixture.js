@@ -0,0 +1,70 @@
+/**
+ * Record Ad Spend Fixture
+ *
+ * Fetches a month's campaign spend from an ad platform API and records it in
+ * DATA_DIR/ad-spend-{platform}.json, so the platform's expenses can be processed
+ * offline with {PLATFORM}_ADS_SOURCE=fixture (e.g. GOOGLE_ADS_SOURCE=fixture).
+ * Daily spend is recorded too for platforms that provide it (Facebook).
+ * Recording a month again replaces it; other months are kept.
+ *
+ * Usage:
+ *   node scripts/record-ad-spend-fixture.js <facebook|google|tiktok> "Octombrie 2025" ["Noiembrie 2025" ...]
+ */
+
+import { parseMonthYear } from '../src/config/constants.js';
+import { fetchMonthSpendFromApi, recordFixtureMonth } from '../src/services/adPlatformService.js';
+import { getAdPlatform, listAdPlatforms } from '../src/services/adPlatforms.js';
+import { logger } from '../src/utils/logger.js';
+
+/**
+ * Record every given month of a platform
+ * @param {string} platformId - AD_PLATFORMS value
+ * @param {Array<string>} monthYears - Months, format "Luna YYYY"
+ * @returns {Promise<Array<Object>>} Record result per month
+ */
+async function recordMonths(platformId, monthYears) {
+  const platform = getAdPlatform(platformId);
+  if (!platform) {
+    throw new Error(`Unknown ad platform "${platformId}". Expected one of: ${listAdPlatforms().map(p => p.id).join(', ')}`);
+  }
+  if (!platform.isConfigured()) {
+    throw new Error(`Missing ${platform.name} API credentials`);
+  }
+
+  const results = [];
+
+  for (const monthYear of monthYears) {
+    const parsed = parseMonthYear(monthYear);
+    if (!parsed) {
+      throw new Error(`Invalid month "${monthYear}". Expected: "Luna YYYY" (e.g., "Octombrie 2025")`);
+    }
+
+    logger.info(`Recording ${platform.name} spend`, { monthYear });
+    const monthSpend = await fetchMonthSpendFromApi(platform, parsed.month, parsed.year, { daily: true });
+    results.push({ monthYear, ...recordFixtureMonth(platform, parsed.month, parsed.year, monthSpend) });
+  }
+
+  return results;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [platformId, ...monthYears] = process.argv.slice(2);
+
+  if (!platformId || monthYears.length === 0) {
+    console.error('Usage: node scripts/record-ad-spend-fixture.js <facebook|google|tiktok> "Luna YYYY" ["Luna YYYY" ...]');
+    process.exit(1);
+  }
+
+  recordMonths(platformId, monthYears)
+    .then(results => {
+      console.log('Ad spend fixture recorded successfully:', results);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Ad spend fixture recording failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export { recordMonths };
@@ -0,0 +1,63 @@
+/**
+ * Record Stripe Fixture
+ *
+ * Fetches a month's Stripe balance transactions through the API and records them
+ * in DATA_DIR/stripe-balance-transactions.json, so Stripe fees can be processed
+ * offline with STRIPE_FEES_SOURCE=fixture. Recording a month again replaces its
+ * transactions by ID; other months are kept.
+ *
+ * Usage:
+ *   STRIPE_SECRET_KEY=rk_... node scripts/record-stripe-fixture.js "Octombrie 2025" ["Noiembrie 2025" ...]
+ */
+
+import { parseMonthYear } from '../src/config/constants.js';
+import {
+  getMonthRange,
+  fetchBalanceTransactions,
+  recordFixtureTransactions
+} from '../src/services/stripeIngestionService.js';
+import { logger } from '../src/utils/logger.js';
+
+/**
+ * Record every given month
+ * @param {Array<string>} monthYears - Months, format "Luna YYYY"
+ * @returns {Promise<Array<Object>>} Record result per month
+ */
+async function recordMonths(monthYears) {
+  const results = [];
+
+  for (const monthYear of monthYears) {
+    const parsed = parseMonthYear(monthYear);
+    if (!parsed) {
+      throw new Error(`Invalid month "${monthYear}". Expected: "Luna YYYY" (e.g., "Octombrie 2025")`);
+    }
+
+    logger.info('Recording Stripe balance transactions', { monthYear });
+    const transactions = await fetchBalanceTransactions(getMonthRange(parsed.month, parsed.year));
+    results.push({ monthYear, ...recordFixtureTransactions(transactions) });
+  }
+
+  return results;
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const monthYears = process.argv.slice(2);
+
+  if (monthYears.length === 0) {
+    console.error('Usage: node scripts/record-stripe-fixture.js "Luna YYYY" ["Luna YYYY" ...]');
+    process.exit(1);
+  }
+
+  recordMonths(monthYears)
+    .then(results => {
+      console.log('Stripe fixture recorded successfully:', results);
+      process.exit(0);
+    })
+    .catch(error => {
+      console.error('Stripe fixture recording failed:', error.message);
+      process.exit(1);
+    });
+}
+
+export { recordMonths };
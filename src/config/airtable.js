@@ -8,23 +8,46 @@ import { logger } from '../utils/logger.js';
 // Load environment variables
 dotenv.config();
 
-// Validate required environment variables
-if (!process.env.AIRTABLE_API_KEY) {
-  throw new Error('AIRTABLE_API_KEY environment variable is required');
-}
+let airtableBase = null;
 
-if (!process.env.AIRTABLE_BASE_ID) {
-  throw new Error('AIRTABLE_BASE_ID environment variable is required');
-}
+/**
+ * Get the Airtable base, initializing the connection on first use
+ * Credentials are only required when the Airtable data store is actually used,
+ * so the pipeline can run offline against a local snapshot (DATA_STORE=json).
+ * @returns {Function} Airtable base
+ */
+export function getBase() {
+  if (airtableBase) {
+    return airtableBase;
+  }
+
+  // Validate required environment variables
+  if (!process.env.AIRTABLE_API_KEY) {
+    throw new Error('AIRTABLE_API_KEY environment variable is required');
+  }
+
+  if (!process.env.AIRTABLE_BASE_ID) {
+    throw new Error('AIRTABLE_BASE_ID environment variable is required');
+  }
 
-// Initialize Airtable connection
-const airtable = new Airtable({
-  apiKey: process.env.AIRTABLE_API_KEY
-});
+  // Initialize Airtable connection
+  const airtable = new Airtable({
+    apiKey: process.env.AIRTABLE_API_KEY
+  });
 
-export const base = airtable.base(process.env.AIRTABLE_BASE_ID);
+  airtableBase = airtable.base(process.env.AIRTABLE_BASE_ID);
 
-logger.info('Airtable connection initialized', {
-  baseId: process.env.AIRTABLE_BASE_ID
-});
+  logger.info('Airtable connection initialized', {
+    baseId: process.env.AIRTABLE_BASE_ID
+  });
 
+  return airtableBase;
+}
+
+/**
+ * Airtable table accessor - base(TABLES.X) works as with the SDK base
+ * @param {string} tableName - Table name
+ */
+export function base(tableName) {
+  return getBase()(tableName);
+}
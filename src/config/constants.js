@@ -24,7 +24,10 @@ export const TABLES = {
   SALES: 'Vânzări',
   REPRESENTATIVES: 'Reprezentanți',
   EXPENSES: 'Cheltuieli',
-  PNL: 'P&L\'s'
+  PNL: 'P&L\'s',
+  RULES: 'Reguli',
+  DEBT_LEDGER: 'Registru Datorii',
+  AUDIT_LOG: 'Istoric'
 };
 
 // Field names mapping
@@ -33,6 +36,7 @@ export const FIELDS = {
   NAME: 'Nume',
   REPRESENTATIVE: 'Reprezentant',
   MONTH: 'Lună',
+  COMMISSION_YEAR: 'An',
   FINAL_COMMISSION: 'Comision',
   SALES: 'Vânzări',
   ROLE: 'Rol',
@@ -55,6 +59,7 @@ export const FIELDS = {
   PAYMENT_METHOD: 'Modalitate de plata',
   MONTHLY_COMMISSIONS: 'Comisioane Lunare',
   VERIFICAT: 'Verificat',
+  REVERSE_CHARGE: 'Taxare Inversă',
   
   // Reprezentanți
   REP_NAME: 'Nume',
@@ -77,17 +82,54 @@ export const FIELDS = {
   EXPENSE_ID: 'ID',
   EXPENSE_LAST_UPDATE: 'Ultima Actualizare',
   EXPENSE_ASSOCIATED_SALES: 'Vanzari Asociate',
+  EXPENSE_CANCELLED: 'Anulat', // Checked on stale automatic expenses (see staleExpenseService)
+  EXPENSE_ALLOCATED_FROM: 'Alocat Din', // Allocation lines: record ID of the shared expense (see sharedCostService)
   
   // P&L's
   PNL_CHELTUIALA: 'Cheltuiala',
   PNL_SUMA_RON: 'Suma RON',
   PNL_SUMA_EURO: 'Suma EURO',
+  PNL_EUR_RON_RATE: 'Curs EUR/RON',
   PNL_DESCRIERE: 'Descriere',
   PNL_PROJECT: 'Proiect',
   PNL_MONTH: 'Luna',
   PNL_YEAR: 'An',
   PNL_CATEGORY: 'Categorie',
-  PNL_SOURCE: 'Sursa'
+  PNL_SOURCE: 'Sursa',
+  
+  // Reguli (business rules, see rulesService)
+  RULE_KEY: 'Cheie',
+  RULE_VALUE: 'Valoare',
+  RULE_EFFECTIVE_FROM: 'Valabil de la',
+  RULE_EFFECTIVE_TO: 'Valabil până la',
+  RULE_DESCRIPTION: 'Descriere',
+  
+  // Registru Datorii (sales rep debt ledger, see debtLedgerService)
+  LEDGER_ID: 'ID',
+  LEDGER_TYPE: 'Tip',
+  LEDGER_REPRESENTATIVE: 'Reprezentant',
+  LEDGER_REPRESENTATIVE_ID: 'ID Reprezentant',
+  LEDGER_MONTH: 'Luna',
+  LEDGER_YEAR: 'An',
+  LEDGER_AMOUNT: 'Suma',
+  LEDGER_BALANCE: 'Sold Rămas',
+  LEDGER_DEBT_ID: 'ID Datorie',
+  LEDGER_COMMISSION_ID: 'ID Comision Lunar',
+  
+  // Istoric (audit trail of automation writes, see auditService)
+  AUDIT_TIMESTAMP: 'Data',
+  AUDIT_ACTION: 'Acțiune',
+  AUDIT_TABLE: 'Tabel',
+  AUDIT_RECORD_ID: 'ID Înregistrare',
+  AUDIT_KEY: 'Cheie',
+  AUDIT_PROJECT: 'Proiect',
+  AUDIT_MONTH: 'Luna',
+  AUDIT_FIELD: 'Câmp',
+  AUDIT_OLD_VALUE: 'Valoare Veche',
+  AUDIT_NEW_VALUE: 'Valoare Nouă',
+  AUDIT_JOB_ID: 'ID Rulare',
+  AUDIT_TRIGGER: 'Declanșator',
+  AUDIT_SERVICE: 'Serviciu'
 };
 
 // Category options for expenses (must match Airtable "Categorie" field options)
@@ -101,6 +143,50 @@ export const EXPENSE_CATEGORIES = {
   SALARII: 'Salarii'
 };
 
+// Expense ID prefixes of the automatic expense types (one per service)
+export const EXPENSE_ID_PREFIXES = {
+  SALES_REP: 'commission_',
+  SETTER_CALLER: 'setter_caller_',
+  TEAM_LEADER: 'team_leader_',
+  STRIPE: 'stripe_',
+  FACEBOOK_ADS: 'facebook_ads_',
+  GOOGLE_ADS: 'google_ads_',
+  TIKTOK_ADS: 'tiktok_ads_',
+  COPYWRITING: 'copywriting_',
+  CLAWBACK: 'clawback_', // Followed by the role (see CLAWBACK_ROLES)
+  ALLOCATION: 'allocation_',
+  PLAN: 'plan_' // Configured commission plans ("commissionPlans.<id>")
+};
+
+// Project of shared costs (unmapped Facebook campaigns, unmatched Stripe fees,
+// manual common expenses), allocated to the real projects before the P&L
+export const SHARED_COST_PROJECT = 'Cheltuială Comună';
+
+// Shared cost allocation methods ("sharedCosts.allocation" rule, see sharedCostService)
+export const ALLOCATION_METHODS = {
+  REVENUE: 'revenue', // By "Total După TVA" of the month's verified sales
+  SALES_COUNT: 'salesCount', // By number of verified sales
+  FIXED: 'fixed', // By fixed weights per project
+  NONE: 'none' // Not allocated
+};
+
+// Refund clawback policies ("clawback.<role>" rules, see clawbackService)
+export const CLAWBACK_POLICIES = {
+  FULL: 'full',
+  PARTIAL: 'partial',
+  NONE: 'none',
+  DEFERRED: 'deferred'
+};
+
+// Roles with a clawback policy (the "<role>" of the rule key and expense ID)
+export const CLAWBACK_ROLES = {
+  SALES_REP: 'salesRep',
+  SETTER_CALLER: 'setterCaller',
+  TEAM_LEADER: 'teamLeader',
+  COPYWRITING: 'copywriting',
+  COMMISSION_PLAN: 'commissionPlan' // Every configured plan ("commissionPlans.<id>")
+};
+
 // Valid CamelCase name regex for setter/caller validation
 export const SETTER_CALLER_NAME_REGEX = /^[A-Z][a-z]+[A-Z][a-z]+$/;
 
@@ -110,6 +196,9 @@ export const VAT_INCLUDED = {
   NO: 'Nu'
 };
 
+// "Verificat" statuses of sales counted as verified
+export const SALE_VERIFIED_STATUSES = ['Verificat Manual', 'Verificat Automat din Stripe'];
+
 // Source options
 export const SOURCE = {
   AUTOMATIC: 'Automat',
@@ -125,7 +214,8 @@ export const PNL_CATEGORIES = {
   SETTERI: 'Setteri',
   TEAM_LEADERS: 'Team Leader',
   TAXE_IMPOZITE: 'Taxe & Impozite',
-  SALARII: 'Salarii'
+  SALARII: 'Salarii',
+  ALTELE: 'Altele' // Manual expenses with a category that has no P&L equivalent
 };
 
 // Fixed P&L summary record names (always present under P&L category)
@@ -137,49 +227,27 @@ export const PNL_SUMMARY_RECORDS = {
   MARJA_PROFIT: 'MARJĂ PROFIT'
 };
 
-// Setter/Caller commission percentage (5%)
-export const SETTER_CALLER_COMMISSION_RATE = 0.05;
-
-// Team Leader configuration
-export const TEAM_LEADERS = {
-  SETTER: {
-    name: 'George Coapsi',
-    commissionRate: 0.05, // 5%
-    category: 'Team Leader', // Using existing category; user can manually change to 'Team Leader Setter' if option exists
-    startMonth: 'Ianuarie', // Started in January (process all months)
-    startYear: 2024
-  },
-  CALLER: {
-    name: 'Alexandru Prisiceanu',
-    commissionRate: 0.02, // 2%
-    category: 'Team Leader', // Using existing category; user can manually change to 'Team Leader Caller' if option exists
-    startMonth: 'Noiembrie', // Started in November
-    startYear: 2024
-  }
-};
+// Rates, team leaders, copywriting tiers and project names are business rules
+// with effective dates - see src/config/rules.json and services/rulesService.js
 
 // Stripe fee configuration
 export const STRIPE = {
-  feeRate: 0.02, // 2%
   paymentMethodIdentifier: 'link', // For case-insensitive matching (any payment method containing "link")
-  category: 'Stripe'
+  category: 'Stripe',
+  apiBaseUrl: 'https://api.stripe.com/v1',
+  timeout: 30000, // 30 second timeout for API calls
+  maxPages: 50, // Safety limit (100 balance transactions per page)
+  saleMetadataKey: 'sale_id', // Charge metadata key holding the Vânzări record ID
+  conversionTolerance: 0.03, // Amount match tolerance for charges converted from another currency
+  unmatchedProject: SHARED_COST_PROJECT // Fees of transactions that match no sale
 };
 
-// Project names for campaign mapping
-export const PROJECTS = [
-  'Arta Vizibilitatii',
-  'CODCOM',
-  'Andrei Bordeianu',
-  'Artok Academy'
-];
-
 // Facebook Ads configuration
 export const FACEBOOK = {
   apiVersion: 'v21.0',
   baseUrl: 'https://graph.facebook.com',
   category: 'Reclame Facebook',
-  defaultProject: 'Cheltuială Comună', // For unmapped campaigns
-  projects: PROJECTS,
+  defaultProject: SHARED_COST_PROJECT, // For unmapped campaigns
   rateLimit: {
     maxCalls: 200, // Per hour
     retryDelay: 60000, // 60 seconds
@@ -190,20 +258,50 @@ export const FACEBOOK = {
   expectedCurrency: 'RON'
 };
 
+// Google Ads configuration (REST API, OAuth refresh token)
+export const GOOGLE_ADS = {
+  apiVersion: 'v21',
+  baseUrl: 'https://googleads.googleapis.com',
+  tokenUrl: 'https://oauth2.googleapis.com/token',
+  timeout: 30000,
+  expectedCurrency: 'RON'
+};
+
+// TikTok Ads configuration (TikTok API for Business)
+export const TIKTOK_ADS = {
+  apiVersion: 'v1.3',
+  baseUrl: 'https://business-api.tiktok.com/open_api',
+  pageSize: 1000,
+  maxPages: 10, // Safety limit
+  timeout: 30000,
+  expectedCurrency: 'RON'
+};
+
+// Ad platforms (IDs used in fixture files and campaign mapping rules)
+export const AD_PLATFORMS = {
+  FACEBOOK: 'facebook',
+  GOOGLE: 'google',
+  TIKTOK: 'tiktok'
+};
+
+// Ad spend sources (<PLATFORM>_ADS_SOURCE, see adPlatformService)
+export const AD_SPEND_SOURCES = {
+  API: 'api',
+  FIXTURE: 'fixture' // Recorded with npm run record-ads
+};
+
 // Copywriting commission configuration
+// (copywriters with their tiers, and the EUR/RON rate, are business rules - see rules.json)
 export const COPYWRITING = {
-  copywriter: {
-    name: 'Diana Nastase',
-    utmIdentifier: 'diananastase', // For matching (normalized)
-  },
-  category: 'Salarii', // Copywriting expenses go under Salarii category
-  // Progressive tier structure (based on EUR thresholds)
-  tiers: [
-    { max: 10000, rate: 0.05 },     // 5% up to €10,000
-    { max: 25000, rate: 0.075 },    // 7.5% €10,001-€25,000
-    { max: Infinity, rate: 0.10 }   // 10% over €25,001
-  ],
-  eurRonRate: 5.08 // Fixed EUR/RON exchange rate per client requirement (RON / EUR)
+  category: 'Salarii', // Copywriting expenses go under Salarii category (unless the copywriter has one)
+  currencies: ['EUR', 'RON'] // Currency of a copywriter's tier thresholds
+};
+
+// Accumulation windows of progressive tiers: the period whose sales make up the tier base
+export const TIER_WINDOWS = {
+  MONTHLY: 'monthly',
+  QUARTERLY: 'quarterly',
+  ANNUAL: 'annual'
 };
 
 /**
@@ -242,6 +340,86 @@ export function getMonthIndex(monthName) {
   return ROMANIAN_MONTHS.indexOf(monthName);
 }
 
+/**
+ * Parse a month-year string
+ * @param {string} monthYear - Format: "Luna YYYY" (e.g., "Octombrie 2025")
+ * @returns {Object|null} { month, year } or null if not a valid month-year
+ */
+export function parseMonthYear(monthYear) {
+  const match = typeof monthYear === 'string' && monthYear.trim().match(/^(\S+)\s+(\d{4})$/);
+  if (!match || getMonthIndex(match[1]) === -1) return null;
+  return { month: match[1], year: parseInt(match[2], 10) };
+}
+
+/**
+ * Format a month and year as a month-year string
+ * @returns {string} Format: "Octombrie 2025"
+ */
+export function formatMonthYear(month, year) {
+  return `${month} ${year}`;
+}
+
+/**
+ * Comparable month number for sorting month-years
+ * @param {string} month - Romanian month name
+ * @param {number|string} year - Year
+ * @returns {number} year * 12 + month index
+ */
+export function getMonthNumber(month, year) {
+  return parseInt(year, 10) * 12 + getMonthIndex(month);
+}
+
+/**
+ * Month before a given month
+ * @param {string} month - Romanian month name
+ * @param {number|string} year - Year
+ * @returns {Object} { month, year } (e.g. Ianuarie 2025 → Decembrie 2024)
+ */
+export function getPreviousMonth(month, year) {
+  const monthNumber = getMonthNumber(month, year) - 1;
+  return { month: ROMANIAN_MONTHS[monthNumber % 12], year: Math.floor(monthNumber / 12) };
+}
+
+/**
+ * Month after a given month
+ * @param {string} month - Romanian month name
+ * @param {number|string} year - Year
+ * @returns {Object} { month, year } (e.g. Decembrie 2024 → Ianuarie 2025)
+ */
+export function getNextMonth(month, year) {
+  const monthNumber = getMonthNumber(month, year) + 1;
+  return { month: ROMANIAN_MONTHS[monthNumber % 12], year: Math.floor(monthNumber / 12) };
+}
+
+/**
+ * Earlier months of a tier accumulation window, oldest first
+ * @param {string} month - Romanian month name
+ * @param {number|string} year - Year
+ * @param {string} window - TIER_WINDOWS value
+ * @returns {Array<Object>} [{ month, year }] (e.g. Mai 2025, quarterly → Aprilie 2025)
+ */
+export function getTierWindowPreviousMonths(month, year, window) {
+  const monthIndex = getMonthIndex(month);
+  const windowStart = {
+    [TIER_WINDOWS.MONTHLY]: monthIndex,
+    [TIER_WINDOWS.QUARTERLY]: monthIndex - (monthIndex % 3),
+    [TIER_WINDOWS.ANNUAL]: 0
+  }[window];
+  
+  return ROMANIAN_MONTHS.slice(windowStart, monthIndex).map(name => ({ month: name, year: parseInt(year, 10) }));
+}
+
+/**
+ * Year of the most recent occurrence of a month that is not after a date
+ * (e.g. "Decembrie" on a date in March 2025 → 2024)
+ * @param {string} monthName - Romanian month name
+ * @param {Date} date - Reference date (e.g. when a record was created)
+ * @returns {number} Year
+ */
+export function getLatestYearForMonth(monthName, date) {
+  return getMonthIndex(monthName) <= date.getMonth() ? date.getFullYear() : date.getFullYear() - 1;
+}
+
 /**
  * Compare if monthYear1 is >= monthYear2
  * @param {string} month1 - Romanian month name
@@ -0,0 +1,94 @@
+/**
+ * Data store selection
+ *
+ * Every read and write of base data goes through the data store returned here.
+ * - DATA_STORE=airtable (default): live Airtable base
+ * - DATA_STORE=json: local snapshot file (DATA_STORE_FILE, default ./data/snapshot.json)
+ *   Set DATA_STORE_PERSIST=false to keep changes in memory only.
+ *
+ * Data store interface:
+ *   select(table, { filter, fields, maxRecords, sort }) -> records
+ *   find(table, recordId) -> record | null
+ *   create(table, fields) -> record
+ *   update(table, recordId, fields) -> record
+ *   destroy(table, recordId)
+ *   createBatch(table, fieldsList) / updateBatch(table, [{ id, fields }]) / destroyBatch(table, ids)
+ *
+ * Records have the shape { id, fields, get(field) }.
+ *
+ * Writes are recorded in the audit log (see auditService) unless AUDIT_LOG=false.
+ *
+ * Inside a dry run (see runContext) the run's dry-run store is returned instead,
+ * so writes are planned rather than applied.
+ */
+import dotenv from 'dotenv';
+import { createAirtableStore } from '../stores/airtableStore.js';
+import { createJsonStore } from '../stores/jsonStore.js';
+import { createAuditStore } from '../stores/auditStore.js';
+import { recordAuditEntries } from '../services/auditService.js';
+import { TABLES } from './constants.js';
+import { getRunContext } from '../utils/runContext.js';
+
+// Load environment variables
+dotenv.config();
+
+let activeStore = null;
+
+/**
+ * Build the backing data store configured through environment variables
+ */
+function createBackingStore() {
+  const type = (process.env.DATA_STORE || 'airtable').toLowerCase();
+
+  switch (type) {
+    case 'airtable':
+      return createAirtableStore();
+    case 'json':
+      return createJsonStore({
+        filePath: process.env.DATA_STORE_FILE || './data/snapshot.json',
+        persist: process.env.DATA_STORE_PERSIST !== 'false'
+      });
+    default:
+      throw new Error(`Unknown DATA_STORE "${type}". Expected "airtable" or "json"`);
+  }
+}
+
+/**
+ * Build the configured data store, audited unless AUDIT_LOG=false
+ */
+function createConfiguredStore() {
+  const store = createBackingStore();
+
+  if (process.env.AUDIT_LOG === 'false') {
+    return store;
+  }
+
+  return createAuditStore(store, {
+    onChanges: entries => recordAuditEntries(entries, store),
+    ignoreTables: [TABLES.AUDIT_LOG]
+  });
+}
+
+/**
+ * Get the active data store
+ * @returns {Object} Data store
+ */
+export function getDataStore() {
+  const { dataStore } = getRunContext();
+  if (dataStore) {
+    return dataStore;
+  }
+
+  if (!activeStore) {
+    activeStore = createConfiguredStore();
+  }
+  return activeStore;
+}
+
+/**
+ * Replace the active data store (scripts and offline runs)
+ * @param {Object} store - Data store implementing the interface above
+ */
+export function setDataStore(store) {
+  activeStore = store;
+}
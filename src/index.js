@@ -4,6 +4,7 @@
  * Automates commission expense tracking for Ascendix projects.
  * Runs on a schedule to process sales rep and setter/caller commissions.
  */
+import fs from 'fs';
 import dotenv from 'dotenv';
 import cron from 'node-cron';
 import express from 'express';
@@ -13,17 +14,37 @@ import {
   getCurrentRomanianMonth,
   getCurrentYear,
   getCurrentMonthYearString,
-  ROMANIAN_MONTHS
+  parseMonthYear,
+  ROMANIAN_MONTHS,
+  AD_PLATFORMS
 } from './config/constants.js';
 import { processSalesRepCommissions } from './services/salesRepService.js';
 import { processSetterCallerCommissions } from './services/setterCallerService.js';
 import { processTeamLeaderCommissions } from './services/teamLeaderService.js';
 import { processStripeFees } from './services/stripeService.js';
 import { processFacebookAds } from './services/facebookAdsService.js';
+import { processGoogleAds } from './services/googleAdsService.js';
+import { processTiktokAds } from './services/tiktokAdsService.js';
+import { getUnmappedCampaigns } from './services/adPlatformService.js';
+import { getAdPlatform, listAdPlatforms } from './services/adPlatforms.js';
 import { processCopywritingCommissions } from './services/copywritingService.js';
+import { processCommissionPlans } from './services/commissionPlanService.js';
+import { getTokenStatus } from './services/facebookTokenService.js';
+import { processSharedCosts } from './services/sharedCostService.js';
 import { processPNL } from './services/pnlService.js';
 import { runCleanup } from '../scripts/cleanup-airtable-data.js';
 import { getAllMonthYearsFromSales } from './services/airtableService.js';
+import { getDataStore } from './config/dataStore.js';
+import { createDryRunStore, buildChangePlan } from './stores/dryRunStore.js';
+import { runWithContext, withContext, getRunContext } from './utils/runContext.js';
+import { getJob, listJobs, JOB_STATES } from './services/jobService.js';
+import { enqueueRun, getQueuePosition, getQueueStatus, RUN_TYPES } from './services/runCoordinator.js';
+import { loadRules, refreshRules } from './services/rulesService.js';
+import { getDebtLedger } from './services/debtLedgerService.js';
+import { buildReconciliationReport } from './services/reconciliationService.js';
+import { getAuditHistory } from './services/auditService.js';
+import { querySpend, validateSpendQuery, getMonthYearRange } from './services/marketingSpendService.js';
+import { buildMarketingRoiReport, formatMarketingRoiCsv } from './services/marketingReportService.js';
 
 // Load environment variables
 dotenv.config();
@@ -45,55 +66,83 @@ async function processCommissions(targetMonthYear = null) {
   const month = getCurrentRomanianMonth();
   const year = getCurrentYear();
   const monthYear = getCurrentMonthYearString();
+  const { dryRun = false } = getRunContext();
   
   logger.info('Commission automation started', {
     month,
     year,
     monthYear,
     targetMonthYear,
+    dryRun,
     timestamp: new Date().toISOString()
   });
   
   try {
+    // Pick up rule edits (rates, team leaders, tiers) made since the last run
+    await refreshRules();
+    
     // Process Sales Rep commissions
     logger.info('Processing Sales Rep commissions...');
-    const salesRepResults = await processSalesRepCommissions(targetMonthYear);
+    const salesRepResults = await withContext({ service: 'salesRep' }, () => processSalesRepCommissions(targetMonthYear));
     
     logger.info('Sales Rep processing completed', salesRepResults);
     
     // Process Setter/Caller commissions
     logger.info('Processing Setter/Caller commissions...');
-    const setterCallerResults = await processSetterCallerCommissions(targetMonthYear);
+    const setterCallerResults = await withContext({ service: 'setterCaller' }, () => processSetterCallerCommissions(targetMonthYear));
     
     logger.info('Setter/Caller processing completed', setterCallerResults);
     
     // Process Team Leader commissions
     logger.info('Processing Team Leader commissions...');
-    const teamLeaderResults = await processTeamLeaderCommissions(targetMonthYear);
+    const teamLeaderResults = await withContext({ service: 'teamLeader' }, () => processTeamLeaderCommissions(targetMonthYear));
     
     logger.info('Team Leader processing completed', teamLeaderResults);
     
     // Process Stripe fees
     logger.info('Processing Stripe fees...');
-    const stripeResults = await processStripeFees(targetMonthYear);
+    const stripeResults = await withContext({ service: 'stripe' }, () => processStripeFees(targetMonthYear));
     
     logger.info('Stripe processing completed', stripeResults);
     
     // Process Facebook Ads
     logger.info('Processing Facebook Ads expenses...');
-    const facebookAdsResults = await processFacebookAds(targetMonthYear);
+    const facebookAdsResults = await withContext({ service: 'facebookAds' }, () => processFacebookAds(targetMonthYear));
     
     logger.info('Facebook Ads processing completed', facebookAdsResults);
     
+    // Process Google Ads and TikTok Ads (skipped when not configured)
+    logger.info('Processing Google Ads expenses...');
+    const googleAdsResults = await withContext({ service: 'googleAds' }, () => processGoogleAds(targetMonthYear));
+    
+    logger.info('Google Ads processing completed', googleAdsResults);
+    
+    logger.info('Processing TikTok Ads expenses...');
+    const tiktokAdsResults = await withContext({ service: 'tiktokAds' }, () => processTiktokAds(targetMonthYear));
+    
+    logger.info('TikTok Ads processing completed', tiktokAdsResults);
+    
     // Process Copywriting commissions
     logger.info('Processing Copywriting commissions...');
-    const copywritingResults = await processCopywritingCommissions(targetMonthYear);
+    const copywritingResults = await withContext({ service: 'copywriting' }, () => processCopywritingCommissions(targetMonthYear));
     
     logger.info('Copywriting processing completed', copywritingResults);
     
+    // Process commission plans configured as rules
+    logger.info('Processing commission plans...');
+    const commissionPlanResults = await withContext({ service: 'commissionPlans' }, () => processCommissionPlans(targetMonthYear));
+    
+    logger.info('Commission plan processing completed', commissionPlanResults);
+    
+    // Allocate shared costs (Cheltuială Comună) to projects before the P&L
+    logger.info('Allocating shared costs...');
+    const sharedCostResults = await withContext({ service: 'sharedCosts' }, () => processSharedCosts(targetMonthYear));
+    
+    logger.info('Shared cost allocation completed', sharedCostResults);
+    
     // Process P&L records
     logger.info('Processing P&L records...');
-    const pnlResults = await processPNL(targetMonthYear);
+    const pnlResults = await withContext({ service: 'pnl' }, () => processPNL(targetMonthYear));
     
     logger.info('P&L processing completed', pnlResults);
     
@@ -108,12 +157,17 @@ async function processCommissions(targetMonthYear = null) {
       teamLeader: teamLeaderResults,
       stripe: stripeResults,
       facebookAds: facebookAdsResults,
+      googleAds: googleAdsResults,
+      tiktokAds: tiktokAdsResults,
       copywriting: copywritingResults,
+      commissionPlans: commissionPlanResults,
+      sharedCosts: sharedCostResults,
       pnl: pnlResults,
-      totalExpensesCreated: salesRepResults.created + setterCallerResults.created + teamLeaderResults.created + stripeResults.created + facebookAdsResults.created + copywritingResults.created,
-      totalExpensesUpdated: (salesRepResults.updated || 0) + (setterCallerResults.updated || 0) + (teamLeaderResults.updated || 0) + (stripeResults.updated || 0) + (facebookAdsResults.updated || 0) + (copywritingResults.updated || 0),
-      totalExpensesSkipped: salesRepResults.skipped + setterCallerResults.skipped + teamLeaderResults.skipped + stripeResults.skipped + facebookAdsResults.skipped + copywritingResults.skipped,
-      totalErrors: salesRepResults.errors + setterCallerResults.errors + teamLeaderResults.errors + stripeResults.errors + facebookAdsResults.errors + copywritingResults.errors,
+      totalExpensesCreated: salesRepResults.created + setterCallerResults.created + teamLeaderResults.created + stripeResults.created + facebookAdsResults.created + googleAdsResults.created + tiktokAdsResults.created + copywritingResults.created + commissionPlanResults.created + sharedCostResults.created,
+      totalExpensesUpdated: (salesRepResults.updated || 0) + (setterCallerResults.updated || 0) + (teamLeaderResults.updated || 0) + (stripeResults.updated || 0) + (facebookAdsResults.updated || 0) + (googleAdsResults.updated || 0) + (tiktokAdsResults.updated || 0) + (copywritingResults.updated || 0) + (commissionPlanResults.updated || 0) + (sharedCostResults.updated || 0),
+      totalExpensesSkipped: salesRepResults.skipped + setterCallerResults.skipped + teamLeaderResults.skipped + stripeResults.skipped + facebookAdsResults.skipped + googleAdsResults.skipped + tiktokAdsResults.skipped + copywritingResults.skipped + commissionPlanResults.skipped + sharedCostResults.skipped,
+      totalErrors: salesRepResults.errors + setterCallerResults.errors + teamLeaderResults.errors + stripeResults.errors + facebookAdsResults.errors + googleAdsResults.errors + tiktokAdsResults.errors + copywritingResults.errors + commissionPlanResults.errors + sharedCostResults.errors,
+      totalStaleExpenses: salesRepResults.stale + setterCallerResults.stale + teamLeaderResults.stale + stripeResults.stale + facebookAdsResults.stale + googleAdsResults.stale + tiktokAdsResults.stale + copywritingResults.stale + commissionPlanResults.stale + sharedCostResults.stale,
       totalPNLCreated: pnlResults.created,
       totalPNLUpdated: pnlResults.updated
     });
@@ -126,7 +180,11 @@ async function processCommissions(targetMonthYear = null) {
       teamLeader: teamLeaderResults,
       stripe: stripeResults,
       facebookAds: facebookAdsResults,
+      googleAds: googleAdsResults,
+      tiktokAds: tiktokAdsResults,
       copywriting: copywritingResults,
+      commissionPlans: commissionPlanResults,
+      sharedCosts: sharedCostResults,
       pnl: pnlResults
     };
   } catch (error) {
@@ -147,6 +205,99 @@ async function processCommissions(targetMonthYear = null) {
   }
 }
 
+/**
+ * Dry run: runs every service against a dry-run store and returns the change plan
+ * Nothing is written - planned creates/updates (with old and new values) are
+ * grouped by service, project and month for review, and skipped local writes
+ * (stored spend, Facebook token) are listed.
+ * @param {string} targetMonthYear - Optional. Format: "Luna YYYY"
+ * @returns {Promise<Object>} Processing results plus the change plan
+ */
+async function planCommissions(targetMonthYear = null) {
+  const dryRunStore = createDryRunStore(getDataStore());
+  
+  const results = await runWithContext({ dataStore: dryRunStore, dryRun: true }, () =>
+    processCommissions(targetMonthYear)
+  );
+  
+  const plan = buildChangePlan(dryRunStore.getChanges(), dryRunStore.getLocalWrites());
+  
+  logger.info('Dry run completed', {
+    targetMonthYear,
+    summary: plan.summary
+  });
+  
+  return {
+    ...results,
+    dryRun: true,
+    plan
+  };
+}
+
+/**
+ * Queue a dry run behind the runs in progress and wait for its change plan
+ * Planning against a month another run is still writing would show changes
+ * that run is about to make.
+ * @param {string} targetMonthYear - Optional. Format: "Luna YYYY"
+ * @param {string} trigger - Job trigger
+ * @returns {Promise<Object|null>} planCommissions results, or null if the queue is full
+ * @throws {Error} When the dry run fails
+ */
+async function queueDryRun(targetMonthYear, trigger) {
+  let results = null;
+  
+  const run = enqueueRun({ type: RUN_TYPES.DRY_RUN, monthYear: targetMonthYear, trigger }, async () => {
+    results = await planCommissions(targetMonthYear);
+    
+    // The change plan goes back to the caller; job history keeps its summary
+    return {
+      success: results.success,
+      error: results.error,
+      dryRun: true,
+      summary: results.plan.summary
+    };
+  });
+  
+  if (run.rejected) return null;
+  
+  await run.done;
+  if (!results) {
+    throw new Error(run.job.error || 'Dry run failed');
+  }
+  return results;
+}
+
+/**
+ * Check if a request asks for a dry run (body { dryRun: true } or ?dryRun=true)
+ */
+function isDryRunRequest(req) {
+  return req.body?.dryRun === true || req.body?.dryRun === 'true' || req.query.dryRun === 'true';
+}
+
+/**
+ * Job fields returned by endpoints that queue a run
+ */
+function queuedRunFields(run) {
+  return {
+    jobId: run.job.id,
+    statusUrl: `/jobs/${run.job.id}`,
+    queuePosition: run.queuePosition,
+    coalesced: run.coalesced
+  };
+}
+
+/**
+ * Respond to a request the run coordinator rejected (queue full)
+ */
+function respondQueueFull(res) {
+  return res.status(429).json({
+    success: false,
+    error: 'Too many runs waiting. Try again after the current runs finish.',
+    queue: getQueueStatus(),
+    timestamp: new Date().toISOString()
+  });
+}
+
 /**
  * Webhook endpoints
  */
@@ -197,31 +348,52 @@ app.get('/refresh/months', async (req, res) => {
 
 // Manual full commission processing endpoint (refreshes Cheltuieli + P&L for ALL months)
 app.post('/refresh/all', async (req, res) => {
+  if (isDryRunRequest(req)) {
+    logger.info('Manual full refresh dry run triggered via webhook');
+    
+    // Dry runs are awaited so the change plan can be returned in the response
+    try {
+      const results = await queueDryRun(null, 'manual');
+      if (!results) {
+        return respondQueueFull(res);
+      }
+      
+      return res.status(results.success ? 200 : 500).json({
+        ...results,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Full refresh dry run failed', {
+        error: error.message
+      });
+      
+      return res.status(500).json({
+        success: false,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
   logger.info('Manual full refresh triggered via webhook');
   
+  // Queue behind any run in progress (processed in background)
+  const run = enqueueRun({ type: RUN_TYPES.REFRESH_ALL, trigger: 'manual' }, () => processCommissions());
+  
+  if (run.rejected) {
+    return respondQueueFull(res);
+  }
+  
   // Respond immediately to prevent timeout
   res.json({
     success: true,
-    message: 'Full refresh started for ALL months. Processing in background...',
+    message: run.queuePosition === 0
+      ? 'Full refresh started for ALL months. Processing in background...'
+      : `Full refresh queued for ALL months (position ${run.queuePosition}).`,
+    ...queuedRunFields(run),
     timestamp: new Date().toISOString(),
-    note: 'This will take 2-3 minutes. Check Cheltuieli and P&L tables to see updates.'
+    note: 'Poll statusUrl until state is "succeeded" or "failed".'
   });
-  
-  // Process in background (don't await - let it run asynchronously)
-  processCommissions()
-    .then((results) => {
-      logger.info('Background full refresh completed successfully', {
-        results,
-        timestamp: new Date().toISOString()
-      });
-    })
-    .catch((error) => {
-      logger.error('Background full refresh failed', {
-        error: error.message,
-        stack: error.stack,
-        timestamp: new Date().toISOString()
-      });
-    });
 });
 
 // Single month refresh endpoint (refreshes Cheltuieli + P&L for specific month)
@@ -262,40 +434,66 @@ app.post('/refresh/month', async (req, res) => {
     });
   }
   
+  if (isDryRunRequest(req)) {
+    logger.info('Manual single-month refresh dry run triggered via webhook', {
+      monthYear
+    });
+    
+    // Dry runs are awaited so the change plan can be returned in the response
+    try {
+      const results = await queueDryRun(monthYear, 'manual');
+      if (!results) {
+        return respondQueueFull(res);
+      }
+      
+      return res.status(results.success ? 200 : 500).json({
+        ...results,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('Single-month refresh dry run failed', {
+        monthYear,
+        error: error.message
+      });
+      
+      return res.status(500).json({
+        success: false,
+        error: error.message,
+        monthYear,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+  
   logger.info('Manual single-month refresh triggered via webhook', {
     monthYear,
     month,
     year
   });
   
+  // Queue behind any run in progress (processed in background)
+  const run = enqueueRun(
+    { type: RUN_TYPES.REFRESH_MONTH, monthYear, trigger: 'manual' },
+    () => processCommissions(monthYear)
+  );
+  
+  if (run.rejected) {
+    return respondQueueFull(res);
+  }
+  
   // Respond immediately to prevent timeout
   res.json({
     success: true,
-    message: `Refresh started for ${monthYear}. Processing in background...`,
+    message: run.queuePosition === 0
+      ? `Refresh started for ${monthYear}. Processing in background...`
+      : `Refresh queued for ${monthYear} (position ${run.queuePosition}).`,
     monthYear,
     month,
     year,
+    ...queuedRunFields(run),
     timestamp: new Date().toISOString(),
-    note: 'This will take 30-60 seconds. Check Cheltuieli and P&L tables to see updates.'
+    note: 'Poll statusUrl until state is "succeeded" or "failed".'
   });
-  
-  // Process in background (don't await - let it run asynchronously)
-  processCommissions(monthYear)
-    .then((results) => {
-      logger.info('Background single-month refresh completed successfully', {
-        results,
-        monthYear,
-        timestamp: new Date().toISOString()
-      });
-    })
-    .catch((error) => {
-      logger.error('Background single-month refresh failed', {
-        error: error.message,
-        stack: error.stack,
-        monthYear,
-        timestamp: new Date().toISOString()
-      });
-    });
 });
 
 // Webhook endpoint for Airtable automation when manual Cheltuieli record is created
@@ -304,51 +502,389 @@ app.post('/webhook/cheltuieli-created', async (req, res) => {
     body: req.body
   });
   
+  // Queue the P&L update (processed in background, don't block the response)
+  const run = enqueueRun({ type: RUN_TYPES.PNL, trigger: 'webhook' }, async () => {
+    logger.info('Processing P&L update due to manual Cheltuieli entry...');
+    
+    // A manual shared expense is allocated to the projects first
+    const sharedCostResults = await withContext({ service: 'sharedCosts' }, () => processSharedCosts());
+    const pnlResults = await withContext({ service: 'pnl' }, () => processPNL());
+    
+    logger.info('P&L updated successfully after manual Cheltuieli entry', {
+      sharedCosts: sharedCostResults,
+      results: pnlResults
+    });
+    return { sharedCosts: sharedCostResults, pnl: pnlResults };
+  });
+  
+  if (run.rejected) {
+    return respondQueueFull(res);
+  }
+  
   // Respond immediately to Airtable (don't make it wait)
   res.json({
     success: true,
     message: 'P&L refresh queued',
+    ...queuedRunFields(run),
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Cleanup endpoint - fixes existing data inconsistencies
+ */
+app.post('/cleanup/data', async (req, res) => {
+  logger.info('Data cleanup endpoint called');
+  
+  // Queue cleanup behind any run in progress (processed in background)
+  const run = enqueueRun({ type: RUN_TYPES.CLEANUP, trigger: 'manual' }, () => runCleanup());
+  
+  if (run.rejected) {
+    return respondQueueFull(res);
+  }
+  
+  // Respond immediately
+  res.json({ 
+    success: true, 
+    message: run.queuePosition === 0 ? 'Data cleanup started.' : `Data cleanup queued (position ${run.queuePosition}).`,
+    ...queuedRunFields(run)
+  });
+});
+
+/**
+ * Job status endpoints
+ */
+
+// List recent jobs (optional filters: ?state=running&type=refresh-month&limit=20)
+app.get('/jobs', (req, res) => {
+  const { state, type } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  
+  if (state && !Object.values(JOB_STATES).includes(state)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid state: ${state}`,
+      validStates: Object.values(JOB_STATES)
+    });
+  }
+  
+  const jobs = listJobs({ state, type, limit });
+  
+  res.json({
+    success: true,
+    jobs,
+    count: jobs.length,
+    queue: getQueueStatus(),
     timestamp: new Date().toISOString()
   });
+});
+
+// Get a single job (state, timings, per-service results, error)
+app.get('/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: `Job not found: ${req.params.id}`
+    });
+  }
   
-  // Process P&L asynchronously (don't block the response)
+  res.json({
+    success: true,
+    job: {
+      ...job,
+      queuePosition: getQueuePosition(job.id)
+    },
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Debt ledger endpoint
+ */
+
+// Sales rep debts with repayments and outstanding balances (optional filter: ?representative=recXXX)
+app.get('/debts', async (req, res) => {
   try {
-    logger.info('Processing P&L update due to manual Cheltuieli entry...');
-    const pnlResults = await processPNL();
+    const ledger = await getDebtLedger({ representativeId: req.query.representative || null });
     
-    logger.info('P&L updated successfully after manual Cheltuieli entry', {
-      results: pnlResults
+    res.json({
+      success: true,
+      representatives: ledger,
+      totalOutstanding: Math.round(ledger.reduce((sum, rep) => sum + rep.outstanding, 0) * 100) / 100,
+      timestamp: new Date().toISOString()
     });
   } catch (error) {
-    logger.error('Failed to update P&L after manual Cheltuieli entry', {
+    logger.error('Failed to fetch debt ledger', {
       error: error.message,
       stack: error.stack
     });
+    
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
   }
 });
 
 /**
- * Cleanup endpoint - fixes existing data inconsistencies
+ * Report endpoints
  */
-app.post('/cleanup/data', async (req, res) => {
-  logger.info('Data cleanup endpoint called');
+
+// Reconciliation of Comisioane Lunare, Cheltuieli and Vânzări for a month (?monthYear=Octombrie 2025)
+app.get('/reports/reconciliation', async (req, res) => {
+  const { monthYear } = req.query;
+  const parsed = parseMonthYear(monthYear);
+  
+  if (!parsed) {
+    return res.status(400).json({
+      success: false,
+      error: 'monthYear query parameter is required. Format: "Luna YYYY" (e.g., "Octombrie 2025")',
+      received: monthYear || null,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  try {
+    const report = await buildReconciliationReport(parsed.month, parsed.year);
+    
+    res.json({
+      success: true,
+      ...report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Failed to build reconciliation report', {
+      monthYear,
+      error: error.message,
+      stack: error.stack
+    });
+    
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Marketing ROI per project, campaign and UTM for a month (?monthYear=Octombrie 2025[&project=CODCOM][&format=csv])
+app.get('/reports/marketing', async (req, res) => {
+  const { monthYear, project, format = 'json' } = req.query;
+  const parsed = parseMonthYear(monthYear);
+  
+  if (!parsed || !['json', 'csv'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: 'monthYear query parameter is required. Format: "Luna YYYY" (e.g., "Octombrie 2025"); format: json or csv',
+      received: { monthYear: monthYear || null, format },
+      timestamp: new Date().toISOString()
+    });
+  }
   
   try {
-    // Respond immediately
-    res.json({ 
-      success: true, 
-      message: 'Data cleanup started. Check logs for progress.' 
+    const report = await buildMarketingRoiReport(parsed.month, parsed.year, { project });
+    
+    if (format === 'csv') {
+      // BOM so spreadsheet apps read the diacritics as UTF-8
+      res.attachment(`marketing-roi-${parsed.month}-${parsed.year}.csv`);
+      return res.type('text/csv; charset=utf-8').send('\ufeff' + formatMarketingRoiCsv(report));
+    }
+    
+    res.json({
+      success: true,
+      ...report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Failed to build marketing ROI report', {
+      monthYear,
+      error: error.message,
+      stack: error.stack
     });
     
-    // Run cleanup asynchronously
-    const results = await runCleanup();
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Ad platform endpoints
+ */
+
+// Campaigns of a month that no mapping rule or project name matched
+async function sendUnmappedCampaigns(req, res, platform) {
+  const { monthYear } = req.query;
+  const parsed = parseMonthYear(monthYear);
+  
+  if (!parsed) {
+    return res.status(400).json({
+      success: false,
+      error: 'monthYear query parameter is required. Format: "Luna YYYY" (e.g., "Octombrie 2025")',
+      received: monthYear || null,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  try {
+    const unmapped = await getUnmappedCampaigns(platform, parsed.month, parsed.year);
     
-    logger.info('Data cleanup completed', results);
+    res.json({
+      success: true,
+      monthYear,
+      ...unmapped,
+      count: unmapped.campaigns.length,
+      timestamp: new Date().toISOString()
+    });
   } catch (error) {
-    logger.error('Data cleanup failed', {
+    logger.error(`Failed to list unmapped ${platform.name} campaigns`, {
+      monthYear,
       error: error.message,
       stack: error.stack
     });
+    
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+// ?monthYear=Octombrie 2025; platform: facebook, google, tiktok
+app.get('/ads/:platform/unmapped', async (req, res) => {
+  const platform = getAdPlatform(req.params.platform);
+  
+  if (!platform) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown ad platform. Expected one of: ${listAdPlatforms().map(p => p.id).join(', ')}`,
+      received: req.params.platform,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  return sendUnmappedCampaigns(req, res, platform);
+});
+
+/**
+ * Marketing spend endpoints
+ */
+
+// Stored daily ad spend for a date range (?from=2025-10-06&to=2025-10-12 or ?monthYear=Octombrie 2025),
+// grouped by groupBy (comma-separated: day, week, month, platform, project, campaign, adset; default project),
+// optionally filtered by platform, project and campaign (ID)
+app.get('/marketing/spend', async (req, res) => {
+  const { monthYear, platform, project, campaign } = req.query;
+  const range = monthYear ? getMonthYearRange(monthYear) : { from: req.query.from, to: req.query.to };
+  const groupBy = req.query.groupBy ? req.query.groupBy.split(',').map(d => d.trim()) : undefined;
+  const invalid = range ? validateSpendQuery({ ...range, groupBy }) : 'Invalid monthYear. Format: "Luna YYYY" (e.g., "Octombrie 2025")';
+  
+  if (invalid) {
+    return res.status(400).json({
+      success: false,
+      error: invalid,
+      received: req.query,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  try {
+    const spend = await querySpend({ ...range, groupBy, platform, project, campaign });
+    
+    res.json({
+      success: true,
+      ...spend,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Failed to query marketing spend', {
+      query: req.query,
+      error: error.message,
+      stack: error.stack
+    });
+    
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Facebook Ads endpoints
+ */
+
+// Same as /ads/facebook/unmapped
+app.get('/facebook/unmapped', (req, res) => sendUnmappedCampaigns(req, res, getAdPlatform(AD_PLATFORMS.FACEBOOK)));
+
+// Status of the stored Facebook access token (expiry, last rotation; never the token itself)
+app.get('/facebook/token', async (req, res) => {
+  try {
+    const status = await getTokenStatus();
+    
+    res.json({
+      success: true,
+      ...status,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Failed to read Facebook token status', {
+      error: error.message,
+      stack: error.stack
+    });
+    
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+/**
+ * Audit trail endpoint
+ */
+
+// Change history of an expense (?expenseId=commission_recXXX_CODCOM) or a P&L line
+// (?pnlLine=TOTAL PROFIT&project=CODCOM&monthYear=Octombrie 2025), oldest first
+app.get('/audit', (req, res) => {
+  const { expenseId, pnlLine, project, monthYear, recordId } = req.query;
+  
+  if (!expenseId && !pnlLine && !recordId) {
+    return res.status(400).json({
+      success: false,
+      error: 'One of expenseId, pnlLine (optionally with project and monthYear) or recordId is required',
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  try {
+    const entries = getAuditHistory({ expenseId, pnlLine, project, monthYear, recordId });
+    
+    res.json({
+      success: true,
+      entries,
+      count: entries.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Failed to read audit history', {
+      error: error.message,
+      stack: error.stack
+    });
+    
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
   }
 });
 
@@ -364,7 +900,7 @@ function initializeScheduler() {
   
   cron.schedule(cronSchedule, async () => {
     logger.info('Cron job triggered, starting commission processing');
-    await processCommissions();
+    enqueueRun({ type: RUN_TYPES.REFRESH_ALL, trigger: 'cron' }, () => processCommissions());
   }, {
     scheduled: true,
     timezone: 'Europe/Bucharest' // Romania timezone
@@ -376,26 +912,110 @@ function initializeScheduler() {
   });
 }
 
+/**
+ * Get a CLI option value (supports "--name value" and "--name=value")
+ */
+function getCliOption(name) {
+  const args = process.argv.slice(2);
+  const inline = args.find(arg => arg.startsWith(`--${name}=`));
+  if (inline) {
+    return inline.slice(name.length + 3);
+  }
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] || null : null;
+}
+
+/**
+ * CLI dry run: print the change plan as JSON (or write it to --output) and exit
+ * Usage: node src/index.js --dry-run [--month "Octombrie 2025"] [--output plan.json]
+ */
+async function runDryRunCli() {
+  const targetMonthYear = getCliOption('month');
+  
+  if (targetMonthYear && !parseMonthYear(targetMonthYear)) {
+    logger.error('Invalid --month value. Expected: "Luna YYYY" (e.g., "Octombrie 2025")', {
+      received: targetMonthYear
+    });
+    process.exit(1);
+  }
+  
+  const outputFile = getCliOption('output');
+  let results;
+  
+  try {
+    results = await planCommissions(targetMonthYear);
+  } catch (error) {
+    logger.error('Dry run failed', {
+      targetMonthYear,
+      error: error.message,
+      stack: error.stack
+    });
+    process.exit(1);
+  }
+  
+  if (outputFile) {
+    fs.writeFileSync(outputFile, JSON.stringify(results, null, 2));
+    logger.info('Change plan written', { outputFile });
+  } else {
+    console.log(JSON.stringify(results, null, 2));
+  }
+  process.exit(results.success ? 0 : 1);
+}
+
 /**
  * Start the application
  */
-function start() {
+async function start() {
+  if (process.argv.includes('--dry-run')) {
+    try {
+      await runDryRunCli();
+    } catch (error) {
+      // e.g. the --output file cannot be written
+      logger.error('Dry run failed', {
+        error: error.message,
+        stack: error.stack
+      });
+      process.exit(1);
+    }
+    return;
+  }
+  
   logger.info('Starting Commission Automation System', {
     nodeEnv: process.env.NODE_ENV || 'development',
     version: '1.0.0',
     port: PORT
   });
   
+  // Validate business rules before accepting any work
+  try {
+    await loadRules();
+  } catch (error) {
+    logger.error('Business rules are invalid, not starting', {
+      error: error.message
+    });
+    process.exit(1);
+  }
+  
   // Start Express server
   app.listen(PORT, () => {
     logger.info(`Webhook server listening on port ${PORT}`);
     logger.info('Available endpoints:', {
       health: `GET /health`,
       getMonths: `GET /refresh/months (list available months)`,
-      refreshAll: `POST /refresh/all (refreshes Cheltuieli + P&L for ALL months)`,
-      refreshMonth: `POST /refresh/month (refreshes Cheltuieli + P&L for specific month, body: { monthYear: "Luna YYYY" })`,
+      refreshAll: `POST /refresh/all (refreshes Cheltuieli + P&L for ALL months, body: { dryRun: true } returns a change plan instead)`,
+      refreshMonth: `POST /refresh/month (refreshes Cheltuieli + P&L for specific month, body: { monthYear: "Luna YYYY", dryRun: true|false })`,
       cheltuieliCreated: `POST /webhook/cheltuieli-created`,
-      cleanup: `POST /cleanup/data (fixes data inconsistencies)`
+      cleanup: `POST /cleanup/data (fixes data inconsistencies)`,
+      jobs: `GET /jobs (recent background jobs, filters: ?state=&type=&limit=)`,
+      job: `GET /jobs/:id (job state, timings, results and error)`,
+      debts: `GET /debts (sales rep debt ledger, filter: ?representative=recXXX)`,
+      reconciliation: `GET /reports/reconciliation?monthYear=Luna YYYY (commissions vs expenses, unattached sales, orphaned expenses)`,
+      audit: `GET /audit (field change history, ?expenseId= or ?pnlLine=&project=&monthYear= or ?recordId=)`,
+      facebookUnmapped: `GET /facebook/unmapped?monthYear=Luna YYYY (Facebook campaigns that matched no mapping, spend booked to the shared project)`,
+      facebookToken: `GET /facebook/token (stored Facebook token status: expiry and last rotation)`,
+      adsUnmapped: `GET /ads/:platform/unmapped?monthYear=Luna YYYY (facebook, google or tiktok campaigns that matched no mapping)`,
+      marketingSpend: `GET /marketing/spend?from=YYYY-MM-DD&to=YYYY-MM-DD or ?monthYear=Luna YYYY (stored ad spend, groupBy=day,week,month,platform,project,campaign,adset; filters: platform, project, campaign)`,
+      marketingReport: `GET /reports/marketing?monthYear=Luna YYYY (marketing ROI per project, campaign and UTM; &project=, &format=csv)`
     });
   });
   
@@ -409,20 +1029,8 @@ function start() {
       reason: process.env.NODE_ENV !== 'production' ? 'development mode' : '--run-now flag'
     });
     
-    processCommissions()
-      .then(() => {
-        if (process.env.NODE_ENV !== 'production') {
-          logger.info('Development run completed. Webhook server will remain running.');
-          // Don't exit - keep server running for webhook endpoints
-        }
-      })
-      .catch((error) => {
-        logger.error('Development run failed', {
-          error: error.message
-        });
-        // Don't exit on error - keep server running
-        logger.info('Webhook server will remain running despite error');
-      });
+    // Queued like any other run; the server keeps running for webhook endpoints
+    enqueueRun({ type: RUN_TYPES.REFRESH_ALL, trigger: 'startup' }, () => processCommissions());
   } else {
     logger.info('Production mode: waiting for scheduled runs and webhook triggers');
   }
@@ -0,0 +1,477 @@
+/**
+ * Ad Platform Expense Processing
+ * Shared processing of ad spend for every ad platform (Facebook, Google Ads,
+ * TikTok): fetch a month's campaign spend, verify the account currency, map
+ * campaigns to projects (see campaignMappingService) and upsert one expense per
+ * project with the ID {platform}_ads_{project}_{month}_{year}.
+ *
+ * A platform implements:
+ * {
+ *   id,                 // "facebook" - fixture file, mapping rules "platforms"
+ *   name,               // "Facebook Ads" - expense description and P&L line
+ *   expenseIdPrefix,    // EXPENSE_ID_PREFIXES value
+ *   sourceEnv,          // env var with the spend source ("FACEBOOK_ADS_SOURCE")
+ *   expectedCurrency,   // "RON"
+ *   optional,           // skip (instead of failing) when not configured
+ *   isConfigured(),     // API credentials present
+ *   connect(),                                   // Promise<connection> (access token, account)
+ *   getAccountCurrency(connection),              // Promise<string>
+ *   fetchCampaigns(connection, { startDate, endDate }) // Promise<[{ id, name, spend }]>
+ *   fetchDailySpend?(connection, { startDate, endDate }) // Optional. Promise<[{ date, campaignId,
+ *                                                // campaignName, adsetId, adsetName, spend }]>
+ * }
+ *
+ * Each month's campaign spend (and daily rows, for platforms with fetchDailySpend)
+ * is kept in the marketing spend store (see marketingSpendService).
+ *
+ * Sources (<sourceEnv>):
+ * - api (default): the platform's API
+ * - fixture: spend recorded in DATA_DIR/ad-spend-{id}.json (see
+ *   scripts/record-ad-spend-fixture.js), for offline runs; a month missing
+ *   from the fixture is an error, not a month without spend
+ *
+ * A month without campaigns keeps its stored spend and its expenses are not
+ * cancelled (see staleExpenseService): the API may have returned nothing.
+ */
+import {
+  getMonthExpenseByExpenseId,
+  createExpense,
+  updateExpense,
+  getAllMonthYearsFromSales
+} from './airtableService.js';
+import { ensureRulesLoaded, getRule } from './rulesService.js';
+import { cleanupStaleExpenses } from './staleExpenseService.js';
+import { getCampaignMappings, mapCampaign, MAPPING_SOURCES } from './campaignMappingService.js';
+import { recordMonthSpend } from './marketingSpendService.js';
+import {
+  FIELDS,
+  EXPENSE_CATEGORIES,
+  VAT_INCLUDED,
+  SOURCE,
+  SHARED_COST_PROJECT,
+  AD_SPEND_SOURCES,
+  getMonthIndex,
+  formatMonthYear,
+  parseMonthYear
+} from '../config/constants.js';
+import { isValidExpenseAmount } from '../utils/validators.js';
+import { readJsonFile, writeJsonFile } from '../utils/localStore.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Configured spend source of a platform
+ * @returns {string} One of AD_SPEND_SOURCES
+ */
+export function getAdSpendSource(platform) {
+  const source = (process.env[platform.sourceEnv] || '').toLowerCase();
+  return source === AD_SPEND_SOURCES.FIXTURE ? AD_SPEND_SOURCES.FIXTURE : AD_SPEND_SOURCES.API;
+}
+
+/**
+ * First and last day of a month (YYYY-MM-DD)
+ * @returns {{startDate: string, endDate: string}}
+ */
+export function getMonthDateRange(month, year) {
+  const monthNumber = getMonthIndex(month) + 1;
+  const lastDay = new Date(year, monthNumber, 0).getDate();
+  const prefix = `${year}-${String(monthNumber).padStart(2, '0')}`;
+
+  return { startDate: `${prefix}-01`, endDate: `${prefix}-${String(lastDay).padStart(2, '0')}` };
+}
+
+function getFixtureFile(platform) {
+  return `ad-spend-${platform.id}.json`;
+}
+
+/**
+ * Record a month's spend in the platform's fixture (replaces that month)
+ * @param {Object} monthSpend - { currency, campaigns: [{ id, name, spend }], daily? }
+ * @returns {Object} { campaigns, months }
+ */
+export function recordFixtureMonth(platform, month, year, { currency, campaigns, daily }) {
+  const fixture = readJsonFile(getFixtureFile(platform), { months: {} });
+  const months = { ...fixture.months, [formatMonthYear(month, year)]: { currency, campaigns, daily } };
+
+  writeJsonFile(getFixtureFile(platform), { recordedAt: new Date().toISOString(), months });
+
+  return { campaigns: campaigns.length, months: Object.keys(months).length };
+}
+
+/**
+ * Fetch a month's spend from the platform API
+ * @param {Object} options - { daily }: also fetch daily spend (platforms with fetchDailySpend)
+ * @returns {Promise<Object>} { currency, campaigns: [{ id, name, spend }], daily? }
+ */
+export async function fetchMonthSpendFromApi(platform, month, year, { daily = false } = {}) {
+  const connection = await platform.connect();
+  const currency = await platform.getAccountCurrency(connection);
+  const range = getMonthDateRange(month, year);
+  const campaigns = await platform.fetchCampaigns(connection, range);
+
+  if (!daily || !platform.fetchDailySpend) {
+    return { currency, campaigns };
+  }
+  return { currency, campaigns, daily: await platform.fetchDailySpend(connection, range) };
+}
+
+/**
+ * A month's spend recorded in the platform's fixture
+ * @returns {Object} { currency, campaigns, daily? }
+ */
+function readFixtureMonth(platform, month, year) {
+  const monthYear = formatMonthYear(month, year);
+  const monthSpend = readJsonFile(getFixtureFile(platform), { months: {} }).months?.[monthYear];
+
+  if (!monthSpend) {
+    throw new Error(`No ${platform.name} spend recorded for ${monthYear} in ${getFixtureFile(platform)}`);
+  }
+  return monthSpend;
+}
+
+/**
+ * A month's spend from the configured source, after checking the account currency
+ * @param {Object} options - { daily }: also fetch daily spend
+ * @returns {Promise<Object>} { campaigns: [{ id, name, spend }], daily? }
+ */
+async function fetchMonthSpend(platform, month, year, options = {}) {
+  const source = getAdSpendSource(platform);
+
+  const { currency, campaigns, daily } = source === AD_SPEND_SOURCES.FIXTURE
+    ? readFixtureMonth(platform, month, year)
+    : await fetchMonthSpendFromApi(platform, month, year, options);
+
+  if (currency !== platform.expectedCurrency) {
+    logger.error(`❌ ${platform.name} account currency mismatch!`, {
+      expected: platform.expectedCurrency,
+      actual: currency
+    });
+    throw new Error(`${platform.name} account currency is not ${platform.expectedCurrency}`);
+  }
+
+  logger.info(`${platform.name} spend fetched`, { month, year, source, campaigns: campaigns.length });
+  return { campaigns, daily };
+}
+
+/**
+ * Map each campaign with spend to projects
+ * @returns {Array<Object>} - [{ id, name, spend, source, rule, allocations }]
+ */
+function mapCampaigns(platform, campaigns, month, year) {
+  const mappings = getCampaignMappings(month, year, platform.id);
+  const projects = getRule('projects', month, year);
+  const mapped = [];
+
+  for (const campaign of campaigns) {
+    const spend = parseFloat(campaign.spend || 0);
+
+    // Skip campaigns with no spend
+    if (spend <= 0) {
+      logger.debug(`Skipping campaign with zero spend: ${campaign.name}`);
+      continue;
+    }
+
+    const entry = { id: campaign.id, name: campaign.name, spend };
+    mapped.push({ ...entry, ...mapCampaign(entry, mappings, projects) });
+  }
+
+  return mapped;
+}
+
+/**
+ * Group campaign spend by project
+ * A split campaign counts towards each project it is split to.
+ * @param {Array<Object>} mappedCampaigns - From mapCampaigns
+ * @returns {Object} - Grouped spend by project
+ */
+function groupSpendByProject(mappedCampaigns) {
+  const grouped = {};
+
+  for (const campaign of mappedCampaigns) {
+    for (const { project, amount } of campaign.allocations) {
+      if (!grouped[project]) {
+        grouped[project] = { project, totalSpend: 0, campaignCount: 0, campaigns: [] };
+      }
+
+      grouped[project].totalSpend += amount;
+      grouped[project].campaignCount++;
+      grouped[project].campaigns.push({ name: campaign.name, spend: amount });
+    }
+  }
+
+  return grouped;
+}
+
+/**
+ * Format number with thousand separators
+ * @param {number} number - Number to format
+ * @returns {string} - Formatted number
+ */
+function formatNumberWithCommas(number) {
+  return (Math.round(number * 100) / 100).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  });
+}
+
+/**
+ * Create or update a platform's expense record for a project
+ * @param {Object} group - Grouped spend data
+ * @returns {Promise<string>} - 'created', 'updated', or null
+ */
+async function createOrUpdateAdSpendExpense(platform, group, month, year, producedExpenseIds) {
+  const { project, campaignCount, totalSpend } = group;
+
+  // Round spend to 2 decimals
+  const roundedSpend = Math.round(totalSpend * 100) / 100;
+
+  // Validate spend amount
+  if (!isValidExpenseAmount(roundedSpend)) {
+    logger.warn(`Invalid ${platform.name} spend amount, skipping`, {
+      project,
+      spend: roundedSpend
+    });
+    return null;
+  }
+
+  // Generate unique expense ID: {platform}_ads_{project}_{month}_{year}
+  // (records from before the year was added keep {platform}_ads_{project}_{month} until updated)
+  const legacyExpenseId = `${platform.expenseIdPrefix}${project}_${month}`.replace(/\s+/g, '_');
+  const expenseId = `${legacyExpenseId}_${year}`;
+  producedExpenseIds.add(expenseId);
+
+  const expenseFields = {
+    [FIELDS.EXPENSE_DESCRIPTION]: `${platform.name} - ${project} (${campaignCount} campanii, ${formatNumberWithCommas(totalSpend)} RON)`,
+    [FIELDS.EXPENSE_PROJECT]: project,
+    [FIELDS.EXPENSE_CATEGORY]: EXPENSE_CATEGORIES.MARKETING,
+    [FIELDS.EXPENSE_AMOUNT]: roundedSpend,
+    [FIELDS.EXPENSE_VAT_INCLUDED]: VAT_INCLUDED.NO, // Ad platforms - VAT not included
+    [FIELDS.EXPENSE_MONTH]: month,
+    [FIELDS.EXPENSE_YEAR]: year,
+    [FIELDS.EXPENSE_SOURCE]: SOURCE.AUTOMATIC,
+    [FIELDS.EXPENSE_ID]: expenseId
+  };
+
+  try {
+    const existingExpense = await getMonthExpenseByExpenseId(expenseId, legacyExpenseId, year);
+
+    if (existingExpense) {
+      await updateExpense(existingExpense.id, { fields: expenseFields });
+    } else {
+      await createExpense({ fields: expenseFields });
+    }
+
+    logger.info(`✅ ${existingExpense ? 'Updated' : 'Created'} ${platform.name} expense`, {
+      expenseId,
+      project,
+      oldAmount: existingExpense?.amount,
+      amount: roundedSpend,
+      campaignCount
+    });
+
+    return existingExpense ? 'updated' : 'created';
+  } catch (error) {
+    logger.error(`Failed to create/update ${platform.name} expense`, {
+      error: error.message,
+      project,
+      expenseId
+    });
+    throw error;
+  }
+}
+
+function emptyStats() {
+  return {
+    campaignsProcessed: 0,
+    projectsWithSpend: 0,
+    totalSpend: 0,
+    created: 0,
+    updated: 0,
+    skipped: 0,
+    errors: 0,
+    unmappedCampaigns: 0,
+    dailyRows: 0
+  };
+}
+
+/**
+ * Main function to process a platform's ad spend expenses
+ * @param {Object} platform - Ad platform implementation
+ * @param {string} targetMonthYear - Optional. Format: "Luna YYYY" (e.g., "Octombrie 2025"). If provided, only processes that month.
+ * @returns {Promise<Object>} - Processing statistics
+ */
+export async function processAdPlatform(platform, targetMonthYear = null) {
+  if (targetMonthYear) {
+    logger.info(`=== Processing ${platform.name} Expenses for: ${targetMonthYear} ===`);
+  } else {
+    logger.info(`=== Processing ${platform.name} Expenses for ALL months ===`);
+  }
+
+  const totalStats = { ...emptyStats(), source: getAdSpendSource(platform), stale: 0, staleExpenses: [] };
+
+  // Platforms that are not set up are skipped (their expenses are entered manually)
+  if (totalStats.source === AD_SPEND_SOURCES.API && platform.optional && !platform.isConfigured()) {
+    logger.info(`${platform.name} not configured, skipping`);
+    return { ...totalStats, notConfigured: true };
+  }
+
+  try {
+    await ensureRulesLoaded();
+
+    let monthYears = await getAllMonthYearsFromSales();
+
+    // If targetMonthYear is provided, filter to only that month
+    if (targetMonthYear) {
+      monthYears = monthYears.filter(my => my === targetMonthYear);
+      logger.info(`Filtered to single month-year: ${targetMonthYear}`);
+    }
+
+    logger.info(`Processing ${platform.name} for ${monthYears.length} month-years: ${monthYears.join(', ')}`);
+
+    for (const monthYear of monthYears) {
+      logger.info(`\n========== Processing ${platform.name} for: ${monthYear} ==========`);
+      const { month, year } = parseMonthYear(monthYear);
+      const producedExpenseIds = new Set();
+      const result = await processAdPlatformForMonth(platform, month, year, producedExpenseIds);
+      totalStats.campaignsProcessed += result.campaignsProcessed;
+      totalStats.projectsWithSpend += result.projectsWithSpend;
+      totalStats.totalSpend += result.totalSpend;
+      totalStats.created += result.created;
+      totalStats.updated += result.updated;
+      totalStats.skipped += result.skipped;
+      totalStats.errors += result.errors;
+      totalStats.unmappedCampaigns += result.unmappedCampaigns;
+      totalStats.dailyRows += result.dailyRows;
+
+      // A failed API call counts as an error and a month without campaigns is not complete,
+      // so spend is never cancelled for lack of data
+      totalStats.staleExpenses.push(...await cleanupStaleExpenses({
+        prefix: platform.expenseIdPrefix,
+        month,
+        year,
+        producedExpenseIds,
+        hadErrors: result.errors > 0,
+        completed: result.campaignsProcessed > 0
+      }));
+      totalStats.stale = totalStats.staleExpenses.length;
+    }
+
+    logger.info(`Completed ${platform.name} processing`, { targetMonthYear, ...totalStats });
+    return totalStats;
+  } catch (error) {
+    logger.error(`${platform.name} processing failed`, {
+      error: error.message,
+      stack: error.stack,
+      targetMonthYear
+    });
+    throw error;
+  }
+}
+
+/**
+ * Process a platform's ad spend expenses for one month
+ * @param {Set<string>} producedExpenseIds - Collects the expense IDs generated for the month
+ * @returns {Promise<Object>} - Processing statistics
+ */
+async function processAdPlatformForMonth(platform, month, year, producedExpenseIds) {
+  const stats = emptyStats();
+
+  try {
+    if (getAdSpendSource(platform) === AD_SPEND_SOURCES.API && !platform.isConfigured()) {
+      throw new Error(`Missing ${platform.name} API credentials`);
+    }
+
+    const { campaigns, daily } = await fetchMonthSpend(platform, month, year, { daily: true });
+
+    if (campaigns.length === 0) {
+      logger.warn(`⚠️  No ${platform.name} campaigns found for this month-year, stored spend left as it is`, { month, year });
+      return stats;
+    }
+
+    stats.dailyRows = recordMonthSpend(platform.id, month, year, { campaigns, daily }).rows;
+
+    stats.campaignsProcessed = campaigns.length;
+
+    // Map campaigns and group spend by project
+    const mappedCampaigns = mapCampaigns(platform, campaigns, month, year);
+    const unmapped = mappedCampaigns.filter(c => c.source === MAPPING_SOURCES.DEFAULT);
+    const projects = Object.values(groupSpendByProject(mappedCampaigns));
+
+    stats.projectsWithSpend = projects.length;
+    stats.totalSpend = projects.reduce((sum, p) => sum + p.totalSpend, 0);
+    stats.unmappedCampaigns = unmapped.length;
+
+    logger.info(`${platform.name} grouping complete`, {
+      campaignsProcessed: stats.campaignsProcessed,
+      projectsWithSpend: stats.projectsWithSpend,
+      unmappedCampaigns: stats.unmappedCampaigns,
+      totalSpend: stats.totalSpend.toFixed(2) + ' RON'
+    });
+
+    if (unmapped.length > 0) {
+      logger.warn(`⚠️  ${unmapped.length} ${platform.name} campaigns matched no mapping, spend booked to "${SHARED_COST_PROJECT}"`, {
+        month,
+        year,
+        campaigns: unmapped.map(c => c.name)
+      });
+    }
+
+    for (const group of projects) {
+      try {
+        const result = await createOrUpdateAdSpendExpense(platform, group, month, year, producedExpenseIds);
+        if (result === 'created') {
+          stats.created++;
+        } else if (result === 'updated') {
+          stats.updated++;
+        }
+      } catch (error) {
+        stats.errors++;
+      }
+    }
+
+    logger.info(`=== ${platform.name} Processing Complete ===`, {
+      month,
+      year,
+      ...stats,
+      totalSpend: stats.totalSpend.toFixed(2) + ' RON'
+    });
+
+    return stats;
+  } catch (error) {
+    logger.error(`${platform.name} processing failed for month-year`, {
+      month,
+      year,
+      error: error.message,
+      stack: error.stack
+    });
+
+    // Return stats even on error
+    stats.errors++;
+    return stats;
+  }
+}
+
+/**
+ * Campaigns of a month that matched no mapping rule and no project name,
+ * so their spend falls to the shared project (read-only)
+ * @returns {Promise<Object>} - { platform, defaultProject, campaigns: [{ id, name, spend }], totalSpend }
+ */
+export async function getUnmappedCampaigns(platform, month, year) {
+  await ensureRulesLoaded();
+
+  if (getAdSpendSource(platform) === AD_SPEND_SOURCES.API && !platform.isConfigured()) {
+    throw new Error(`Missing ${platform.name} API credentials`);
+  }
+
+  const { campaigns } = await fetchMonthSpend(platform, month, year);
+  const unmapped = mapCampaigns(platform, campaigns, month, year)
+    .filter(campaign => campaign.source === MAPPING_SOURCES.DEFAULT)
+    .map(({ id, name, spend }) => ({ id, name, spend }))
+    .sort((a, b) => b.spend - a.spend);
+
+  return {
+    platform: platform.id,
+    defaultProject: SHARED_COST_PROJECT,
+    campaigns: unmapped,
+    totalSpend: Math.round(unmapped.reduce((sum, c) => sum + c.spend, 0) * 100) / 100
+  };
+}
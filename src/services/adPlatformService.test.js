@@ -0,0 +1,107 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createTestStore, runWithStore, getExpensesById } from '../utils/testing.js';
+import { readJsonFile, writeJsonFile } from '../utils/localStore.js';
+import { TABLES, FIELDS, SOURCE, AD_SPEND_SOURCES } from '../config/constants.js';
+import { getAdSpendSource, recordFixtureMonth, processAdPlatform } from './adPlatformService.js';
+
+// Ad platform served from its fixture only
+const platform = {
+  id: 'test',
+  name: 'Test Ads',
+  expenseIdPrefix: 'test_ads_',
+  sourceEnv: 'TEST_ADS_SOURCE',
+  expectedCurrency: 'RON',
+  optional: false,
+  isConfigured: () => false
+};
+
+const storedExpenseId = 'test_ads_CODCOM_Noiembrie_2025';
+let store;
+
+beforeEach(async () => {
+  process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ad-platform-test-'));
+  process.env.TEST_ADS_SOURCE = AD_SPEND_SOURCES.FIXTURE;
+
+  store = await createTestStore({
+    [TABLES.SALES]: [
+      { [FIELDS.SALE_MONTH]: 'Octombrie 2025' },
+      { [FIELDS.SALE_MONTH]: 'Noiembrie 2025' }
+    ],
+    // November was booked by an earlier run
+    [TABLES.EXPENSES]: [{
+      [FIELDS.EXPENSE_ID]: storedExpenseId,
+      [FIELDS.EXPENSE_PROJECT]: 'CODCOM',
+      [FIELDS.EXPENSE_AMOUNT]: 300,
+      [FIELDS.EXPENSE_MONTH]: 'Noiembrie',
+      [FIELDS.EXPENSE_YEAR]: 2025,
+      [FIELDS.EXPENSE_SOURCE]: SOURCE.AUTOMATIC
+    }]
+  });
+  writeJsonFile('marketing-spend.json', {
+    months: { '2025-11': { test: { campaigns: [{ id: 'c1', name: 'CODCOM Leads', spend: 300 }], rows: [] } } }
+  });
+  recordFixtureMonth(platform, 'Octombrie', 2025, {
+    currency: 'RON',
+    campaigns: [{ id: 'c1', name: 'CODCOM Leads', spend: 120.5 }, { id: 'c2', name: 'Artok Academy', spend: 80 }]
+  });
+});
+
+afterEach(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+function run(monthYear) {
+  return runWithStore(store, () => processAdPlatform(platform, monthYear));
+}
+
+async function getExpense(expenseId) {
+  return (await getExpensesById(store))[expenseId] || null;
+}
+
+test('reads the spend source from the platform env var', () => {
+  assert.equal(getAdSpendSource(platform), AD_SPEND_SOURCES.FIXTURE);
+  process.env.TEST_ADS_SOURCE = '';
+  assert.equal(getAdSpendSource(platform), AD_SPEND_SOURCES.API);
+});
+
+test('books a recorded fixture month per project and stores its spend', async () => {
+  const stats = await run('Octombrie 2025');
+
+  assert.equal(stats.errors, 0);
+  assert.equal(stats.created, 2);
+  assert.equal((await getExpense('test_ads_CODCOM_Octombrie_2025')).get(FIELDS.EXPENSE_AMOUNT), 120.5);
+  assert.equal(readJsonFile('marketing-spend.json', {}).months['2025-10'].test.campaigns.length, 2);
+});
+
+test('a month missing from the fixture is an error and keeps expenses and stored spend', async () => {
+  const stats = await run('Noiembrie 2025');
+
+  assert.equal(stats.errors, 1);
+  assert.deepEqual(stats.staleExpenses, []);
+  assert.ok(!(await getExpense(storedExpenseId)).get(FIELDS.EXPENSE_CANCELLED));
+  assert.equal(readJsonFile('marketing-spend.json', {}).months['2025-11'].test.campaigns.length, 1);
+});
+
+test('a month without campaigns keeps stored spend and only flags its expenses', async () => {
+  recordFixtureMonth(platform, 'Noiembrie', 2025, { currency: 'RON', campaigns: [] });
+
+  const stats = await run('Noiembrie 2025');
+
+  assert.equal(stats.errors, 0);
+  assert.deepEqual(stats.staleExpenses.map(entry => [entry.expenseId, entry.action]), [[storedExpenseId, 'flag']]);
+  assert.ok(!(await getExpense(storedExpenseId)).get(FIELDS.EXPENSE_CANCELLED));
+  assert.equal(readJsonFile('marketing-spend.json', {}).months['2025-11'].test.campaigns.length, 1);
+});
+
+test('a fixture month in another currency is rejected', async () => {
+  recordFixtureMonth(platform, 'Octombrie', 2025, { currency: 'EUR', campaigns: [{ id: 'c1', name: 'CODCOM', spend: 10 }] });
+
+  const stats = await run('Octombrie 2025');
+
+  assert.equal(stats.errors, 1);
+  assert.equal(await getExpense('test_ads_CODCOM_Octombrie_2025'), null);
+});
@@ -0,0 +1,26 @@
+/**
+ * Ad platforms registry
+ * Every ad platform whose spend is booked as expenses (see adPlatformService).
+ * A new platform is added here and in processCommissions.
+ */
+import { facebookAdsPlatform } from './facebookAdsService.js';
+import { googleAdsPlatform } from './googleAdsService.js';
+import { tiktokAdsPlatform } from './tiktokAdsService.js';
+
+const AD_PLATFORM_LIST = [facebookAdsPlatform, googleAdsPlatform, tiktokAdsPlatform];
+
+/**
+ * All ad platforms
+ * @returns {Array<Object>}
+ */
+export function listAdPlatforms() {
+  return AD_PLATFORM_LIST;
+}
+
+/**
+ * Ad platform by ID (AD_PLATFORMS value)
+ * @returns {Object|null}
+ */
+export function getAdPlatform(id) {
+  return AD_PLATFORM_LIST.find(platform => platform.id === id) || null;
+}
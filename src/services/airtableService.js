@@ -1,98 +1,153 @@
 /**
  * Airtable service layer - handles all database operations
+ * All reads and writes go through the configured data store (see config/dataStore.js)
  */
-import { base } from '../config/airtable.js';
-import { TABLES, FIELDS } from '../config/constants.js';
+import { getDataStore } from '../config/dataStore.js';
+import {
+  TABLES,
+  FIELDS,
+  SALE_VERIFIED_STATUSES,
+  parseMonthYear,
+  formatMonthYear,
+  getMonthIndex,
+  getMonthNumber,
+  getLatestYearForMonth
+} from '../config/constants.js';
+import { eq, or, and, contains, recordIdIn } from '../stores/filters.js';
 import { logger } from '../utils/logger.js';
 
+// Rate limiting and retries live in the Airtable store; re-exported for existing callers
+export { retryWithBackoff } from '../stores/airtableStore.js';
+
 /**
- * Rate limiting: Airtable allows 5 requests/second
+ * Resolve the year of monthly commission records
+ * Records carry their year in "An"; legacy records without it take the year of
+ * their linked sales from the same month ("Lună vânzare"), otherwise the most
+ * recent occurrence of their month up to when the record was created. Records
+ * with neither are left out (and logged) rather than given a guessed year.
+ * @param {Array<Object>} records - Comisioane Lunare records (with Lună, An, Vânzări)
+ * @returns {Promise<Map<string, number>>} record ID -> year (resolved records only)
  */
-const RATE_LIMIT_DELAY = 250; // 4 requests/second to be safe
-let lastRequestTime = 0;
+async function resolveCommissionYears(records) {
+  const years = new Map();
+  const legacyRecords = [];
+  
+  records.forEach(record => {
+    const year = parseInt(record.get(FIELDS.COMMISSION_YEAR), 10);
+    if (year) {
+      years.set(record.id, year);
+    } else {
+      legacyRecords.push(record);
+    }
+  });
+  
+  if (legacyRecords.length === 0) {
+    return years;
+  }
+  
+  const saleMonthYears = await getSaleMonthYears(legacyRecords.flatMap(record => record.get(FIELDS.SALES) || []));
+  
+  legacyRecords.forEach(record => {
+    const month = record.get(FIELDS.MONTH);
+    const salesPerYear = {};
+    
+    (record.get(FIELDS.SALES) || []).forEach(saleId => {
+      const saleMonthYear = parseMonthYear(saleMonthYears[saleId]);
+      if (saleMonthYear && saleMonthYear.month === month) {
+        salesPerYear[saleMonthYear.year] = (salesPerYear[saleMonthYear.year] || 0) + 1;
+      }
+    });
+    
+    const [salesYear] = Object.entries(salesPerYear).sort((a, b) => b[1] - a[1])[0] || [];
+    
+    if (salesYear) {
+      years.set(record.id, parseInt(salesYear, 10));
+    } else if (record.createdTime) {
+      // Records are created during or after their month
+      years.set(record.id, getLatestYearForMonth(month, new Date(record.createdTime)));
+    } else {
+      logger.warn('⚠️  Monthly commission has no year, no sales and no creation date to infer it from, skipping it (set "An")', {
+        id: record.id,
+        name: record.get(FIELDS.NAME),
+        month
+      });
+    }
+  });
+  
+  return years;
+}
 
 /**
- * Wait to respect rate limits
+ * Get the "Lună vânzare" of sales by their IDs
+ * @returns {Promise<Object>} sale ID -> month-year (e.g., "Octombrie 2025")
  */
-async function waitForRateLimit() {
-  const now = Date.now();
-  const timeSinceLastRequest = now - lastRequestTime;
+async function getSaleMonthYears(saleIds) {
+  const monthYears = {};
+  const idsToFetch = [...new Set(saleIds)];
   
-  if (timeSinceLastRequest < RATE_LIMIT_DELAY) {
-    await new Promise(resolve => 
-      setTimeout(resolve, RATE_LIMIT_DELAY - timeSinceLastRequest)
-    );
+  // Fetch in batches (Airtable limits to ~100 IDs per request)
+  while (idsToFetch.length > 0) {
+    const batch = idsToFetch.splice(0, 100);
+    const records = await getDataStore().select(TABLES.SALES, {
+      filter: recordIdIn(batch),
+      fields: [FIELDS.SALE_MONTH],
+      maxRecords: 100
+    });
+    
+    records.forEach(record => {
+      monthYears[record.id] = record.get(FIELDS.SALE_MONTH);
+    });
   }
   
-  lastRequestTime = Date.now();
+  return monthYears;
 }
 
 /**
- * Retry with exponential backoff
+ * Get monthly commission records for a month and year
  */
-export async function retryWithBackoff(fn, maxAttempts = 3) {
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    try {
-      await waitForRateLimit();
-      return await fn();
-    } catch (error) {
-      if (attempt === maxAttempts) {
-        logger.error('=== RETRY EXHAUSTED START ===');
-        logger.error('Typeof error:', typeof error);
-        logger.error('Error constructor:', error?.constructor?.name || 'NO CONSTRUCTOR');
-        logger.error('Error message:', error?.message || 'NO MESSAGE');
-        logger.error('Error statusCode:', error?.statusCode || 'NO STATUS CODE');
-        logger.error('Error string:', String(error));
-        logger.error('Error properties:', Object.getOwnPropertyNames(error || {}));
-        logger.error('=== RETRY EXHAUSTED END ===');
-        throw error;
-      }
-      
-      const delay = Math.pow(2, attempt) * 1000;
-      logger.warn(`Request failed, retrying...`, {
-        attempt,
-        maxAttempts,
-        delay: `${delay}ms`,
-        error: error.message,
-        statusCode: error.statusCode
-      });
-      
-      await new Promise(resolve => setTimeout(resolve, delay));
-    }
-  }
+async function getMonthlyCommissionRecords(month, year) {
+  const records = await getDataStore().select(TABLES.MONTHLY_COMMISSIONS, {
+    filter: eq(FIELDS.MONTH, month),
+    maxRecords: 1000
+  });
+  
+  const years = await resolveCommissionYears(records);
+  return records.filter(record => years.get(record.id) === parseInt(year, 10));
 }
 
 /**
- * Get all unique months from monthly commissions table
+ * Get all unique month-years from monthly commissions table
+ * @returns {Promise<Array<string>>} Month-years in chronological order (e.g., ["Septembrie 2025", "Octombrie 2025"])
  */
-export async function getAllMonthsWithCommissions() {
-  logger.info('Fetching all unique months with commissions');
+export async function getAllMonthYearsWithCommissions() {
+  logger.info('Fetching all unique month-years with commissions');
   
   try {
-    const monthsSet = new Set();
-    
-    await retryWithBackoff(async () => {
-      await base(TABLES.MONTHLY_COMMISSIONS)
-        .select({
-          fields: [FIELDS.MONTH],
-          maxRecords: 10000
-        })
-        .eachPage((records, fetchNextPage) => {
-          records.forEach(record => {
-            const month = record.get(FIELDS.MONTH);
-            if (month) {
-              monthsSet.add(month);
-            }
-          });
-          fetchNextPage();
-        });
+    const monthYearsSet = new Set();
+    
+    const records = (await getDataStore().select(TABLES.MONTHLY_COMMISSIONS, {
+      fields: [FIELDS.MONTH, FIELDS.COMMISSION_YEAR, FIELDS.SALES, FIELDS.NAME],
+      maxRecords: 10000
+    })).filter(record => getMonthIndex(record.get(FIELDS.MONTH)) !== -1);
+    
+    const years = await resolveCommissionYears(records);
+    
+    records.forEach(record => {
+      if (years.has(record.id)) {
+        monthYearsSet.add(formatMonthYear(record.get(FIELDS.MONTH), years.get(record.id)));
+      }
     });
     
-    const months = Array.from(monthsSet).filter(month => month && month !== 'Invalid DateTime');
-    logger.info('Found unique months', { months, count: months.length });
-    return months;
+    const monthYears = Array.from(monthYearsSet).sort((a, b) => {
+      const monthYearA = parseMonthYear(a);
+      const monthYearB = parseMonthYear(b);
+      return getMonthNumber(monthYearA.month, monthYearA.year) - getMonthNumber(monthYearB.month, monthYearB.year);
+    });
+    
+    logger.info('Found unique month-years with commissions', { monthYears, count: monthYears.length });
+    return monthYears;
   } catch (error) {
-    logger.error('Failed to fetch unique months', {
+    logger.error('Failed to fetch unique month-years with commissions', {
       error: error.message,
       stack: error.stack
     });
@@ -109,21 +164,16 @@ export async function getAllMonthYearsFromSales() {
   try {
     const monthYearsSet = new Set();
     
-    await retryWithBackoff(async () => {
-      await base(TABLES.SALES)
-        .select({
-          fields: [FIELDS.SALE_MONTH],
-          maxRecords: 10000
-        })
-        .eachPage((records, fetchNextPage) => {
-          records.forEach(record => {
-            const monthYear = record.get(FIELDS.SALE_MONTH);
-            if (monthYear) {
-              monthYearsSet.add(monthYear);
-            }
-          });
-          fetchNextPage();
-        });
+    const records = await getDataStore().select(TABLES.SALES, {
+      fields: [FIELDS.SALE_MONTH],
+      maxRecords: 10000
+    });
+    
+    records.forEach(record => {
+      const monthYear = record.get(FIELDS.SALE_MONTH);
+      if (monthYear) {
+        monthYearsSet.add(monthYear);
+      }
     });
     
     const monthYears = Array.from(monthYearsSet).filter(my => my && !my.includes('Invalid DateTime'));
@@ -139,54 +189,47 @@ export async function getAllMonthYearsFromSales() {
 }
 
 /**
- * Get all monthly commission records for current month
+ * Get all monthly commission records for a month and year
  * Filtered by role = "Sales" only
  */
-export async function getMonthlyCommissions(month) {
-  logger.info('Fetching monthly commissions', { month });
+export async function getMonthlyCommissions(month, year) {
+  logger.info('Fetching monthly commissions', { month, year });
   
   try {
     const results = [];
     
-    await retryWithBackoff(async () => {
-      await base(TABLES.MONTHLY_COMMISSIONS)
-        .select({
-          filterByFormula: `{${FIELDS.MONTH}} = "${month}"`,
-          maxRecords: 1000
-        })
-        .eachPage((records, fetchNextPage) => {
-          records.forEach(record => {
-            const role = record.get(FIELDS.ROLE);
-            // Only include if role contains "Sales" and not Caller/Setter
-            const roles = Array.isArray(role) ? role : [role];
-            const isSales = roles.some(r => r === 'Sales') && 
-                          !roles.some(r => r === 'Caller' || r === 'Setter');
-            
-            if (isSales) {
-              results.push({
-                id: record.id,
-                name: record.get(FIELDS.NAME),
-                representative: record.get(FIELDS.REPRESENTATIVE),
-                month: record.get(FIELDS.MONTH),
-                finalCommission: record.get(FIELDS.FINAL_COMMISSION),
-                sales: record.get(FIELDS.SALES) || [],
-                role: roles
-              });
-            } else {
-              logger.debug('Skipping commission - not Sales role', {
-                id: record.id,
-                role: roles
-              });
-            }
-          });
-          
-          fetchNextPage();
+    const records = await getMonthlyCommissionRecords(month, year);
+    
+    records.forEach(record => {
+      const role = record.get(FIELDS.ROLE);
+      // Only include if role contains "Sales" and not Caller/Setter
+      const roles = Array.isArray(role) ? role : [role];
+      const isSales = roles.some(r => r === 'Sales') && 
+                    !roles.some(r => r === 'Caller' || r === 'Setter');
+      
+      if (isSales) {
+        results.push({
+          id: record.id,
+          name: record.get(FIELDS.NAME),
+          representative: record.get(FIELDS.REPRESENTATIVE),
+          month: record.get(FIELDS.MONTH),
+          year: parseInt(year, 10),
+          finalCommission: record.get(FIELDS.FINAL_COMMISSION),
+          sales: record.get(FIELDS.SALES) || [],
+          role: roles
+        });
+      } else {
+        logger.debug('Skipping commission - not Sales role', {
+          id: record.id,
+          role: roles
         });
+      }
     });
     
     logger.info('Fetched monthly commissions', { 
       count: results.length,
-      month 
+      month,
+      year
     });
     
     return results;
@@ -200,59 +243,52 @@ export async function getMonthlyCommissions(month) {
 }
 
 /**
- * Get all monthly commission records for Setters/Callers for current month
+ * Get all monthly commission records for Setters/Callers for a month and year
  * Filtered by role = "Caller" or "Setter"
  */
-export async function getMonthlySetterCallerCommissions(month) {
-  logger.info('Fetching monthly Setter/Caller commissions', { month });
+export async function getMonthlySetterCallerCommissions(month, year) {
+  logger.info('Fetching monthly Setter/Caller commissions', { month, year });
   
   try {
     const results = [];
     
-    await retryWithBackoff(async () => {
-      await base(TABLES.MONTHLY_COMMISSIONS)
-        .select({
-          filterByFormula: `{${FIELDS.MONTH}} = "${month}"`,
-          maxRecords: 1000
-        })
-        .eachPage((records, fetchNextPage) => {
-          records.forEach(record => {
-            const role = record.get(FIELDS.ROLE);
-            const setterCallerCommission = record.get(FIELDS.SETTER_CALLER_SUM);
-            
-            // Only include if role contains "Caller" or "Setter"
-            const roles = Array.isArray(role) ? role : [role];
-            const isSetterCaller = roles.some(r => r === 'Caller' || r === 'Setter');
-            const salesCount = (record.get(FIELDS.SALES) || []).length;
-            
-            // Include if Setter/Caller AND has sales (don't filter by commission amount as formula might not be calculated yet)
-            if (isSetterCaller && salesCount > 0) {
-              results.push({
-                id: record.id,
-                name: record.get(FIELDS.NAME),
-                representative: record.get(FIELDS.REPRESENTATIVE),
-                month: record.get(FIELDS.MONTH),
-                setterCallerCommission: setterCallerCommission || 0,
-                sales: record.get(FIELDS.SALES) || [],
-                role: roles
-              });
-            } else {
-              logger.debug('Skipping commission - not Setter/Caller or no sales', {
-                id: record.id,
-                role: roles,
-                salesCount: salesCount,
-                commission: setterCallerCommission
-              });
-            }
-          });
-          
-          fetchNextPage();
+    const records = await getMonthlyCommissionRecords(month, year);
+    
+    records.forEach(record => {
+      const role = record.get(FIELDS.ROLE);
+      const setterCallerCommission = record.get(FIELDS.SETTER_CALLER_SUM);
+      
+      // Only include if role contains "Caller" or "Setter"
+      const roles = Array.isArray(role) ? role : [role];
+      const isSetterCaller = roles.some(r => r === 'Caller' || r === 'Setter');
+      const salesCount = (record.get(FIELDS.SALES) || []).length;
+      
+      // Include if Setter/Caller AND has sales (don't filter by commission amount as formula might not be calculated yet)
+      if (isSetterCaller && salesCount > 0) {
+        results.push({
+          id: record.id,
+          name: record.get(FIELDS.NAME),
+          representative: record.get(FIELDS.REPRESENTATIVE),
+          month: record.get(FIELDS.MONTH),
+          year: parseInt(year, 10),
+          setterCallerCommission: setterCallerCommission || 0,
+          sales: record.get(FIELDS.SALES) || [],
+          role: roles
         });
+      } else {
+        logger.debug('Skipping commission - not Setter/Caller or no sales', {
+          id: record.id,
+          role: roles,
+          salesCount: salesCount,
+          commission: setterCallerCommission
+        });
+      }
     });
     
     logger.info('Fetched monthly Setter/Caller commissions', { 
       count: results.length,
-      month 
+      month,
+      year
     });
     
     return results;
@@ -265,6 +301,36 @@ export async function getMonthlySetterCallerCommissions(month) {
   }
 }
 
+/**
+ * Get all team leader monthly commission records for a month and year
+ * (records with "Comision Team Leader", created by teamLeaderService)
+ */
+export async function getMonthlyTeamLeaderCommissions(month, year) {
+  logger.info('Fetching monthly Team Leader commissions', { month, year });
+
+  try {
+    const records = await getMonthlyCommissionRecords(month, year);
+
+    return records
+      .filter(record => typeof record.get(FIELDS.TEAM_LEADER_COMMISSION) === 'number')
+      .map(record => ({
+        id: record.id,
+        name: record.get(FIELDS.NAME),
+        representative: record.get(FIELDS.REPRESENTATIVE),
+        month: record.get(FIELDS.MONTH),
+        year: parseInt(year, 10),
+        teamLeaderCommission: record.get(FIELDS.TEAM_LEADER_COMMISSION),
+        sales: record.get(FIELDS.SALES) || []
+      }));
+  } catch (error) {
+    logger.error('Failed to fetch monthly Team Leader commissions', {
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
+
 /**
  * Get sale records by their IDs
  */
@@ -285,37 +351,29 @@ export async function getSalesByIds(saleIds) {
       const batch = idsToFetch.splice(0, 100);
       logger.info('Processing batch', { batchSize: batch.length, remaining: idsToFetch.length });
       
-      await retryWithBackoff(async () => {
-        logger.info('About to call Airtable select');  
-        await base(TABLES.SALES)
-          .select({
-            filterByFormula: `OR(${batch.map(id => `RECORD_ID() = "${id}"`).join(', ')})`,
-            maxRecords: 100
-          })
-          .eachPage((records, fetchNextPage) => {
-            logger.info('eachPage callback called', { recordCount: records.length });
-            records.forEach(record => {
-              const saleData = {
-                id: record.id,
-                project: record.get(FIELDS.PROJECT),
-                amountWithoutVat: record.get(FIELDS.AMOUNT_WITHOUT_VAT),
-                totalAmount: record.get(FIELDS.TOTAL_AMOUNT),
-                finalCommission: record.get(FIELDS.FINAL_COMMISSION_SALE),
-                utmCampaign: record.get(FIELDS.UTM_CAMPAIGN),
-                saleDate: record.get(FIELDS.SALE_DATE),
-                monthYear: record.get(FIELDS.SALE_MONTH)
-              };
-              logger.debug('Fetched sale with commission', {
-                id: saleData.id,
-                project: saleData.project,
-                commission: saleData.finalCommission
-              });
-              results.push(saleData);
-            });
-            logger.info('About to call fetchNextPage');
-            fetchNextPage();
-            logger.info('fetchNextPage called');
-          });
+      const records = await getDataStore().select(TABLES.SALES, {
+        filter: recordIdIn(batch),
+        maxRecords: 100
+      });
+      
+      records.forEach(record => {
+        const saleData = {
+          id: record.id,
+          project: record.get(FIELDS.PROJECT),
+          amountWithoutVat: record.get(FIELDS.AMOUNT_WITHOUT_VAT),
+          totalAmount: record.get(FIELDS.TOTAL_AMOUNT),
+          finalCommission: record.get(FIELDS.FINAL_COMMISSION_SALE),
+          setterCallerCommission: record.get(FIELDS.SETTER_CALLER_COMMISSION),
+          utmCampaign: record.get(FIELDS.UTM_CAMPAIGN),
+          saleDate: record.get(FIELDS.SALE_DATE),
+          monthYear: record.get(FIELDS.SALE_MONTH)
+        };
+        logger.debug('Fetched sale with commission', {
+          id: saleData.id,
+          project: saleData.project,
+          commission: saleData.finalCommission
+        });
+        results.push(saleData);
       });
     }
     
@@ -329,6 +387,45 @@ export async function getSalesByIds(saleIds) {
   }
 }
 
+/**
+ * Get the verified sales of a month-year (configured commission plans)
+ * Only includes sales with "Verificat Manual" or "Verificat Automat din Stripe" status
+ * @param {string} monthYear - Format: "Luna YYYY"
+ * @returns {Promise<Array<Object>>} Sales shaped like getSalesByIds, with paymentMethod and clientName
+ */
+export async function getSalesByMonth(monthYear) {
+  logger.info('Fetching verified sales of month', { monthYear });
+  
+  try {
+    const records = await getDataStore().select(TABLES.SALES, {
+      filter: and(
+        eq(FIELDS.SALE_MONTH, monthYear),
+        or(...SALE_VERIFIED_STATUSES.map(status => eq(FIELDS.VERIFICAT, status)))
+      ),
+      maxRecords: 10000
+    });
+    
+    return records.map(record => ({
+      id: record.id,
+      project: record.get(FIELDS.PROJECT),
+      amountWithoutVat: record.get(FIELDS.AMOUNT_WITHOUT_VAT),
+      totalAmount: record.get(FIELDS.TOTAL_AMOUNT),
+      finalCommission: record.get(FIELDS.FINAL_COMMISSION_SALE),
+      utmCampaign: record.get(FIELDS.UTM_CAMPAIGN),
+      paymentMethod: record.get(FIELDS.PAYMENT_METHOD),
+      clientName: record.get(FIELDS.CLIENT_NAME),
+      saleDate: record.get(FIELDS.SALE_DATE),
+      monthYear: record.get(FIELDS.SALE_MONTH)
+    }));
+  } catch (error) {
+    logger.error('Failed to fetch sales of month', {
+      error: error.message,
+      monthYear
+    });
+    throw error;
+  }
+}
+
 /**
  * Get sales by Utm Campaign for copywriting commission processing
  * Returns ALL sales for the given month (not filtered by Utm Campaign yet)
@@ -339,28 +436,22 @@ export async function getSalesByUtmCampaign(monthYear) {
   try {
     const results = [];
     
-    await retryWithBackoff(async () => {
-      await base(TABLES.SALES)
-        .select({
-          filterByFormula: `{${FIELDS.SALE_MONTH}} = "${monthYear}"`,
-          maxRecords: 10000
-        })
-        .eachPage((records, fetchNextPage) => {
-          records.forEach(record => {
-            // Return all sales - filtering by Utm Campaign happens in the service
-            results.push({
-              id: record.id,
-              [FIELDS.PROJECT]: record.get(FIELDS.PROJECT),
-              [FIELDS.AMOUNT_WITHOUT_VAT]: record.get(FIELDS.AMOUNT_WITHOUT_VAT),
-              [FIELDS.TOTAL_AMOUNT]: record.get(FIELDS.TOTAL_AMOUNT),
-              [FIELDS.UTM_CAMPAIGN]: record.get(FIELDS.UTM_CAMPAIGN),
-              [FIELDS.CLIENT_NAME]: record.get(FIELDS.CLIENT_NAME),
-              [FIELDS.SALE_DATE]: record.get(FIELDS.SALE_DATE)
-            });
-          });
-          
-          fetchNextPage();
-        });
+    const records = await getDataStore().select(TABLES.SALES, {
+      filter: eq(FIELDS.SALE_MONTH, monthYear),
+      maxRecords: 10000
+    });
+    
+    records.forEach(record => {
+      // Return all sales - filtering by Utm Campaign happens in the service
+      results.push({
+        id: record.id,
+        [FIELDS.PROJECT]: record.get(FIELDS.PROJECT),
+        [FIELDS.AMOUNT_WITHOUT_VAT]: record.get(FIELDS.AMOUNT_WITHOUT_VAT),
+        [FIELDS.TOTAL_AMOUNT]: record.get(FIELDS.TOTAL_AMOUNT),
+        [FIELDS.UTM_CAMPAIGN]: record.get(FIELDS.UTM_CAMPAIGN),
+        [FIELDS.CLIENT_NAME]: record.get(FIELDS.CLIENT_NAME),
+        [FIELDS.SALE_DATE]: record.get(FIELDS.SALE_DATE)
+      });
     });
     
     logger.info('Fetched sales for copywriting processing', { 
@@ -387,32 +478,26 @@ export async function getSetterCallerSales(monthYear) {
   try {
     const results = [];
     
-    await retryWithBackoff(async () => {
-      await base(TABLES.SALES)
-        .select({
-          filterByFormula: `{${FIELDS.SALE_MONTH}} = "${monthYear}"`,
-          maxRecords: 10000
-        })
-        .eachPage((records, fetchNextPage) => {
-          records.forEach(record => {
-            const utmCampaign = record.get(FIELDS.UTM_CAMPAIGN);
-            const setterCallerCommission = record.get(FIELDS.SETTER_CALLER_COMMISSION);
-            
-            // Only include if Utm Campaign is not empty and commission > 0
-            if (utmCampaign && setterCallerCommission > 0) {
-              results.push({
-                id: record.id,
-                project: record.get(FIELDS.PROJECT),
-                amountWithoutVat: record.get(FIELDS.AMOUNT_WITHOUT_VAT),
-                totalAmount: record.get(FIELDS.TOTAL_AMOUNT),
-                utmCampaign,
-                setterCallerCommission
-              });
-            }
-          });
-          
-          fetchNextPage();
+    const records = await getDataStore().select(TABLES.SALES, {
+      filter: eq(FIELDS.SALE_MONTH, monthYear),
+      maxRecords: 10000
+    });
+    
+    records.forEach(record => {
+      const utmCampaign = record.get(FIELDS.UTM_CAMPAIGN);
+      const setterCallerCommission = record.get(FIELDS.SETTER_CALLER_COMMISSION);
+      
+      // Only include if Utm Campaign is not empty and commission > 0
+      if (utmCampaign && setterCallerCommission > 0) {
+        results.push({
+          id: record.id,
+          project: record.get(FIELDS.PROJECT),
+          amountWithoutVat: record.get(FIELDS.AMOUNT_WITHOUT_VAT),
+          totalAmount: record.get(FIELDS.TOTAL_AMOUNT),
+          utmCampaign,
+          setterCallerCommission
         });
+      }
     });
     
     logger.info('=== SETTER/CALLER SALES FETCH COMPLETE ===');
@@ -450,28 +535,19 @@ export async function getRepresentativeByName(name) {
   logger.debug('Fetching representative', { name });
   
   try {
-    const results = [];
-    
-    await retryWithBackoff(async () => {
-      await base(TABLES.REPRESENTATIVES)
-        .select({
-          filterByFormula: `FIND("${name}", {${FIELDS.REP_NAME}}) > 0`,
-          maxRecords: 10
-        })
-        .eachPage((records, fetchNextPage) => {
-          records.forEach(record => {
-            results.push({
-              id: record.id,
-              name: record.get(FIELDS.REP_NAME),
-              email: record.get(FIELDS.REP_EMAIL),
-              cif: record.get(FIELDS.REP_CIF),
-              role: record.get(FIELDS.REP_ROLE)
-            });
-          });
-          fetchNextPage();
-        });
+    const records = await getDataStore().select(TABLES.REPRESENTATIVES, {
+      filter: contains(FIELDS.REP_NAME, name),
+      maxRecords: 10
     });
     
+    const results = records.map(record => ({
+      id: record.id,
+      name: record.get(FIELDS.REP_NAME),
+      email: record.get(FIELDS.REP_EMAIL),
+      cif: record.get(FIELDS.REP_CIF),
+      role: record.get(FIELDS.REP_ROLE)
+    }));
+    
     // Try to find exact match first
     const exactMatch = results.find(r => r.name === name);
     if (exactMatch) {
@@ -509,29 +585,23 @@ export async function findRepresentativeByFuzzyName(searchName) {
   try {
     const allRepresentatives = [];
     
-    await retryWithBackoff(async () => {
-      await base(TABLES.REPRESENTATIVES)
-        .select({
-          maxRecords: 500
-        })
-        .eachPage((records, fetchNextPage) => {
-          records.forEach(record => {
-            const name = record.get(FIELDS.REP_NAME);
-            const role = record.get(FIELDS.REP_ROLE);
-            
-            // Only include Callers and Setters
-            if (name && (role === 'Caller' || role === 'Setter')) {
-              allRepresentatives.push({
-                id: record.id,
-                name: name,
-                role: role,
-                normalizedName: name.toLowerCase()
-              });
-            }
-          });
-          
-          fetchNextPage();
+    const records = await getDataStore().select(TABLES.REPRESENTATIVES, {
+      maxRecords: 500
+    });
+    
+    records.forEach(record => {
+      const name = record.get(FIELDS.REP_NAME);
+      const role = record.get(FIELDS.REP_ROLE);
+      
+      // Only include Callers and Setters
+      if (name && (role === 'Caller' || role === 'Setter')) {
+        allRepresentatives.push({
+          id: record.id,
+          name: name,
+          role: role,
+          normalizedName: name.toLowerCase()
         });
+      }
     });
     
     logger.info(`Found ${allRepresentatives.length} Callers/Setters to check against`);
@@ -657,23 +727,14 @@ function getEditDistance(str1, str2) {
 export async function expenseExists(expenseId) {
   logger.info('expenseExists called', { expenseId });
   try {
-    let exists = false;
-    
-    await retryWithBackoff(async () => {
-      logger.info('About to check expense existence in Airtable', { expenseId });
-      await base(TABLES.EXPENSES)
-        .select({
-          filterByFormula: `{${FIELDS.EXPENSE_ID}} = "${expenseId}"`,
-          maxRecords: 1
-        })
-        .eachPage((records, fetchNextPage) => {
-          logger.info('expenseExists eachPage called', { recordCount: records.length });
-          exists = records.length > 0;
-          fetchNextPage();
-        });
-      logger.info('Expense check complete', { expenseId, exists });
+    const records = await getDataStore().select(TABLES.EXPENSES, {
+      filter: eq(FIELDS.EXPENSE_ID, expenseId),
+      maxRecords: 1
     });
     
+    const exists = records.length > 0;
+    logger.info('Expense check complete', { expenseId, exists });
+    
     return exists;
   } catch (error) {
     logger.error('Failed to check expense existence', {
@@ -697,11 +758,7 @@ export async function createExpense(expenseData) {
   });
   
   try {
-    await retryWithBackoff(async () => {
-      logger.info('Attempting Airtable create', { expenseId });
-      await base(TABLES.EXPENSES).create([expenseData]);
-      logger.info('Airtable create successful', { expenseId });
-    });
+    await getDataStore().create(TABLES.EXPENSES, expenseData.fields);
     
     logger.info('Created expense record', { 
       expenseId,
@@ -734,66 +791,6 @@ export async function createExpense(expenseData) {
   }
 }
 
-/**
- * Get representative's outstanding debts from previous months
- * Returns all commission records with negative finalCommission
- * @param {string} representativeId - The representative's record ID
- * @param {string} currentMonth - Current month to exclude (e.g., "Octombrie")
- * @returns {Array} Array of debt records with {id, month, amount}
- */
-export async function getRepresentativeDebts(representativeId, currentMonth) {
-  logger.debug('Fetching representative debts', { representativeId, currentMonth });
-  
-  try {
-    const results = [];
-    
-    await retryWithBackoff(async () => {
-      await base(TABLES.MONTHLY_COMMISSIONS)
-        .select({
-          filterByFormula: `AND(
-            {${FIELDS.REPRESENTATIVE}} = "${representativeId}",
-            {${FIELDS.FINAL_COMMISSION}} < 0,
-            {${FIELDS.MONTH}} != "${currentMonth}"
-          )`,
-          maxRecords: 100,
-          sort: [{ field: FIELDS.MONTH, direction: 'asc' }]
-        })
-        .eachPage((records, fetchNextPage) => {
-          records.forEach(record => {
-            const finalCommission = record.get(FIELDS.FINAL_COMMISSION);
-            if (finalCommission && finalCommission < 0) {
-              results.push({
-                id: record.id,
-                month: record.get(FIELDS.MONTH),
-                amount: finalCommission,  // negative value
-                name: record.get(FIELDS.NAME),
-                representative: record.get(FIELDS.REPRESENTATIVE)
-              });
-            }
-          });
-          
-          fetchNextPage();
-        });
-    });
-    
-    if (results.length > 0) {
-      logger.info('Found outstanding debts for representative', {
-        representativeId,
-        debtCount: results.length,
-        totalDebt: results.reduce((sum, d) => sum + d.amount, 0)
-      });
-    }
-    
-    return results;
-  } catch (error) {
-    logger.error('Failed to fetch representative debts', {
-      representativeId,
-      error: error.message
-    });
-    return [];
-  }
-}
-
 /**
  * Get expense record by expense ID
  * Returns the full record including Airtable record ID
@@ -802,30 +799,21 @@ export async function getExpenseByExpenseId(expenseId) {
   logger.debug('Fetching expense by expense ID', { expenseId });
   
   try {
-    const results = [];
-    
-    await retryWithBackoff(async () => {
-      await base(TABLES.EXPENSES)
-        .select({
-          filterByFormula: `{${FIELDS.EXPENSE_ID}} = "${expenseId}"`,
-          maxRecords: 1
-        })
-        .eachPage((records, fetchNextPage) => {
-          records.forEach(record => {
-            results.push({
-              id: record.id,
-              expenseId: record.get(FIELDS.EXPENSE_ID),
-              amount: record.get(FIELDS.EXPENSE_AMOUNT),
-              description: record.get(FIELDS.EXPENSE_DESCRIPTION),
-              project: record.get(FIELDS.EXPENSE_PROJECT),
-              category: record.get(FIELDS.EXPENSE_CATEGORY)
-            });
-          });
-          
-          fetchNextPage();
-        });
+    const records = await getDataStore().select(TABLES.EXPENSES, {
+      filter: eq(FIELDS.EXPENSE_ID, expenseId),
+      maxRecords: 1
     });
     
+    const results = records.map(record => ({
+      id: record.id,
+      expenseId: record.get(FIELDS.EXPENSE_ID),
+      amount: record.get(FIELDS.EXPENSE_AMOUNT),
+      description: record.get(FIELDS.EXPENSE_DESCRIPTION),
+      project: record.get(FIELDS.EXPENSE_PROJECT),
+      category: record.get(FIELDS.EXPENSE_CATEGORY),
+      year: record.get(FIELDS.EXPENSE_YEAR)
+    }));
+    
     return results.length > 0 ? results[0] : null;
   } catch (error) {
     logger.error('Failed to fetch expense by expense ID', {
@@ -836,6 +824,33 @@ export async function getExpenseByExpenseId(expenseId) {
   }
 }
 
+/**
+ * Get a month's expense record by its expense ID ("..._{month}_{year}")
+ * Falls back to the legacy month-only ID (from before IDs included the year),
+ * but only for a record of the same year; updating it moves it to the new ID.
+ * @param {string} expenseId - Expense ID including the year
+ * @param {string} legacyExpenseId - Same ID without the year
+ * @param {number} year - Year of the expense
+ * @returns {Object|null} Expense record or null
+ */
+export async function getMonthExpenseByExpenseId(expenseId, legacyExpenseId, year) {
+  const expense = await getExpenseByExpenseId(expenseId);
+  if (expense) {
+    return expense;
+  }
+
+  const legacyExpense = await getExpenseByExpenseId(legacyExpenseId);
+  if (legacyExpense && parseInt(legacyExpense.year, 10) === parseInt(year, 10)) {
+    logger.info('Found expense under legacy ID, moving it to the year-keyed ID', {
+      legacyExpenseId,
+      expenseId
+    });
+    return legacyExpense;
+  }
+
+  return null;
+}
+
 /**
  * Update existing expense record
  * Updates amount and description
@@ -847,12 +862,7 @@ export async function updateExpense(recordId, updateData) {
   });
   
   try {
-    await retryWithBackoff(async () => {
-      await base(TABLES.EXPENSES).update([{
-        id: recordId,
-        fields: updateData.fields
-      }]);
-    });
+    await getDataStore().update(TABLES.EXPENSES, recordId, updateData.fields);
     
     logger.info('Updated expense record', { 
       recordId,
@@ -889,9 +899,7 @@ export async function createExpensesBatch(expenseRecords) {
   
   for (const batch of batches) {
     try {
-      await retryWithBackoff(async () => {
-        await base(TABLES.EXPENSES).create(batch);
-      });
+      await getDataStore().createBatch(TABLES.EXPENSES, batch.map(record => record.fields));
       
       logger.debug('Created batch of expenses', { 
         count: batch.length,
@@ -916,28 +924,19 @@ export async function getRepresentativeByExactName(name) {
   logger.debug('Fetching representative by exact name', { name });
   
   try {
-    const results = [];
-    
-    await retryWithBackoff(async () => {
-      await base(TABLES.REPRESENTATIVES)
-        .select({
-          filterByFormula: `{${FIELDS.REP_NAME}} = "${name}"`,
-          maxRecords: 1
-        })
-        .eachPage((records, fetchNextPage) => {
-          records.forEach(record => {
-            results.push({
-              id: record.id,
-              name: record.get(FIELDS.REP_NAME),
-              email: record.get(FIELDS.REP_EMAIL),
-              cif: record.get(FIELDS.REP_CIF),
-              role: record.get(FIELDS.REP_ROLE)
-            });
-          });
-          fetchNextPage();
-        });
+    const records = await getDataStore().select(TABLES.REPRESENTATIVES, {
+      filter: eq(FIELDS.REP_NAME, name),
+      maxRecords: 1
     });
     
+    const results = records.map(record => ({
+      id: record.id,
+      name: record.get(FIELDS.REP_NAME),
+      email: record.get(FIELDS.REP_EMAIL),
+      cif: record.get(FIELDS.REP_CIF),
+      role: record.get(FIELDS.REP_ROLE)
+    }));
+    
     return results.length > 0 ? results[0] : null;
   } catch (error) {
     logger.error('Failed to fetch representative by exact name', {
@@ -949,52 +948,91 @@ export async function getRepresentativeByExactName(name) {
 }
 
 /**
- * Get monthly commission record by representative and month
+ * Get representatives by record IDs
+ * @param {Array<string>} representativeIds - Representative record IDs
+ * @returns {Array<Object>} Representative records (id, name, role)
+ */
+export async function getRepresentativesByIds(representativeIds) {
+  if (!representativeIds || representativeIds.length === 0) {
+    return [];
+  }
+  
+  try {
+    const results = [];
+    const idsToFetch = [...new Set(representativeIds)];
+    
+    // Fetch in batches (Airtable limits to ~100 IDs per request)
+    while (idsToFetch.length > 0) {
+      const batch = idsToFetch.splice(0, 100);
+      const records = await getDataStore().select(TABLES.REPRESENTATIVES, {
+        filter: recordIdIn(batch),
+        maxRecords: 100
+      });
+      
+      records.forEach(record => {
+        results.push({
+          id: record.id,
+          name: record.get(FIELDS.REP_NAME),
+          role: record.get(FIELDS.REP_ROLE)
+        });
+      });
+    }
+    
+    return results;
+  } catch (error) {
+    logger.error('Failed to fetch representatives by IDs', {
+      count: representativeIds.length,
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get monthly commission record by representative, month and year
  * @param {string} representativeName - The representative's name (primary field)
  * @param {string} month - Month name (e.g., "Octombrie")
+ * @param {number} year - Year (e.g., 2025)
  * @returns {Object|null} Monthly commission record or null
  */
-export async function getMonthlyCommissionByRepAndMonth(representativeName, month) {
+export async function getMonthlyCommissionByRepAndMonth(representativeName, month, year) {
   // ARRAYJOIN on linked records returns the primary field value (name), not IDs
   // So we search by the representative's name
-  const formula = `AND(
-            FIND("${representativeName}", ARRAYJOIN({${FIELDS.REPRESENTATIVE}})) > 0,
-            {${FIELDS.MONTH}} = "${month}"
-          )`;
+  const filter = and(
+    contains(FIELDS.REPRESENTATIVE, representativeName),
+    eq(FIELDS.MONTH, month)
+  );
   
-  logger.info(`🔍 SEARCH: repName="${representativeName}" month="${month}"`);
+  logger.info(`🔍 SEARCH: repName="${representativeName}" month="${month}" year=${year}`);
   
   try {
     const results = [];
     
-    await retryWithBackoff(async () => {
-      await base(TABLES.MONTHLY_COMMISSIONS)
-        .select({
-          filterByFormula: formula,
-          maxRecords: 1
-        })
-        .eachPage((records, fetchNextPage) => {
-          records.forEach(record => {
-            const existingRec = {
-              id: record.id,
-              name: record.get(FIELDS.NAME),
-              representative: record.get(FIELDS.REPRESENTATIVE),
-              month: record.get(FIELDS.MONTH),
-              sales: record.get(FIELDS.SALES) || [],
-              finalCommission: record.get(FIELDS.FINAL_COMMISSION),
-              role: record.get(FIELDS.ROLE)
-            };
-            
-            logger.info(`✅ FOUND: recordId="${existingRec.id}" repIds="${existingRec.representative}" month="${existingRec.month}"`);
-            
-            results.push(existingRec);
-          });
-          fetchNextPage();
-        });
+    const records = await getDataStore().select(TABLES.MONTHLY_COMMISSIONS, {
+      filter,
+      maxRecords: 100
+    });
+    const years = await resolveCommissionYears(records);
+    
+    records.filter(record => years.get(record.id) === parseInt(year, 10)).forEach(record => {
+      const existingRec = {
+        id: record.id,
+        name: record.get(FIELDS.NAME),
+        representative: record.get(FIELDS.REPRESENTATIVE),
+        month: record.get(FIELDS.MONTH),
+        year: years.get(record.id),
+        sales: record.get(FIELDS.SALES) || [],
+        finalCommission: record.get(FIELDS.FINAL_COMMISSION),
+        role: record.get(FIELDS.ROLE)
+      };
+      
+      logger.info(`✅ FOUND: recordId="${existingRec.id}" repIds="${existingRec.representative}" month="${existingRec.month}"`);
+      
+      results.push(existingRec);
     });
     
     if (results.length === 0) {
-      logger.warn(`❌ NOT FOUND: repName="${representativeName}" month="${month}"`);
+      logger.warn(`❌ NOT FOUND: repName="${representativeName}" month="${month}" year=${year}`);
     }
     
     return results.length > 0 ? results[0] : null;
@@ -1002,6 +1040,7 @@ export async function getMonthlyCommissionByRepAndMonth(representativeName, mont
     logger.error('Failed to fetch monthly commission by rep and month', {
       representativeName,
       month,
+      year,
       error: error.message
     });
     return null;
@@ -1016,17 +1055,13 @@ export async function getMonthlyCommissionByRepAndMonth(representativeName, mont
 export async function createMonthlyCommission(commissionData) {
   const repId = commissionData.fields?.[FIELDS.REPRESENTATIVE]?.[0] || 'Unknown';
   const month = commissionData.fields?.[FIELDS.MONTH];
+  const year = commissionData.fields?.[FIELDS.COMMISSION_YEAR];
   const salesCount = commissionData.fields?.[FIELDS.SALES]?.length || 0;
   
-  logger.warn(`⚠️  CREATE: repId="${repId}" month="${month}" sales=${salesCount}`);
+  logger.warn(`⚠️  CREATE: repId="${repId}" month="${month}" year=${year} sales=${salesCount}`);
   
   try {
-    let createdRecord = null;
-    
-    await retryWithBackoff(async () => {
-      const records = await base(TABLES.MONTHLY_COMMISSIONS).create([commissionData]);
-      createdRecord = records[0];
-    });
+    const createdRecord = await getDataStore().create(TABLES.MONTHLY_COMMISSIONS, commissionData.fields);
     
     logger.info(`✅ CREATED: recordId="${createdRecord?.id}"`);
     
@@ -1039,7 +1074,7 @@ export async function createMonthlyCommission(commissionData) {
     } : null;
   } catch (error) {
     logger.error('Failed to create monthly commission record', {
-      representative: repName,
+      representative: repId,
       month,
       error: error.message,
       stack: error.stack
@@ -1059,12 +1094,7 @@ export async function updateMonthlyCommission(recordId, updateData) {
   logger.info(`🔄 UPDATE: recordId="${recordId}" sales=${salesCount}`);
   
   try {
-    await retryWithBackoff(async () => {
-      await base(TABLES.MONTHLY_COMMISSIONS).update([{
-        id: recordId,
-        fields: updateData.fields
-      }]);
-    });
+    await getDataStore().update(TABLES.MONTHLY_COMMISSIONS, recordId, updateData.fields);
     
     logger.info(`✅ UPDATED: recordId="${recordId}"`);
     
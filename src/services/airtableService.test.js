@@ -0,0 +1,72 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestStore, runWithStore } from '../utils/testing.js';
+import { toRecord } from '../stores/record.js';
+import { TABLES, FIELDS } from '../config/constants.js';
+import { getAllMonthYearsWithCommissions, getMonthlyCommissions } from './airtableService.js';
+
+const commission = (name, month, year, sales = []) => ({
+  [FIELDS.NAME]: name,
+  [FIELDS.MONTH]: month,
+  [FIELDS.COMMISSION_YEAR]: year,
+  [FIELDS.ROLE]: ['Sales'],
+  [FIELDS.SALES]: sales
+});
+
+/**
+ * Commissions with and without "An"; legacy ones get their year from their
+ * sales, else from when they were created
+ */
+async function createStore() {
+  const store = await createTestStore({
+    [TABLES.SALES]: [
+      { [FIELDS.SALE_MONTH]: 'Septembrie 2024' },
+      { [FIELDS.SALE_MONTH]: 'Septembrie 2024' },
+      { [FIELDS.SALE_MONTH]: 'Septembrie 2025' },
+      { [FIELDS.SALE_MONTH]: 'Octombrie 2025' }
+    ]
+  });
+  const sales = (await store.select(TABLES.SALES, {})).map(sale => sale.id);
+
+  await store.createBatch(TABLES.MONTHLY_COMMISSIONS, [
+    commission('Ana Pop - Octombrie', 'Octombrie', 2025),
+    commission('Mario Cazacu - Septembrie', 'Septembrie', null, sales)
+  ]);
+
+  // Created on January 10th, 2025: the latest December is 2024's
+  mock.timers.enable({ apis: ['Date'], now: new Date('2025-01-10T09:00:00Z') });
+  try {
+    await store.createBatch(TABLES.MONTHLY_COMMISSIONS, [commission('Ion Popescu - Decembrie', 'Decembrie', null)]);
+  } finally {
+    mock.timers.reset();
+  }
+  return store;
+}
+
+test('legacy commissions take the year most of their month\'s sales are from', async () => {
+  const store = await createStore();
+
+  const september2024 = await runWithStore(store, () => getMonthlyCommissions('Septembrie', 2024));
+  const september2025 = await runWithStore(store, () => getMonthlyCommissions('Septembrie', 2025));
+
+  assert.deepEqual(september2024.map(c => [c.name, c.year]), [['Mario Cazacu - Septembrie', 2024]]);
+  assert.deepEqual(september2025, []);
+});
+
+test('every commission is listed under its resolved year', async () => {
+  const store = await createStore();
+
+  const monthYears = await runWithStore(store, () => getAllMonthYearsWithCommissions());
+
+  assert.deepEqual(monthYears, ['Septembrie 2024', 'Decembrie 2024', 'Octombrie 2025']);
+});
+
+test('a legacy commission with no sales and no creation date is skipped', async () => {
+  const store = await createTestStore();
+  // e.g. an exported snapshot without creation times
+  mock.method(store, 'select', async () => [toRecord('recLegacy', commission('Ion Popescu - Martie', 'Martie', null))]);
+
+  const monthYears = await runWithStore(store, () => getAllMonthYearsWithCommissions());
+
+  assert.deepEqual(monthYears, []);
+});
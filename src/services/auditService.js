@@ -0,0 +1,99 @@
+/**
+ * Audit Service
+ * Keeps the history of every field the automation writes (see stores/auditStore):
+ * - DATA_DIR/audit-log.jsonl: local append-only log, always written
+ * - "Istoric" table: copy of each entry when AUDIT_AIRTABLE=true
+ *
+ * Entry: { timestamp, action, table, recordId, key, project, month, field,
+ *          oldValue, newValue, jobId, trigger, service }
+ * key is the expense ID for Cheltuieli and the line name for P&L's.
+ */
+import { TABLES, FIELDS } from '../config/constants.js';
+import { appendJsonLines, readJsonLines } from '../utils/localStore.js';
+import { logger } from '../utils/logger.js';
+
+const AUDIT_FILE = 'audit-log.jsonl';
+
+/**
+ * Format a field value for the "Istoric" text fields
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Convert an audit entry to "Istoric" fields
+ */
+function toAuditFields(entry) {
+  return {
+    [FIELDS.AUDIT_TIMESTAMP]: entry.timestamp,
+    [FIELDS.AUDIT_ACTION]: entry.action,
+    [FIELDS.AUDIT_TABLE]: entry.table,
+    [FIELDS.AUDIT_RECORD_ID]: entry.recordId,
+    [FIELDS.AUDIT_KEY]: entry.key || '',
+    [FIELDS.AUDIT_PROJECT]: entry.project || '',
+    [FIELDS.AUDIT_MONTH]: entry.month || '',
+    [FIELDS.AUDIT_FIELD]: entry.field,
+    [FIELDS.AUDIT_OLD_VALUE]: formatValue(entry.oldValue),
+    [FIELDS.AUDIT_NEW_VALUE]: formatValue(entry.newValue),
+    [FIELDS.AUDIT_JOB_ID]: entry.jobId || '',
+    [FIELDS.AUDIT_TRIGGER]: entry.trigger,
+    [FIELDS.AUDIT_SERVICE]: entry.service || ''
+  };
+}
+
+/**
+ * Record audit entries
+ * @param {Array<Object>} entries - Entries built by the audit store
+ * @param {Object} store - Unaudited data store used for the "Istoric" copy
+ */
+export async function recordAuditEntries(entries, store) {
+  try {
+    appendJsonLines(AUDIT_FILE, entries);
+  } catch (error) {
+    logger.error('Failed to write local audit log', {
+      count: entries.length,
+      error: error.message
+    });
+  }
+
+  if (process.env.AUDIT_AIRTABLE === 'true') {
+    try {
+      await store.createBatch(TABLES.AUDIT_LOG, entries.map(toAuditFields));
+    } catch (error) {
+      logger.error('Failed to write audit entries to Istoric table', {
+        count: entries.length,
+        error: error.message
+      });
+    }
+  }
+}
+
+/**
+ * Change history of an expense or P&L line, oldest first
+ * Entries are matched by key, then widened to every entry of the matched
+ * records - so an expense that moved to a new ID keeps its earlier history.
+ * @param {Object} filters - { expenseId } or { pnlLine, project, monthYear } or { recordId }
+ * @returns {Array<Object>} Audit entries
+ */
+export function getAuditHistory({ expenseId = null, pnlLine = null, project = null, monthYear = null, recordId = null } = {}) {
+  const entries = readJsonLines(AUDIT_FILE);
+  const recordIds = new Set();
+
+  if (recordId) {
+    recordIds.add(recordId);
+  }
+
+  entries.forEach(entry => {
+    const matches = expenseId
+      ? entry.table === TABLES.EXPENSES && entry.key === expenseId
+      : pnlLine && entry.table === TABLES.PNL && entry.key === pnlLine &&
+        (!project || entry.project === project) &&
+        (!monthYear || entry.month === monthYear);
+
+    if (matches) recordIds.add(entry.recordId);
+  });
+
+  return entries.filter(entry => recordIds.has(entry.recordId));
+}
@@ -0,0 +1,156 @@
+/**
+ * Campaign Mapping Service
+ * Maps ad campaigns to projects with the "campaignMappings.<id>" rules in
+ * effect for the month (one rule per mapping, so they are edited in the rules
+ * source without a deploy):
+ * { campaignIds | prefix | pattern, project | split, priority?, platforms? }
+ * A mapping with "platforms" only applies to those ad platforms.
+ *
+ * Order: campaign ID overrides first, then prefix/pattern rules by priority
+ * (lowest first, then by key). Campaigns no rule matches fall back to the
+ * project name contained in the campaign name, then to the default project.
+ */
+import { FACEBOOK } from '../config/constants.js';
+import { findRulesByPrefix } from './rulesService.js';
+import { logger } from '../utils/logger.js';
+
+export const CAMPAIGN_MAPPING_PREFIX = 'campaignMappings.';
+
+// Priority of rules without one
+export const DEFAULT_MAPPING_PRIORITY = 100;
+
+// How a campaign was mapped
+export const MAPPING_SOURCES = {
+  RULE: 'rule',
+  PROJECT_NAME: 'projectName',
+  DEFAULT: 'default'
+};
+
+/**
+ * Normalize string for comparison (remove diacritics, lowercase)
+ * @param {string} str - String to normalize
+ * @returns {string} - Normalized string
+ */
+export function normalizeString(str) {
+  if (!str) return '';
+
+  return str
+    .toLowerCase()
+    .replace(/ă/g, 'a')
+    .replace(/â/g, 'a')
+    .replace(/î/g, 'i')
+    .replace(/ș/g, 's')
+    .replace(/ț/g, 't')
+    .trim();
+}
+
+/**
+ * Map a campaign name to project
+ * Uses substring matching with normalized strings
+ * @param {string} campaignName - Facebook campaign name
+ * @param {Array<string>} projects - Project names to match against
+ * @returns {string|null} - Project name, or null when no project name matches
+ */
+export function mapCampaignToProject(campaignName, projects) {
+  const normalizedCampaign = normalizeString(campaignName);
+
+  for (const project of projects) {
+    if (normalizedCampaign.includes(normalizeString(project))) {
+      return project;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Campaign mapping rules in effect for a month, in matching order
+ * @param {string} platform - Optional. AD_PLATFORMS value; leaves out mappings for other platforms
+ * @returns {Array<Object>} [{ key, ...value, priority }]
+ */
+export function getCampaignMappings(month, year, platform = null) {
+  return findRulesByPrefix(CAMPAIGN_MAPPING_PREFIX, month, year)
+    .filter(({ value }) => !platform || !value.platforms || value.platforms.includes(platform))
+    .map(({ key, value }) => ({ key, ...value, priority: value.priority ?? DEFAULT_MAPPING_PRIORITY }))
+    .sort((a, b) => {
+      const overrideOrder = Number(!a.campaignIds) - Number(!b.campaignIds);
+      return overrideOrder || a.priority - b.priority || a.key.localeCompare(b.key);
+    });
+}
+
+/**
+ * Does a mapping rule match a campaign
+ * Prefix and pattern are matched against the normalized name (case and diacritics ignored)
+ */
+function matchesCampaign(mapping, campaign) {
+  if (mapping.campaignIds) {
+    return mapping.campaignIds.includes(String(campaign.id));
+  }
+
+  const name = normalizeString(campaign.name);
+  if (mapping.prefix) {
+    return name.startsWith(normalizeString(mapping.prefix));
+  }
+  return new RegExp(mapping.pattern, 'i').test(name);
+}
+
+/**
+ * Divide an amount by the shares of a split, in cents
+ * The last project gets the remainder, so the parts add up to the amount.
+ * @returns {Array<Object>} [{ project, share, amount }]
+ */
+function splitAmount(amount, split) {
+  const entries = Object.entries(split);
+  let allocated = 0;
+
+  return entries.map(([project, share], index) => {
+    const part = index === entries.length - 1
+      ? Math.round((amount - allocated) * 100) / 100
+      : Math.round(amount * share * 100) / 100;
+    allocated += part;
+    return { project, share, amount: part };
+  });
+}
+
+/**
+ * Map a campaign's spend to projects
+ * @param {Object} campaign - { id, name, spend }
+ * @param {Array<Object>} mappings - From getCampaignMappings
+ * @param {Array<string>} projects - Project names ("projects" rule for the month)
+ * @returns {Object} { source, rule, allocations: [{ project, share, amount }] }
+ */
+export function mapCampaign(campaign, mappings, projects) {
+  const mapping = mappings.find(m => matchesCampaign(m, campaign));
+
+  if (mapping) {
+    logger.debug(`Campaign "${campaign.name}" → rule ${mapping.key}`);
+    return {
+      source: MAPPING_SOURCES.RULE,
+      rule: mapping.key,
+      allocations: mapping.split
+        ? splitAmount(campaign.spend, mapping.split)
+        : [{ project: mapping.project, share: 1, amount: campaign.spend }]
+    };
+  }
+
+  if (!campaign.name) {
+    logger.warn('Campaign with empty name, mapping to default project', { campaignId: campaign.id });
+  }
+
+  const project = campaign.name ? mapCampaignToProject(campaign.name, projects) : null;
+  if (project) {
+    logger.debug(`Campaign "${campaign.name}" → Project "${project}"`);
+    return {
+      source: MAPPING_SOURCES.PROJECT_NAME,
+      rule: null,
+      allocations: [{ project, share: 1, amount: campaign.spend }]
+    };
+  }
+
+  logger.debug(`Campaign "${campaign.name}" → No match, using "${FACEBOOK.defaultProject}"`);
+  return {
+    source: MAPPING_SOURCES.DEFAULT,
+    rule: null,
+    allocations: [{ project: FACEBOOK.defaultProject, share: 1, amount: campaign.spend }]
+  };
+}
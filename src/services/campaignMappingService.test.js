@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SHARED_COST_PROJECT } from '../config/constants.js';
+import { MAPPING_SOURCES, mapCampaign } from './campaignMappingService.js';
+
+const projects = ['CODCOM', 'Artok Academy'];
+
+// In matching order, as getCampaignMappings returns them
+const mappings = [
+  { key: 'campaignMappings.brandOverride', campaignIds: ['120001'], project: 'Artok Academy', priority: 100 },
+  { key: 'campaignMappings.webinar', prefix: 'Webinar', split: { CODCOM: 0.6, 'Artok Academy': 0.4 }, priority: 10 },
+  { key: 'campaignMappings.retargeting', pattern: 'retarget(ing)?$', project: 'CODCOM', priority: 100 }
+];
+
+const allocationsOf = result => result.allocations.map(a => [a.project, a.amount]);
+
+test('a campaign ID override wins over name rules', () => {
+  const result = mapCampaign({ id: 120001, name: 'Webinar CODCOM', spend: 50 }, mappings, projects);
+
+  assert.equal(result.source, MAPPING_SOURCES.RULE);
+  assert.equal(result.rule, 'campaignMappings.brandOverride');
+  assert.deepEqual(allocationsOf(result), [['Artok Academy', 50]]);
+});
+
+test('prefix rules ignore case and diacritics and can split the spend', () => {
+  const result = mapCampaign({ id: 2, name: 'WEBINĂR Octombrie', spend: 100.01 }, mappings, projects);
+
+  assert.equal(result.rule, 'campaignMappings.webinar');
+  assert.deepEqual(allocationsOf(result), [['CODCOM', 60.01], ['Artok Academy', 40]]);
+});
+
+test('pattern rules match the normalized campaign name', () => {
+  const result = mapCampaign({ id: 3, name: 'Vara Retargeting', spend: 20 }, mappings, projects);
+
+  assert.equal(result.rule, 'campaignMappings.retargeting');
+  assert.deepEqual(allocationsOf(result), [['CODCOM', 20]]);
+});
+
+test('unmatched campaigns fall back to the project in their name, then to the shared costs', () => {
+  const byName = mapCampaign({ id: 4, name: 'Leads artok academy', spend: 30 }, mappings, projects);
+  assert.equal(byName.source, MAPPING_SOURCES.PROJECT_NAME);
+  assert.deepEqual(allocationsOf(byName), [['Artok Academy', 30]]);
+
+  const unmatched = mapCampaign({ id: 5, name: 'Brand awareness', spend: 40 }, mappings, projects);
+  assert.equal(unmatched.source, MAPPING_SOURCES.DEFAULT);
+  assert.deepEqual(allocationsOf(unmatched), [[SHARED_COST_PROJECT, 40]]);
+
+  const unnamed = mapCampaign({ id: 6, name: '', spend: 5 }, mappings, projects);
+  assert.deepEqual(allocationsOf(unnamed), [[SHARED_COST_PROJECT, 5]]);
+});
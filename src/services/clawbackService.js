@@ -0,0 +1,232 @@
+/**
+ * Clawback Service
+ * Refunds (sales with a negative amount) claw back the commissions paid on
+ * them according to a per-role policy: the "clawback.<role>" rule in effect
+ * for the month of the refund ({ policy, share? }):
+ * - full (default when no rule): the refund's commission is deducted that month
+ * - partial: only `share` of it is deducted that month
+ * - none: nothing is deducted
+ * - deferred: the full commission is deducted the next month
+ *
+ * Regular commission lines are calculated without refunds; deductions are
+ * separate negative expense lines "Retur {line}", with the ID
+ * clawback_{role}_{key}_{project}_{refundMonth}_{refundYear}.
+ * Lines are generated when the month they are booked in is processed, so a
+ * deferred clawback comes from the previous month's refunds.
+ */
+import {
+  getExpenseByExpenseId,
+  createExpense,
+  updateExpense
+} from './airtableService.js';
+import {
+  FIELDS,
+  VAT_INCLUDED,
+  SOURCE,
+  EXPENSE_ID_PREFIXES,
+  CLAWBACK_POLICIES,
+  CLAWBACK_ROLES
+} from '../config/constants.js';
+import { findRule, getRule } from './rulesService.js';
+import { isValidProject } from '../utils/validators.js';
+import { logger } from '../utils/logger.js';
+
+const round = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Is the sale a refund (negative amount with or without VAT)
+ */
+export function isRefundSale(sale) {
+  return sale.amountWithoutVat < 0 || sale.totalAmount < 0;
+}
+
+/**
+ * Clawback policy of a role for the month of a refund
+ * @returns {Object} { policy, share? }
+ */
+export function getClawbackPolicy(role, month, year) {
+  return findRule(`clawback.${role}`, month, year) || { policy: CLAWBACK_POLICIES.FULL };
+}
+
+/**
+ * Part of a refund's commission deducted in the refund's own month
+ * @param {number} commission - Commission of the refund (negative)
+ * @param {Object} policy - { policy, share? }
+ * @returns {number} Deduction (negative or 0)
+ */
+export function getClawbackAmount(commission, { policy, share }) {
+  if (policy === CLAWBACK_POLICIES.FULL) return commission;
+  if (policy === CLAWBACK_POLICIES.PARTIAL) return commission * share;
+  return 0;
+}
+
+/**
+ * Commission of a refund sale for the roles paid from "Comisioane Lunare":
+ * - salesRep: the sale's "Comision Final"
+ * - setterCaller: the sale's "Comision Setter/Caller", or "Total După TVA" at setterCaller.commissionRate
+ * Team leader and copywriting refunds are priced by their services (rate and tiers).
+ * @returns {number} Commission (negative) or 0
+ */
+export function getRefundCommission(role, sale, month, year) {
+  if (role === CLAWBACK_ROLES.SALES_REP) {
+    return sale.finalCommission || 0;
+  }
+
+  if (typeof sale.setterCallerCommission === 'number') {
+    return sale.setterCallerCommission;
+  }
+  return (sale.amountWithoutVat || 0) * getRule('setterCaller.commissionRate', month, year);
+}
+
+/**
+ * Group refund sales by project
+ * @param {Array<Object>} sales - Refund sales ({ id, project })
+ * @param {Object} line - { key, name, category, ...extra } shared by the groups
+ * @param {Function} getCommission - Commission (negative) of a sale
+ * @returns {Array<Object>} [{ key, name, category, ...extra, project, commission, saleIds }]
+ */
+export function groupRefunds(sales, line, getCommission) {
+  const groups = {};
+
+  for (const sale of sales) {
+    if (!isValidProject(sale.project)) {
+      logger.debug('Skipping refund - invalid project', { saleId: sale.id, project: sale.project });
+      continue;
+    }
+
+    const commission = getCommission(sale);
+    if (!commission) continue;
+
+    if (!groups[sale.project]) {
+      groups[sale.project] = { ...line, project: sale.project, commission: 0, saleIds: [] };
+    }
+    groups[sale.project].commission += commission;
+    groups[sale.project].saleIds.push(sale.id);
+  }
+
+  return Object.values(groups);
+}
+
+/**
+ * Clawbacks of a month's refunds booked in that same month (full, partial)
+ * @param {string} role - CLAWBACK_ROLES value
+ * @param {Array<Object>} refunds - Grouped refunds (see groupRefunds)
+ * @returns {Array<Object>} Refunds with { policy, amount, refundMonth, refundYear }
+ */
+export function getClawbacks(role, refunds, month, year) {
+  const policy = getClawbackPolicy(role, month, year);
+
+  return refunds
+    .map(refund => ({
+      ...refund,
+      policy: policy.policy,
+      amount: round(getClawbackAmount(refund.commission, policy)),
+      refundMonth: month,
+      refundYear: year
+    }))
+    .filter(clawback => clawback.amount !== 0);
+}
+
+/**
+ * Is a month's clawback deferred to the next month (services only collect
+ * the previous month's refunds when it is)
+ */
+export function isClawbackDeferred(role, month, year) {
+  return getClawbackPolicy(role, month, year).policy === CLAWBACK_POLICIES.DEFERRED;
+}
+
+/**
+ * Deferred clawbacks of the previous month's refunds, booked in the month after them
+ * @param {Array<Object>} refunds - Grouped refunds of the previous month
+ * @param {string} refundMonth - Month of the refunds
+ * @param {number} refundYear - Year of the refunds
+ */
+export function getDeferredClawbacks(refunds, refundMonth, refundYear) {
+  return refunds
+    .map(refund => ({
+      ...refund,
+      policy: CLAWBACK_POLICIES.DEFERRED,
+      amount: round(refund.commission),
+      refundMonth,
+      refundYear
+    }))
+    .filter(clawback => clawback.amount !== 0);
+}
+
+/**
+ * Expense ID prefix of a role's clawback lines
+ */
+export function getClawbackPrefix(role) {
+  return `${EXPENSE_ID_PREFIXES.CLAWBACK}${role}_`;
+}
+
+/**
+ * Create or update the clawback expense lines booked in a month
+ * @param {Object} options
+ * @param {string} options.role - CLAWBACK_ROLES value
+ * @param {Array<Object>} options.clawbacks - From getClawbacks / getDeferredClawbacks
+ * @param {string} options.month - Month the lines are booked in
+ * @param {number} options.year - Year the lines are booked in
+ * @param {Set<string>} options.producedExpenseIds - Collects the generated expense IDs
+ * @returns {Promise<Object>} { created, updated, errors, clawbacks, clawbackTotal }
+ */
+export async function bookClawbackExpenses({ role, clawbacks, month, year, producedExpenseIds }) {
+  const stats = { created: 0, updated: 0, errors: 0, clawbacks: 0, clawbackTotal: 0 };
+
+  for (const clawback of clawbacks) {
+    const { key, name, category, project, amount, saleIds, policy, refundMonth, refundYear } = clawback;
+    const expenseId = `${getClawbackPrefix(role)}${key}_${project}_${refundMonth}_${refundYear}`
+      .replace(/\s+/g, '_');
+    producedExpenseIds.add(expenseId);
+
+    const lineName = `Retur ${name}`;
+    const expenseFields = {
+      [FIELDS.EXPENSE_NAME]: lineName,
+      [FIELDS.EXPENSE_DESCRIPTION]: lineName,
+      [FIELDS.EXPENSE_PROJECT]: project,
+      [FIELDS.EXPENSE_CATEGORY]: category,
+      [FIELDS.EXPENSE_AMOUNT]: amount,
+      [FIELDS.EXPENSE_VAT_INCLUDED]: VAT_INCLUDED.NO,
+      [FIELDS.EXPENSE_MONTH]: month,
+      [FIELDS.EXPENSE_YEAR]: year,
+      [FIELDS.EXPENSE_SOURCE]: SOURCE.AUTOMATIC,
+      [FIELDS.EXPENSE_ID]: expenseId,
+      [FIELDS.EXPENSE_ASSOCIATED_SALES]: saleIds
+    };
+
+    try {
+      const existingExpense = await getExpenseByExpenseId(expenseId);
+
+      if (existingExpense) {
+        await updateExpense(existingExpense.id, { fields: expenseFields });
+        stats.updated++;
+      } else {
+        await createExpense({ fields: expenseFields });
+        stats.created++;
+      }
+
+      stats.clawbacks++;
+      stats.clawbackTotal = round(stats.clawbackTotal + amount);
+
+      logger.info(`✅ ${existingExpense ? 'Updated' : 'Created'} clawback expense`, {
+        expenseId,
+        role,
+        project,
+        amount,
+        policy,
+        refundMonth: `${refundMonth} ${refundYear}`,
+        refunds: saleIds.length
+      });
+    } catch (error) {
+      logger.error('Failed to create/update clawback expense', {
+        expenseId,
+        role,
+        project,
+        error: error.message
+      });
+      stats.errors++;
+    }
+  }
+
+  return stats;
+}
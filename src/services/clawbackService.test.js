@@ -0,0 +1,100 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { rule, loadTestRules } from '../utils/testing.js';
+import { CLAWBACK_POLICIES, CLAWBACK_ROLES } from '../config/constants.js';
+import {
+  isRefundSale,
+  getRefundCommission,
+  getClawbackAmount,
+  groupRefunds,
+  getClawbacks,
+  isClawbackDeferred,
+  getDeferredClawbacks
+} from './clawbackService.js';
+
+const { FULL, PARTIAL, NONE, DEFERRED } = CLAWBACK_POLICIES;
+
+// Sales reps pay back half from October 2025, setters/callers the month after
+before(() => loadTestRules([
+  rule('clawback.salesRep', { policy: FULL }, '2024-01', '2025-09'),
+  rule('clawback.salesRep', { policy: PARTIAL, share: 0.5 }, '2025-10'),
+  rule('clawback.setterCaller', { policy: DEFERRED }, '2024-01')
+]));
+
+const line = { key: 'recRep1', name: 'Mario Cazacu', category: 'Comisioane' };
+
+test('a sale is a refund when either amount is negative', () => {
+  assert.ok(isRefundSale({ amountWithoutVat: -100, totalAmount: -121 }));
+  assert.ok(isRefundSale({ amountWithoutVat: 0, totalAmount: -121 }));
+  assert.ok(!isRefundSale({ amountWithoutVat: 100, totalAmount: 121 }));
+});
+
+test('prices a refund at the sale\'s own commission, or at the setter/caller rate', () => {
+  assert.equal(getRefundCommission(CLAWBACK_ROLES.SALES_REP, { finalCommission: -120 }, 'Octombrie', 2025), -120);
+  assert.equal(getRefundCommission(CLAWBACK_ROLES.SETTER_CALLER, { setterCallerCommission: -30 }, 'Octombrie', 2025), -30);
+  assert.equal(getRefundCommission(CLAWBACK_ROLES.SETTER_CALLER, { amountWithoutVat: -1000 }, 'Octombrie', 2025), -50);
+  // Before the earliest rule: no rate to price it with
+  assert.throws(
+    () => getRefundCommission(CLAWBACK_ROLES.SETTER_CALLER, { amountWithoutVat: -1000 }, 'Decembrie', 2023),
+    /No "setterCaller.commissionRate" rule in effect for Decembrie 2023/
+  );
+});
+
+test('deducts the commission in the refund month according to the policy', () => {
+  assert.equal(getClawbackAmount(-200, { policy: FULL }), -200);
+  assert.equal(getClawbackAmount(-200, { policy: PARTIAL, share: 0.25 }), -50);
+  assert.equal(getClawbackAmount(-200, { policy: NONE }), 0);
+  assert.equal(getClawbackAmount(-200, { policy: DEFERRED }), 0);
+});
+
+test('groups refunds per project and skips those without a project or commission', () => {
+  const commissions = { recA: -100, recB: -50.5, recC: -30, recD: 0, recE: -10 };
+
+  const groups = groupRefunds(
+    [
+      { id: 'recA', project: 'CODCOM' },
+      { id: 'recB', project: 'CODCOM' },
+      { id: 'recC', project: 'Artok Academy' },
+      { id: 'recD', project: 'Artok Academy' },
+      { id: 'recE', project: '' }
+    ],
+    line,
+    sale => commissions[sale.id]
+  );
+
+  assert.deepEqual(groups, [
+    { ...line, project: 'CODCOM', commission: -150.5, saleIds: ['recA', 'recB'] },
+    { ...line, project: 'Artok Academy', commission: -30, saleIds: ['recC'] }
+  ]);
+});
+
+test('applies the policy in effect for the refund month', () => {
+  const refunds = [
+    { ...line, project: 'CODCOM', commission: -100.5, saleIds: ['recA'] },
+    { ...line, project: 'Artok Academy', commission: -0.004, saleIds: ['recB'] }
+  ];
+
+  const september = getClawbacks(CLAWBACK_ROLES.SALES_REP, refunds, 'Septembrie', 2025);
+  assert.deepEqual(september.map(c => [c.project, c.policy, c.amount]), [['CODCOM', FULL, -100.5]]);
+
+  const october = getClawbacks(CLAWBACK_ROLES.SALES_REP, refunds, 'Octombrie', 2025);
+  assert.deepEqual(october.map(c => [c.project, c.policy, c.amount, c.refundMonth]), [['CODCOM', PARTIAL, -50.25, 'Octombrie']]);
+
+  // No rule for the role: the full commission is deducted
+  const copywriting = getClawbacks(CLAWBACK_ROLES.COPYWRITING, refunds, 'Octombrie', 2025);
+  assert.deepEqual(copywriting.map(c => c.amount), [-100.5]);
+});
+
+test('a deferred policy books the full commission of last month\'s refunds', () => {
+  const refunds = [{ ...line, project: 'CODCOM', commission: -80.456, saleIds: ['recA'] }];
+
+  assert.ok(isClawbackDeferred(CLAWBACK_ROLES.SETTER_CALLER, 'Septembrie', 2025));
+  assert.ok(!isClawbackDeferred(CLAWBACK_ROLES.SALES_REP, 'Septembrie', 2025));
+  assert.deepEqual(getClawbacks(CLAWBACK_ROLES.SETTER_CALLER, refunds, 'Septembrie', 2025), []);
+
+  const [clawback] = getDeferredClawbacks(refunds, 'Septembrie', 2025);
+  assert.deepEqual(
+    [clawback.policy, clawback.amount, clawback.refundMonth, clawback.refundYear],
+    [DEFERRED, -80.46, 'Septembrie', 2025]
+  );
+});
@@ -0,0 +1,738 @@
+/**
+ * Commission Plan Engine
+ * Every commission and fee booked from sales is a plan run by this engine:
+ * sales reps, setters/callers, team leaders, copywriting, Stripe fees and the
+ * plans configured as rules ("commissionPlans.<id>"). A plan declares who earns,
+ * which sales qualify, the base amount, the rate/tier structure and the expense
+ * of each project line; the engine calculates, allocates, books, claws back
+ * refunds and cleans up. A new role paid on its sales is a rule (see below), or
+ * a plan definition when its earners come from elsewhere.
+ *
+ * A plan (see definePlan) declares:
+ * {
+ *   id,                 // "teamLeader"
+ *   label,              // "Team Leader Commissions" - logs
+ *   expenseIdPrefix,    // ID prefix of its expenses (stale cleanup)
+ *   clawbackRole?,      // CLAWBACK_ROLES value: refunds are clawed back per its policy (see clawbackService)
+ *   getMonthYears(),    // Promise<["Octombrie 2025", ...]> months with something to process
+ *   createStats(),      // month stats; numeric ones are summed over the months
+ *   earners(month, year, stats),  // who earns: Promise<[{ key, name, category, sales?, knownAmounts?, ... }]>
+ *   sales?(earner, month, year),  // which sales qualify, refunds included (default earner.sales)
+ *   isRefund?(sale, earner),      // default: a negative amount (see clawbackService)
+ *   base(sale, earner),           // base amount of a sale
+ *   basis(earner, month, year),   // rate/tier structure (below)
+ *   refundCommission?(sale, earner, month, year), // default: the base at the effective rate
+ *   adjust?(calculation, month, year), // amount to book after the plan's own deductions, or null to book nothing
+ *   expense(line, earner, month, year), // { id, legacyId?, name?, description, category }
+ *   onEarner?(calculation, stats),
+ *   afterMonth?(calculations, clawbacks, month, year, stats) // e.g. monthly commission records
+ * }
+ * Earners are keyed by key (clawback IDs) and named by name ("Retur {name}").
+ * Hooks count what only the plan knows (processed, skipped sales) and set
+ * stats.completed: true when the month was processed from actual data; only
+ * then are its stale expenses soft-deleted (see staleExpenseService).
+ *
+ * An earner's commission is declared as a basis:
+ * - { rate }: rate of the base amount of their qualifying sales
+ * - { tiers, tierWindow?, currencyRate?, previousBase? }: progressive tiers (see
+ *   tierService); currencyRate is RON per unit of the tier currency, previousBase
+ *   the earlier base of the tier window in the tier currency
+ * - { amount }: an amount set elsewhere (e.g. "Comision" in Comisioane Lunare);
+ *   one that cannot be booked is a skipped commission
+ * It is allocated to the projects of the qualifying sales in proportion to their
+ * base, and each project line is booked as an expense (see bookPlanExpenses).
+ * knownAmounts ([{ project, amount, saleIds, ... }], e.g. Stripe's actual fees)
+ * are added to the project lines as they are.
+ * Refunds are priced by refundCommission, or at the earner's effective rate
+ * (commission / base, or the rate of the tier reached so far without a base).
+ *
+ * Configured plans: "commissionPlans.<id>" rules
+ * { name, category, base: "amountWithoutVat" | "totalAmount", rate | tiers,
+ *   currency?, tierWindow?, sales?: { utmIdentifiers?, paymentMethods?, projects? } }
+ * pay on the month's verified sales matching every given filter, with the expense ID
+ * plan_{id}_{project}_{month}_{year}. Their refunds are clawed back per the
+ * "clawback.commissionPlan" rule (see clawbackService).
+ */
+import {
+  getAllMonthYearsFromSales,
+  getSalesByMonth,
+  getExpenseByExpenseId,
+  getMonthExpenseByExpenseId,
+  createExpense,
+  updateExpense
+} from './airtableService.js';
+import { ensureRulesLoaded, findRulesByPrefix } from './rulesService.js';
+import { getEurRonRate } from './exchangeRateService.js';
+import { calculateWindowCommission, getMarginalTierRate } from './tierService.js';
+import {
+  isRefundSale,
+  groupRefunds,
+  getClawbacks,
+  isClawbackDeferred,
+  getDeferredClawbacks,
+  getClawbackPrefix,
+  bookClawbackExpenses
+} from './clawbackService.js';
+import { cleanupStaleExpenses } from './staleExpenseService.js';
+import {
+  FIELDS,
+  VAT_INCLUDED,
+  SOURCE,
+  EXPENSE_ID_PREFIXES,
+  CLAWBACK_ROLES,
+  TIER_WINDOWS,
+  formatMonthYear,
+  parseMonthYear,
+  getPreviousMonth,
+  getTierWindowPreviousMonths
+} from '../config/constants.js';
+import { isValidExpenseAmount, isValidProject } from '../utils/validators.js';
+import { logger } from '../utils/logger.js';
+
+const round = amount => Math.round(amount * 100) / 100;
+
+// Stats that hold money and are rounded when summed
+const ROUNDED_STATS = ['clawbackTotal', 'totalCommission'];
+
+/**
+ * Run a plan for every month it has (or one month)
+ * @param {Object} plan - See the module doc
+ * @param {string} targetMonthYear - Optional. Format: "Luna YYYY" (e.g., "Octombrie 2025"). If provided, only processes that month.
+ * @returns {Promise<Object>} Summed month stats, with stale / staleExpenses
+ */
+export async function runCommissionPlan(plan, targetMonthYear = null) {
+  if (targetMonthYear) {
+    logger.info(`=== Processing ${plan.label} for: ${targetMonthYear} ===`);
+  } else {
+    logger.info(`=== Processing ${plan.label} for ALL months ===`);
+  }
+
+  try {
+    await ensureRulesLoaded();
+
+    let monthYears = await plan.getMonthYears();
+
+    // If targetMonthYear is provided, filter to only that month
+    if (targetMonthYear) {
+      monthYears = monthYears.filter(my => my === targetMonthYear);
+      logger.info(`Filtered to single month-year: ${targetMonthYear}`);
+    }
+
+    const totalStats = { ...plan.createStats(), stale: 0, staleExpenses: [] };
+
+    if (monthYears.length === 0) {
+      logger.info(`No months to process for ${plan.label}`, { targetMonthYear });
+      return totalStats;
+    }
+
+    logger.info(`Processing ${plan.label} for ${monthYears.length} month-years: ${monthYears.join(', ')}`);
+
+    for (const monthYear of monthYears) {
+      logger.info(`\n========== Processing ${plan.label} for: ${monthYear} ==========`);
+      const { month, year } = parseMonthYear(monthYear);
+      const producedExpenseIds = new Set();
+      const result = await plan.processMonth(month, year, producedExpenseIds);
+
+      for (const [key, value] of Object.entries(totalStats)) {
+        if (typeof value !== 'number' || key === 'stale') continue;
+        totalStats[key] = ROUNDED_STATS.includes(key)
+          ? round(value + (result[key] || 0))
+          : value + (result[key] || 0);
+      }
+
+      // Expenses of this month no longer generated (e.g. commission dropped to zero)
+      for (const prefix of plan.expenseIdPrefixes) {
+        totalStats.staleExpenses.push(...await cleanupStaleExpenses({
+          prefix,
+          month,
+          year,
+          producedExpenseIds,
+          hadErrors: result.errors > 0,
+          completed: result.completed === true
+        }));
+      }
+      totalStats.stale = totalStats.staleExpenses.length;
+    }
+
+    logger.info(`Completed ${plan.label} processing`, { targetMonthYear, ...totalStats });
+    return totalStats;
+  } catch (error) {
+    logger.error(`Failed to process ${plan.label}`, {
+      error: error.message,
+      stack: error.stack,
+      targetMonthYear
+    });
+    throw error;
+  }
+}
+
+/**
+ * A plan declared as who earns, which sales qualify, base, basis and expenses
+ * @param {Object} definition - See the module doc
+ * @returns {Object} Plan to run with runCommissionPlan
+ */
+export function definePlan(definition) {
+  return {
+    ...definition,
+    expenseIdPrefixes: [
+      definition.expenseIdPrefix,
+      ...(definition.clawbackRole ? [getClawbackPrefix(definition.clawbackRole)] : [])
+    ],
+    processMonth: (month, year, producedExpenseIds) => processPlanMonth(definition, month, year, producedExpenseIds)
+  };
+}
+
+/**
+ * Process a declared plan for a month: each earner's project lines, then the
+ * clawbacks of the month (this month's refunds, and last month's when deferred)
+ * @param {Set<string>} producedExpenseIds - Collects the expense IDs generated for the month
+ * @returns {Promise<Object>} Month stats
+ */
+async function processPlanMonth(plan, month, year, producedExpenseIds) {
+  logger.info(`Processing ${plan.label} for month`, { month, year });
+
+  const stats = plan.createStats();
+  const calculations = [];
+  const clawbacks = [];
+
+  try {
+    const earners = await plan.earners(month, year, stats);
+
+    if (earners.length === 0) {
+      logger.info(`No ${plan.label} earners for month`, { month, year });
+    }
+
+    for (const [index, earner] of earners.entries()) {
+      logger.info(`[${index + 1}/${earners.length}] Processing ${plan.label}: ${earner.name}`, { key: earner.key });
+
+      try {
+        const calculation = await processEarner(plan, earner, month, year, stats, producedExpenseIds);
+        if (!calculation) continue;
+
+        clawbacks.push(...calculation.clawbacks);
+        calculations.push(calculation);
+        plan.onEarner?.(calculation, stats);
+      } catch (error) {
+        logger.error(`Failed to process ${plan.label}: ${earner.name}`, {
+          key: earner.key,
+          month,
+          year,
+          error: error.message,
+          stack: error.stack
+        });
+        stats.errors++;
+      }
+    }
+
+    if (plan.clawbackRole) {
+      clawbacks.push(...await getPlanDeferredClawbacks(plan, month, year, stats));
+
+      const clawbackResult = await bookClawbackExpenses({
+        role: plan.clawbackRole,
+        clawbacks,
+        month,
+        year,
+        producedExpenseIds
+      });
+      stats.created += clawbackResult.created;
+      stats.updated += clawbackResult.updated;
+      stats.errors += clawbackResult.errors;
+      stats.clawbacks = clawbackResult.clawbacks;
+      stats.clawbackTotal = clawbackResult.clawbackTotal;
+    }
+
+    await plan.afterMonth?.(calculations, clawbacks, month, year, stats);
+
+    logger.info(`Completed ${plan.label} for month`, { month, year, ...stats });
+    return stats;
+  } catch (error) {
+    logger.error(`${plan.label} processing failed`, {
+      month,
+      year,
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
+
+/**
+ * Calculate and book one earner's project lines for a month
+ * @returns {Promise<Object|null>} Calculation (see calculateEarner) with the booked
+ *   lines and the month's clawbacks, or null when the plan books nothing for the earner
+ */
+async function processEarner(plan, earner, month, year, stats, producedExpenseIds) {
+  const calculation = await calculateEarner(plan, earner, month, year);
+  calculation.clawbacks = plan.clawbackRole
+    ? getClawbacks(plan.clawbackRole, calculation.refunds, month, year)
+    : [];
+
+  if (plan.adjust) {
+    const amount = await plan.adjust(calculation, month, year);
+    if (amount === null) {
+      stats.skipped++;
+      return null;
+    }
+    calculation.commission = amount;
+  }
+
+  let lines = calculation.lines;
+  if ('amount' in calculation.basis) {
+    if (lines.length === 0 || !isValidExpenseAmount(calculation.commission)) {
+      logger.warn(`${plan.label}: nothing to book for ${earner.name}, skipping`, {
+        key: earner.key,
+        commission: calculation.commission,
+        projects: lines.length
+      });
+      stats.skipped++;
+      lines = [];
+    } else if (plan.adjust) {
+      lines = allocateToProjects(calculation.commission, lines);
+    }
+  }
+  calculation.lines = addKnownAmounts(lines, earner.knownAmounts || []);
+
+  const result = await bookPlanExpenses({
+    label: plan.label,
+    lines: calculation.lines,
+    expense: line => plan.expense(line, earner, month, year),
+    month,
+    year,
+    producedExpenseIds
+  });
+  stats.created += result.created;
+  stats.updated += result.updated;
+  stats.skipped += result.skipped;
+  stats.errors += result.errors;
+
+  return calculation;
+}
+
+/**
+ * An earner's commission for a month, with their refunds
+ * @returns {Promise<Object>} { earner, basis, sales: qualifying sales without refunds,
+ *   refundSales, base, commission, lines (see calculatePlanLines), refunds (see groupRefunds) }
+ */
+async function calculateEarner(plan, earner, month, year) {
+  const qualifying = plan.sales ? await plan.sales(earner, month, year) : earner.sales;
+  const isRefund = sale => (plan.isRefund ? plan.isRefund(sale, earner) : isRefundSale(sale));
+  const base = sale => plan.base(sale, earner);
+
+  const sales = qualifying.filter(sale => !isRefund(sale));
+  const refundSales = qualifying.filter(isRefund);
+  const basis = await plan.basis(earner, month, year);
+  const calculation = calculatePlanLines(basis, sales, base, { previousBase: basis.previousBase });
+
+  const effectiveRate = getEffectiveRate(basis, calculation);
+  const refunds = plan.clawbackRole
+    ? groupRefunds(
+      refundSales,
+      { key: earner.key, name: earner.name, category: earner.category, earner },
+      sale => (plan.refundCommission
+        ? plan.refundCommission(sale, earner, month, year)
+        : base(sale) * effectiveRate)
+    )
+    : [];
+
+  return { earner, basis, sales, refundSales, ...calculation, refunds };
+}
+
+/**
+ * Commission per unit of base: commission / base, or without a base the rate,
+ * or the rate of the tier reached so far
+ */
+function getEffectiveRate(basis, { base, commission }) {
+  if (base > 0) return commission / base;
+  if (basis.tiers) return getMarginalTierRate(basis.previousBase || 0, basis.tiers);
+  return basis.rate || 0;
+}
+
+/**
+ * Last month's refunds of a plan whose clawback is deferred to this month
+ */
+async function getPlanDeferredClawbacks(plan, month, year, stats) {
+  const previous = getPreviousMonth(month, year);
+
+  if (!isClawbackDeferred(plan.clawbackRole, previous.month, previous.year)) {
+    return [];
+  }
+
+  try {
+    // Last month's sales were counted when last month was processed
+    const earners = await plan.earners(previous.month, previous.year, plan.createStats());
+    const clawbacks = [];
+    for (const earner of earners) {
+      const { refunds } = await calculateEarner(plan, earner, previous.month, previous.year);
+      clawbacks.push(...getDeferredClawbacks(refunds, previous.month, previous.year));
+    }
+    return clawbacks;
+  } catch (error) {
+    logger.error(`Failed to get deferred ${plan.label} clawbacks`, {
+      month,
+      year,
+      error: error.message
+    });
+    stats.errors++;
+    return [];
+  }
+}
+
+/**
+ * Group qualifying sales by project
+ * Sales without a project or with no positive base are left out.
+ * @param {Array<Object>} sales - Sales with a project field
+ * @param {Function} base - sale => base amount
+ * @returns {Array<Object>} [{ project, base, salesCount, saleIds }]
+ */
+export function groupSalesByProject(sales, base) {
+  const groups = {};
+
+  for (const sale of sales) {
+    const amount = base(sale) || 0;
+
+    if (!isValidProject(sale.project)) {
+      logger.debug('Sale missing project, skipping', { saleId: sale.id });
+      continue;
+    }
+
+    if (amount <= 0) {
+      logger.debug('Sale base is zero or invalid, skipping', { saleId: sale.id, amount });
+      continue;
+    }
+
+    if (!groups[sale.project]) {
+      groups[sale.project] = { project: sale.project, base: 0, salesCount: 0, saleIds: [] };
+    }
+
+    groups[sale.project].base += amount;
+    groups[sale.project].salesCount++;
+    groups[sale.project].saleIds.push(sale.id);
+  }
+
+  return Object.values(groups);
+}
+
+/**
+ * Commission on a base amount
+ * @param {Object} basis - { rate } | { tiers, tierWindow?, currencyRate? } | { amount }
+ * @param {number} base - Base amount (RON)
+ * @param {Object} options - { previousBase }: earlier base of the tier window, in the tier currency
+ * @returns {number} Commission (RON)
+ */
+export function calculateCommission(basis, base, { previousBase = 0 } = {}) {
+  if ('amount' in basis) {
+    return basis.amount;
+  }
+
+  if (basis.tiers) {
+    const currencyRate = basis.currencyRate || 1;
+    const { commission } = calculateWindowCommission(base / currencyRate, basis.tiers, {
+      window: basis.tierWindow,
+      previousSales: previousBase
+    });
+    return commission * currencyRate;
+  }
+
+  return base * basis.rate;
+}
+
+/**
+ * Allocate a commission to project groups in proportion to their base
+ * @returns {Array<Object>} Groups with share and amount (not rounded)
+ */
+export function allocateToProjects(commission, groups) {
+  const totalBase = groups.reduce((sum, group) => sum + group.base, 0);
+
+  return groups.map(group => {
+    const share = totalBase > 0 ? group.base / totalBase : 0;
+    return { ...group, share, amount: commission * share };
+  });
+}
+
+/**
+ * An earner's commission on their sales, by project
+ * @param {Object} basis - See calculateCommission
+ * @param {Array<Object>} sales - The earner's sales
+ * @param {Function} base - sale => base amount
+ * @param {Object} options - { previousBase }
+ * @returns {Object} { base, commission, lines: [{ project, base, salesCount, saleIds, share, amount }] }
+ */
+export function calculatePlanLines(basis, sales, base, options = {}) {
+  const groups = groupSalesByProject(sales, base);
+  const totalBase = groups.reduce((sum, group) => sum + group.base, 0);
+
+  if (groups.length === 0) {
+    return { base: 0, commission: 0, lines: [] };
+  }
+
+  const commission = calculateCommission(basis, totalBase, options);
+  return { base: totalBase, commission, lines: allocateToProjects(commission, groups) };
+}
+
+/**
+ * Add amounts known per project (not calculated from a basis) to the project lines
+ * Known amounts come first; a line of the same project takes its amount and sales.
+ * @param {Array<Object>} lines - From calculatePlanLines
+ * @param {Array<Object>} knownAmounts - [{ project, amount, saleIds, ...extra }]
+ * @returns {Array<Object>} Lines with knownAmount (the known part of amount)
+ */
+export function addKnownAmounts(lines, knownAmounts) {
+  const merged = knownAmounts.map(known => ({ base: 0, salesCount: 0, ...known, knownAmount: known.amount }));
+
+  for (const line of lines) {
+    const existing = merged.find(known => known.project === line.project);
+    if (!existing) {
+      merged.push({ ...line, knownAmount: 0 });
+      continue;
+    }
+
+    Object.assign(existing, {
+      base: line.base,
+      salesCount: line.salesCount,
+      share: line.share,
+      amount: existing.amount + line.amount,
+      saleIds: [...new Set([...existing.saleIds, ...line.saleIds])]
+    });
+  }
+
+  return merged;
+}
+
+/**
+ * Create or update an automatic expense by its expense ID
+ * @param {Object} expense - { expenseId, legacyExpenseId?, year, fields }; with a legacy ID,
+ *   a record of the same year under it is moved to the new ID (see getMonthExpenseByExpenseId)
+ * @returns {Promise<Object>} { action: "created" | "updated", previousAmount }
+ */
+export async function upsertExpense({ expenseId, legacyExpenseId = null, year, fields }) {
+  const existingExpense = legacyExpenseId
+    ? await getMonthExpenseByExpenseId(expenseId, legacyExpenseId, year)
+    : await getExpenseByExpenseId(expenseId);
+
+  if (existingExpense) {
+    await updateExpense(existingExpense.id, { fields });
+    return { action: 'updated', previousAmount: existingExpense.amount };
+  }
+
+  await createExpense({ fields });
+  return { action: 'created', previousAmount: null };
+}
+
+/**
+ * Book project lines as expenses (one per line)
+ * Amounts are rounded to cents; lines without a positive amount are skipped.
+ * @param {Object} options - { label, lines, expense, month, year, producedExpenseIds }
+ *   expense(line) => { id, legacyId?, name?, description, category }
+ * @returns {Promise<Object>} { created, updated, skipped, errors }
+ */
+export async function bookPlanExpenses({ label, lines, expense, month, year, producedExpenseIds }) {
+  const result = { created: 0, updated: 0, skipped: 0, errors: 0 };
+
+  for (const line of lines) {
+    const amount = round(line.amount);
+    const { id: expenseId, legacyId, name, description, category } = expense(line);
+
+    if (!isValidExpenseAmount(amount)) {
+      logger.warn(`Invalid ${label} amount, skipping`, { expenseId, project: line.project, amount });
+      result.skipped++;
+      continue;
+    }
+
+    producedExpenseIds.add(expenseId);
+
+    const fields = {
+      // Cheltuiala is set to prevent empty P&L records
+      ...(name ? { [FIELDS.EXPENSE_NAME]: name } : {}),
+      [FIELDS.EXPENSE_DESCRIPTION]: description,
+      [FIELDS.EXPENSE_PROJECT]: line.project,
+      [FIELDS.EXPENSE_CATEGORY]: category,
+      [FIELDS.EXPENSE_AMOUNT]: amount,
+      [FIELDS.EXPENSE_VAT_INCLUDED]: VAT_INCLUDED.NO,
+      [FIELDS.EXPENSE_MONTH]: month,
+      [FIELDS.EXPENSE_YEAR]: year,
+      [FIELDS.EXPENSE_SOURCE]: SOURCE.AUTOMATIC,
+      [FIELDS.EXPENSE_ID]: expenseId,
+      [FIELDS.EXPENSE_ASSOCIATED_SALES]: line.saleIds
+    };
+
+    try {
+      const { action, previousAmount } = await upsertExpense({
+        expenseId,
+        legacyExpenseId: legacyId,
+        year,
+        fields
+      });
+      result[action]++;
+
+      logger.info(`✅ ${action === 'created' ? 'Created' : 'Updated'} ${label} expense`, {
+        expenseId,
+        project: line.project,
+        category,
+        ...(action === 'updated' ? { oldAmount: previousAmount } : {}),
+        amount,
+        share: line.share !== undefined ? `${(line.share * 100).toFixed(2)}%` : undefined,
+        salesCount: line.salesCount
+      });
+    } catch (error) {
+      logger.error(`Failed to create/update ${label} expense`, {
+        expenseId,
+        project: line.project,
+        error: error.message
+      });
+      result.errors++;
+    }
+  }
+
+  return result;
+}
+
+// Configured plan keys: "commissionPlans.<id>"
+const COMMISSION_PLAN_PREFIX = 'commissionPlans.';
+
+/**
+ * Plans configured as rules, in effect for a month
+ * @returns {Array<Object>} [{ id, name, category, base, rate | tiers, currency, tierWindow, sales }]
+ */
+export function getConfiguredPlans(month, year) {
+  return findRulesByPrefix(COMMISSION_PLAN_PREFIX, month, year).map(({ key, value }) => ({
+    ...value,
+    id: key.slice(COMMISSION_PLAN_PREFIX.length),
+    currency: value.currency || 'RON',
+    tierWindow: value.tierWindow || TIER_WINDOWS.MONTHLY,
+    sales: value.sales || {}
+  }));
+}
+
+/**
+ * Lowercase without diacritics, for matching sale fields
+ */
+function normalizeText(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Does a sale qualify for a configured plan (every given filter matches)
+ * - utmIdentifiers: the Utm Campaign is or contains one of them
+ * - paymentMethods: the payment method contains one of them
+ * - projects: the sale's project is one of them
+ */
+function qualifiesForPlan(sale, { sales: filters }) {
+  const contains = (value, candidates) =>
+    candidates.some(candidate => normalizeText(value).includes(normalizeText(candidate)));
+
+  if (filters.utmIdentifiers && !contains(sale.utmCampaign, filters.utmIdentifiers)) return false;
+  if (filters.paymentMethods && !contains(sale.paymentMethod, filters.paymentMethods)) return false;
+  if (filters.projects && !filters.projects.includes(sale.project)) return false;
+  return true;
+}
+
+/**
+ * RON per unit of a configured plan's tier currency for a month
+ */
+async function getPlanCurrencyRate(plan, month, year) {
+  return plan.currency === 'EUR' ? (await getEurRonRate(month, year)).rate : 1;
+}
+
+/**
+ * Base of a configured plan's earlier months in its tier window, in the tier currency
+ */
+async function getPreviousPlanBase(plan, month, year) {
+  if (!plan.tiers || plan.tierWindow === TIER_WINDOWS.MONTHLY) return 0;
+
+  let previousBase = 0;
+  for (const previous of getTierWindowPreviousMonths(month, year, plan.tierWindow)) {
+    const sales = (await getSalesByMonth(formatMonthYear(previous.month, previous.year)))
+      .filter(sale => qualifiesForPlan(sale, plan));
+    const monthBase = groupSalesByProject(sales, sale => sale[plan.base])
+      .reduce((sum, group) => sum + group.base, 0);
+    previousBase += monthBase / await getPlanCurrencyRate(plan, previous.month, previous.year);
+  }
+  return previousBase;
+}
+
+/**
+ * Configured plans in effect for a month, each with its qualifying verified sales
+ */
+async function getConfiguredPlanEarners(month, year, stats) {
+  const plans = getConfiguredPlans(month, year);
+
+  // Plans are our own rules and the sales come from Vânzări: a plan removed,
+  // expired or without qualifying sales no longer has lines for the month
+  stats.completed = true;
+
+  if (plans.length === 0) return [];
+
+  const sales = await getSalesByMonth(formatMonthYear(month, year));
+  return plans.map(plan => ({
+    key: plan.id,
+    name: plan.name,
+    category: plan.category,
+    plan,
+    sales: sales.filter(sale => qualifiesForPlan(sale, plan))
+  }));
+}
+
+function createConfiguredPlanStats() {
+  return {
+    processed: 0,
+    created: 0,
+    updated: 0,
+    skipped: 0,
+    errors: 0,
+    plans: 0,
+    totalCommission: 0,
+    clawbacks: 0,
+    clawbackTotal: 0
+  };
+}
+
+// Plans configured as "commissionPlans.<id>" rules
+const configuredPlans = definePlan({
+  id: 'configured',
+  label: 'Commission Plans',
+  expenseIdPrefix: EXPENSE_ID_PREFIXES.PLAN,
+  clawbackRole: CLAWBACK_ROLES.COMMISSION_PLAN,
+  getMonthYears: getAllMonthYearsFromSales,
+  createStats: createConfiguredPlanStats,
+  earners: getConfiguredPlanEarners,
+  isRefund: (sale, { plan }) => sale[plan.base] < 0,
+  base: (sale, { plan }) => sale[plan.base],
+  basis: async ({ plan }, month, year) => (plan.tiers
+    ? {
+      tiers: plan.tiers,
+      tierWindow: plan.tierWindow,
+      currencyRate: await getPlanCurrencyRate(plan, month, year),
+      previousBase: await getPreviousPlanBase(plan, month, year)
+    }
+    : { rate: plan.rate }),
+  expense: (line, { plan }, month, year) => ({
+    id: `${EXPENSE_ID_PREFIXES.PLAN}${plan.id}_${line.project}_${month}_${year}`.replace(/\s+/g, '_'),
+    name: plan.name,
+    description: `Comision ${plan.name}`,
+    category: plan.category
+  }),
+  onEarner: ({ earner, sales, refundSales, base, commission, lines }, stats) => {
+    logger.info(`Commission plan ${earner.key}: ${earner.name}`, {
+      sales: sales.length + refundSales.length,
+      refunds: refundSales.length,
+      base: base.toFixed(2),
+      commission: commission.toFixed(2),
+      projects: lines.length
+    });
+    stats.processed += sales.length + refundSales.length;
+    stats.plans++;
+    stats.totalCommission = round(stats.totalCommission + commission);
+  }
+});
+
+/**
+ * Process the plans configured as rules ("commissionPlans.<id>")
+ * @param {string} targetMonthYear - Optional. Format: "Luna YYYY". If provided, only processes that month.
+ */
+export async function processCommissionPlans(targetMonthYear = null) {
+  return runCommissionPlan(configuredPlans, targetMonthYear);
+}
@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rule, loadTestRules, createTestStore, runWithStore, getExpensesById } from '../utils/testing.js';
+import { TABLES, FIELDS, SALE_VERIFIED_STATUSES, CLAWBACK_ROLES, CLAWBACK_POLICIES, formatMonthYear } from '../config/constants.js';
+import { getSalesByMonth } from './airtableService.js';
+import {
+  calculatePlanLines,
+  addKnownAmounts,
+  definePlan,
+  runCommissionPlan,
+  processCommissionPlans
+} from './commissionPlanService.js';
+
+const affiliate = { name: 'Afiliat Ion', category: 'Salarii', base: 'amountWithoutVat', rate: 0.1, sales: { utmIdentifiers: ['ionpopescu'] } };
+
+const sale = (project, amount, utmCampaign, verified = SALE_VERIFIED_STATUSES[0]) => ({
+  [FIELDS.SALE_MONTH]: 'Octombrie 2025',
+  [FIELDS.VERIFICAT]: verified,
+  [FIELDS.PROJECT]: project,
+  [FIELDS.AMOUNT_WITHOUT_VAT]: amount,
+  [FIELDS.UTM_CAMPAIGN]: utmCampaign
+});
+
+function createStore() {
+  return createTestStore({
+    [TABLES.SALES]: [
+      sale('CODCOM', 1000, 'IonPopescu-oct'),
+      sale('Artok Academy', 500, 'ionpopescu'),
+      sale('CODCOM', 2000, 'other'),
+      sale('CODCOM', 700, 'ionpopescu', 'Neverificat')
+    ]
+  });
+}
+
+const planIds = ['plan_affiliate_CODCOM_Octombrie_2025', 'plan_affiliate_Artok_Academy_Octombrie_2025'];
+
+test('allocates a commission to projects in proportion to their base', () => {
+  const sales = [
+    { id: 'recA', project: 'CODCOM', amount: 300 },
+    { id: 'recB', project: 'Artok Academy', amount: 100 },
+    { id: 'recC', project: 'CODCOM', amount: 0 },
+    { id: 'recD', project: null, amount: 50 }
+  ];
+
+  const { base, commission, lines } = calculatePlanLines({ amount: 80 }, sales, s => s.amount);
+
+  assert.equal(base, 400);
+  assert.equal(commission, 80);
+  assert.deepEqual(lines.map(l => [l.project, l.saleIds, l.amount]), [['CODCOM', ['recA'], 60], ['Artok Academy', ['recB'], 20]]);
+});
+
+test('known amounts come first and take the calculated line of their project', () => {
+  const lines = [
+    { project: 'CODCOM', base: 200, salesCount: 1, saleIds: ['recB'], share: 0.5, amount: 4 },
+    { project: 'Artok Academy', base: 200, salesCount: 1, saleIds: ['recC'], share: 0.5, amount: 4 }
+  ];
+
+  const merged = addKnownAmounts(lines, [{ project: 'CODCOM', amount: 3.5, saleIds: ['recA', 'recB'], charges: 1 }]);
+
+  assert.deepEqual(
+    merged.map(l => [l.project, l.amount, l.knownAmount, l.salesCount, l.saleIds, l.charges]),
+    [['CODCOM', 7.5, 3.5, 1, ['recA', 'recB'], 1], ['Artok Academy', 4, 0, 1, ['recC'], undefined]]
+  );
+});
+
+test('a declared plan books each earner\'s project lines and claws back a deferred refund the next month', async () => {
+  await loadTestRules([rule('clawback.commissionPlan', { policy: CLAWBACK_POLICIES.DEFERRED }, '2025-01')]);
+  const store = await createTestStore({
+    [TABLES.SALES]: [
+      sale('CODCOM', 1000, 'ionpopescu'),
+      sale('Artok Academy', 500, 'ionpopescu'),
+      sale('CODCOM', -300, 'ionpopescu')
+    ]
+  });
+  const plan = definePlan({
+    id: 'affiliates',
+    label: 'Affiliates',
+    expenseIdPrefix: 'affiliate_',
+    clawbackRole: CLAWBACK_ROLES.COMMISSION_PLAN,
+    getMonthYears: async () => ['Octombrie 2025', 'Noiembrie 2025'],
+    createStats: () => ({ created: 0, updated: 0, skipped: 0, errors: 0, clawbacks: 0, clawbackTotal: 0 }),
+    earners: async (month, year) => [
+      { key: 'ion', name: 'Afiliat Ion', category: 'Salarii', sales: await getSalesByMonth(formatMonthYear(month, year)) }
+    ],
+    base: sale => sale.amountWithoutVat,
+    basis: () => ({ rate: 0.1 }),
+    expense: (line, earner, month, year) => ({
+      id: `affiliate_${earner.key}_${line.project}_${month}_${year}`,
+      description: earner.name,
+      category: earner.category
+    })
+  });
+
+  const stats = await runWithStore(store, () => runCommissionPlan(plan));
+
+  const expenses = await getExpensesById(store);
+  const clawback = expenses['clawback_commissionPlan_ion_CODCOM_Octombrie_2025'];
+  assert.deepEqual([stats.created, stats.clawbacks, stats.clawbackTotal], [3, 1, -30]);
+  assert.deepEqual(
+    ['affiliate_ion_CODCOM_Octombrie_2025', 'affiliate_ion_Artok Academy_Octombrie_2025'].map(id => expenses[id].get(FIELDS.EXPENSE_AMOUNT)),
+    [100, 50]
+  );
+  assert.deepEqual([clawback.get(FIELDS.EXPENSE_AMOUNT), clawback.get(FIELDS.EXPENSE_MONTH)], [-30, 'Noiembrie']);
+});
+
+test('a configured plan pays its rate on the qualifying verified sales, per project', async () => {
+  await loadTestRules([rule('commissionPlans.affiliate', affiliate, '2025-01')]);
+  const store = await createStore();
+
+  const stats = await runWithStore(store, () => processCommissionPlans('Octombrie 2025'));
+
+  const expenses = await getExpensesById(store);
+  assert.deepEqual([stats.plans, stats.processed, stats.created, stats.totalCommission], [1, 2, 2, 150]);
+  assert.deepEqual(planIds.map(id => expenses[id].get(FIELDS.EXPENSE_AMOUNT)), [100, 50]);
+});
+
+test('the rows of a plan no longer in effect are soft-deleted', async () => {
+  await loadTestRules([rule('commissionPlans.affiliate', affiliate, '2025-01')]);
+  const store = await createStore();
+  await runWithStore(store, () => processCommissionPlans('Octombrie 2025'));
+
+  await loadTestRules([rule('commissionPlans.affiliate', affiliate, '2025-01', '2025-09')]);
+  const stats = await runWithStore(store, () => processCommissionPlans('Octombrie 2025'));
+
+  const expenses = await getExpensesById(store);
+  assert.equal(stats.plans, 0);
+  assert.deepEqual(stats.staleExpenses.map(entry => [entry.expenseId, entry.action]), planIds.map(id => [id, 'soft-delete']));
+  assert.ok(planIds.every(id => expenses[id].get(FIELDS.EXPENSE_CANCELLED)));
+});
@@ -2,13 +2,18 @@
  * Copywriting Commission Processing
  * 
  * Processes commissions for copywriters based on Utm Campaign in sales records.
- * Currently handles Diana Nastase with a flat 5% commission rate.
+ * Copywriters come from the registry rules in effect for the month being processed
+ * ("copywriters.<id>": { name, utmIdentifiers, tiers, currency, tierWindow?, category? }),
+ * so each has their own tiers and starts/stops with the rule's effective dates.
+ * EUR tier thresholds are converted at each month's EUR/RON rate (see exchangeRateService).
+ * The tier base is the month's sales, or quarter-/year-to-date sales with a
+ * quarterly/annual tierWindow (see tierService); the commission is allocated to
+ * projects by sales (a commission plan, see commissionPlanService).
+ * Refunds (negative amounts) are clawed back as separate lines per the
+ * "clawback.copywriting" rule (see clawbackService).
  */
 import {
   getSalesByUtmCampaign,
-  getExpenseByExpenseId,
-  createExpense,
-  updateExpense,
   getRepresentativeByExactName,
   getMonthlyCommissionByRepAndMonth,
   createMonthlyCommission,
@@ -17,19 +22,21 @@ import {
 } from './airtableService.js';
 import {
   FIELDS,
-  EXPENSE_CATEGORIES,
-  VAT_INCLUDED,
-  SOURCE,
   COPYWRITING,
-  getCurrentRomanianMonth,
-  getCurrentYear
+  EXPENSE_ID_PREFIXES,
+  CLAWBACK_ROLES,
+  formatMonthYear,
+  getTierWindowPreviousMonths,
+  TIER_WINDOWS
 } from '../config/constants.js';
-import {
-  isValidExpenseAmount,
-  isValidProject
-} from '../utils/validators.js';
+import { findRulesByPrefix } from './rulesService.js';
+import { getEurRonRate } from './exchangeRateService.js';
+import { definePlan, runCommissionPlan } from './commissionPlanService.js';
 import { logger } from '../utils/logger.js';
 
+// Copywriter registry keys: "copywriters.<id>"
+const COPYWRITER_PREFIX = 'copywriters.';
+
 /**
  * Normalize string for name matching
  * Removes spaces, diacritics, converts to lowercase
@@ -49,19 +56,57 @@ function normalizeString(str) {
 }
 
 /**
- * Check if a sale belongs to Diana Nastase based on Utm Campaign
+ * Check if a sale belongs to the copywriter based on Utm Campaign
  * @param {string} utmCampaign - The Utm Campaign value from the sale
- * @returns {boolean} True if this is Diana's sale
+ * @param {string} utmIdentifier - The copywriter's Utm identifier
+ * @returns {boolean} True if this is the copywriter's sale
  */
-function isDianaNastaseSale(utmCampaign) {
+function isCopywriterSale(utmCampaign, utmIdentifier) {
   if (!utmCampaign) return false;
   
   const normalized = normalizeString(utmCampaign);
-  const target = normalizeString(COPYWRITING.copywriter.utmIdentifier);
+  const target = normalizeString(utmIdentifier);
   
   return normalized === target || normalized.includes(target);
 }
 
+/**
+ * Copywriters in effect for a month
+ * @returns {Array<Object>} [{ id, name, utmIdentifiers, tiers, currency, tierWindow, category }]
+ */
+export function getCopywriters(month, year) {
+  return findRulesByPrefix(COPYWRITER_PREFIX, month, year).map(({ key, value }) => ({
+    ...value,
+    id: key.slice(COPYWRITER_PREFIX.length),
+    tierWindow: value.tierWindow || TIER_WINDOWS.MONTHLY,
+    category: value.category || COPYWRITING.category
+  }));
+}
+
+/**
+ * Copywriter a sale belongs to, by Utm Campaign
+ * When the identifiers of several copywriters match, the longest (most specific) one wins.
+ * @returns {Object|null} Copywriter
+ */
+function findSaleCopywriter(utmCampaign, copywriters) {
+  const matches = copywriters
+    .flatMap(copywriter => copywriter.utmIdentifiers
+      .filter(identifier => isCopywriterSale(utmCampaign, identifier))
+      .map(identifier => ({ copywriter, length: normalizeString(identifier).length })))
+    .sort((a, b) => b.length - a.length);
+  
+  const candidates = new Set(matches.map(match => match.copywriter.name));
+  if (candidates.size > 1) {
+    logger.warn('⚠️  Utm Campaign matches several copywriters, using the most specific identifier', {
+      utmCampaign,
+      copywriters: [...candidates],
+      assignedTo: matches[0].copywriter.name
+    });
+  }
+  
+  return matches[0]?.copywriter || null;
+}
+
 /**
  * Format number with thousands separator
  * @param {number} num - Number to format
@@ -72,389 +117,304 @@ function formatNumberWithCommas(num) {
 }
 
 /**
- * Calculate progressive commission based on tiered rates
- * @param {number} totalSalesRON - Total sales value in RON
- * @returns {number} Total commission in RON
+ * Month stats of the copywriting commissions
  */
-function calculateProgressiveCommission(totalSalesRON) {
-  // Convert RON to EUR for threshold checking
-  const totalSalesEUR = totalSalesRON / COPYWRITING.eurRonRate;
-  
-  logger.debug('Calculating progressive commission', {
-    totalSalesRON,
-    totalSalesEUR,
-    eurRonRate: COPYWRITING.eurRonRate
-  });
-  
-  let totalCommission = 0;
-  let remainingAmount = totalSalesEUR;
-  let previousThreshold = 0;
-  
-  for (const tier of COPYWRITING.tiers) {
-    const tierMax = tier.max;
-    const tierRate = tier.rate;
-    
-    if (remainingAmount <= 0) break;
-    
-    // Calculate amount in this tier
-    const tierAmount = Math.min(remainingAmount, tierMax - previousThreshold);
-    
-    if (tierAmount > 0) {
-      // Commission for this tier (in EUR)
-      const tierCommissionEUR = tierAmount * tierRate;
-      
-      logger.debug('Tier calculation', {
-        tierMax,
-        tierRate: `${(tierRate * 100).toFixed(1)}%`,
-        tierAmountEUR: tierAmount.toFixed(2),
-        tierCommissionEUR: tierCommissionEUR.toFixed(2)
-      });
-      
-      totalCommission += tierCommissionEUR;
-      remainingAmount -= tierAmount;
-    }
-    
-    previousThreshold = tierMax;
-  }
-  
-  // Convert commission back to RON
-  const totalCommissionRON = totalCommission * COPYWRITING.eurRonRate;
-  
-  logger.info('Progressive commission calculated', {
-    totalSalesEUR: totalSalesEUR.toFixed(2),
-    totalCommissionEUR: totalCommission.toFixed(2),
-    totalCommissionRON: totalCommissionRON.toFixed(2),
-    effectiveRate: `${((totalCommission / totalSalesEUR) * 100).toFixed(2)}%`
-  });
-  
-  return totalCommissionRON;
+function createCopywritingStats() {
+  return {
+    processed: 0,
+    created: 0,
+    updated: 0,
+    skipped: 0,
+    errors: 0,
+    totalCommission: 0,
+    totalSalesValue: 0,
+    copywriters: 0,
+    clawbacks: 0,
+    clawbackTotal: 0
+  };
 }
 
+// Copywriting commission plan (see commissionPlanService): each copywriter's
+// tiers on their sales, allocated to projects by sales
+const copywritingPlan = definePlan({
+  id: 'copywriting',
+  label: 'Copywriting Commissions',
+  expenseIdPrefix: EXPENSE_ID_PREFIXES.COPYWRITING,
+  clawbackRole: CLAWBACK_ROLES.COPYWRITING,
+  getMonthYears: getAllMonthYearsFromSales,
+  createStats: createCopywritingStats,
+  earners: getCopywritingEarners,
+  base: sale => sale.amountWithoutVat,
+  // EUR tiers are converted at the month's rate, RON tiers are used as they are
+  basis: ({ copywriter, currencyRate, previousWindowSales }) => ({
+    tiers: copywriter.tiers,
+    tierWindow: copywriter.tierWindow,
+    currencyRate,
+    previousBase: previousWindowSales
+  }),
+  expense: (line, earner, month, year) => {
+    // e.g. copywriting_DianaNastase_CODCOM_Octombrie_2025 (records from before
+    // the year was added keep the ID without it until updated)
+    const legacyId = `${EXPENSE_ID_PREFIXES.COPYWRITING}${earner.key}_${line.project}_${month}`;
+    return {
+      id: `${legacyId}_${year}`,
+      legacyId,
+      description: earner.name,
+      category: earner.category
+    };
+  },
+  onEarner: ({ earner, sales, base, commission, lines }, stats) => {
+    if (sales.length === 0) return;
+    
+    const { copywriter, currencyRate } = earner;
+    logger.info(`✅ Copywriting commission for ${copywriter.name}`, {
+      sales: sales.length,
+      projects: lines.length,
+      totalCommission: commission.toFixed(2),
+      totalSalesValue: base.toFixed(2),
+      [`totalSales${copywriter.currency}`]: (base / currencyRate).toFixed(2)
+    });
+    
+    stats.copywriters++;
+    stats.processed += sales.length;
+    stats.totalCommission += commission;
+    stats.totalSalesValue += base;
+  },
+  afterMonth: recordCopywriterMonthlyCommissions
+});
+
 /**
  * Process copywriting commissions
+ * Each copywriter in effect gets their own monthly commission record and expenses.
  * @param {string} targetMonthYear - Optional. Format: "Luna YYYY" (e.g., "Octombrie 2025"). If provided, only processes that month.
  */
 export async function processCopywritingCommissions(targetMonthYear = null) {
-  if (targetMonthYear) {
-    logger.info(`=== Processing Copywriting Commissions for: ${targetMonthYear} ===`);
-  } else {
-    logger.info('=== Processing Copywriting Commissions for ALL months ===');
-  }
-  
-  try {
-    let monthYears = await getAllMonthYearsFromSales();
-    
-    // If targetMonthYear is provided, filter to only that month
-    if (targetMonthYear) {
-      monthYears = monthYears.filter(my => my === targetMonthYear);
-      logger.info(`Filtered to single month-year: ${targetMonthYear}`);
-    }
-    
-    if (monthYears.length === 0) {
-      return {
-        processed: 0,
-        created: 0,
-        updated: 0,
-        skipped: 0,
-        errors: 0,
-        totalCommission: 0,
-        totalSalesValue: 0
-      };
-    }
-    
-    logger.info(`Processing copywriting for ${monthYears.length} month-years: ${monthYears.join(', ')}`);
-    
-    let totalStats = {
-      processed: 0,
-      created: 0,
-      updated: 0,
-      skipped: 0,
-      errors: 0,
-      totalCommission: 0,
-      totalSalesValue: 0
-    };
-    
-    for (const monthYear of monthYears) {
-      logger.info(`\n========== Processing copywriting for: ${monthYear} ==========`);
-      const result = await processCopywritingCommissionsForMonthYear(monthYear);
-      totalStats.processed += result.processed;
-      totalStats.created += result.created;
-      totalStats.updated += result.updated;
-      totalStats.skipped += result.skipped;
-      totalStats.errors += result.errors;
-      totalStats.totalCommission += result.totalCommission;
-      totalStats.totalSalesValue += result.totalSalesValue;
-    }
-    
-    logger.info('Completed copywriting processing', { targetMonthYear, ...totalStats });
-    return totalStats;
-  } catch (error) {
-    logger.error('Failed to process copywriting commissions', {
-      error: error.message,
-      stack: error.stack,
-      targetMonthYear
-    });
-    throw error;
-  }
+  return runCommissionPlan(copywritingPlan, targetMonthYear);
 }
 
 /**
- * Process copywriting commissions for a specific month-year
+ * Copywriters in effect for a month with sales, each with their sales
+ * Each sale goes to at most one copywriter (see findSaleCopywriter).
+ * @param {Object} stats - Month stats (completed and skipped sales are counted)
+ * @returns {Promise<Array<Object>>} Earners: { key, name, category, copywriter, currencyRate,
+ *   previousWindowSales, sales (refunds included) }
  */
-async function processCopywritingCommissionsForMonthYear(monthYear) {
-  // Parse month-year (format: "Luna YYYY")
-  const parts = monthYear.split(' ');
-  const month = parts[0];
-  const year = parseInt(parts[1]);
+async function getCopywritingEarners(month, year, stats) {
+  const monthYear = formatMonthYear(month, year);
+  
+  // Copywriters in effect for this month
+  const copywriters = getCopywriters(month, year);
+  
+  if (copywriters.length === 0) {
+    logger.info('No copywriters in effect for month-year', { monthYear });
+    return [];
+  }
+  
+  const { rate: eurRonRate, source: eurRonRateSource } = await getEurRonRate(month, year);
   
   logger.info('Processing copywriting for month-year', { 
     monthYear, 
     month, 
     year,
-    copywriter: COPYWRITING.copywriter.name,
-    tiers: COPYWRITING.tiers
+    copywriters: copywriters.map(copywriter => copywriter.name),
+    eurRonRate,
+    eurRonRateSource
   });
   
-  try {
-    // Get all sales for this month-year
-    const allSales = await getSalesByUtmCampaign(monthYear);
+  // Get all sales for this month-year
+  const allSales = await getSalesByUtmCampaign(monthYear);
+  stats.completed = allSales.length > 0;
+  
+  if (allSales.length === 0) {
+    logger.info('No sales found for current month', { month, year });
+    return [];
+  }
+  
+  const salesByCopywriter = assignSalesToCopywriters(allSales, copywriters);
+  const previousWindowSales = await getPreviousWindowSales(copywriters, month, year);
+  const earners = [];
+  
+  for (const copywriter of copywriters) {
+    const copywriterSales = salesByCopywriter.get(copywriter) || [];
     
-    if (allSales.length === 0) {
-      logger.info('No sales found for current month', { month, year });
-      return {
-        processed: 0,
-        created: 0,
-        updated: 0,
-        skipped: 0,
-        errors: 0,
-        totalCommission: 0,
-        totalSalesValue: 0
-      };
+    if (copywriterSales.length === 0) {
+      logger.info(`No copywriting sales found for ${copywriter.name}`, { month, year });
+      continue;
     }
     
-    // Filter for Diana's sales
-    const dianaSales = allSales.filter(sale => {
-      const utmCampaign = sale[FIELDS.UTM_CAMPAIGN];
-      const isDiana = isDianaNastaseSale(utmCampaign);
-      
-      if (isDiana) {
-        logger.debug('Found Diana Nastase sale', {
-          saleId: sale.id,
-          utmCampaign,
-          client: sale[FIELDS.CLIENT_NAME],
-          project: sale[FIELDS.PROJECT],
-          amount: sale[FIELDS.AMOUNT_WITHOUT_VAT]
-        });
-      }
-      
-      return isDiana;
+    logger.info(`Found ${copywriterSales.length} copywriting sales for ${copywriter.name} in ${monthYear}`);
+    
+    earners.push({
+      key: copywriter.name.replace(/\s+/g, ''),
+      name: `Copywriter: ${copywriter.name}`,
+      category: copywriter.category,
+      copywriter,
+      currencyRate: copywriter.currency === 'EUR' ? eurRonRate : 1,
+      previousWindowSales: previousWindowSales.get(copywriter),
+      sales: getValidSales(copywriterSales, stats)
+    });
+  }
+  
+  return earners;
+}
+
+/**
+ * Group sales by the copywriter they belong to
+ * @returns {Map<Object, Array<Object>>} Copywriter → sales
+ */
+function assignSalesToCopywriters(sales, copywriters) {
+  const salesByCopywriter = new Map();
+  
+  for (const sale of sales) {
+    const utmCampaign = sale[FIELDS.UTM_CAMPAIGN];
+    const copywriter = findSaleCopywriter(utmCampaign, copywriters);
+    if (!copywriter) continue;
+    
+    logger.debug(`Found ${copywriter.name} sale`, {
+      saleId: sale.id,
+      utmCampaign,
+      client: sale[FIELDS.CLIENT_NAME],
+      project: sale[FIELDS.PROJECT],
+      amount: sale[FIELDS.AMOUNT_WITHOUT_VAT]
     });
     
-    if (dianaSales.length === 0) {
-      logger.info('No copywriting sales found for Diana Nastase', { month, year });
-      return {
-        processed: 0,
-        created: 0,
-        updated: 0,
-        skipped: 0,
-        errors: 0,
-        totalCommission: 0,
-        totalSalesValue: 0
-      };
+    if (!salesByCopywriter.has(copywriter)) salesByCopywriter.set(copywriter, []);
+    salesByCopywriter.get(copywriter).push(sale);
+  }
+  
+  return salesByCopywriter;
+}
+
+/**
+ * Sale that counts towards commission (positive amount, with a project)
+ */
+function isCommissionableSale(sale) {
+  return typeof sale[FIELDS.AMOUNT_WITHOUT_VAT] === 'number' &&
+    sale[FIELDS.AMOUNT_WITHOUT_VAT] > 0 &&
+    Boolean(sale[FIELDS.PROJECT]);
+}
+
+/**
+ * Sales of the earlier months of each copywriter's tier window, in their tier currency
+ * Earlier months' sales are assigned with this month's copywriters and converted
+ * at their own month's EUR/RON rate.
+ * @returns {Promise<Map<Object, number>>} Copywriter → earlier sales of the window (0 for monthly windows)
+ */
+async function getPreviousWindowSales(copywriters, month, year) {
+  const previousSales = new Map(copywriters.map(copywriter => [copywriter, 0]));
+  const windowMonths = new Map(copywriters.map(copywriter => [
+    copywriter,
+    new Set(getTierWindowPreviousMonths(month, year, copywriter.tierWindow).map(m => formatMonthYear(m.month, m.year)))
+  ]));
+  
+  // Every window's earlier months are among the year's earlier months
+  for (const { month: windowMonth, year: windowYear } of getTierWindowPreviousMonths(month, year, TIER_WINDOWS.ANNUAL)) {
+    const monthYear = formatMonthYear(windowMonth, windowYear);
+    const windowed = copywriters.filter(copywriter => windowMonths.get(copywriter).has(monthYear));
+    if (windowed.length === 0) continue;
+    
+    const sales = await getSalesByUtmCampaign(monthYear);
+    if (sales.length === 0) continue;
+    
+    const { rate: eurRonRate } = await getEurRonRate(windowMonth, windowYear);
+    const salesByCopywriter = assignSalesToCopywriters(sales, copywriters);
+    
+    for (const copywriter of windowed) {
+      const amount = (salesByCopywriter.get(copywriter) || [])
+        .filter(isCommissionableSale)
+        .reduce((sum, sale) => sum + sale[FIELDS.AMOUNT_WITHOUT_VAT], 0);
+      const currencyRate = copywriter.currency === 'EUR' ? eurRonRate : 1;
+      previousSales.set(copywriter, previousSales.get(copywriter) + amount / currencyRate);
     }
-    
-    logger.info(`Found ${dianaSales.length} copywriting sales for Diana Nastase in ${monthYear}`);
-    
-    // First, validate and collect all sales
-    const validSales = [];
-    let totalSkipped = 0;
-    
-    for (const sale of dianaSales) {
-      const amountWithoutVat = sale[FIELDS.AMOUNT_WITHOUT_VAT];
-      const project = sale[FIELDS.PROJECT];
-      
-      // Validate amount
-      if (amountWithoutVat === null || amountWithoutVat === undefined) {
-        logger.warn('Sale missing Total După TVA, skipping', {
-          saleId: sale.id,
-          client: sale[FIELDS.CLIENT_NAME]
-        });
-        totalSkipped++;
-        continue;
-      }
-      
-      // Skip zero or negative amounts
-      if (amountWithoutVat <= 0) {
-        logger.warn('Sale has zero or negative amount, skipping', {
-          saleId: sale.id,
-          amount: amountWithoutVat
-        });
-        totalSkipped++;
-        continue;
-      }
-      
-      // Validate project
-      if (!project) {
-        logger.warn('Sale missing project, skipping', {
-          saleId: sale.id,
-          client: sale[FIELDS.CLIENT_NAME]
-        });
-        totalSkipped++;
-        continue;
-      }
-      
-      validSales.push({
-        ...sale,
-        amountWithoutVat,
-        project
+  }
+  
+  for (const copywriter of copywriters.filter(c => c.tierWindow !== TIER_WINDOWS.MONTHLY)) {
+    logger.info(`${copywriter.name}: ${copywriter.tierWindow} tier base before ${formatMonthYear(month, year)}`, {
+      previousSales: previousSales.get(copywriter).toFixed(2),
+      currency: copywriter.currency
+    });
+  }
+  
+  return previousSales;
+}
+
+/**
+ * A copywriter's sales with an amount and a project (refunds included)
+ * @param {Object} stats - Month stats (skipped sales are counted)
+ */
+function getValidSales(copywriterSales, stats) {
+  const validSales = [];
+  
+  for (const sale of copywriterSales) {
+    const amountWithoutVat = sale[FIELDS.AMOUNT_WITHOUT_VAT];
+    const project = sale[FIELDS.PROJECT];
+    
+    // Validate amount
+    if (amountWithoutVat === null || amountWithoutVat === undefined) {
+      logger.warn('Sale missing Total După TVA, skipping', {
+        saleId: sale.id,
+        client: sale[FIELDS.CLIENT_NAME]
       });
+      stats.skipped++;
+      continue;
     }
     
-    if (validSales.length === 0) {
-      logger.info('No valid copywriting sales found after validation');
-      return {
-        processed: 0,
-        created: 0,
-        updated: 0,
-        skipped: totalSkipped,
-        errors: 0,
-        totalCommission: 0,
-        totalSalesValue: 0
-      };
-    }
-    
-    // Calculate total sales value across ALL projects (for progressive rate calculation)
-    const totalSalesValueRON = validSales.reduce((sum, sale) => sum + sale.amountWithoutVat, 0);
-    
-    // Calculate TOTAL commission using progressive tiers
-    const totalCommissionRON = calculateProgressiveCommission(totalSalesValueRON);
-    
-    // Now distribute this commission proportionally across projects
-    const commissionsByProject = {};
-    
-    for (const sale of validSales) {
-      const project = sale.project;
-      
-      // Initialize project group if needed
-      if (!commissionsByProject[project]) {
-        commissionsByProject[project] = {
-          project,
-          projectSalesValue: 0,
-          salesCount: 0,
-          saleIds: []
-        };
-      }
-      
-      // Add to project totals
-      commissionsByProject[project].projectSalesValue += sale.amountWithoutVat;
-      commissionsByProject[project].salesCount++;
-      commissionsByProject[project].saleIds.push(sale.id);
+    // Skip zero amounts
+    if (amountWithoutVat === 0) {
+      logger.warn('Sale has zero amount, skipping', {
+        saleId: sale.id,
+        amount: amountWithoutVat
+      });
+      stats.skipped++;
+      continue;
     }
     
-    // Distribute total commission proportionally to projects
-    for (const [project, data] of Object.entries(commissionsByProject)) {
-      const proportion = data.projectSalesValue / totalSalesValueRON;
-      data.projectCommission = totalCommissionRON * proportion;
-      
-      logger.debug('Project commission allocation', {
-        project,
-        projectSalesValue: data.projectSalesValue.toFixed(2),
-        proportion: `${(proportion * 100).toFixed(2)}%`,
-        projectCommission: data.projectCommission.toFixed(2)
+    // Validate project
+    if (!project) {
+      logger.warn('Sale missing project, skipping', {
+        saleId: sale.id,
+        client: sale[FIELDS.CLIENT_NAME]
       });
+      stats.skipped++;
+      continue;
     }
     
-    const projectCount = Object.keys(commissionsByProject).length;
-    logger.info(`Grouped into ${projectCount} projects`, { projectCount });
-    
-    // Create/update monthly commission record for copywriter
-    logger.info('Creating/updating monthly commission record for copywriter');
+    validSales.push({
+      ...sale,
+      amountWithoutVat,
+      project
+    });
+  }
+  
+  return validSales;
+}
+
+/**
+ * Create/update the monthly commission record of each copywriter with sales this month
+ */
+async function recordCopywriterMonthlyCommissions(calculations, clawbacks, month, year, stats) {
+  for (const { earner, sales, commission } of calculations) {
+    if (sales.length === 0) continue;
     
     try {
-      // Collect all sale IDs across all projects
-      const allSaleIds = validSales.map(sale => sale.id);
-      
       await createOrUpdateCopywriterMonthlyCommission(
-        COPYWRITING.copywriter.name,
+        earner.copywriter.name,
         {
-          totalCommission: totalCommissionRON,
-          salesCount: validSales.length,
-          saleIds: allSaleIds
+          totalCommission: commission,
+          salesCount: sales.length,
+          saleIds: sales.map(sale => sale.id)
         },
         month,
         year
       );
     } catch (error) {
       logger.error('Failed to create/update copywriter monthly commission', {
-        copywriterName: COPYWRITING.copywriter.name,
+        copywriterName: earner.copywriter.name,
         error: error.message,
         stack: error.stack
       });
+      stats.errors++;
     }
-    
-    // Create or update expenses
-    let created = 0;
-    let updated = 0;
-    let errors = 0;
-    
-    for (const [project, data] of Object.entries(commissionsByProject)) {
-      try {
-        logger.info(`Processing copywriting expense for project: ${project}`, {
-          salesCount: data.salesCount,
-          projectSalesValue: data.projectSalesValue.toFixed(2),
-          projectCommission: data.projectCommission.toFixed(2)
-        });
-        
-        const result = await createOrUpdateCopywritingExpense(
-          data,
-          totalSalesValueRON,
-          totalCommissionRON,
-          month,
-          year
-        );
-        
-        if (result.created) created++;
-        if (result.updated) updated++;
-        
-      } catch (error) {
-        logger.error('Failed to create/update copywriting expense', {
-          project,
-          error: error.message,
-          stack: error.stack
-        });
-        errors++;
-      }
-    }
-    
-    logger.info('=== Copywriting Commission Processing Complete ===', {
-      processed: validSales.length,
-      skipped: totalSkipped,
-      created,
-      updated,
-      errors,
-      totalSales: dianaSales.length,
-      projectCount,
-      totalCommission: totalCommissionRON.toFixed(2),
-      totalSalesValue: totalSalesValueRON.toFixed(2),
-      totalSalesEUR: (totalSalesValueRON / COPYWRITING.eurRonRate).toFixed(2)
-    });
-    
-    return {
-      processed: validSales.length,
-      created,
-      updated,
-      skipped: totalSkipped,
-      errors,
-      totalCommission: totalCommissionRON,
-      totalSalesValue: totalSalesValueRON
-    };
-    
-  } catch (error) {
-    logger.error('Failed to process copywriting commissions', {
-      error: error.message,
-      stack: error.stack
-    });
-    throw error;
   }
 }
 
@@ -489,7 +449,8 @@ async function createOrUpdateCopywriterMonthlyCommission(copywriterName, summary
     // Search by NAME (not ID) because ARRAYJOIN on linked records returns names
     const existingCommission = await getMonthlyCommissionByRepAndMonth(
       representative.name,
-      month
+      month,
+      year
     );
     
     const saleIds = summary.saleIds;
@@ -505,6 +466,7 @@ async function createOrUpdateCopywriterMonthlyCommission(copywriterName, summary
       
       await updateMonthlyCommission(existingCommission.id, {
         fields: {
+          [FIELDS.COMMISSION_YEAR]: year,
           [FIELDS.SALES]: saleIds
         }
       });
@@ -527,6 +489,7 @@ async function createOrUpdateCopywriterMonthlyCommission(copywriterName, summary
         fields: {
           [FIELDS.REPRESENTATIVE]: [representative.id],
           [FIELDS.MONTH]: month,
+          [FIELDS.COMMISSION_YEAR]: year,
           [FIELDS.SALES]: saleIds
         }
       });
@@ -546,74 +509,3 @@ async function createOrUpdateCopywriterMonthlyCommission(copywriterName, summary
     throw error;
   }
 }
-
-/**
- * Create or update a copywriting expense record
- */
-async function createOrUpdateCopywritingExpense(data, totalSalesValueRON, totalCommissionRON, month, year) {
-  const { project, projectCommission, projectSalesValue, salesCount, saleIds } = data;
-  
-  // Generate unique expense ID
-  const expenseId = `copywriting_DianaNastase_${project}_${month}`;
-  
-  // Check if expense already exists
-  const existingExpense = await getExpenseByExpenseId(expenseId);
-  
-  const expenseFields = {
-    [FIELDS.EXPENSE_DESCRIPTION]: `Copywriter: Diana Nastase`,
-    [FIELDS.EXPENSE_PROJECT]: project,
-    [FIELDS.EXPENSE_CATEGORY]: COPYWRITING.category,
-    [FIELDS.EXPENSE_AMOUNT]: projectCommission,
-    [FIELDS.EXPENSE_VAT_INCLUDED]: VAT_INCLUDED.NO,
-    [FIELDS.EXPENSE_MONTH]: month,
-    [FIELDS.EXPENSE_YEAR]: year,
-    [FIELDS.EXPENSE_SOURCE]: SOURCE.AUTOMATIC,
-    [FIELDS.EXPENSE_ID]: expenseId,
-    [FIELDS.EXPENSE_ASSOCIATED_SALES]: saleIds
-  };
-  
-  if (existingExpense) {
-    // Update existing expense
-    logger.info('Updating existing copywriting expense', {
-      expenseId,
-      oldAmount: existingExpense[FIELDS.EXPENSE_AMOUNT],
-      newAmount: projectCommission,
-      salesCount
-    });
-    
-    await updateExpense(existingExpense.id, {
-      fields: expenseFields
-    });
-    
-    logger.info('Copywriting expense updated successfully', {
-      expenseId,
-      project,
-      amount: projectCommission,
-      salesCount
-    });
-    
-    return { updated: true, created: false };
-  } else {
-    // Create new expense
-    logger.info('Creating new copywriting expense', {
-      expenseId,
-      project,
-      amount: projectCommission,
-      salesCount
-    });
-    
-    await createExpense({
-      fields: expenseFields
-    });
-    
-    logger.info('Copywriting expense created successfully', {
-      expenseId,
-      project,
-      amount: projectCommission,
-      salesCount
-    });
-    
-    return { created: true, updated: false };
-  }
-}
-
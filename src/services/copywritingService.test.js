@@ -0,0 +1,77 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { rule, loadTestRules, createTestStore, runWithStore, getExpensesById } from '../utils/testing.js';
+import { TABLES, FIELDS, TIER_WINDOWS } from '../config/constants.js';
+import { processCopywritingCommissions } from './copywritingService.js';
+
+// 10% of the first 1000 EUR, 20% above (EUR/RON at the 5.08 fallback rate)
+const diana = tierWindow => ({
+  name: 'Diana Nastase',
+  utmIdentifiers: ['diana'],
+  currency: 'EUR',
+  tiers: [{ max: 1000, rate: 0.1 }, { max: null, rate: 0.2 }],
+  tierWindow
+});
+
+before(() => {
+  // No stored EUR/RON rates
+  process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'copywriting-test-'));
+});
+
+after(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+const sale = (monthYear, project, amount, utmCampaign) => ({
+  [FIELDS.SALE_MONTH]: monthYear,
+  [FIELDS.PROJECT]: project,
+  [FIELDS.AMOUNT_WITHOUT_VAT]: amount,
+  [FIELDS.UTM_CAMPAIGN]: utmCampaign
+});
+
+const amountsOf = (expenses, ids) => ids.map(id => expenses[id]?.get(FIELDS.EXPENSE_AMOUNT));
+
+test('tiers apply to the month\'s sales across projects, refunds are clawed back at the effective rate', async () => {
+  await loadTestRules([rule('copywriters.diana', diana(TIER_WINDOWS.MONTHLY), '2025-01')]);
+  const store = await createTestStore({
+    [TABLES.REPRESENTATIVES]: [{ [FIELDS.REP_NAME]: 'Diana Nastase' }],
+    [TABLES.SALES]: [
+      sale('Octombrie 2025', 'CODCOM', 5080, 'Diana-oct'),
+      sale('Octombrie 2025', 'Artok Academy', 5080, 'diana'),
+      sale('Octombrie 2025', 'CODCOM', -1016, 'DIANA'),
+      sale('Octombrie 2025', 'CODCOM', 3000, 'newsletter')
+    ]
+  });
+
+  const stats = await runWithStore(store, () => processCopywritingCommissions('Octombrie 2025'));
+
+  const expenses = await getExpensesById(store);
+  assert.deepEqual([stats.processed, stats.copywriters, stats.totalCommission, stats.clawbacks, stats.clawbackTotal], [2, 1, 1524, 1, -152.4]);
+  assert.deepEqual(
+    amountsOf(expenses, ['copywriting_DianaNastase_CODCOM_Octombrie_2025', 'copywriting_DianaNastase_Artok Academy_Octombrie_2025']),
+    [762, 762]
+  );
+
+  const [commission] = await store.select(TABLES.MONTHLY_COMMISSIONS, {});
+  assert.equal(commission.get(FIELDS.SALES).length, 2);
+});
+
+test('with a quarterly window, the quarter\'s earlier sales count towards the tiers', async () => {
+  await loadTestRules([rule('copywriters.diana', diana(TIER_WINDOWS.QUARTERLY), '2025-01')]);
+  const store = await createTestStore({
+    [TABLES.SALES]: [
+      sale('Septembrie 2025', 'CODCOM', 5080, 'diana'),
+      sale('Octombrie 2025', 'CODCOM', 5080, 'diana'),
+      sale('Noiembrie 2025', 'CODCOM', 5080, 'diana')
+    ]
+  });
+
+  // October starts the quarter: September's sales don't count
+  const october = await runWithStore(store, () => processCopywritingCommissions('Octombrie 2025'));
+  const november = await runWithStore(store, () => processCopywritingCommissions('Noiembrie 2025'));
+
+  assert.deepEqual([october.totalCommission, november.totalCommission], [508, 1016]);
+});
@@ -0,0 +1,260 @@
+/**
+ * Debt Ledger Service
+ * Tracks sales rep debts (negative monthly commissions) and their repayment
+ * from later commissions in the "Registru Datorii" table:
+ * - Datorie: one entry per negative monthly commission (ID debt_{commissionId}),
+ *   with the outstanding balance in "Sold Rămas"
+ * - Rambursare: the part of a debt repaid from a specific month's commission
+ *   (ID repayment_{commissionId}_{debtCommissionId})
+ *
+ * Repayments are recorded, so a debt is deducted once: a later month only sees
+ * what earlier months left outstanding. Re-running a month recalculates that
+ * month's own repayments; debts are repaid oldest first.
+ */
+import { getDataStore } from '../config/dataStore.js';
+import { TABLES, FIELDS, getMonthNumber } from '../config/constants.js';
+import { eq } from '../stores/filters.js';
+import { logger } from '../utils/logger.js';
+
+export const LEDGER_ENTRY_TYPES = {
+  DEBT: 'Datorie',
+  REPAYMENT: 'Rambursare'
+};
+
+const round = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Convert a ledger record to a plain entry
+ */
+function toEntry(record) {
+  return {
+    recordId: record.id,
+    id: record.get(FIELDS.LEDGER_ID),
+    type: record.get(FIELDS.LEDGER_TYPE),
+    representativeId: record.get(FIELDS.LEDGER_REPRESENTATIVE_ID),
+    representativeName: record.get(FIELDS.LEDGER_REPRESENTATIVE),
+    month: record.get(FIELDS.LEDGER_MONTH),
+    year: record.get(FIELDS.LEDGER_YEAR),
+    amount: record.get(FIELDS.LEDGER_AMOUNT) || 0,
+    balance: record.get(FIELDS.LEDGER_BALANCE),
+    debtId: record.get(FIELDS.LEDGER_DEBT_ID) || null,
+    commissionId: record.get(FIELDS.LEDGER_COMMISSION_ID)
+  };
+}
+
+/**
+ * Get ledger entries, optionally for one representative
+ */
+async function getLedgerEntries(representativeId = null) {
+  const records = await getDataStore().select(TABLES.DEBT_LEDGER, {
+    filter: representativeId ? eq(FIELDS.LEDGER_REPRESENTATIVE_ID, representativeId) : null
+  });
+  return records.map(toEntry);
+}
+
+/**
+ * Total repaid on a debt, optionally ignoring one commission's repayments
+ */
+function sumRepayments(entries, debtId, excludeCommissionId = null) {
+  return entries
+    .filter(e => e.type === LEDGER_ENTRY_TYPES.REPAYMENT && e.debtId === debtId && e.commissionId !== excludeCommissionId)
+    .reduce((sum, e) => sum + e.amount, 0);
+}
+
+/**
+ * Record (or update) the debt created by a negative monthly commission
+ * A commission that is no longer negative has its debt set to 0.
+ * @param {Object} commission - { commissionId, representativeId, representativeName, month, year, finalCommission }
+ * @returns {Promise<Object|null>} Debt entry or null if there is no debt
+ */
+export async function recordDebt({ commissionId, representativeId, representativeName, month, year, finalCommission }) {
+  const debtId = `debt_${commissionId}`;
+  const amount = finalCommission < 0 ? round(Math.abs(finalCommission)) : 0;
+
+  try {
+    const entries = await getLedgerEntries(representativeId);
+    const existing = entries.find(e => e.id === debtId);
+
+    if (!existing && amount === 0) {
+      return null;
+    }
+
+    const balance = round(Math.max(0, amount - sumRepayments(entries, debtId)));
+    const fields = {
+      [FIELDS.LEDGER_ID]: debtId,
+      [FIELDS.LEDGER_TYPE]: LEDGER_ENTRY_TYPES.DEBT,
+      [FIELDS.LEDGER_REPRESENTATIVE]: representativeName,
+      [FIELDS.LEDGER_REPRESENTATIVE_ID]: representativeId,
+      [FIELDS.LEDGER_MONTH]: month,
+      [FIELDS.LEDGER_YEAR]: year,
+      [FIELDS.LEDGER_AMOUNT]: amount,
+      [FIELDS.LEDGER_BALANCE]: balance,
+      [FIELDS.LEDGER_COMMISSION_ID]: commissionId
+    };
+
+    if (existing) {
+      if (existing.amount !== amount || existing.balance !== balance) {
+        await getDataStore().update(TABLES.DEBT_LEDGER, existing.recordId, fields);
+      }
+    } else {
+      await getDataStore().create(TABLES.DEBT_LEDGER, fields);
+    }
+
+    logger.info('Debt recorded in ledger', { debtId, representativeName, month, year, amount, balance });
+    return { id: debtId, amount, balance };
+  } catch (error) {
+    logger.error('Failed to record debt', {
+      debtId,
+      representativeName,
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+/**
+ * Repay outstanding debts from earlier months out of a positive commission
+ * The commission's previous repayments are recalculated, so re-running a month
+ * never deducts a debt twice.
+ * @param {Object} commission - { commissionId, representativeId, representativeName, month, year, finalCommission }
+ * @returns {Promise<Object>} { applied, netCommission, repayments: [{ debtId, month, year, amount }] }
+ */
+export async function applyDebtRepayments({ commissionId, representativeId, representativeName, month, year, finalCommission }) {
+  try {
+    const entries = await getLedgerEntries(representativeId);
+    const currentMonth = getMonthNumber(month, year);
+    const ownRepayments = entries.filter(e => e.type === LEDGER_ENTRY_TYPES.REPAYMENT && e.commissionId === commissionId);
+
+    // Oldest debts first; only debts from earlier months are repaid
+    const debts = entries
+      .filter(e => e.type === LEDGER_ENTRY_TYPES.DEBT)
+      .sort((a, b) => getMonthNumber(a.month, a.year) - getMonthNumber(b.month, b.year));
+
+    let available = finalCommission;
+    const repayments = [];
+
+    for (const debt of debts) {
+      const outstanding = round(debt.amount - sumRepayments(entries, debt.id, commissionId));
+      const isEarlier = getMonthNumber(debt.month, debt.year) < currentMonth;
+      const amount = isEarlier ? round(Math.min(available, Math.max(0, outstanding))) : 0;
+      available = round(available - amount);
+
+      const repaymentId = `repayment_${commissionId}_${debt.commissionId}`;
+      const existing = ownRepayments.find(e => e.id === repaymentId);
+
+      if (amount > 0) {
+        const fields = {
+          [FIELDS.LEDGER_ID]: repaymentId,
+          [FIELDS.LEDGER_TYPE]: LEDGER_ENTRY_TYPES.REPAYMENT,
+          [FIELDS.LEDGER_REPRESENTATIVE]: representativeName,
+          [FIELDS.LEDGER_REPRESENTATIVE_ID]: representativeId,
+          [FIELDS.LEDGER_MONTH]: month,
+          [FIELDS.LEDGER_YEAR]: year,
+          [FIELDS.LEDGER_AMOUNT]: amount,
+          [FIELDS.LEDGER_DEBT_ID]: debt.id,
+          [FIELDS.LEDGER_COMMISSION_ID]: commissionId
+        };
+
+        if (!existing) {
+          await getDataStore().create(TABLES.DEBT_LEDGER, fields);
+        } else if (existing.amount !== amount) {
+          await getDataStore().update(TABLES.DEBT_LEDGER, existing.recordId, fields);
+        }
+
+        repayments.push({ debtId: debt.id, month: debt.month, year: debt.year, amount });
+      } else if (existing) {
+        // No longer repaid from this month
+        await getDataStore().destroy(TABLES.DEBT_LEDGER, existing.recordId);
+      }
+
+      // Keep the displayed balance in sync
+      const balance = round(Math.max(0, outstanding - amount));
+      if (debt.balance !== balance) {
+        await getDataStore().update(TABLES.DEBT_LEDGER, debt.recordId, {
+          [FIELDS.LEDGER_BALANCE]: balance
+        });
+      }
+    }
+
+    const applied = round(finalCommission - available);
+    const result = { applied, netCommission: round(available), repayments };
+
+    if (applied > 0) {
+      logger.info('⚠️  Debt repaid from commission', {
+        commissionId,
+        representativeName,
+        month,
+        year,
+        originalCommission: finalCommission,
+        ...result
+      });
+    }
+
+    return result;
+  } catch (error) {
+    logger.error('Failed to apply debt repayments', {
+      commissionId,
+      representativeName,
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+/**
+ * Debt repaid from each monthly commission
+ * @returns {Promise<Object>} commissionId -> amount repaid from that commission
+ */
+export async function getRepaymentTotals() {
+  const entries = await getLedgerEntries();
+  const totals = {};
+
+  entries
+    .filter(e => e.type === LEDGER_ENTRY_TYPES.REPAYMENT)
+    .forEach(e => {
+      totals[e.commissionId] = round((totals[e.commissionId] || 0) + e.amount);
+    });
+
+  return totals;
+}
+
+/**
+ * Debt ledger grouped by representative, with outstanding balances
+ * @param {Object} filters - { representativeId }
+ * @returns {Promise<Array<Object>>} [{ representativeId, representativeName, outstanding, debts }]
+ */
+export async function getDebtLedger({ representativeId = null } = {}) {
+  const entries = await getLedgerEntries(representativeId);
+  const byRepresentative = {};
+
+  entries
+    .filter(e => e.type === LEDGER_ENTRY_TYPES.DEBT)
+    .sort((a, b) => getMonthNumber(a.month, a.year) - getMonthNumber(b.month, b.year))
+    .forEach(debt => {
+      const repayments = entries
+        .filter(e => e.type === LEDGER_ENTRY_TYPES.REPAYMENT && e.debtId === debt.id)
+        .map(e => ({ month: e.month, year: e.year, amount: e.amount, commissionId: e.commissionId }));
+      const repaid = round(repayments.reduce((sum, r) => sum + r.amount, 0));
+
+      const group = byRepresentative[debt.representativeId] = byRepresentative[debt.representativeId] || {
+        representativeId: debt.representativeId,
+        representativeName: debt.representativeName,
+        outstanding: 0,
+        debts: []
+      };
+
+      const outstanding = round(Math.max(0, debt.amount - repaid));
+      group.outstanding = round(group.outstanding + outstanding);
+      group.debts.push({
+        id: debt.id,
+        month: debt.month,
+        year: debt.year,
+        amount: debt.amount,
+        repaid,
+        outstanding,
+        repayments
+      });
+    });
+
+  return Object.values(byRepresentative);
+}
@@ -0,0 +1,80 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestStore, runWithStore } from '../utils/testing.js';
+import { recordDebt, applyDebtRepayments, getDebtLedger } from './debtLedgerService.js';
+
+const rep = { representativeId: 'recRep1', representativeName: 'Mario Cazacu' };
+let store;
+
+beforeEach(async () => {
+  store = await createTestStore();
+});
+
+function inStore(fn) {
+  return runWithStore(store, fn);
+}
+
+// Debts of 300 (August) and 200 (September) 2025
+async function recordTwoDebts() {
+  await inStore(async () => {
+    // Recorded newest first: repayment order comes from the month, not from the ledger order
+    await recordDebt({ ...rep, commissionId: 'recSep', month: 'Septembrie', year: 2025, finalCommission: -200 });
+    await recordDebt({ ...rep, commissionId: 'recAug', month: 'August', year: 2025, finalCommission: -300 });
+  });
+}
+
+test('repays the oldest debt first and carries the rest forward', async () => {
+  await recordTwoDebts();
+
+  const october = await inStore(() => applyDebtRepayments({
+    ...rep, commissionId: 'recOct', month: 'Octombrie', year: 2025, finalCommission: 400
+  }));
+
+  assert.equal(october.applied, 400);
+  assert.equal(october.netCommission, 0);
+  assert.deepEqual(october.repayments.map(r => [r.debtId, r.amount]), [['debt_recAug', 300], ['debt_recSep', 100]]);
+
+  const november = await inStore(() => applyDebtRepayments({
+    ...rep, commissionId: 'recNov', month: 'Noiembrie', year: 2025, finalCommission: 500
+  }));
+
+  assert.deepEqual(november.repayments.map(r => [r.debtId, r.amount]), [['debt_recSep', 100]]);
+  assert.equal(november.netCommission, 400);
+
+  const [ledger] = await inStore(() => getDebtLedger());
+  assert.equal(ledger.outstanding, 0);
+  assert.deepEqual(ledger.debts.map(d => [d.id, d.repaid]), [['debt_recAug', 300], ['debt_recSep', 200]]);
+});
+
+test('re-running a month recalculates its own repayments instead of adding to them', async () => {
+  await recordTwoDebts();
+  const october = { ...rep, commissionId: 'recOct', month: 'Octombrie', year: 2025 };
+
+  await inStore(() => applyDebtRepayments({ ...october, finalCommission: 400 }));
+  const rerun = await inStore(() => applyDebtRepayments({ ...october, finalCommission: 250 }));
+
+  assert.deepEqual(rerun.repayments.map(r => [r.debtId, r.amount]), [['debt_recAug', 250]]);
+
+  const [ledger] = await inStore(() => getDebtLedger());
+  assert.equal(ledger.outstanding, 250);
+});
+
+test('debts of the same or a later month are not repaid', async () => {
+  await recordTwoDebts();
+
+  const august = await inStore(() => applyDebtRepayments({
+    ...rep, commissionId: 'recAug2', month: 'August', year: 2025, finalCommission: 1000
+  }));
+
+  assert.equal(august.applied, 0);
+  assert.equal(august.netCommission, 1000);
+});
+
+test('a commission that is no longer negative sets its debt to 0', async () => {
+  await recordTwoDebts();
+
+  await inStore(() => recordDebt({ ...rep, commissionId: 'recAug', month: 'August', year: 2025, finalCommission: 50 }));
+
+  const [ledger] = await inStore(() => getDebtLedger());
+  assert.equal(ledger.outstanding, 200);
+});
@@ -0,0 +1,121 @@
+/**
+ * Exchange Rate Service
+ * Historical EUR/RON rates for the P&L "Suma EURO" columns and the copywriting
+ * EUR tier thresholds, so each month is converted at that month's rate.
+ *
+ * Rates are stored locally in DATA_DIR/exchange-rates.json:
+ * {
+ *   "daily":   { "2025-10-01": 5.0786, ... },   // imported from the BNR XML feed
+ *   "monthly": { "2025-10": 5.08, ... }         // optional manual overrides
+ * }
+ *
+ * Rate for a month: the monthly entry if present, otherwise the average of the
+ * daily rates in that month, otherwise the "exchangeRates.eurRonFallback" rule.
+ */
+import { logger } from '../utils/logger.js';
+import { readJsonFile, writeJsonFile } from '../utils/localStore.js';
+import { getMonthIndex } from '../config/constants.js';
+import { ensureRulesLoaded, getRule } from './rulesService.js';
+
+const RATES_FILE = 'exchange-rates.json';
+
+/**
+ * Load stored rates
+ */
+function loadRates() {
+  const rates = readJsonFile(RATES_FILE, {});
+  return {
+    daily: rates.daily || {},
+    monthly: rates.monthly || {}
+  };
+}
+
+/**
+ * Parse a BNR reference rates XML document (nbrfxrates.xml / nbrfxrates{year}.xml)
+ * @param {string} xml - XML content
+ * @param {string} currency - Currency code (default EUR)
+ * @returns {Array<Object>} [{ date: "YYYY-MM-DD", rate }] - RON per 1 unit of currency
+ */
+export function parseBnrXml(xml, currency = 'EUR') {
+  const rates = [];
+  const cubePattern = /<Cube\s+date="(\d{4}-\d{2}-\d{2})"\s*>([\s\S]*?)<\/Cube>/g;
+  const ratePattern = new RegExp(`<Rate\\s+currency="${currency}"(?:\\s+multiplier="(\\d+)")?\\s*>([\\d.]+)</Rate>`);
+
+  let cube;
+  while ((cube = cubePattern.exec(xml)) !== null) {
+    const match = cube[2].match(ratePattern);
+    if (!match) continue;
+
+    const multiplier = match[1] ? parseInt(match[1], 10) : 1;
+    const rate = parseFloat(match[2]) / multiplier;
+    if (rate > 0) {
+      rates.push({ date: cube[1], rate });
+    }
+  }
+
+  return rates;
+}
+
+/**
+ * Import daily EUR/RON rates from BNR XML into the local rate store
+ * Existing dates are overwritten with the imported values.
+ * @param {string} xml - BNR XML content
+ * @returns {Object} { imported, from, to }
+ */
+export function importBnrRates(xml) {
+  const parsed = parseBnrXml(xml, 'EUR');
+
+  if (parsed.length === 0) {
+    throw new Error('No EUR rates found in BNR XML (expected <Cube date="..."><Rate currency="EUR">)');
+  }
+
+  const rates = loadRates();
+  parsed.forEach(({ date, rate }) => {
+    rates.daily[date] = rate;
+  });
+
+  // Keep dates sorted so the file stays readable
+  rates.daily = Object.fromEntries(Object.entries(rates.daily).sort(([a], [b]) => a.localeCompare(b)));
+  writeJsonFile(RATES_FILE, rates);
+
+  const dates = parsed.map(r => r.date).sort();
+  const result = { imported: parsed.length, from: dates[0], to: dates[dates.length - 1] };
+
+  logger.info('✅ Imported BNR EUR/RON rates', result);
+  return result;
+}
+
+/**
+ * Get the EUR/RON rate for a month
+ * @param {string} month - Romanian month name (e.g. "Octombrie")
+ * @param {number|string} year - Year
+ * @returns {Promise<Object>} { rate, source: 'monthly' | 'daily-average' | 'fallback' }
+ */
+export async function getEurRonRate(month, year) {
+  const monthKey = `${year}-${String(getMonthIndex(month) + 1).padStart(2, '0')}`;
+  const rates = loadRates();
+
+  if (rates.monthly[monthKey]) {
+    return { rate: rates.monthly[monthKey], source: 'monthly' };
+  }
+
+  const dailyRates = Object.entries(rates.daily)
+    .filter(([date]) => date.startsWith(`${monthKey}-`))
+    .map(([, rate]) => rate);
+
+  if (dailyRates.length > 0) {
+    const average = dailyRates.reduce((sum, rate) => sum + rate, 0) / dailyRates.length;
+    return { rate: Math.round(average * 10000) / 10000, source: 'daily-average' };
+  }
+
+  await ensureRulesLoaded();
+  const rate = getRule('exchangeRates.eurRonFallback', month, year);
+
+  logger.warn('⚠️  No stored EUR/RON rate for month, using fallback rate', {
+    month,
+    year,
+    rate
+  });
+
+  return { rate, source: 'fallback' };
+}
@@ -3,11 +3,32 @@
  * 
  * Handles token validation, expiry checking, and automatic refresh
  * for Facebook Marketing API access tokens.
+ * 
+ * The current token is kept in DATA_DIR/facebook-token.json, encrypted with
+ * AES-256-GCM (key: FACEBOOK_TOKEN_ENCRYPTION_KEY, or FACEBOOK_APP_SECRET).
+ * The store is seeded from FACEBOOK_ACCESS_TOKEN, and seeded again whenever
+ * that env var is changed. A token with fewer than tokenExpiryWarningDays
+ * left is exchanged for a new long-lived token, which replaces it in the store.
+ * A dry run neither writes the store nor exchanges the token: both are listed
+ * in its change plan (see skipInDryRun).
  */
+import crypto from 'crypto';
 import axios from 'axios';
 import { FACEBOOK } from '../config/constants.js';
+import { readJsonFile, writeJsonFile } from '../utils/localStore.js';
+import { skipInDryRun } from '../utils/runContext.js';
 import { logger } from '../utils/logger.js';
 
+const TOKEN_FILE = 'facebook-token.json';
+const CIPHER = 'aes-256-gcm';
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// Token sources: seeded from the env var, or rotated by a refresh
+export const TOKEN_SOURCES = {
+  ENV: 'env',
+  REFRESH: 'refresh'
+};
+
 /**
  * Check if access token is valid and get its expiry info
  * @param {string} accessToken - Facebook access token
@@ -116,33 +137,231 @@ export async function refreshAccessToken(appId, appSecret, currentToken) {
 }
 
 /**
- * Ensure the access token is valid and not expiring soon
- * Logs warnings if token is expiring soon
- * @param {string} accessToken - Facebook access token
- * @returns {Promise<boolean>} - True if token is valid and not expiring soon
+ * Encryption key of the token store (32 bytes)
+ * @returns {Buffer|null} Key, or null when no key material is configured
+ */
+function getEncryptionKey() {
+  const secret = process.env.FACEBOOK_TOKEN_ENCRYPTION_KEY || process.env.FACEBOOK_APP_SECRET;
+  return secret ? crypto.createHash('sha256').update(secret).digest() : null;
+}
+
+/**
+ * Short fingerprint of a token (identifies the env token without storing it)
  */
-export async function ensureValidToken(accessToken) {
-  const { isValid, expiresIn } = await checkTokenExpiry(accessToken);
+function fingerprint(token) {
+  return crypto.createHash('sha256').update(token).digest('hex').slice(0, 16);
+}
+
+function encryptToken(token, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const encrypted = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64'),
+    encryptedToken: encrypted.toString('base64')
+  };
+}
+
+function decryptToken(state, key) {
+  const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(state.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(state.authTag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(state.encryptedToken, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+/**
+ * Save a token in the store
+ * @param {string} token - Access token
+ * @param {Object} metadata - { source, envFingerprint, expiresAt, ... } kept next to the encrypted token
+ */
+function saveToken(token, metadata) {
+  const key = getEncryptionKey();
+  if (!key) {
+    logger.warn('⚠️  No FACEBOOK_TOKEN_ENCRYPTION_KEY or FACEBOOK_APP_SECRET, Facebook token not stored');
+    return;
+  }
+
+  if (skipInDryRun({ action: 'saveToken', target: TOKEN_FILE, source: metadata.source })) {
+    return;
+  }
+
+  writeJsonFile(TOKEN_FILE, {
+    ...metadata,
+    ...encryptToken(token, key),
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Current access token, read without touching the store
+ * Uses the stored token, unless FACEBOOK_ACCESS_TOKEN changed since the store
+ * was seeded (or the store is missing or unreadable) - then the env token,
+ * flagged to be stored.
+ * @returns {Object} { token, state, needsSeeding } - token is null when there is none
+ */
+function readToken() {
+  const envToken = process.env.FACEBOOK_ACCESS_TOKEN || null;
+  const state = readJsonFile(TOKEN_FILE, null);
+  const key = getEncryptionKey();
+
+  if (state && key && (!envToken || state.envFingerprint === fingerprint(envToken))) {
+    try {
+      return { token: decryptToken(state, key), state, needsSeeding: false };
+    } catch (error) {
+      logger.error('Failed to decrypt stored Facebook token, using FACEBOOK_ACCESS_TOKEN', {
+        error: error.message
+      });
+    }
+  }
+
+  if (!envToken) {
+    return { token: null, state: null, needsSeeding: false };
+  }
+
+  return {
+    token: envToken,
+    state: {
+      source: TOKEN_SOURCES.ENV,
+      envFingerprint: fingerprint(envToken),
+      expiresAt: null,
+      refreshedAt: null,
+      lastRefreshError: null
+    },
+    needsSeeding: true
+  };
+}
+
+/**
+ * Current access token, seeding the store from FACEBOOK_ACCESS_TOKEN when needed
+ * @returns {Object} { token, state } - token is null when there is none
+ */
+function loadToken() {
+  const { token, state, needsSeeding } = readToken();
+
+  if (needsSeeding) {
+    saveToken(token, state);
+    logger.info('Facebook token store seeded from FACEBOOK_ACCESS_TOKEN');
+  }
+
+  return { token, state };
+}
+
+/**
+ * Exchange the current token for a new long-lived token and store it
+ * @returns {Promise<string|null>} New token, or null if the refresh failed
+ */
+async function rotateToken(token, state) {
+  const appId = process.env.FACEBOOK_APP_ID;
+  const appSecret = process.env.FACEBOOK_APP_SECRET;
+
+  if (!appId || !appSecret) {
+    logger.warn('   Cannot refresh automatically: FACEBOOK_APP_ID and FACEBOOK_APP_SECRET are required');
+    return null;
+  }
+
+  if (skipInDryRun({ action: 'rotateToken', target: TOKEN_FILE, expiresAt: state.expiresAt })) {
+    logger.info('   Dry run: token exchange skipped, using the current token');
+    return null;
+  }
+
+  const result = await refreshAccessToken(appId, appSecret, token);
+
+  if (!result.success) {
+    saveToken(token, { ...state, lastRefreshError: result.error });
+    return null;
+  }
+
+  const now = Date.now();
+  saveToken(result.accessToken, {
+    ...state,
+    source: TOKEN_SOURCES.REFRESH,
+    expiresAt: result.expiresIn ? new Date(now + result.expiresIn * 1000).toISOString() : null,
+    refreshedAt: new Date(now).toISOString(),
+    lastRefreshError: null
+  });
+
+  logger.info('✅ Facebook access token rotated and stored', {
+    expiresInDays: result.expiresIn ? Math.floor(result.expiresIn / SECONDS_PER_DAY) : 'N/A'
+  });
+
+  return result.accessToken;
+}
+
+/**
+ * Get a valid access token, refreshing it when it expires soon
+ * If the refresh fails, the current token is used while it is still valid.
+ * @returns {Promise<string|null>} - Access token, or null if there is no valid token
+ */
+export async function getValidAccessToken() {
+  const { token, state } = loadToken();
+
+  if (!token) {
+    logger.error('Missing Facebook access token (FACEBOOK_ACCESS_TOKEN)');
+    return null;
+  }
+
+  const { isValid, expiresAt, expiresIn } = await checkTokenExpiry(token);
   
   if (!isValid) {
     logger.error('❌ Facebook access token is INVALID or EXPIRED!');
     logger.error('   Action required: Generate new token from Facebook Graph API Explorer');
-    logger.error('   Update Railway env var: FACEBOOK_ACCESS_TOKEN');
-    return false;
+    logger.error('   Update Railway env var: FACEBOOK_ACCESS_TOKEN (the token store is seeded from it again)');
+    return null;
   }
   
-  // Check if token expires soon (within warning days)
+  // Refresh if token expires soon (within warning days)
   if (expiresIn !== null) {
-    const daysUntilExpiry = Math.floor(expiresIn / (24 * 60 * 60));
+    const daysUntilExpiry = Math.floor(expiresIn / SECONDS_PER_DAY);
     
     if (daysUntilExpiry < FACEBOOK.tokenExpiryWarningDays) {
-      logger.warn(`⚠️  Facebook access token expires in ${daysUntilExpiry} days!`);
-      logger.warn('   Consider refreshing token soon');
-      logger.warn('   Use refreshAccessToken() function or generate new token from Facebook');
+      logger.warn(`⚠️  Facebook access token expires in ${daysUntilExpiry} days, refreshing`);
+      const rotated = await rotateToken(token, { ...state, expiresAt: expiresAt.toISOString() });
+      if (rotated) {
+        return rotated;
+      }
+      logger.warn('   Refresh failed, using the current token until it expires');
     }
   }
   
-  return true;
+  return token;
+}
+
+/**
+ * Status of the current access token (the token itself is never returned)
+ * Read-only: the store is neither seeded nor refreshed.
+ * @returns {Promise<Object>} { configured, isValid, source, expiresAt, expiresInDays, refreshedAt,
+ *                              lastRefreshError, autoRefresh, encrypted, tokenSuffix }
+ */
+export async function getTokenStatus() {
+  const { token, state } = readToken();
+  const autoRefresh = Boolean(process.env.FACEBOOK_APP_ID && process.env.FACEBOOK_APP_SECRET);
+
+  if (!token) {
+    return { configured: false, isValid: false, autoRefresh };
+  }
+
+  const { isValid, expiresAt, expiresIn } = await checkTokenExpiry(token);
+
+  return {
+    configured: true,
+    isValid,
+    source: state?.source || TOKEN_SOURCES.ENV,
+    expiresAt: expiresAt ? expiresAt.toISOString() : null,
+    expiresInDays: expiresIn !== null ? Math.floor(expiresIn / SECONDS_PER_DAY) : null,
+    refreshDueInDays: expiresIn !== null
+      ? Math.max(0, Math.floor(expiresIn / SECONDS_PER_DAY) - FACEBOOK.tokenExpiryWarningDays + 1)
+      : null,
+    refreshedAt: state?.refreshedAt || null,
+    lastRefreshError: state?.lastRefreshError || null,
+    autoRefresh,
+    encrypted: Boolean(getEncryptionKey()),
+    tokenSuffix: token.slice(-4)
+  };
 }
 
 /**
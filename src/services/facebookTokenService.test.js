@@ -0,0 +1,46 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import { getTokenStatus, getValidAccessToken, TOKEN_SOURCES } from './facebookTokenService.js';
+
+const tokenFile = () => path.join(process.env.DATA_DIR, 'facebook-token.json');
+
+beforeEach(() => {
+  process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'fb-token-test-'));
+  process.env.FACEBOOK_ACCESS_TOKEN = 'EAAB-env-token-1234';
+  process.env.FACEBOOK_TOKEN_ENCRYPTION_KEY = 'test-key';
+
+  // debug_token: valid for 60 more days
+  mock.method(axios, 'get', async () => ({
+    data: { data: { is_valid: true, expires_at: Math.floor(Date.now() / 1000) + 60 * 24 * 60 * 60 } }
+  }));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  delete process.env.FACEBOOK_ACCESS_TOKEN;
+  delete process.env.FACEBOOK_TOKEN_ENCRYPTION_KEY;
+});
+
+test('the token status does not seed the store', async () => {
+  const status = await getTokenStatus();
+
+  assert.deepEqual([status.configured, status.isValid, status.source, status.tokenSuffix], [true, true, TOKEN_SOURCES.ENV, '1234']);
+  assert.equal(fs.existsSync(tokenFile()), false);
+});
+
+test('a changed FACEBOOK_ACCESS_TOKEN is reported but left for the next run to store', async () => {
+  assert.equal(await getValidAccessToken(), 'EAAB-env-token-1234');
+  const stored = fs.readFileSync(tokenFile(), 'utf8');
+  assert.ok(!stored.includes('EAAB-env-token-1234'));
+
+  process.env.FACEBOOK_ACCESS_TOKEN = 'EAAB-new-env-token-5678';
+  const status = await getTokenStatus();
+
+  assert.equal(status.tokenSuffix, '5678');
+  assert.equal(fs.readFileSync(tokenFile(), 'utf8'), stored);
+});
@@ -0,0 +1,151 @@
+/**
+ * Google Ads Expense Processing
+ *
+ * Google Ads API implementation of an ad platform (see adPlatformService):
+ * campaign cost for the customer account (GOOGLE_ADS_CUSTOMER_ID), which must be
+ * in RON. Access tokens come from the OAuth refresh token
+ * (GOOGLE_ADS_CLIENT_ID / GOOGLE_ADS_CLIENT_SECRET / GOOGLE_ADS_REFRESH_TOKEN);
+ * GOOGLE_ADS_LOGIN_CUSTOMER_ID is only needed when access goes through a manager account.
+ * Expenses are created per project with the ID google_ads_{project}_{month}_{year}.
+ */
+import axios from 'axios';
+import { processAdPlatform } from './adPlatformService.js';
+import {
+  GOOGLE_ADS,
+  AD_PLATFORMS,
+  EXPENSE_ID_PREFIXES
+} from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+
+// Customer IDs are shown as 123-456-7890 but the API takes digits only
+const normalizeCustomerId = customerId => String(customerId || '').replace(/-/g, '');
+
+/**
+ * Exchange the refresh token for an access token
+ * @returns {Promise<string>} Access token
+ */
+async function getAccessToken() {
+  try {
+    const response = await axios.post(GOOGLE_ADS.tokenUrl, new URLSearchParams({
+      client_id: process.env.GOOGLE_ADS_CLIENT_ID,
+      client_secret: process.env.GOOGLE_ADS_CLIENT_SECRET,
+      refresh_token: process.env.GOOGLE_ADS_REFRESH_TOKEN,
+      grant_type: 'refresh_token'
+    }), { timeout: GOOGLE_ADS.timeout });
+
+    return response.data.access_token;
+  } catch (error) {
+    logger.error('Failed to get Google Ads access token', {
+      error: error.message,
+      response: error.response?.data
+    });
+    throw new Error('INVALID_TOKEN');
+  }
+}
+
+/**
+ * Run a GAQL query (searchStream) and return all result rows
+ * @param {Object} connection - { customerId, accessToken }
+ * @param {string} query - GAQL query
+ * @returns {Promise<Array<Object>>} Result rows
+ */
+async function search({ customerId, accessToken }, query) {
+  const url = `${GOOGLE_ADS.baseUrl}/${GOOGLE_ADS.apiVersion}/customers/${customerId}/googleAds:searchStream`;
+  const headers = {
+    Authorization: `Bearer ${accessToken}`,
+    'developer-token': process.env.GOOGLE_ADS_DEVELOPER_TOKEN
+  };
+  if (process.env.GOOGLE_ADS_LOGIN_CUSTOMER_ID) {
+    headers['login-customer-id'] = normalizeCustomerId(process.env.GOOGLE_ADS_LOGIN_CUSTOMER_ID);
+  }
+
+  try {
+    const response = await axios.post(url, { query }, { headers, timeout: GOOGLE_ADS.timeout });
+
+    // searchStream answers with one batch per chunk of results
+    return (response.data || []).flatMap(batch => batch.results || []);
+  } catch (error) {
+    const details = error.response?.data?.[0]?.error || error.response?.data?.error;
+
+    if (details?.status === 'RESOURCE_EXHAUSTED') {
+      logger.error('Google Ads API rate limit exceeded', { error: details.message });
+      throw new Error('RATE_LIMIT_EXCEEDED');
+    }
+
+    if (details?.status === 'UNAUTHENTICATED') {
+      logger.error('Google Ads access token is invalid or expired', { error: details.message });
+      throw new Error('INVALID_TOKEN');
+    }
+
+    logger.error('Google Ads query failed', {
+      error: error.message,
+      response: details || error.response?.data
+    });
+    throw error;
+  }
+}
+
+/**
+ * Google Ads platform
+ */
+export const googleAdsPlatform = {
+  id: AD_PLATFORMS.GOOGLE,
+  name: 'Google Ads',
+  expenseIdPrefix: EXPENSE_ID_PREFIXES.GOOGLE_ADS,
+  sourceEnv: 'GOOGLE_ADS_SOURCE',
+  expectedCurrency: GOOGLE_ADS.expectedCurrency,
+  optional: true,
+
+  isConfigured() {
+    return Boolean(
+      process.env.GOOGLE_ADS_CUSTOMER_ID &&
+      process.env.GOOGLE_ADS_DEVELOPER_TOKEN &&
+      process.env.GOOGLE_ADS_CLIENT_ID &&
+      process.env.GOOGLE_ADS_CLIENT_SECRET &&
+      process.env.GOOGLE_ADS_REFRESH_TOKEN
+    );
+  },
+
+  async connect() {
+    return {
+      customerId: normalizeCustomerId(process.env.GOOGLE_ADS_CUSTOMER_ID),
+      accessToken: await getAccessToken()
+    };
+  },
+
+  async getAccountCurrency(connection) {
+    const [row] = await search(connection, 'SELECT customer.currency_code FROM customer');
+    return row?.customer?.currencyCode;
+  },
+
+  async fetchCampaigns(connection, { startDate, endDate }) {
+    logger.info('Fetching Google Ads data', {
+      customerId: connection.customerId,
+      dateRange: `${startDate} to ${endDate}`
+    });
+
+    const rows = await search(connection, `
+      SELECT campaign.id, campaign.name, metrics.cost_micros
+      FROM campaign
+      WHERE segments.date BETWEEN '${startDate}' AND '${endDate}' AND metrics.cost_micros > 0
+    `);
+
+    logger.info('Google Ads data fetched', { totalCampaigns: rows.length });
+
+    // Cost is in micros of the account currency
+    return rows.map(row => ({
+      id: row.campaign?.id,
+      name: row.campaign?.name,
+      spend: Math.round(Number(row.metrics?.costMicros || 0) / 10000) / 100
+    }));
+  }
+};
+
+/**
+ * Main function to process Google Ads expenses
+ * @param {string} targetMonthYear - Optional. Format: "Luna YYYY" (e.g., "Octombrie 2025"). If provided, only processes that month.
+ * @returns {Promise<Object>} - Processing statistics
+ */
+export function processGoogleAds(targetMonthYear = null) {
+  return processAdPlatform(googleAdsPlatform, targetMonthYear);
+}
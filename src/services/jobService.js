@@ -0,0 +1,181 @@
+/**
+ * Job Service
+ * Tracks background runs (refreshes, P&L updates, cleanup) so callers can poll
+ * for completion instead of watching the logs.
+ *
+ * Job states: queued -> running -> succeeded | failed
+ * History is persisted to DATA_DIR/jobs.json (last JOBS_HISTORY_LIMIT jobs).
+ */
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { readJsonFile, writeJsonFile } from '../utils/localStore.js';
+import { withContext } from '../utils/runContext.js';
+
+const JOBS_FILE = 'jobs.json';
+
+export const JOB_STATES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+let jobs = null;
+
+/**
+ * Maximum number of jobs kept in history
+ */
+function getHistoryLimit() {
+  return parseInt(process.env.JOBS_HISTORY_LIMIT, 10) || 200;
+}
+
+/**
+ * Load job history on first use
+ * Jobs left queued/running by a previous process can never finish - mark them failed.
+ */
+function loadJobs() {
+  if (jobs) return jobs;
+
+  jobs = readJsonFile(JOBS_FILE, []);
+
+  let interrupted = 0;
+  jobs.forEach(job => {
+    if (job.state === JOB_STATES.QUEUED || job.state === JOB_STATES.RUNNING) {
+      job.state = JOB_STATES.FAILED;
+      job.finishedAt = job.finishedAt || new Date().toISOString();
+      job.error = 'Interrupted by service restart';
+      interrupted++;
+    }
+  });
+
+  if (interrupted > 0) {
+    logger.warn('⚠️  Marked interrupted jobs as failed', { interrupted });
+    saveJobs();
+  }
+
+  return jobs;
+}
+
+/**
+ * Persist job history (trimmed to the history limit)
+ */
+function saveJobs() {
+  const limit = getHistoryLimit();
+  if (jobs.length > limit) {
+    jobs = jobs.slice(jobs.length - limit);
+  }
+
+  try {
+    writeJsonFile(JOBS_FILE, jobs);
+  } catch (error) {
+    // Job tracking must never break the processing it tracks
+    logger.error('Failed to save job history', { error: error.message });
+  }
+}
+
+/**
+ * Create a queued job
+ * @param {string} type - Job type (e.g. 'refresh-all', 'refresh-month', 'pnl', 'cleanup', 'dry-run')
+ * @param {Object} options - { params, trigger }
+ * @returns {Object} Job record
+ */
+export function createJob(type, { params = {}, trigger = 'api' } = {}) {
+  loadJobs();
+
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    trigger,
+    params,
+    state: JOB_STATES.QUEUED,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    durationMs: null,
+    result: null,
+    error: null
+  };
+
+  jobs.push(job);
+  saveJobs();
+
+  logger.info('Job created', { jobId: job.id, type, trigger, params });
+  return job;
+}
+
+/**
+ * Update a job and persist the change
+ * @param {Object} job - Job record
+ * @param {Object} changes - Fields to set
+ */
+export function updateJob(job, changes) {
+  Object.assign(job, changes);
+  saveJobs();
+}
+
+/**
+ * Run a job's work function and record its outcome
+ * Results with success === false (processCommissions' failure shape) count as failed.
+ * @param {Object} job - Job created with createJob
+ * @param {Function} fn - Async work function
+ * @returns {Promise<Object>} The finished job (never throws)
+ */
+export async function runJob(job, fn) {
+  const startedAt = Date.now();
+  updateJob(job, {
+    state: JOB_STATES.RUNNING,
+    startedAt: new Date(startedAt).toISOString()
+  });
+
+  try {
+    const result = await withContext({ jobId: job.id, trigger: job.trigger }, fn);
+    const failed = result && result.success === false;
+
+    updateJob(job, {
+      state: failed ? JOB_STATES.FAILED : JOB_STATES.SUCCEEDED,
+      finishedAt: new Date().toISOString(),
+      durationMs: Date.now() - startedAt,
+      result: result ?? null,
+      error: failed ? result.error || 'Unknown error' : null
+    });
+  } catch (error) {
+    updateJob(job, {
+      state: JOB_STATES.FAILED,
+      finishedAt: new Date().toISOString(),
+      durationMs: Date.now() - startedAt,
+      error: error.message
+    });
+  }
+
+  const log = job.state === JOB_STATES.SUCCEEDED ? logger.info : logger.error;
+  log.call(logger, `Job ${job.state}`, {
+    jobId: job.id,
+    type: job.type,
+    durationMs: job.durationMs,
+    error: job.error
+  });
+
+  return job;
+}
+
+/**
+ * Get a job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} Job or null
+ */
+export function getJob(jobId) {
+  return loadJobs().find(job => job.id === jobId) || null;
+}
+
+/**
+ * List jobs, most recent first
+ * @param {Object} filters - { state, type, limit }
+ * @returns {Array<Object>} Jobs
+ */
+export function listJobs({ state, type, limit = 50 } = {}) {
+  return loadJobs()
+    .filter(job => (!state || job.state === state) && (!type || job.type === type))
+    .slice()
+    .reverse()
+    .slice(0, limit);
+}
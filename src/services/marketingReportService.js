@@ -0,0 +1,221 @@
+/**
+ * Marketing Report Service
+ * Marketing ROI for one month-year, per project: ad spend (stored campaign spend
+ * of every platform, mapped to projects like the expenses) next to the month's
+ * verified sales, broken down by campaign and by Utm Campaign.
+ *
+ * A sale is attributed to a campaign when its "Utm Campaign" is the campaign's
+ * name or ID (see marketingSpendService); sales whose UTM matches no campaign
+ * are listed by UTM. Per line:
+ * - cpa: spend / verified sales (cost per acquisition)
+ * - roas: revenue / spend (revenue is "Total După TVA")
+ * Project lines compare all the project's ad spend with all its verified sales;
+ * attributedSales / attributedRevenue are the part reached through a campaign.
+ *
+ * Read-only: nothing is created or updated.
+ */
+import {
+  SHARED_COST_PROJECT,
+  formatMonthYear
+} from '../config/constants.js';
+import { ensureRulesLoaded, getRule } from './rulesService.js';
+import { getCampaignMappings, mapCampaign } from './campaignMappingService.js';
+import {
+  getMonthCampaignSpend,
+  getMonthYearRange,
+  getVerifiedSales,
+  matchSaleToCampaign
+} from './marketingSpendService.js';
+import { isRefundSale } from './clawbackService.js';
+import { isValidProject } from '../utils/validators.js';
+import { toCsv } from '../utils/csv.js';
+import { logger } from '../utils/logger.js';
+
+// Breakdown line types
+export const ROI_LINE_LEVELS = {
+  PROJECT: 'project',
+  CAMPAIGN: 'campaign',
+  UTM: 'utm'
+};
+
+const ROI_CSV_COLUMNS = [
+  { key: 'monthYear', header: 'Luna' },
+  { key: 'project', header: 'Proiect' },
+  { key: 'level', header: 'Nivel' },
+  { key: 'platform', header: 'Platforma' },
+  { key: 'campaignId', header: 'ID Campanie' },
+  { key: 'campaignName', header: 'Campanie' },
+  { key: 'utm', header: 'Utm Campaign' },
+  { key: 'spend', header: 'Cheltuieli Reclame (RON)' },
+  { key: 'verifiedSales', header: 'Vanzari Verificate' },
+  { key: 'revenue', header: 'Venit (RON)' },
+  { key: 'cpa', header: 'CPA (RON)' },
+  { key: 'roas', header: 'ROAS' }
+];
+
+const round = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Add cost per acquisition and return on ad spend to a line
+ */
+function withRatios(line) {
+  return {
+    ...line,
+    spend: round(line.spend),
+    revenue: round(line.revenue),
+    cpa: line.verifiedSales > 0 && line.spend > 0 ? round(line.spend / line.verifiedSales) : null,
+    roas: line.spend > 0 ? round(line.revenue / line.spend) : null
+  };
+}
+
+/**
+ * Month's campaign spend mapped to projects
+ * @returns {Array<Object>} [{ platform, campaignId, campaignName, project, spend }]
+ */
+function getProjectCampaignSpend(campaigns, month, year) {
+  const projects = getRule('projects', month, year);
+  const mappingsByPlatform = {};
+
+  return campaigns.flatMap(campaign => {
+    mappingsByPlatform[campaign.platform] = mappingsByPlatform[campaign.platform] ||
+      getCampaignMappings(month, year, campaign.platform);
+
+    return mapCampaign(campaign, mappingsByPlatform[campaign.platform], projects).allocations
+      .map(({ project, amount }) => ({
+        platform: campaign.platform,
+        campaignId: campaign.id,
+        campaignName: campaign.name,
+        project,
+        spend: amount
+      }));
+  });
+}
+
+/**
+ * Build the marketing ROI report for a month
+ * @param {string} month - Romanian month name
+ * @param {number} year - Year
+ * @param {Object} options - { project? }: only this project
+ * @returns {Promise<Object>} { monthYear, spendRecorded, projects: [{ ...line, attributedSales, attributedRevenue, breakdown }], totals }
+ */
+export async function buildMarketingRoiReport(month, year, { project = null } = {}) {
+  const monthYear = formatMonthYear(month, year);
+  logger.info('Building marketing ROI report', { monthYear, project });
+
+  try {
+    await ensureRulesLoaded();
+
+    const campaigns = getMonthCampaignSpend(month, year);
+    if (!campaigns) {
+      logger.warn('⚠️  No stored ad spend for the month, run the month first', { monthYear });
+    }
+
+    const range = getMonthYearRange(monthYear);
+    const sales = (await getVerifiedSales(range.from, range.to))
+      .filter(sale => sale.monthYear === monthYear && isValidProject(sale.project));
+    const matchable = (campaigns || []).map(campaign => ({
+      platform: campaign.platform,
+      campaignId: campaign.id,
+      campaignName: campaign.name
+    }));
+
+    const projects = {};
+    const getProject = name => {
+      projects[name] = projects[name] || {
+        project: name,
+        spend: 0,
+        verifiedSales: 0,
+        revenue: 0,
+        attributedSales: 0,
+        attributedRevenue: 0,
+        breakdown: {}
+      };
+      return projects[name];
+    };
+    const getLine = (projectLine, key, fields) => {
+      projectLine.breakdown[key] = projectLine.breakdown[key] || { ...fields, spend: 0, verifiedSales: 0, revenue: 0 };
+      return projectLine.breakdown[key];
+    };
+
+    for (const spend of getProjectCampaignSpend(campaigns || [], month, year)) {
+      const projectLine = getProject(spend.project);
+      const { platform, campaignId, campaignName } = spend;
+
+      projectLine.spend += spend.spend;
+      getLine(projectLine, `${platform}:${campaignId}`, { level: ROI_LINE_LEVELS.CAMPAIGN, platform, campaignId, campaignName, utm: null })
+        .spend += spend.spend;
+    }
+
+    for (const sale of sales) {
+      const projectLine = getProject(sale.project);
+      const campaign = matchSaleToCampaign(sale.utmCampaign, matchable);
+      // Refunds reduce revenue but are not sales
+      const count = isRefundSale({ amountWithoutVat: sale.revenue }) ? 0 : 1;
+
+      projectLine.verifiedSales += count;
+      projectLine.revenue += sale.revenue;
+
+      const line = campaign
+        ? getLine(projectLine, `${campaign.platform}:${campaign.campaignId}`, { level: ROI_LINE_LEVELS.CAMPAIGN, ...campaign, utm: null })
+        : getLine(projectLine, `utm:${sale.utmCampaign.trim()}`, { level: ROI_LINE_LEVELS.UTM, platform: null, campaignId: null, campaignName: null, utm: sale.utmCampaign.trim() || null });
+
+      line.verifiedSales += count;
+      line.revenue += sale.revenue;
+
+      if (campaign) {
+        line.utm = line.utm || sale.utmCampaign;
+        projectLine.attributedSales += count;
+        projectLine.attributedRevenue += sale.revenue;
+      }
+    }
+
+    const projectLines = Object.values(projects)
+      .filter(line => !project || line.project === project)
+      .map(({ breakdown, ...line }) => ({
+        ...withRatios(line),
+        attributedRevenue: round(line.attributedRevenue),
+        breakdown: Object.values(breakdown)
+          .map(withRatios)
+          .sort((a, b) => b.spend - a.spend || b.revenue - a.revenue)
+      }))
+      // Shared costs last, the rest by spend
+      .sort((a, b) => (a.project === SHARED_COST_PROJECT) - (b.project === SHARED_COST_PROJECT) || b.spend - a.spend);
+
+    const totals = withRatios(projectLines.reduce((sum, line) => ({
+      spend: sum.spend + line.spend,
+      verifiedSales: sum.verifiedSales + line.verifiedSales,
+      revenue: sum.revenue + line.revenue,
+      attributedSales: sum.attributedSales + line.attributedSales,
+      attributedRevenue: sum.attributedRevenue + line.attributedRevenue
+    }), { spend: 0, verifiedSales: 0, revenue: 0, attributedSales: 0, attributedRevenue: 0 }));
+
+    logger.info('Marketing ROI report built', { monthYear, projects: projectLines.length, ...totals });
+
+    return {
+      monthYear,
+      spendRecorded: Boolean(campaigns),
+      projects: projectLines,
+      totals: { ...totals, attributedRevenue: round(totals.attributedRevenue) }
+    };
+  } catch (error) {
+    logger.error('Failed to build marketing ROI report', {
+      monthYear,
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+/**
+ * Marketing ROI report as CSV: one row per project followed by its campaign and UTM rows
+ * @param {Object} report - From buildMarketingRoiReport
+ * @returns {string} CSV document
+ */
+export function formatMarketingRoiCsv(report) {
+  const rows = report.projects.flatMap(({ breakdown, ...line }) => [
+    { ...line, level: ROI_LINE_LEVELS.PROJECT },
+    ...breakdown.map(entry => ({ ...entry, project: line.project }))
+  ]);
+
+  return toCsv(ROI_CSV_COLUMNS, rows.map(row => ({ ...row, monthYear: report.monthYear })));
+}
@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { rule, loadTestRules, createTestStore, runWithStore } from '../utils/testing.js';
+import { TABLES, FIELDS, AD_PLATFORMS, SALE_VERIFIED_STATUSES } from '../config/constants.js';
+import { recordMonthSpend } from './marketingSpendService.js';
+import { ROI_LINE_LEVELS, buildMarketingRoiReport, formatMarketingRoiCsv } from './marketingReportService.js';
+
+before(async () => {
+  process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'roi-test-'));
+  await loadTestRules([
+    rule('campaignMappings.webinar', { prefix: 'Webinar', split: { CODCOM: 0.6, 'Artok Academy': 0.4 } }, '2024-01')
+  ]);
+
+  recordMonthSpend(AD_PLATFORMS.FACEBOOK, 'Octombrie', 2025, {
+    campaigns: [{ id: '101', name: 'CODCOM Leads', spend: 300 }, { id: '102', name: 'Webinar Octombrie', spend: 200 }]
+  });
+});
+
+after(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+const sale = (project, amount, utmCampaign) => ({
+  [FIELDS.SALE_MONTH]: 'Octombrie 2025',
+  [FIELDS.VERIFICAT]: SALE_VERIFIED_STATUSES[0],
+  [FIELDS.PROJECT]: project,
+  [FIELDS.AMOUNT_WITHOUT_VAT]: amount,
+  [FIELDS.UTM_CAMPAIGN]: utmCampaign
+});
+
+function createStore() {
+  return createTestStore({
+    [TABLES.SALES]: [
+      sale('CODCOM', 1000, 'CODCOM Leads'),
+      sale('CODCOM', -200, 'codcom leads'),
+      sale('CODCOM', 500, 'newsletter'),
+      sale('Artok Academy', 400, 'webinar octombrie')
+    ]
+  });
+}
+
+const lineOf = line => [line.spend, line.verifiedSales, line.revenue, line.cpa, line.roas];
+
+test('project spend is compared with all the project\'s verified sales, refunds net of revenue', async () => {
+  const store = await createStore();
+
+  const report = await runWithStore(store, () => buildMarketingRoiReport('Octombrie', 2025));
+
+  assert.equal(report.spendRecorded, true);
+  assert.deepEqual(report.projects.map(p => [p.project, ...lineOf(p), p.attributedSales, p.attributedRevenue]), [
+    ['CODCOM', 420, 2, 1300, 210, 3.1, 1, 800],
+    ['Artok Academy', 80, 1, 400, 80, 5, 1, 400]
+  ]);
+  assert.deepEqual(lineOf(report.totals), [500, 3, 1700, 166.67, 3.4]);
+});
+
+test('the breakdown has a line per campaign and per UTM no campaign matches', async () => {
+  const store = await createStore();
+
+  const report = await runWithStore(store, () => buildMarketingRoiReport('Octombrie', 2025, { project: 'CODCOM' }));
+
+  assert.deepEqual(report.projects.map(p => p.project), ['CODCOM']);
+  assert.deepEqual(report.projects[0].breakdown.map(line => [line.level, line.campaignId, line.utm, ...lineOf(line)]), [
+    [ROI_LINE_LEVELS.CAMPAIGN, '101', 'CODCOM Leads', 300, 1, 800, 300, 2.67],
+    [ROI_LINE_LEVELS.CAMPAIGN, '102', null, 120, 0, 0, null, 0],
+    [ROI_LINE_LEVELS.UTM, null, 'newsletter', 0, 1, 500, null, null]
+  ]);
+
+  const csv = formatMarketingRoiCsv(report).split(/\r?\n/).filter(Boolean);
+  assert.equal(csv.length, 5);
+});
+
+test('a month without stored spend is flagged', async () => {
+  const store = await createStore();
+
+  const report = await runWithStore(store, () => buildMarketingRoiReport('Septembrie', 2025));
+
+  assert.equal(report.spendRecorded, false);
+  assert.deepEqual(report.projects, []);
+});
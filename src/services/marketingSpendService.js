@@ -0,0 +1,397 @@
+/**
+ * Marketing Spend Service
+ * Ad spend per campaign (and daily per ad set, for platforms that provide it),
+ * kept locally so spend can be queried for any date range (a week, a campaign)
+ * instead of the monthly totals booked as expenses.
+ *
+ * Stored in DATA_DIR/marketing-spend.json, one entry per month and platform,
+ * replaced each time the platform's month is processed:
+ * {
+ *   "months": {
+ *     "2025-10": {
+ *       "facebook": {
+ *         "fetchedAt": "2025-10-20T16:40:00.000Z",
+ *         "campaigns": [{ "id", "name", "spend" }],   // month totals
+ *         "rows": [{ "date": "2025-10-03", "campaignId", "campaignName", "adsetId", "adsetName", "spend" }]
+ *       }
+ *     }
+ *   }
+ * }
+ *
+ * Rows are mapped to projects when queried, with the campaign mapping rules in
+ * effect for their month (a split campaign counts towards each of its projects).
+ * Verified sales are attributed to a campaign when their "Utm Campaign" is the
+ * campaign's name or ID (ignoring case and diacritics).
+ */
+import { getDataStore } from '../config/dataStore.js';
+import { eq, or, and } from '../stores/filters.js';
+import {
+  TABLES,
+  FIELDS,
+  ROMANIAN_MONTHS,
+  SALE_VERIFIED_STATUSES,
+  getMonthIndex,
+  parseMonthYear
+} from '../config/constants.js';
+import { ensureRulesLoaded, getRule } from './rulesService.js';
+import { getCampaignMappings, mapCampaign, normalizeString } from './campaignMappingService.js';
+import { readJsonFile, writeJsonFile } from '../utils/localStore.js';
+import { skipInDryRun } from '../utils/runContext.js';
+import { logger } from '../utils/logger.js';
+
+const SPEND_FILE = 'marketing-spend.json';
+
+// Dimensions spend can be grouped by
+export const SPEND_GROUP_BY = {
+  DAY: 'day',
+  WEEK: 'week', // Starting Monday
+  MONTH: 'month',
+  PLATFORM: 'platform',
+  PROJECT: 'project',
+  CAMPAIGN: 'campaign',
+  ADSET: 'adset'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const round = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Store key of a month ("2025-10")
+ */
+function getMonthKey(month, year) {
+  return `${year}-${String(getMonthIndex(month) + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Month and year of a store key
+ * @returns {{month: string, year: number}}
+ */
+function parseMonthKey(monthKey) {
+  const [year, monthNumber] = monthKey.split('-').map(Number);
+  return { month: ROMANIAN_MONTHS[monthNumber - 1], year };
+}
+
+/**
+ * Monday of a date's week (YYYY-MM-DD)
+ */
+function getWeekStart(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Store keys of the months between two dates (inclusive)
+ * @returns {Array<string>} ["2025-10", "2025-11"]
+ */
+function getMonthKeysBetween(from, to) {
+  const keys = [];
+  let [year, monthNumber] = from.slice(0, 7).split('-').map(Number);
+
+  while (`${year}-${String(monthNumber).padStart(2, '0')}` <= to.slice(0, 7)) {
+    keys.push(`${year}-${String(monthNumber).padStart(2, '0')}`);
+    monthNumber++;
+    if (monthNumber > 12) {
+      monthNumber = 1;
+      year++;
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Replace a platform's stored spend for a month (a dry run only lists it in the plan)
+ * @param {string} platformId - AD_PLATFORMS value
+ * @param {Object} spend - { campaigns: [{ id, name, spend }], daily?: [{ date, campaignId, campaignName, adsetId, adsetName, spend }] }
+ * @returns {Object} { campaigns, rows }
+ */
+export function recordMonthSpend(platformId, month, year, { campaigns, daily = [] }) {
+  const monthKey = getMonthKey(month, year);
+  const entry = {
+    fetchedAt: new Date().toISOString(),
+    campaigns: campaigns.filter(campaign => campaign.spend > 0),
+    rows: daily.filter(row => row.spend > 0)
+  };
+
+  if (skipInDryRun({
+    action: 'replaceSpend',
+    target: SPEND_FILE,
+    platform: platformId,
+    month: monthKey,
+    campaigns: entry.campaigns.length,
+    rows: entry.rows.length
+  })) {
+    return { campaigns: entry.campaigns.length, rows: entry.rows.length };
+  }
+
+  const store = readJsonFile(SPEND_FILE, { months: {} });
+
+  store.months = store.months || {};
+  store.months[monthKey] = { ...store.months[monthKey], [platformId]: entry };
+  writeJsonFile(SPEND_FILE, store);
+
+  logger.info('Spend stored', { platform: platformId, month: monthKey, campaigns: entry.campaigns.length, rows: entry.rows.length });
+  return { campaigns: entry.campaigns.length, rows: entry.rows.length };
+}
+
+/**
+ * Stored month campaign spend of every platform
+ * @returns {Array<Object>|null} [{ platform, id, name, spend }], or null when nothing is stored for the month
+ */
+export function getMonthCampaignSpend(month, year) {
+  const platforms = readJsonFile(SPEND_FILE, { months: {} }).months?.[getMonthKey(month, year)];
+  if (!platforms) return null;
+
+  return Object.entries(platforms).flatMap(([platformId, { campaigns = [] }]) =>
+    campaigns.map(campaign => ({ platform: platformId, ...campaign }))
+  );
+}
+
+/**
+ * Date range of a month (YYYY-MM-DD)
+ * @param {string} monthYear - "Luna YYYY"
+ * @returns {{from: string, to: string}|null}
+ */
+export function getMonthYearRange(monthYear) {
+  const parsed = parseMonthYear(monthYear);
+  if (!parsed) return null;
+
+  const monthNumber = getMonthIndex(parsed.month) + 1;
+  const lastDay = new Date(parsed.year, monthNumber, 0).getDate();
+  const monthKey = getMonthKey(parsed.month, parsed.year);
+  return { from: `${monthKey}-01`, to: `${monthKey}-${String(lastDay).padStart(2, '0')}` };
+}
+
+/**
+ * Stored spend rows between two dates, mapped to projects
+ * A row of a split campaign becomes one row per project, with its share of the spend.
+ * @param {Object} options - { from, to, platform? }
+ * @returns {Object} { rows: [{ platform, date, campaignId, campaignName, adsetId, adsetName, project, spend }], missingMonths }
+ */
+export function getSpendRows({ from, to, platform = null }) {
+  const store = readJsonFile(SPEND_FILE, { months: {} });
+  const rows = [];
+  const missingMonths = [];
+
+  for (const monthKey of getMonthKeysBetween(from, to)) {
+    // Only platforms with daily spend
+    const platforms = Object.entries(store.months?.[monthKey] || {})
+      .filter(([platformId, entry]) => (!platform || platformId === platform) && entry.rows?.length > 0);
+
+    if (platforms.length === 0) {
+      missingMonths.push(monthKey);
+      continue;
+    }
+
+    const { month, year } = parseMonthKey(monthKey);
+    const projects = getRule('projects', month, year);
+
+    for (const [platformId, { rows: monthRows }] of platforms) {
+      const mappings = getCampaignMappings(month, year, platformId);
+      const allocationsByCampaign = new Map();
+
+      for (const row of monthRows) {
+        if (row.date < from || row.date > to) continue;
+
+        if (!allocationsByCampaign.has(row.campaignId)) {
+          const campaign = { id: row.campaignId, name: row.campaignName, spend: 1 };
+          allocationsByCampaign.set(row.campaignId, mapCampaign(campaign, mappings, projects).allocations);
+        }
+
+        for (const { project, share } of allocationsByCampaign.get(row.campaignId)) {
+          rows.push({ platform: platformId, ...row, project, spend: row.spend * share });
+        }
+      }
+    }
+  }
+
+  return { rows, missingMonths };
+}
+
+/**
+ * Verified sales of the months between two dates
+ * @returns {Promise<Array<Object>>} [{ id, project, revenue, utmCampaign, date, monthYear }]
+ */
+export async function getVerifiedSales(from, to) {
+  const monthYears = getMonthKeysBetween(from, to).map(monthKey => {
+    const { month, year } = parseMonthKey(monthKey);
+    return `${month} ${year}`;
+  });
+
+  const records = await getDataStore().select(TABLES.SALES, {
+    filter: and(
+      or(...monthYears.map(monthYear => eq(FIELDS.SALE_MONTH, monthYear))),
+      or(...SALE_VERIFIED_STATUSES.map(status => eq(FIELDS.VERIFICAT, status)))
+    ),
+    fields: [FIELDS.PROJECT, FIELDS.AMOUNT_WITHOUT_VAT, FIELDS.UTM_CAMPAIGN, FIELDS.SALE_DATE, FIELDS.SALE_MONTH]
+  });
+
+  return records.map(record => ({
+    id: record.id,
+    project: record.get(FIELDS.PROJECT),
+    revenue: record.get(FIELDS.AMOUNT_WITHOUT_VAT) || 0,
+    utmCampaign: record.get(FIELDS.UTM_CAMPAIGN) || '',
+    date: (record.get(FIELDS.SALE_DATE) || '').slice(0, 10) || null,
+    monthYear: record.get(FIELDS.SALE_MONTH)
+  }));
+}
+
+/**
+ * Is a sale in a date range
+ * Sales without a date count when the range covers their whole month.
+ */
+export function isSaleInRange(sale, from, to) {
+  if (sale.date) {
+    return sale.date >= from && sale.date <= to;
+  }
+
+  const range = getMonthYearRange(sale.monthYear);
+  return Boolean(range) && range.from >= from && range.to <= to;
+}
+
+/**
+ * Campaign a sale's "Utm Campaign" points to (same name or ID, ignoring case and diacritics)
+ * @param {string} utmCampaign - Sale's "Utm Campaign"
+ * @param {Array<Object>} campaigns - [{ platform, campaignId, campaignName }]
+ * @returns {Object|null} Campaign
+ */
+export function matchSaleToCampaign(utmCampaign, campaigns) {
+  const utm = normalizeString(utmCampaign);
+  if (!utm) return null;
+
+  return campaigns.find(campaign =>
+    utm === normalizeString(String(campaign.campaignId)) || utm === normalizeString(campaign.campaignName)
+  ) || null;
+}
+
+/**
+ * Value of a grouping dimension for a spend row or sale
+ */
+function getDimension(item, dimension) {
+  switch (dimension) {
+    case SPEND_GROUP_BY.DAY:
+      return item.date;
+    case SPEND_GROUP_BY.WEEK:
+      return item.date ? getWeekStart(item.date) : null;
+    case SPEND_GROUP_BY.MONTH:
+      return item.date ? item.date.slice(0, 7) : item.monthKey || null;
+    case SPEND_GROUP_BY.CAMPAIGN:
+      return item.campaignId;
+    case SPEND_GROUP_BY.ADSET:
+      return item.adsetId;
+    default:
+      return item[dimension];
+  }
+}
+
+/**
+ * Check a spend query's date range and grouping
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateSpendQuery({ from, to, groupBy = [] }) {
+  if (!DATE_PATTERN.test(from || '') || !DATE_PATTERN.test(to || '') || from > to) {
+    return 'Invalid date range. Expected from and to as YYYY-MM-DD (from <= to), or monthYear as "Luna YYYY"';
+  }
+
+  const unknown = groupBy.filter(dimension => !Object.values(SPEND_GROUP_BY).includes(dimension));
+  if (unknown.length > 0) {
+    return `Invalid groupBy "${unknown.join(', ')}". Expected: ${Object.values(SPEND_GROUP_BY).join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Query stored spend
+ * When grouped by campaign, each group also gets its verified sales and cost
+ * per verified sale (sales can't be attributed to ad sets, so not when grouped by ad set).
+ * @param {Object} options
+ * @param {string} options.from - First day (YYYY-MM-DD)
+ * @param {string} options.to - Last day (YYYY-MM-DD)
+ * @param {Array<string>} options.groupBy - SPEND_GROUP_BY values (default: project)
+ * @param {string} options.platform - Optional. AD_PLATFORMS value
+ * @param {string} options.project - Optional. Only this project's spend
+ * @param {string} options.campaign - Optional. Only this campaign (ID)
+ * @returns {Promise<Object>} { from, to, groupBy, totalSpend, groups, missingMonths }
+ */
+export async function querySpend({ from, to, groupBy = [SPEND_GROUP_BY.PROJECT], platform = null, project = null, campaign = null }) {
+  const invalid = validateSpendQuery({ from, to, groupBy });
+  if (invalid) {
+    throw new Error(invalid);
+  }
+
+  await ensureRulesLoaded();
+
+  const spend = getSpendRows({ from, to, platform });
+  const rows = spend.rows
+    .filter(row => !project || row.project === project)
+    .filter(row => !campaign || String(row.campaignId) === String(campaign));
+
+  const groups = new Map();
+  const getGroup = item => {
+    const keys = Object.fromEntries(groupBy.map(dimension => [dimension, getDimension(item, dimension)]));
+    const groupKey = JSON.stringify(keys);
+
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { ...keys, spend: 0 });
+    }
+    return groups.get(groupKey);
+  };
+
+  for (const row of rows) {
+    const group = getGroup(row);
+    group.spend += row.spend;
+    if (groupBy.includes(SPEND_GROUP_BY.CAMPAIGN)) group.campaignName = row.campaignName;
+    if (groupBy.includes(SPEND_GROUP_BY.ADSET)) group.adsetName = row.adsetName;
+  }
+
+  const withSales = groupBy.includes(SPEND_GROUP_BY.CAMPAIGN) && !groupBy.includes(SPEND_GROUP_BY.ADSET);
+  if (withSales) {
+    groups.forEach(group => { group.verifiedSales = 0; });
+
+    const campaigns = [...new Map(rows.map(row => [`${row.platform}:${row.campaignId}`, row])).values()];
+    const sales = (await getVerifiedSales(from, to))
+      .filter(sale => isSaleInRange(sale, from, to))
+      .filter(sale => !project || sale.project === project);
+
+    for (const sale of sales) {
+      const matched = matchSaleToCampaign(sale.utmCampaign, campaigns);
+      if (!matched) continue;
+
+      // The sale's own project and date, so it lands in the group it was made in
+      const range = getMonthYearRange(sale.monthYear);
+      const item = { ...matched, project: sale.project, date: sale.date, monthKey: range?.from.slice(0, 7) };
+      if (groupBy.some(dimension => getDimension(item, dimension) === null)) continue;
+
+      const groupKey = JSON.stringify(Object.fromEntries(groupBy.map(dimension => [dimension, getDimension(item, dimension)])));
+      if (groups.has(groupKey)) {
+        groups.get(groupKey).verifiedSales++;
+      }
+    }
+  }
+
+  const result = [...groups.values()]
+    .map(group => ({
+      ...group,
+      spend: round(group.spend),
+      ...(withSales && {
+        costPerVerifiedSale: group.verifiedSales > 0 ? round(group.spend / group.verifiedSales) : null
+      })
+    }))
+    .sort((a, b) => groupBy.map(d => String(a[d] ?? '').localeCompare(String(b[d] ?? ''))).find(order => order !== 0) || 0);
+
+  if (spend.missingMonths.length > 0) {
+    logger.warn('⚠️  No stored spend for some months of the query', { from, to, missingMonths: spend.missingMonths });
+  }
+
+  return {
+    from,
+    to,
+    groupBy,
+    totalSpend: round(rows.reduce((sum, row) => sum + row.spend, 0)),
+    groups: result,
+    missingMonths: spend.missingMonths
+  };
+}
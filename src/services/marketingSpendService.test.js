@@ -0,0 +1,87 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { rule, loadTestRules, createTestStore, runWithStore } from '../utils/testing.js';
+import { TABLES, FIELDS, AD_PLATFORMS, SALE_VERIFIED_STATUSES } from '../config/constants.js';
+import { SPEND_GROUP_BY, recordMonthSpend, querySpend } from './marketingSpendService.js';
+
+const spendRow = (date, campaignId, campaignName, spend) => ({
+  date,
+  campaignId,
+  campaignName,
+  adsetId: `${campaignId}-1`,
+  adsetName: 'Toate',
+  spend
+});
+
+before(async () => {
+  process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'spend-test-'));
+  await loadTestRules([
+    rule('campaignMappings.webinar', { prefix: 'Webinar', split: { CODCOM: 0.6, 'Artok Academy': 0.4 } }, '2024-01')
+  ]);
+
+  recordMonthSpend(AD_PLATFORMS.FACEBOOK, 'Octombrie', 2025, {
+    campaigns: [{ id: '101', name: 'CODCOM Leads', spend: 300 }, { id: '102', name: 'Webinar Octombrie', spend: 200 }],
+    daily: [
+      spendRow('2025-10-06', '101', 'CODCOM Leads', 100),
+      spendRow('2025-10-13', '101', 'CODCOM Leads', 200),
+      spendRow('2025-10-08', '102', 'Webinar Octombrie', 200)
+    ]
+  });
+});
+
+after(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+const sale = (date, utmCampaign, verified = SALE_VERIFIED_STATUSES[0]) => ({
+  [FIELDS.SALE_MONTH]: 'Octombrie 2025',
+  [FIELDS.SALE_DATE]: date,
+  [FIELDS.VERIFICAT]: verified,
+  [FIELDS.PROJECT]: 'CODCOM',
+  [FIELDS.AMOUNT_WITHOUT_VAT]: 1000,
+  [FIELDS.UTM_CAMPAIGN]: utmCampaign
+});
+
+const groupsOf = (result, ...keys) => result.groups.map(group => keys.map(key => group[key]));
+
+test('spend is mapped to projects with the month\'s campaign mapping rules', async () => {
+  const result = await querySpend({ from: '2025-10-01', to: '2025-10-31' });
+
+  assert.equal(result.totalSpend, 500);
+  assert.deepEqual(groupsOf(result, 'project', 'spend'), [['Artok Academy', 80], ['CODCOM', 420]]);
+  assert.deepEqual(result.missingMonths, []);
+});
+
+test('spend can be grouped by week, and months without stored spend are reported', async () => {
+  const result = await querySpend({ from: '2025-09-29', to: '2025-10-12', groupBy: [SPEND_GROUP_BY.WEEK] });
+
+  assert.deepEqual(groupsOf(result, 'week', 'spend'), [['2025-10-06', 300]]);
+  assert.deepEqual(result.missingMonths, ['2025-09']);
+});
+
+test('campaign groups count the verified sales whose Utm Campaign names the campaign', async () => {
+  const store = await createTestStore({
+    [TABLES.SALES]: [
+      sale('2025-10-07', 'codcom leads'),
+      sale('2025-10-14', '101'),
+      sale('2025-10-09', 'WEBINAR octombrie'),
+      sale('2025-10-09', 'codcom leads', 'Neverificat'),
+      sale('2025-10-10', 'newsletter')
+    ]
+  });
+
+  const result = await runWithStore(store, () => querySpend({ from: '2025-10-01', to: '2025-10-31', groupBy: [SPEND_GROUP_BY.CAMPAIGN] }));
+
+  assert.deepEqual(
+    groupsOf(result, 'campaign', 'campaignName', 'spend', 'verifiedSales', 'costPerVerifiedSale'),
+    [['101', 'CODCOM Leads', 300, 2, 150], ['102', 'Webinar Octombrie', 200, 1, 200]]
+  );
+});
+
+test('an invalid range or grouping is rejected', async () => {
+  await assert.rejects(querySpend({ from: '2025-10-31', to: '2025-10-01' }), /Invalid date range/);
+  await assert.rejects(querySpend({ from: '2025-10-01', to: '2025-10-31', groupBy: ['client'] }), /Invalid groupBy "client"/);
+});
@@ -6,19 +6,25 @@ import {
   PNL_SUMMARY_RECORDS,
   SOURCE,
   EXPENSE_CATEGORIES,
+  VAT_INCLUDED,
   COPYWRITING,
+  SALE_VERIFIED_STATUSES,
+  EXPENSE_ID_PREFIXES,
   getCurrentRomanianMonth,
   getCurrentYear
 } from '../config/constants.js';
-import { base } from '../config/airtable.js';
-import { retryWithBackoff, getAllMonthYearsFromSales } from './airtableService.js';
-
-// EUR/RON exchange rate (fixed per client requirement)
-const EUR_RON_RATE = 5.08;
+import { getDataStore } from '../config/dataStore.js';
+import { eq, or, and } from '../stores/filters.js';
+import { getAllMonthYearsFromSales } from './airtableService.js';
+import { getEurRonRate } from './exchangeRateService.js';
+import { ensureRulesLoaded, getRule, findRule } from './rulesService.js';
 
 // Delay helper to prevent rate limiting
 const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+// P&L line of each ad platform's expenses (the platform name in their description)
+const AD_PLATFORM_LINES = ['Facebook Ads', 'Google Ads', 'TikTok Ads'];
+
 /**
  * Process P&L records
  * Creates/updates P&L records showing revenue and expenses by project
@@ -32,6 +38,8 @@ export async function processPNL(targetMonthYear = null) {
   }
   
   try {
+    await ensureRulesLoaded();
+    
     let monthYears;
     
     if (targetMonthYear) {
@@ -48,6 +56,7 @@ export async function processPNL(targetMonthYear = null) {
         processed: 0,
         created: 0,
         updated: 0,
+        zeroed: 0,
         errors: 0
       };
     }
@@ -58,6 +67,7 @@ export async function processPNL(targetMonthYear = null) {
       processed: 0,
       created: 0,
       updated: 0,
+      zeroed: 0,
       errors: 0
     };
     
@@ -67,6 +77,7 @@ export async function processPNL(targetMonthYear = null) {
       totalStats.processed += result.processed;
       totalStats.created += result.created;
       totalStats.updated += result.updated;
+      totalStats.zeroed += result.zeroed;
       totalStats.errors += result.errors;
     }
     
@@ -91,12 +102,16 @@ async function processPNLForMonthYear(monthYear) {
   const month = parts[0];
   const year = parseInt(parts[1]);
   
-  logger.info('Processing P&L for month-year', { monthYear, month, year });
+  // EUR columns use the EUR/RON rate for this month (recorded on each P&L record)
+  const { rate: eurRonRate, source: eurRonRateSource } = await getEurRonRate(month, year);
+  
+  logger.info('Processing P&L for month-year', { monthYear, month, year, eurRonRate, eurRonRateSource });
   
   const stats = {
     processed: 0,
     created: 0,
     updated: 0,
+    zeroed: 0,
     errors: 0
   };
   
@@ -117,10 +132,12 @@ async function processPNLForMonthYear(monthYear) {
       totalExpenses: Object.values(expensesByProject).reduce((sum, items) => sum + items.length, 0)
     });
     
-    // Step 3: Get all projects that have either sales or expenses
+    // Step 3: Get all projects that have sales, expenses or P&L records
+    // (a project whose expenses were all cancelled still has last run's lines to zero)
     const allProjects = new Set([
       ...Object.keys(salesByProject),
-      ...Object.keys(expensesByProject)
+      ...Object.keys(expensesByProject),
+      ...await getPNLProjects(month, year)
     ]);
     
     logger.info(`Processing P&L for ${allProjects.size} projects`);
@@ -131,15 +148,17 @@ async function processPNLForMonthYear(monthYear) {
         const revenue = salesByProject[project]?.total || 0;
         const salesCount = salesByProject[project]?.count || 0;
         const expenses = expensesByProject[project] || []; // Now an array
+        const vat = calculateVatPosition(project, month, year, salesByProject[project], expenses);
         
         logger.info(`Processing P&L for project: ${project}`, {
           revenue,
           salesCount,
-          expenseCount: expenses.length
+          expenseCount: expenses.length,
+          vat
         });
         
         // Create/update P&L records for this project
-        await createOrUpdatePNLRecords(project, month, year, revenue, salesCount, expenses, stats);
+        await createOrUpdatePNLRecords(project, month, year, revenue, salesCount, expenses, vat, eurRonRate, stats);
         
         // Add delay between projects to prevent rate limiting
         await delay(500); // 500ms between projects
@@ -178,33 +197,30 @@ async function getSalesByProject(month, year) {
   const monthYear = `${month} ${year}`;
   
   try {
-    await retryWithBackoff(async () => {
-      await base(TABLES.SALES)
-        .select({
-          filterByFormula: `AND(
-            {${FIELDS.SALE_MONTH}} = "${monthYear}",
-            OR(
-              {${FIELDS.VERIFICAT}} = "Verificat Manual",
-              {${FIELDS.VERIFICAT}} = "Verificat Automat din Stripe"
-            )
-          )`,
-          fields: [FIELDS.PROJECT, FIELDS.TOTAL_AMOUNT]
-        })
-        .eachPage((records, fetchNextPage) => {
-          records.forEach(record => {
-            const project = record.get(FIELDS.PROJECT);
-            const amount = record.get(FIELDS.TOTAL_AMOUNT) || 0;
-            
-            if (project) {
-              if (!salesByProject[project]) {
-                salesByProject[project] = { total: 0, count: 0 };
-              }
-              salesByProject[project].total += amount;
-              salesByProject[project].count++;
-            }
-          });
-          fetchNextPage();
-        });
+    const records = await getDataStore().select(TABLES.SALES, {
+      filter: and(
+        eq(FIELDS.SALE_MONTH, monthYear),
+        or(...SALE_VERIFIED_STATUSES.map(status => eq(FIELDS.VERIFICAT, status)))
+      ),
+      fields: [FIELDS.PROJECT, FIELDS.TOTAL_AMOUNT, FIELDS.REVERSE_CHARGE]
+    });
+    
+    records.forEach(record => {
+      const project = record.get(FIELDS.PROJECT);
+      const amount = record.get(FIELDS.TOTAL_AMOUNT) || 0;
+      
+      if (project) {
+        if (!salesByProject[project]) {
+          salesByProject[project] = { total: 0, count: 0, reverseChargeTotal: 0 };
+        }
+        salesByProject[project].total += amount;
+        salesByProject[project].count++;
+        
+        // Reverse-charge sales carry no Romanian VAT (the client accounts for it)
+        if (record.get(FIELDS.REVERSE_CHARGE)) {
+          salesByProject[project].reverseChargeTotal += amount;
+        }
+      }
     });
     
     return salesByProject;
@@ -220,7 +236,9 @@ async function getSalesByProject(month, year) {
 
 /**
  * Get all individual expenses for a given month (not aggregated)
- * Only includes automatic expenses (manual expenses are handled by Airtable automation)
+ * Includes both automatic and manual expenses (Sursa = "Automat" / "Manual"),
+ * except stale automatic expenses soft-deleted with "Anulat" and shared
+ * expenses already allocated to the projects (see sharedCostService)
  */
 async function getExpensesByProject(month, year) {
   logger.debug('Fetching individual expenses by project', { month, year });
@@ -228,52 +246,67 @@ async function getExpensesByProject(month, year) {
   const expensesByProject = {};
   
   try {
-    await retryWithBackoff(async () => {
-      await base(TABLES.EXPENSES)
-        .select({
-          filterByFormula: `AND(
-            {${FIELDS.EXPENSE_MONTH}} = "${month}",
-            {${FIELDS.EXPENSE_YEAR}} = ${year},
-            {${FIELDS.EXPENSE_SOURCE}} = "${SOURCE.AUTOMATIC}"
-          )`,
-          fields: [
-            FIELDS.EXPENSE_PROJECT,
-            FIELDS.EXPENSE_CATEGORY,
-            FIELDS.EXPENSE_AMOUNT,
-            FIELDS.EXPENSE_DESCRIPTION,
-            FIELDS.EXPENSE_NAME
-          ]
-        })
-        .eachPage((records, fetchNextPage) => {
-          records.forEach(record => {
-            const project = record.get(FIELDS.EXPENSE_PROJECT);
-            const category = record.get(FIELDS.EXPENSE_CATEGORY);
-            const amount = record.get(FIELDS.EXPENSE_AMOUNT) || 0;
-            const description = record.get(FIELDS.EXPENSE_DESCRIPTION) || '';
-            const expenseName = record.get(FIELDS.EXPENSE_NAME) || '';
-            
-            if (project && category) {
-              if (!expensesByProject[project]) {
-                expensesByProject[project] = [];
-              }
-              
-              // Map expense categories to P&L categories
-              const pnlCategory = mapExpenseCategoryToPNL(category);
-              
-              if (pnlCategory) {
-                // Store each expense as individual item
-                expensesByProject[project].push({
-                  category: pnlCategory,
-                  expenseCategory: category,
-                  amount,
-                  description,
-                  expenseName
-                });
-              }
-            }
-          });
-          fetchNextPage();
+    const records = await getDataStore().select(TABLES.EXPENSES, {
+      filter: and(
+        eq(FIELDS.EXPENSE_MONTH, month),
+        eq(FIELDS.EXPENSE_YEAR, year)
+      ),
+      fields: [
+        FIELDS.EXPENSE_PROJECT,
+        FIELDS.EXPENSE_CATEGORY,
+        FIELDS.EXPENSE_AMOUNT,
+        FIELDS.EXPENSE_DESCRIPTION,
+        FIELDS.EXPENSE_NAME,
+        FIELDS.EXPENSE_VAT_INCLUDED,
+        FIELDS.EXPENSE_SOURCE,
+        FIELDS.EXPENSE_CANCELLED,
+        FIELDS.EXPENSE_ID,
+        FIELDS.EXPENSE_ALLOCATED_FROM
+      ]
+    });
+    
+    const activeRecords = records.filter(record => !record.get(FIELDS.EXPENSE_CANCELLED));
+    const allocatedIds = new Set(
+      activeRecords.map(record => record.get(FIELDS.EXPENSE_ALLOCATED_FROM)).filter(Boolean)
+    );
+    
+    activeRecords.forEach(record => {
+      const project = record.get(FIELDS.EXPENSE_PROJECT);
+      
+      // Counted in the projects' allocation lines; the project keeps a P&L (with its remaining expenses)
+      if (allocatedIds.has(record.id)) {
+        expensesByProject[project] = expensesByProject[project] || [];
+        return;
+      }
+      
+      const category = record.get(FIELDS.EXPENSE_CATEGORY);
+      const amount = record.get(FIELDS.EXPENSE_AMOUNT) || 0;
+      const description = record.get(FIELDS.EXPENSE_DESCRIPTION) || '';
+      const expenseName = record.get(FIELDS.EXPENSE_NAME) || '';
+      const vatIncluded = record.get(FIELDS.EXPENSE_VAT_INCLUDED) === VAT_INCLUDED.YES;
+      const source = record.get(FIELDS.EXPENSE_SOURCE) === SOURCE.MANUAL ? SOURCE.MANUAL : SOURCE.AUTOMATIC;
+      const expenseId = record.get(FIELDS.EXPENSE_ID) || '';
+      
+      if (project && category) {
+        if (!expensesByProject[project]) {
+          expensesByProject[project] = [];
+        }
+        
+        // Map expense categories to P&L categories
+        const pnlCategory = mapExpenseCategoryToPNL(category);
+        
+        // Store each expense as individual item
+        expensesByProject[project].push({
+          category: pnlCategory,
+          expenseCategory: category,
+          amount,
+          description,
+          expenseName,
+          vatIncluded,
+          source,
+          expenseId
         });
+      }
     });
     
     return expensesByProject;
@@ -289,6 +322,8 @@ async function getExpensesByProject(month, year) {
 
 /**
  * Map expense category to P&L category
+ * Categories used only on manual expenses map to the P&L category of the same
+ * name when one exists, otherwise to "Altele".
  */
 function mapExpenseCategoryToPNL(expenseCategory) {
   const mapping = {
@@ -301,14 +336,149 @@ function mapExpenseCategoryToPNL(expenseCategory) {
     [EXPENSE_CATEGORIES.SALARII]: PNL_CATEGORIES.SALARII // Copywriting commissions
   };
   
-  return mapping[expenseCategory] || null;
+  if (mapping[expenseCategory]) {
+    return mapping[expenseCategory];
+  }
+  
+  const sameName = Object.values(PNL_CATEGORIES)
+    .find(category => category !== PNL_CATEGORIES.PNL && category === expenseCategory);
+  if (sameName) {
+    return sameName;
+  }
+  
+  logger.warn('⚠️  Unknown expense category, using P&L category "Altele"', { expenseCategory });
+  return PNL_CATEGORIES.ALTELE;
+}
+
+/**
+ * P&L line name (Cheltuiala) for an expense
+ */
+function getPNLLineName(expense) {
+  // Manual expenses are named by whoever entered them
+  if (expense.source === SOURCE.MANUAL) {
+    return expense.expenseName || expense.description || expense.expenseCategory;
+  }
+  
+  // Shared cost allocations are named after the shared expense ("Cost comun: Marketing")
+  if (expense.expenseId?.startsWith(EXPENSE_ID_PREFIXES.ALLOCATION)) {
+    return expense.expenseName;
+  }
+  
+  // Extract name from description (e.g., "Comision Mario Cazacu" -> "Mario Cazacu")
+  let cheltuialaName = expense.description;
+  
+  // For Stripe, check category first (most reliable), then description
+  if (expense.expenseCategory === EXPENSE_CATEGORIES.TAXE_IMPOZITE && 
+      (expense.description.includes('Stripe') || expense.description.includes('stripe') || expense.description.includes('procesare plati'))) {
+    cheltuialaName = 'Stripe';
+  }
+  // For ad platforms, simplify to just the platform ("Facebook Ads", "Google Ads", "TikTok Ads")
+  else if (AD_PLATFORM_LINES.some(line => expense.description.includes(line))) {
+    cheltuialaName = AD_PLATFORM_LINES.find(line => expense.description.includes(line));
+  }
+  // For Team Leaders, use the expense name (Cheltuiala field) which has "TM Callers/Setters: Name"
+  else if (expense.expenseCategory === EXPENSE_CATEGORIES.TEAM_LEADER) {
+    cheltuialaName = expense.expenseName || expense.description;
+  }
+  // For commission expenses, clean up the description
+  else if (expense.description.includes('Comision')) {
+    cheltuialaName = expense.description.replace(/^Comision\s+/, '');
+  }
+  // For Copywriting, use the copywriter's name ("Copywriter: Diana Nastase" → "Diana Nastase")
+  else if (expense.expenseCategory === EXPENSE_CATEGORIES.SALARII && expense.description.includes('Copywriter')) {
+    cheltuialaName = expense.description.replace(/^Copywriter:\s*/, '');
+  }
+  
+  return cheltuialaName;
+}
+
+/**
+ * Combine expenses that land on the same P&L line (same category and name)
+ * Without this, each one would overwrite the previous one's amount.
+ * @returns {Array<Object>} [{ name, category, amount, description, source }]
+ */
+function buildPNLExpenseLines(expenses) {
+  const lines = new Map();
+  
+  for (const expense of expenses) {
+    const name = getPNLLineName(expense);
+    const key = getPNLLineKey(expense.category, name);
+    
+    if (!lines.has(key)) {
+      lines.set(key, {
+        name,
+        category: expense.category,
+        amount: 0,
+        descriptions: [],
+        source: SOURCE.AUTOMATIC
+      });
+    }
+    
+    const line = lines.get(key);
+    line.amount += expense.amount;
+    line.descriptions.push(expense.description);
+    if (expense.source === SOURCE.MANUAL) {
+      line.source = SOURCE.MANUAL;
+    }
+  }
+  
+  return Array.from(lines.values()).map(({ descriptions, ...line }) => ({
+    ...line,
+    description: descriptions.filter(Boolean).join('; ')
+  }));
+}
+
+/**
+ * VAT treatment of a project for a month ("vat.*" rules)
+ * @returns {Object} { rate, exempt }
+ */
+function getVatPolicy(project, month, year) {
+  const projectPolicy = findRule('vat.projects', month, year)?.[project];
+  
+  if (projectPolicy?.exempt) {
+    return { rate: 0, exempt: true };
+  }
+  
+  return {
+    rate: projectPolicy?.rate ?? getRule('vat.standardRate', month, year),
+    exempt: false
+  };
+}
+
+/**
+ * Calculate a project's VAT position for the month
+ * - Output VAT (colectat): included in "Suma Totală" of sales, except reverse-charge sales
+ * - Input VAT (deductibil): included in expenses marked TVA Inclus = Da
+ * VAT-exempt projects neither charge nor deduct VAT.
+ * @returns {Object} { rate, exempt, outputVat, inputVat, payable }
+ */
+function calculateVatPosition(project, month, year, sales, expenses) {
+  const { rate, exempt } = getVatPolicy(project, month, year);
+  const vatShare = amount => amount - (amount / (1 + rate));
+  
+  const taxableRevenue = sales ? sales.total - sales.reverseChargeTotal : 0;
+  const vatIncludedExpenses = expenses
+    .filter(expense => expense.vatIncluded)
+    .reduce((sum, expense) => sum + expense.amount, 0);
+  
+  const outputVat = exempt ? 0 : vatShare(taxableRevenue);
+  const inputVat = exempt ? 0 : vatShare(vatIncludedExpenses);
+  
+  return {
+    rate,
+    exempt,
+    outputVat,
+    inputVat,
+    payable: outputVat - inputVat
+  };
 }
 
 /**
  * Create or update P&L records for a project
- * Creates individual records for each expense item
+ * Creates individual records for each expense item; lines of earlier runs
+ * that are no longer produced are zeroed (see zeroStalePNLRecords)
  */
-async function createOrUpdatePNLRecords(project, month, year, revenue, salesCount, expenses, stats) {
+async function createOrUpdatePNLRecords(project, month, year, revenue, salesCount, expenses, vat, eurRonRate, stats) {
   logger.info('Creating/updating P&L records', {
     project,
     month,
@@ -318,6 +488,14 @@ async function createOrUpdatePNLRecords(project, month, year, revenue, salesCoun
     expenseCount: expenses?.length || 0
   });
   
+  // Lines produced by this run, by getPNLLineKey (a line that failed to update is not stale)
+  const producedLines = new Set([
+    PNL_SUMMARY_RECORDS.INCASARI,
+    PNL_SUMMARY_RECORDS.TOTAL_CHELTUIELI,
+    PNL_SUMMARY_RECORDS.TOTAL_PROFIT,
+    PNL_SUMMARY_RECORDS.MARJA_PROFIT
+  ].map(name => getPNLLineKey(PNL_CATEGORIES.PNL, name)));
+  
   // 1. Create/Update Revenue (Incasari) record under P&L category
   try {
     await createOrUpdatePNLRecord(
@@ -328,7 +506,8 @@ async function createOrUpdatePNLRecords(project, month, year, revenue, salesCoun
       PNL_CATEGORIES.PNL, // Category is now "P&L"
       revenue, // POSITIVE value (user requested)
       `${salesCount} vânzări verificate`,
-      stats
+      stats,
+      eurRonRate
     );
   } catch (error) {
     logger.error('Failed to create/update revenue P&L record', {
@@ -338,44 +517,23 @@ async function createOrUpdatePNLRecords(project, month, year, revenue, salesCoun
     stats.errors++;
   }
   
-  // 2. Create individual P&L record for EACH expense
+  // 2. Create individual P&L record for EACH expense line (automatic and manual)
   if (expenses && expenses.length > 0) {
-    for (const expense of expenses) {
+    for (const line of buildPNLExpenseLines(expenses)) {
+      producedLines.add(getPNLLineKey(line.category, line.name));
       try {
-        // Extract name from description (e.g., "Comision Mario Cazacu" -> "Mario Cazacu")
-        let cheltuialaName = expense.description;
-        
-        // For Stripe, check category first (most reliable), then description
-        if (expense.expenseCategory === EXPENSE_CATEGORIES.TAXE_IMPOZITE && 
-            (expense.description.includes('Stripe') || expense.description.includes('stripe') || expense.description.includes('procesare plati'))) {
-          cheltuialaName = 'Stripe';
-        }
-        // For Facebook Ads, simplify to just "Facebook Ads"
-        else if (expense.description.includes('Facebook Ads')) {
-          cheltuialaName = 'Facebook Ads';
-        }
-        // For Team Leaders, use the expense name (Cheltuiala field) which has "TM Callers/Setters: Name"
-        else if (expense.expenseCategory === EXPENSE_CATEGORIES.TEAM_LEADER) {
-          cheltuialaName = expense.expenseName || expense.description;
-        }
-        // For commission expenses, clean up the description
-        else if (expense.description.includes('Comision')) {
-          cheltuialaName = expense.description.replace(/^Comision\s+/, '');
-        }
-        // For Copywriting, use the description as-is (already formatted: "TM Setters: George Coapsi")
-        else if (expense.expenseCategory === EXPENSE_CATEGORIES.SALARII && expense.description.includes('Copywriter')) {
-          cheltuialaName = 'Diana Nastase';
-        }
-        
         await createOrUpdatePNLRecord(
-          cheltuialaName, // Individual expense name
+          line.name, // Individual expense name
           project,
           month,
           year,
-          expense.category, // P&L category (Marketing, Reprezentanti, etc.)
-          expense.amount, // Positive value for expenses
-          expense.description, // Full description
-          stats
+          line.category, // P&L category (Marketing, Reprezentanti, etc.)
+          line.amount, // Positive value for expenses
+          line.description, // Full description
+          stats,
+          eurRonRate,
+          null,
+          line.source
         );
         
         // Small delay between expense records to prevent rate limiting
@@ -383,7 +541,7 @@ async function createOrUpdatePNLRecords(project, month, year, revenue, salesCoun
       } catch (error) {
         logger.error('Failed to create/update individual expense P&L record', {
           project,
-          expense: expense.description,
+          expense: line.name,
           error: error.message
         });
         stats.errors++;
@@ -391,16 +549,23 @@ async function createOrUpdatePNLRecords(project, month, year, revenue, salesCoun
     }
   }
   
-  // 3. Create/Update TVA (VAT) expense record under Taxe & Impozite
-  // Calculate TVA from revenue (which includes VAT): TVA = Preț cu TVA - (Preț cu TVA / 1.21)
-  if (revenue > 0) {
+  // 3. Create/Update TVA (VAT) record under Taxe & Impozite
+  // TVA de plată = TVA colectat (sales) - TVA deductibil (expenses with TVA Inclus = Da)
+  if (revenue > 0 || vat.inputVat > 0) {
+    producedLines.add(getPNLLineKey(PNL_CATEGORIES.TAXE_IMPOZITE, 'TVA'));
     try {
-      const tvaAmount = revenue - (revenue / 1.21);
+      const description = vat.exempt
+        ? `Proiect scutit de TVA (incasari ${revenue.toFixed(2)} RON)`
+        : `TVA ${(vat.rate * 100).toFixed(0)}%: colectat ${vat.outputVat.toFixed(2)} RON - deductibil ${vat.inputVat.toFixed(2)} RON`;
       
       logger.info('Creating/updating TVA expense in P&L', {
         project,
         revenue,
-        tvaAmount: tvaAmount.toFixed(2)
+        vatRate: vat.rate,
+        exempt: vat.exempt,
+        outputVat: vat.outputVat.toFixed(2),
+        inputVat: vat.inputVat.toFixed(2),
+        tvaAmount: vat.payable.toFixed(2)
       });
       
       await createOrUpdatePNLRecord(
@@ -409,9 +574,10 @@ async function createOrUpdatePNLRecords(project, month, year, revenue, salesCoun
         month,
         year,
         PNL_CATEGORIES.TAXE_IMPOZITE, // Category: Taxe & Impozite
-        tvaAmount,
-        `TVA calculat din incasari (${revenue.toFixed(2)} RON)`,
-        stats
+        vat.payable,
+        description,
+        stats,
+        eurRonRate
       );
       
       await delay(200);
@@ -425,7 +591,83 @@ async function createOrUpdatePNLRecords(project, month, year, revenue, salesCoun
   }
   
   // 4. Create/Update the summary records under P&L category
-  await createPNLSummaryRecords(project, month, year, revenue, expenses, stats);
+  await createPNLSummaryRecords(project, month, year, revenue, expenses, vat, eurRonRate, stats);
+  
+  // 5. Zero the lines of earlier runs that no longer have expenses (e.g. cancelled stale expenses)
+  try {
+    await zeroStalePNLRecords(project, month, year, producedLines, stats);
+  } catch (error) {
+    logger.error('Failed to zero stale P&L records', {
+      project,
+      error: error.message
+    });
+    stats.errors++;
+  }
+}
+
+/**
+ * Key of a P&L line: category and name (Team Leader names normalized)
+ */
+function getPNLLineKey(category, cheltuialaName) {
+  return `${category}|${normalizeTeamLeaderName(cheltuialaName || '', category)}`;
+}
+
+/**
+ * Projects with P&L records for a month
+ * @returns {Promise<Array<string>>}
+ */
+async function getPNLProjects(month, year) {
+  const records = await getDataStore().select(TABLES.PNL, {
+    filter: and(
+      eq(FIELDS.PNL_MONTH, month),
+      eq(FIELDS.PNL_YEAR, year)
+    ),
+    fields: [FIELDS.PNL_PROJECT]
+  });
+  
+  return [...new Set(records.map(record => record.get(FIELDS.PNL_PROJECT)).filter(Boolean))];
+}
+
+/**
+ * Zero a project's P&L lines that this run did not produce
+ * Their expenses were cancelled or moved, so the old amounts would otherwise stay.
+ * Records are kept (and produced again if the expenses come back).
+ * @param {Set<string>} producedLines - Line keys written by this run (getPNLLineKey)
+ */
+async function zeroStalePNLRecords(project, month, year, producedLines, stats) {
+  const records = await getDataStore().select(TABLES.PNL, {
+    filter: and(
+      eq(FIELDS.PNL_PROJECT, project),
+      eq(FIELDS.PNL_MONTH, month),
+      eq(FIELDS.PNL_YEAR, year)
+    ),
+    fields: [FIELDS.PNL_CHELTUIALA, FIELDS.PNL_CATEGORY, FIELDS.PNL_SUMA_RON]
+  });
+  
+  for (const record of records) {
+    const cheltuiala = record.get(FIELDS.PNL_CHELTUIALA);
+    const category = record.get(FIELDS.PNL_CATEGORY);
+    const sumaRON = record.get(FIELDS.PNL_SUMA_RON);
+    
+    if (producedLines.has(getPNLLineKey(category, cheltuiala)) || !sumaRON) continue;
+    
+    await getDataStore().update(TABLES.PNL, record.id, {
+      [FIELDS.PNL_SUMA_RON]: 0,
+      [FIELDS.PNL_SUMA_EURO]: 0,
+      [FIELDS.PNL_DESCRIERE]: `Nicio cheltuială activă în ${month} ${year} (anterior ${sumaRON.toFixed(2)} RON)`
+    });
+    
+    logger.warn('⚠️  Zeroed stale P&L record (no longer produced)', {
+      project,
+      month,
+      year,
+      cheltuiala,
+      category,
+      oldSumaRON: sumaRON
+    });
+    
+    stats.zeroed++;
+  }
 }
 
 /**
@@ -433,19 +675,17 @@ async function createOrUpdatePNLRecords(project, month, year, revenue, salesCoun
  * These records always exist under "P&L" category
  * Each record has both RON and EURO columns populated
  */
-async function createPNLSummaryRecords(project, month, year, revenue, expenses, stats) {
+async function createPNLSummaryRecords(project, month, year, revenue, expenses, vat, eurRonRate, stats) {
   logger.debug('Creating P&L summary records', { project, month, year });
   
-  // Calculate TVA from revenue
-  const tvaAmount = revenue > 0 ? revenue - (revenue / 1.21) : 0;
-  
-  // Calculate total expenses (sum of all expense amounts + TVA)
-  const totalExpensesRON = expenses.reduce((sum, expense) => sum + expense.amount, 0) + tvaAmount;
-  const totalExpensesEUR = totalExpensesRON / EUR_RON_RATE;
+  // Calculate total expenses (sum of all expense amounts + TVA de plată)
+  // Expenses are gross; the VAT deductible from them is netted in the TVA line
+  const totalExpensesRON = expenses.reduce((sum, expense) => sum + expense.amount, 0) + vat.payable;
+  const totalExpensesEUR = totalExpensesRON / eurRonRate;
   
   // Calculate profit
   const profitRON = revenue - totalExpensesRON;
-  const profitEUR = profitRON / EUR_RON_RATE;
+  const profitEUR = profitRON / eurRonRate;
   
   // Calculate margin percentage (profit / revenue * 100)
   const marginPercent = revenue > 0 ? (profitRON / revenue * 100) : 0;
@@ -483,6 +723,7 @@ async function createPNLSummaryRecords(project, month, year, revenue, expenses,
         record.sumaRON,
         record.description,
         stats,
+        eurRonRate,
         record.sumaEURO // Pass EUR amount explicitly
       );
       
@@ -502,7 +743,9 @@ async function createPNLSummaryRecords(project, month, year, revenue, expenses,
 /**
  * Create or update a single P&L record
  * @param {number} sumaRON - Amount in RON
+ * @param {number} eurRonRate - EUR/RON rate for the month (stored on the record)
  * @param {number} sumaEURO - Amount in EURO (optional, will be calculated if not provided)
+ * @param {string} source - Sursa of the P&L record (Manual for lines from manual expenses)
  */
 async function createOrUpdatePNLRecord(
   cheltuialaName,
@@ -513,7 +756,9 @@ async function createOrUpdatePNLRecord(
   sumaRON,
   description,
   stats,
-  sumaEURO = null
+  eurRonRate,
+  sumaEURO = null,
+  source = SOURCE.AUTOMATIC
 ) {
   try {
     // For Team Leader records, normalize the name to prevent duplicates
@@ -529,7 +774,7 @@ async function createOrUpdatePNLRecord(
     const existingRecord = await getPNLRecord(project, month, year, category, cheltuialaName);
     
     // Calculate EUR if not provided (and if sumaRON is not null)
-    const calculatedEURO = sumaEURO !== null ? sumaEURO : (sumaRON !== null ? sumaRON / EUR_RON_RATE : null);
+    const calculatedEURO = sumaEURO !== null ? sumaEURO : (sumaRON !== null ? sumaRON / eurRonRate : null);
     
     const recordData = {
       [FIELDS.PNL_CHELTUIALA]: displayName, // Use normalized name for Team Leaders to prevent duplicates
@@ -537,8 +782,9 @@ async function createOrUpdatePNLRecord(
       [FIELDS.PNL_MONTH]: month,
       [FIELDS.PNL_YEAR]: year,
       [FIELDS.PNL_CATEGORY]: category,
-      [FIELDS.PNL_SOURCE]: SOURCE.AUTOMATIC,
-      [FIELDS.PNL_DESCRIERE]: description
+      [FIELDS.PNL_SOURCE]: source,
+      [FIELDS.PNL_DESCRIERE]: description,
+      [FIELDS.PNL_EUR_RON_RATE]: eurRonRate
     };
     
     // Only add Suma fields if they are not null (for MARJĂ PROFIT we skip these)
@@ -560,12 +806,7 @@ async function createOrUpdatePNLRecord(
         newSumaEURO: calculatedEURO
       });
       
-      await retryWithBackoff(async () => {
-        await base(TABLES.PNL).update([{
-          id: existingRecord.id,
-          fields: recordData
-        }]);
-      });
+      await getDataStore().update(TABLES.PNL, existingRecord.id, recordData);
       
       logger.info('✅ Updated P&L record', {
         project,
@@ -586,9 +827,7 @@ async function createOrUpdatePNLRecord(
         sumaEURO: calculatedEURO
       });
       
-      await retryWithBackoff(async () => {
-        await base(TABLES.PNL).create([{ fields: recordData }]);
-      });
+      await getDataStore().create(TABLES.PNL, recordData);
       
       logger.info('✅ Created P&L record', {
         project,
@@ -665,33 +904,26 @@ async function getPNLRecord(project, month, year, category, cheltuialaName) {
     
     // Try each search name
     for (const searchName of searchNames) {
-      // Escape quotes in cheltuiala name for Airtable formula
-      const escapedCheltuiala = searchName.replace(/"/g, '\\"');
+      // Quotes in the cheltuiala name are escaped by the store when building the query
+      const records = await getDataStore().select(TABLES.PNL, {
+        filter: and(
+          eq(FIELDS.PNL_PROJECT, project),
+          eq(FIELDS.PNL_MONTH, month),
+          eq(FIELDS.PNL_YEAR, year),
+          eq(FIELDS.PNL_CATEGORY, category),
+          eq(FIELDS.PNL_CHELTUIALA, searchName)
+        ),
+        maxRecords: 1
+      });
       
-      await retryWithBackoff(async () => {
-        await base(TABLES.PNL)
-          .select({
-            filterByFormula: `AND(
-              {${FIELDS.PNL_PROJECT}} = "${project}",
-              {${FIELDS.PNL_MONTH}} = "${month}",
-              {${FIELDS.PNL_YEAR}} = ${year},
-              {${FIELDS.PNL_CATEGORY}} = "${category}",
-              {${FIELDS.PNL_CHELTUIALA}} = "${escapedCheltuiala}"
-            )`,
-            maxRecords: 1
-          })
-          .eachPage((records, fetchNextPage) => {
-            records.forEach(record => {
-              results.push({
-                id: record.id,
-                cheltuiala: record.get(FIELDS.PNL_CHELTUIALA),
-                category: record.get(FIELDS.PNL_CATEGORY),
-                sumaRON: record.get(FIELDS.PNL_SUMA_RON),
-                sumaEURO: record.get(FIELDS.PNL_SUMA_EURO)
-              });
-            });
-            fetchNextPage();
-          });
+      records.forEach(record => {
+        results.push({
+          id: record.id,
+          cheltuiala: record.get(FIELDS.PNL_CHELTUIALA),
+          category: record.get(FIELDS.PNL_CATEGORY),
+          sumaRON: record.get(FIELDS.PNL_SUMA_RON),
+          sumaEURO: record.get(FIELDS.PNL_SUMA_EURO)
+        });
       });
       
       // If we found a match, return it
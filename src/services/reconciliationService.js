@@ -0,0 +1,367 @@
+/**
+ * Reconciliation Service
+ * Checks that the expenses we generate add up, for one month-year:
+ * - Commissions: each sales rep, setter/caller and team leader commission in
+ *   "Comisioane Lunare" against the sum of their Cheltuieli rows
+ * - Unattached sales: verified sales linked to no sales rep or setter/caller commission
+ * - Orphaned expenses: Cheltuieli rows whose associated sales no longer exist
+ * - Clawbacks: refund deductions booked in the month (see clawbackService)
+ *
+ * Read-only: nothing is created or updated.
+ */
+import { getDataStore } from '../config/dataStore.js';
+import {
+  TABLES,
+  FIELDS,
+  SOURCE,
+  SALE_VERIFIED_STATUSES,
+  EXPENSE_ID_PREFIXES,
+  STRIPE,
+  CLAWBACK_ROLES,
+  formatMonthYear
+} from '../config/constants.js';
+import { eq, and, or } from '../stores/filters.js';
+import {
+  getMonthlyCommissions,
+  getMonthlySetterCallerCommissions,
+  getMonthlyTeamLeaderCommissions,
+  getRepresentativesByIds,
+  getSalesByIds
+} from './airtableService.js';
+import { getRepaymentTotals } from './debtLedgerService.js';
+import { ensureRulesLoaded } from './rulesService.js';
+import {
+  isRefundSale,
+  getRefundCommission,
+  getClawbackPolicy,
+  getClawbackAmount,
+  getClawbackPrefix
+} from './clawbackService.js';
+import { isValidProject } from '../utils/validators.js';
+import { logger } from '../utils/logger.js';
+
+// Automatic expense types that are always linked to the sales they come from
+const SALES_LINKED_EXPENSE_PREFIXES = [
+  EXPENSE_ID_PREFIXES.SALES_REP,
+  EXPENSE_ID_PREFIXES.SETTER_CALLER,
+  EXPENSE_ID_PREFIXES.TEAM_LEADER,
+  EXPENSE_ID_PREFIXES.STRIPE,
+  EXPENSE_ID_PREFIXES.COPYWRITING,
+  EXPENSE_ID_PREFIXES.PLAN,
+  EXPENSE_ID_PREFIXES.CLAWBACK
+];
+
+const round = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Get all expense rows of a month (soft-deleted stale rows excluded)
+ */
+async function getMonthExpenses(month, year) {
+  const records = await getDataStore().select(TABLES.EXPENSES, {
+    filter: and(
+      eq(FIELDS.EXPENSE_MONTH, month),
+      eq(FIELDS.EXPENSE_YEAR, year)
+    )
+  });
+
+  return records.filter(record => !record.get(FIELDS.EXPENSE_CANCELLED)).map(record => ({
+    recordId: record.id,
+    expenseId: record.get(FIELDS.EXPENSE_ID) || '',
+    name: record.get(FIELDS.EXPENSE_NAME) || '',
+    project: record.get(FIELDS.EXPENSE_PROJECT),
+    category: record.get(FIELDS.EXPENSE_CATEGORY),
+    amount: record.get(FIELDS.EXPENSE_AMOUNT) || 0,
+    source: record.get(FIELDS.EXPENSE_SOURCE),
+    associatedSales: record.get(FIELDS.EXPENSE_ASSOCIATED_SALES) || []
+  }));
+}
+
+/**
+ * Compare a commission with the expense rows generated for it
+ * Allows 0.01 RON of rounding per expense row (allocations are rounded per project).
+ */
+function reconcileCommission({ commissionId, name, role, commission, expected, expenses, ...extra }) {
+  const expensed = round(expenses.reduce((sum, e) => sum + e.amount, 0));
+  const difference = round(expensed - expected);
+  const tolerance = 0.01 * Math.max(1, expenses.length);
+
+  return {
+    commissionId,
+    name,
+    role,
+    commission,
+    ...extra,
+    expected: round(expected),
+    expensed,
+    difference,
+    expenses: expenses.map(e => ({ expenseId: e.expenseId, project: e.project, amount: e.amount })),
+    status: Math.abs(difference) <= tolerance ? 'ok' : 'mismatch'
+  };
+}
+
+/**
+ * Commission of a commission record's linked refunds, and the part of it
+ * clawed back in the same month under the role's policy
+ */
+async function getRefundClawbacks(role, commissions, month, year) {
+  const sales = await getSalesByIds([...new Set(commissions.flatMap(c => c.sales || []))]);
+  const salesById = new Map(sales.map(sale => [sale.id, sale]));
+  const policy = getClawbackPolicy(role, month, year);
+
+  return Object.fromEntries(commissions.map(commission => {
+    const refundCommission = (commission.sales || [])
+      .map(id => salesById.get(id))
+      .filter(sale => sale && isRefundSale(sale) && isValidProject(sale.project))
+      .reduce((sum, sale) => sum + getRefundCommission(role, sale, month, year), 0);
+
+    return [commission.id, {
+      refundCommission: round(refundCommission),
+      clawedBack: round(getClawbackAmount(refundCommission, policy))
+    }];
+  }));
+}
+
+/**
+ * Expense rows of a commission record: its regular lines and its same-month clawback lines
+ */
+function commissionExpenses(expenses, prefix, role, commissionId) {
+  return expenses.filter(e =>
+    e.expenseId.startsWith(`${prefix}${commissionId}_`) ||
+    e.expenseId.startsWith(`${getClawbackPrefix(role)}${commissionId}_`)
+  );
+}
+
+/**
+ * Sales rep commissions: expected = positive commission (linked refunds
+ * clawed back per policy) minus debt repaid from it
+ */
+async function reconcileSalesReps(month, year, expenses) {
+  const commissions = await getMonthlyCommissions(month, year);
+  const repaid = await getRepaymentTotals();
+  const refunds = await getRefundClawbacks(CLAWBACK_ROLES.SALES_REP, commissions, month, year);
+
+  return commissions.map(commission => {
+    const finalCommission = commission.finalCommission || 0;
+    const debtRepaid = repaid[commission.id] || 0;
+    const { refundCommission, clawedBack } = refunds[commission.id];
+    const effectiveCommission = finalCommission - refundCommission + clawedBack;
+
+    return reconcileCommission({
+      commissionId: commission.id,
+      name: commission.name,
+      role: 'Sales',
+      commission: finalCommission,
+      refundCommission,
+      clawedBack,
+      debtRepaid,
+      expected: Math.max(0, effectiveCommission - debtRepaid),
+      expenses: commissionExpenses(expenses, EXPENSE_ID_PREFIXES.SALES_REP, CLAWBACK_ROLES.SALES_REP, commission.id)
+    });
+  });
+}
+
+/**
+ * Setter/Caller commissions: expected = "Suma Comision Setter/Caller" before
+ * linked refunds (when positive), plus the refunds clawed back per policy
+ */
+async function reconcileSettersCallers(month, year, expenses) {
+  const commissions = await getMonthlySetterCallerCommissions(month, year);
+  const refunds = await getRefundClawbacks(CLAWBACK_ROLES.SETTER_CALLER, commissions, month, year);
+
+  return commissions.map(commission => {
+    const { refundCommission, clawedBack } = refunds[commission.id];
+
+    return reconcileCommission({
+      commissionId: commission.id,
+      name: commission.name,
+      role: commission.role.includes('Caller') ? 'Caller' : 'Setter',
+      commission: commission.setterCallerCommission,
+      refundCommission,
+      clawedBack,
+      expected: Math.max(0, (commission.setterCallerCommission || 0) - refundCommission) + clawedBack,
+      expenses: commissionExpenses(expenses, EXPENSE_ID_PREFIXES.SETTER_CALLER, CLAWBACK_ROLES.SETTER_CALLER, commission.id)
+    });
+  });
+}
+
+/**
+ * Team leader commissions: "Comision Team Leader" against the team leader's
+ * expense rows ("TM {role}s: {name}", clawbacks "Retur TM {role}s: {name}").
+ * Team leaders with expenses but no monthly commission record are reported too.
+ */
+async function reconcileTeamLeaders(month, year, expenses) {
+  const commissions = await getMonthlyTeamLeaderCommissions(month, year);
+  const representatives = await getRepresentativesByIds(commissions.flatMap(c => c.representative || []));
+  const nameById = Object.fromEntries(representatives.map(rep => [rep.id, rep.name]));
+
+  const teamLeaderExpenses = {};
+  expenses
+    .filter(e => e.expenseId.startsWith(EXPENSE_ID_PREFIXES.TEAM_LEADER) ||
+      e.expenseId.startsWith(getClawbackPrefix(CLAWBACK_ROLES.TEAM_LEADER)))
+    .forEach(e => {
+      const teamLeaderName = e.name.split(': ').slice(1).join(': ') || e.name;
+      (teamLeaderExpenses[teamLeaderName] = teamLeaderExpenses[teamLeaderName] || []).push(e);
+    });
+
+  const results = commissions.map(commission => {
+    const [representativeId] = commission.representative || [];
+    const teamLeaderName = nameById[representativeId] || commission.name;
+    const matched = teamLeaderExpenses[teamLeaderName] || [];
+    delete teamLeaderExpenses[teamLeaderName];
+
+    return reconcileCommission({
+      commissionId: commission.id,
+      name: teamLeaderName,
+      role: 'Team Leader',
+      commission: commission.teamLeaderCommission,
+      expected: Math.max(0, commission.teamLeaderCommission),
+      expenses: matched
+    });
+  });
+
+  for (const [teamLeaderName, matched] of Object.entries(teamLeaderExpenses)) {
+    results.push(reconcileCommission({
+      commissionId: null,
+      name: teamLeaderName,
+      role: 'Team Leader',
+      commission: null,
+      expected: 0,
+      expenses: matched
+    }));
+  }
+
+  return results;
+}
+
+/**
+ * Verified sales of the month that no sales rep or setter/caller commission links to
+ */
+async function findUnattachedSales(monthYear) {
+  const sales = await getDataStore().select(TABLES.SALES, {
+    filter: and(
+      eq(FIELDS.SALE_MONTH, monthYear),
+      or(...SALE_VERIFIED_STATUSES.map(status => eq(FIELDS.VERIFICAT, status)))
+    )
+  });
+
+  // Commissions of any month count: a sale can be paid in a later month's commission
+  const commissionRecords = await getDataStore().select(TABLES.MONTHLY_COMMISSIONS, {
+    fields: [FIELDS.ROLE, FIELDS.SALES],
+    maxRecords: 10000
+  });
+
+  const attachedSaleIds = new Set();
+  commissionRecords.forEach(record => {
+    const role = record.get(FIELDS.ROLE);
+    const roles = Array.isArray(role) ? role : [role];
+    if (roles.some(r => r === 'Sales' || r === 'Setter' || r === 'Caller')) {
+      (record.get(FIELDS.SALES) || []).forEach(id => attachedSaleIds.add(id));
+    }
+  });
+
+  return sales
+    .filter(sale => !attachedSaleIds.has(sale.id))
+    .map(sale => ({
+      saleId: sale.id,
+      client: sale.get(FIELDS.CLIENT_NAME),
+      project: sale.get(FIELDS.PROJECT),
+      amountWithoutVat: sale.get(FIELDS.AMOUNT_WITHOUT_VAT),
+      verified: sale.get(FIELDS.VERIFICAT)
+    }));
+}
+
+/**
+ * Expense rows whose associated sales no longer exist (all or some of them),
+ * including sales-based automatic expenses left with no associated sales.
+ * Stripe fees of unmatched transactions (STRIPE.unmatchedProject) have no sales by design.
+ */
+async function findOrphanedExpenses(expenses) {
+  const linkedSaleIds = [...new Set(expenses.flatMap(e => e.associatedSales))];
+  const existingSaleIds = new Set((await getSalesByIds(linkedSaleIds)).map(sale => sale.id));
+
+  return expenses
+    .map(e => {
+      const missingSales = e.associatedSales.filter(id => !existingSaleIds.has(id));
+      const unmatchedStripeFees = e.expenseId.startsWith(EXPENSE_ID_PREFIXES.STRIPE) &&
+        e.project === STRIPE.unmatchedProject;
+      const expectsSales = e.source !== SOURCE.MANUAL && !unmatchedStripeFees &&
+        SALES_LINKED_EXPENSE_PREFIXES.some(prefix => e.expenseId.startsWith(prefix));
+      const orphaned = missingSales.length > 0 || (expectsSales && e.associatedSales.length === 0);
+
+      return orphaned ? {
+        recordId: e.recordId,
+        expenseId: e.expenseId,
+        project: e.project,
+        category: e.category,
+        amount: e.amount,
+        associatedSales: e.associatedSales,
+        missingSales
+      } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Clawback lines booked in the month, including deferred ones from last month's refunds
+ */
+function listClawbacks(expenses) {
+  return expenses
+    .filter(e => e.expenseId.startsWith(EXPENSE_ID_PREFIXES.CLAWBACK))
+    .map(e => ({
+      expenseId: e.expenseId,
+      name: e.name,
+      project: e.project,
+      amount: e.amount,
+      associatedSales: e.associatedSales
+    }));
+}
+
+/**
+ * Build the reconciliation report for a month
+ * @param {string} month - Romanian month name (e.g. "Octombrie")
+ * @param {number} year - Year
+ * @returns {Promise<Object>} { monthYear, summary, commissions: { salesReps, settersCallers, teamLeaders }, unattachedSales, orphanedExpenses, clawbacks }
+ */
+export async function buildReconciliationReport(month, year) {
+  const monthYear = formatMonthYear(month, year);
+  logger.info('Building reconciliation report', { monthYear });
+
+  try {
+    await ensureRulesLoaded();
+    const expenses = await getMonthExpenses(month, year);
+
+    const commissions = {
+      salesReps: await reconcileSalesReps(month, year, expenses),
+      settersCallers: await reconcileSettersCallers(month, year, expenses),
+      teamLeaders: await reconcileTeamLeaders(month, year, expenses)
+    };
+    const unattachedSales = await findUnattachedSales(monthYear);
+    const orphanedExpenses = await findOrphanedExpenses(expenses);
+    const clawbacks = listClawbacks(expenses);
+
+    const allCommissions = Object.values(commissions).flat();
+    const summary = {
+      commissionsChecked: allCommissions.length,
+      mismatches: allCommissions.filter(c => c.status === 'mismatch').length,
+      unattachedSales: unattachedSales.length,
+      orphanedExpenses: orphanedExpenses.length,
+      clawbacks: clawbacks.length,
+      clawbackTotal: round(clawbacks.reduce((sum, c) => sum + c.amount, 0))
+    };
+
+    if (summary.mismatches > 0 || summary.unattachedSales > 0 || summary.orphanedExpenses > 0) {
+      logger.warn('⚠️  Reconciliation found discrepancies', { monthYear, ...summary });
+    } else {
+      logger.info('✅ Reconciliation complete, everything adds up', { monthYear, ...summary });
+    }
+
+    return { monthYear, summary, commissions, unattachedSales, orphanedExpenses, clawbacks };
+  } catch (error) {
+    logger.error('Failed to build reconciliation report', {
+      monthYear,
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+}
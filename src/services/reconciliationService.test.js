@@ -0,0 +1,69 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadTestRules, createTestStore, runWithStore, getExpensesById } from '../utils/testing.js';
+import { TABLES, FIELDS, SALE_VERIFIED_STATUSES } from '../config/constants.js';
+import { processSalesRepCommissions } from './salesRepService.js';
+import { buildReconciliationReport } from './reconciliationService.js';
+
+before(() => loadTestRules());
+
+const sale = (client, project, amount) => ({
+  [FIELDS.CLIENT_NAME]: client,
+  [FIELDS.SALE_MONTH]: 'Octombrie 2025',
+  [FIELDS.VERIFICAT]: SALE_VERIFIED_STATUSES[0],
+  [FIELDS.PROJECT]: project,
+  [FIELDS.TOTAL_AMOUNT]: amount,
+  [FIELDS.AMOUNT_WITHOUT_VAT]: amount
+});
+
+/**
+ * Mario's October commission of 400 on Ion's sale, booked; Ana's sale has no commission
+ */
+async function createStore() {
+  const store = await createTestStore({
+    [TABLES.SALES]: [sale('Ion Popescu', 'CODCOM', 2000), sale('Ana Pop', 'Artok Academy', 500)]
+  });
+  const [ion, ana] = await store.select(TABLES.SALES, {});
+
+  await store.createBatch(TABLES.MONTHLY_COMMISSIONS, [{
+    [FIELDS.NAME]: 'Mario Cazacu - Octombrie',
+    [FIELDS.REPRESENTATIVE]: ['recRep1'],
+    [FIELDS.MONTH]: 'Octombrie',
+    [FIELDS.COMMISSION_YEAR]: 2025,
+    [FIELDS.ROLE]: ['Sales'],
+    [FIELDS.FINAL_COMMISSION]: 400,
+    [FIELDS.SALES]: [ion.id]
+  }]);
+  await runWithStore(store, () => processSalesRepCommissions('Octombrie 2025'));
+
+  const [commission] = await store.select(TABLES.MONTHLY_COMMISSIONS, {});
+  return { store, ion, ana, expenseId: `commission_${commission.id}_CODCOM` };
+}
+
+const report = store => runWithStore(store, () => buildReconciliationReport('Octombrie', 2025));
+
+test('booked commissions add up; sales no commission links to are listed', async () => {
+  const { store, ana } = await createStore();
+
+  const { summary, commissions, unattachedSales } = await report(store);
+
+  assert.deepEqual(
+    commissions.salesReps.map(c => [c.name, c.expected, c.expensed, c.status]),
+    [['Mario Cazacu - Octombrie', 400, 400, 'ok']]
+  );
+  assert.deepEqual(unattachedSales.map(s => [s.saleId, s.client]), [[ana.id, 'Ana Pop']]);
+  assert.deepEqual([summary.commissionsChecked, summary.mismatches, summary.orphanedExpenses], [1, 0, 0]);
+});
+
+test('a changed expense is a mismatch and an expense of a deleted sale is orphaned', async () => {
+  const { store, ion, expenseId } = await createStore();
+  const expense = (await getExpensesById(store))[expenseId];
+  await store.update(TABLES.EXPENSES, expense.id, { [FIELDS.EXPENSE_AMOUNT]: 350 });
+  await store.destroy(TABLES.SALES, ion.id);
+
+  const { summary, commissions, orphanedExpenses } = await report(store);
+
+  assert.deepEqual(commissions.salesReps.map(c => [c.difference, c.status]), [[-50, 'mismatch']]);
+  assert.deepEqual(orphanedExpenses.map(e => [e.expenseId, e.missingSales]), [[expenseId, [ion.id]]]);
+  assert.deepEqual([summary.mismatches, summary.orphanedExpenses], [1, 1]);
+});
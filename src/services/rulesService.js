@@ -0,0 +1,557 @@
+/**
+ * Rules Service
+ * Business rules (rates, team leaders, copywriters, projects, allocations) with
+ * effective dates, so rate changes don't need a redeploy and each month is
+ * processed with the rule that applied at the time.
+ *
+ * Sources (RULES_SOURCE):
+ * - file (default): JSON file at RULES_FILE (default src/config/rules.json)
+ * - airtable: "Reguli" table (Cheie, Valoare as JSON, Valabil de la, Valabil până la)
+ *
+ * A rule version: { key, value, effectiveFrom: "YYYY-MM", effectiveTo: "YYYY-MM" | null }
+ * Team leader assignments use one key per assignment ("teamLeaders.<id>"), so
+ * several leaders can be in effect at once and each can change independently.
+ * Copywriters ("copywriters.<id>"), commission plans ("commissionPlans.<id>") and
+ * ad campaign mappings ("campaignMappings.<id>") likewise use one key each.
+ * Rules are reloaded at the start of every run; an invalid rule set is rejected
+ * and the previously loaded rules stay in effect.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getDataStore } from '../config/dataStore.js';
+import { getAllMonthYearsFromSales } from './airtableService.js';
+import {
+  TABLES,
+  FIELDS,
+  ROMANIAN_MONTHS,
+  CLAWBACK_POLICIES,
+  CLAWBACK_ROLES,
+  ALLOCATION_METHODS,
+  AD_PLATFORMS,
+  COPYWRITING,
+  TIER_WINDOWS,
+  getMonthNumber,
+  parseMonthYear,
+  getCurrentRomanianMonth,
+  getCurrentYear
+} from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+
+const DEFAULT_RULES_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), '../config/rules.json');
+
+const isRate = value => typeof value === 'number' && value >= 0 && value <= 1;
+const isNonEmptyString = value => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Validators per rule key - return an error message or null
+ */
+const RULE_SCHEMAS = {
+  'stripe.feeRate': value => (isRate(value) ? null : 'must be a rate between 0 and 1'),
+
+  'setterCaller.commissionRate': value => (isRate(value) ? null : 'must be a rate between 0 and 1'),
+
+  'exchangeRates.eurRonFallback': value =>
+    typeof value === 'number' && value > 0 ? null : 'must be a positive number',
+
+  'vat.standardRate': value => (isRate(value) ? null : 'must be a rate between 0 and 1'),
+
+  'vat.projects': value => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return 'must be an object of project name -> { rate } or { exempt: true }';
+    }
+    for (const [project, policy] of Object.entries(value)) {
+      const hasRate = policy && policy.rate !== undefined;
+      const exempt = policy && policy.exempt === true;
+      if (hasRate === exempt) return `${project} must have either rate or exempt: true`;
+      if (hasRate && !isRate(policy.rate)) return `${project} rate must be between 0 and 1`;
+    }
+    return null;
+  },
+
+  'projects': value =>
+    Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString)
+      ? null
+      : 'must be a non-empty array of project names',
+
+  // Shared cost allocation: { method, weights?, categories?: { [category]: { method, weights? } } }
+  'sharedCosts.allocation': value => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object with a method';
+    const error = validateAllocationMethod(value);
+    if (error) return error;
+    if (value.categories === undefined) return null;
+    if (!value.categories || typeof value.categories !== 'object' || Array.isArray(value.categories)) {
+      return 'categories must be an object of category -> { method, weights? }';
+    }
+    for (const [category, spec] of Object.entries(value.categories)) {
+      const categoryError = spec ? validateAllocationMethod(spec) : 'must have a method';
+      if (categoryError) return `${category} ${categoryError}`;
+    }
+    return null;
+  },
+
+  // Refund clawback policy per role ("clawback.salesRep", ...)
+  ...Object.fromEntries(Object.values(CLAWBACK_ROLES).map(role => [`clawback.${role}`, validateClawbackPolicy]))
+};
+
+/**
+ * Progressive tiers: [{ max, rate }, ..., { max: null, rate }] with ascending max values
+ */
+function validateTiers(value) {
+  if (!Array.isArray(value) || value.length === 0) return 'must be a non-empty array of { max, rate }';
+  for (let i = 0; i < value.length; i++) {
+    const { max, rate } = value[i];
+    const isLast = i === value.length - 1;
+    if (!isRate(rate)) return `tier ${i + 1} rate must be between 0 and 1`;
+    if (isLast && max !== null) return 'last tier must have max: null (no upper limit)';
+    if (!isLast && !(typeof max === 'number' && max > 0)) return `tier ${i + 1} max must be a positive number`;
+    if (i > 0 && !isLast && max <= value[i - 1].max) return 'tier max values must be ascending';
+  }
+  return null;
+}
+
+// JSON has no Infinity - an open-ended last tier is stored as max: null
+const withOpenEndedTier = tiers => tiers.map(tier => ({ ...tier, max: tier.max === null ? Infinity : tier.max }));
+
+function validateAllocationMethod({ method, weights }) {
+  const methods = Object.values(ALLOCATION_METHODS);
+  if (!methods.includes(method)) return `method must be one of ${methods.join(', ')}`;
+  if (method !== ALLOCATION_METHODS.FIXED) return null;
+
+  const values = weights && typeof weights === 'object' && !Array.isArray(weights) ? Object.values(weights) : [];
+  if (values.length === 0 || !values.every(weight => typeof weight === 'number' && weight >= 0) ||
+      !values.some(weight => weight > 0)) {
+    return 'fixed method needs weights: an object of project -> non-negative number (at least one positive)';
+  }
+  return null;
+}
+
+function validateClawbackPolicy(value) {
+  const policies = Object.values(CLAWBACK_POLICIES);
+  if (!value || !policies.includes(value.policy)) return `policy must be one of ${policies.join(', ')}`;
+  if (value.policy === CLAWBACK_POLICIES.PARTIAL && !(isRate(value.share) && value.share > 0)) {
+    return 'partial policy needs a share between 0 and 1';
+  }
+  return null;
+}
+
+// Keys that must have a rule in effect for every month that can be processed:
+// from the earliest rule or sale through the current month, and any later sale month
+const REQUIRED_KEYS = [
+  'stripe.feeRate',
+  'exchangeRates.eurRonFallback',
+  'vat.standardRate',
+  'projects',
+  'setterCaller.commissionRate' // Prices setter/caller refunds without their own commission
+];
+
+// Team leader assignment keys: "teamLeaders.<id>" (the id is part of the expense ID)
+const TEAM_LEADER_PREFIX = 'teamLeaders.';
+const TEAM_LEADER_KEY_PATTERN = /^teamLeaders\.[a-z0-9-]+$/;
+const TEAM_LEADER_ROLES = ['Setter', 'Caller'];
+
+function validateTeamLeader(value) {
+  if (!value || !isNonEmptyString(value.name)) return 'must have a name';
+  if (!TEAM_LEADER_ROLES.includes(value.role)) return `role must be one of ${TEAM_LEADER_ROLES.join(', ')}`;
+  if (!isRate(value.commissionRate)) return 'commissionRate must be between 0 and 1';
+  if (!isNonEmptyString(value.category)) return 'must have a category';
+  if (value.members !== undefined &&
+      !(Array.isArray(value.members) && value.members.length > 0 && value.members.every(isNonEmptyString))) {
+    return 'members must be a non-empty array of setter/caller names';
+  }
+  return null;
+}
+
+// Copywriter keys: "copywriters.<id>"
+const COPYWRITER_PREFIX = 'copywriters.';
+const COPYWRITER_KEY_PATTERN = /^copywriters\.[a-z0-9-]+$/;
+
+function validateCopywriter(value) {
+  if (!value || !isNonEmptyString(value.name)) return 'must have a name';
+  if (!(Array.isArray(value.utmIdentifiers) && value.utmIdentifiers.length > 0 && value.utmIdentifiers.every(isNonEmptyString))) {
+    return 'utmIdentifiers must be a non-empty array of Utm Campaign identifiers';
+  }
+  const tiersError = validateTiers(value.tiers);
+  if (tiersError) return `tiers ${tiersError}`;
+  if (!COPYWRITING.currencies.includes(value.currency)) return `currency must be one of ${COPYWRITING.currencies.join(', ')}`;
+  if (value.tierWindow !== undefined && !Object.values(TIER_WINDOWS).includes(value.tierWindow)) {
+    return `tierWindow must be one of ${Object.values(TIER_WINDOWS).join(', ')}`;
+  }
+  if (value.category !== undefined && !isNonEmptyString(value.category)) return 'category must be a non-empty string';
+  return null;
+}
+
+// Configured commission plan keys: "commissionPlans.<id>"
+const COMMISSION_PLAN_PREFIX = 'commissionPlans.';
+const COMMISSION_PLAN_KEY_PATTERN = /^commissionPlans\.[a-z0-9-]+$/;
+const COMMISSION_PLAN_BASES = ['amountWithoutVat', 'totalAmount'];
+const COMMISSION_PLAN_SALE_FILTERS = ['utmIdentifiers', 'paymentMethods', 'projects'];
+
+function validateCommissionPlan(value) {
+  if (!value || !isNonEmptyString(value.name)) return 'must have a name';
+  if (!isNonEmptyString(value.category)) return 'must have a category';
+  if (!COMMISSION_PLAN_BASES.includes(value.base)) return `base must be one of ${COMMISSION_PLAN_BASES.join(', ')}`;
+  if ((value.rate === undefined) === (value.tiers === undefined)) return 'must have either rate or tiers';
+  if (value.rate !== undefined && !isRate(value.rate)) return 'rate must be between 0 and 1';
+  if (value.tiers !== undefined) {
+    const tiersError = validateTiers(value.tiers);
+    if (tiersError) return `tiers ${tiersError}`;
+  }
+  if (value.currency !== undefined && !COPYWRITING.currencies.includes(value.currency)) {
+    return `currency must be one of ${COPYWRITING.currencies.join(', ')}`;
+  }
+  if (value.tierWindow !== undefined && !Object.values(TIER_WINDOWS).includes(value.tierWindow)) {
+    return `tierWindow must be one of ${Object.values(TIER_WINDOWS).join(', ')}`;
+  }
+  if (value.sales !== undefined) {
+    if (!value.sales || typeof value.sales !== 'object' || Array.isArray(value.sales)) return 'sales must be an object of filters';
+    for (const [filter, values] of Object.entries(value.sales)) {
+      if (!COMMISSION_PLAN_SALE_FILTERS.includes(filter)) {
+        return `sales filters must be among ${COMMISSION_PLAN_SALE_FILTERS.join(', ')}`;
+      }
+      if (!(Array.isArray(values) && values.length > 0 && values.every(isNonEmptyString))) {
+        return `sales.${filter} must be a non-empty array of strings`;
+      }
+    }
+  }
+  return null;
+}
+
+// Campaign mapping keys: "campaignMappings.<id>"
+const CAMPAIGN_MAPPING_PREFIX = 'campaignMappings.';
+const CAMPAIGN_MAPPING_KEY_PATTERN = /^campaignMappings\.[a-z0-9-]+$/;
+const CAMPAIGN_MATCHERS = ['campaignIds', 'prefix', 'pattern'];
+
+function validateCampaignMapping(value) {
+  if (!value || typeof value !== 'object') return 'must be an object';
+
+  const matchers = CAMPAIGN_MATCHERS.filter(matcher => value[matcher] !== undefined);
+  if (matchers.length !== 1) return `must have exactly one of ${CAMPAIGN_MATCHERS.join(', ')}`;
+  if (value.campaignIds !== undefined &&
+      !(Array.isArray(value.campaignIds) && value.campaignIds.length > 0 && value.campaignIds.every(isNonEmptyString))) {
+    return 'campaignIds must be a non-empty array of campaign IDs (strings)';
+  }
+  if (value.prefix !== undefined && !isNonEmptyString(value.prefix)) return 'prefix must be a non-empty string';
+  if (value.pattern !== undefined) {
+    if (!isNonEmptyString(value.pattern)) return 'pattern must be a non-empty string';
+    try {
+      new RegExp(value.pattern, 'i');
+    } catch (error) {
+      return `pattern is not a valid regular expression (${error.message})`;
+    }
+  }
+
+  if ((value.project === undefined) === (value.split === undefined)) return 'must have either project or split';
+  if (value.project !== undefined && !isNonEmptyString(value.project)) return 'project must be a non-empty string';
+  if (value.split !== undefined) {
+    const shares = value.split && typeof value.split === 'object' && !Array.isArray(value.split)
+      ? Object.values(value.split)
+      : [];
+    if (shares.length < 2 || !shares.every(share => isRate(share) && share > 0)) {
+      return 'split must map at least two projects to shares between 0 and 1';
+    }
+    const total = shares.reduce((sum, share) => sum + share, 0);
+    if (Math.abs(total - 1) > 0.0001) return `split shares must add up to 1 (got ${total})`;
+  }
+
+  if (value.priority !== undefined && !Number.isInteger(value.priority)) return 'priority must be an integer';
+  const platforms = Object.values(AD_PLATFORMS);
+  if (value.platforms !== undefined &&
+      !(Array.isArray(value.platforms) && value.platforms.length > 0 && value.platforms.every(p => platforms.includes(p)))) {
+    return `platforms must be a non-empty array of ${platforms.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Validator for a rule key (team leader assignments, copywriters, commission plans
+ * and campaign mappings share one validator each)
+ */
+function getRuleSchema(key) {
+  if (typeof key === 'string' && key.startsWith(TEAM_LEADER_PREFIX)) {
+    return TEAM_LEADER_KEY_PATTERN.test(key) ? validateTeamLeader : null;
+  }
+  if (typeof key === 'string' && key.startsWith(COPYWRITER_PREFIX)) {
+    return COPYWRITER_KEY_PATTERN.test(key) ? validateCopywriter : null;
+  }
+  if (typeof key === 'string' && key.startsWith(COMMISSION_PLAN_PREFIX)) {
+    return COMMISSION_PLAN_KEY_PATTERN.test(key) ? validateCommissionPlan : null;
+  }
+  if (typeof key === 'string' && key.startsWith(CAMPAIGN_MAPPING_PREFIX)) {
+    return CAMPAIGN_MAPPING_KEY_PATTERN.test(key) ? validateCampaignMapping : null;
+  }
+  return RULE_SCHEMAS[key] || null;
+}
+
+let loadedRules = null;
+
+/**
+ * Convert "YYYY-MM" / "YYYY-MM-DD" to a comparable month number
+ * @returns {number|null} year * 12 + monthIndex, or null if invalid
+ */
+function parseEffectiveMonth(value) {
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})(-\d{2})?$/);
+  if (!match) return null;
+  const monthIndex = parseInt(match[2], 10) - 1;
+  if (monthIndex < 0 || monthIndex > 11) return null;
+  return parseInt(match[1], 10) * 12 + monthIndex;
+}
+
+/**
+ * Month number as "YYYY-MM" (the effective date format)
+ */
+function formatEffectiveMonth(monthNumber) {
+  return `${Math.floor(monthNumber / 12)}-${String((monthNumber % 12) + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Months a required key must cover
+ * @param {Array<Object>} versions - Valid rule versions (with from)
+ * @param {Array<number>} saleMonths - Month numbers with sales
+ * @returns {Array<number>} Month numbers, ascending
+ */
+function getRequiredMonths(versions, saleMonths) {
+  const currentMonth = getMonthNumber(getCurrentRomanianMonth(), getCurrentYear());
+  const firstMonth = Math.min(currentMonth, ...versions.map(v => v.from), ...saleMonths);
+  const months = new Set(saleMonths);
+
+  for (let month = firstMonth; month <= currentMonth; month++) {
+    months.add(month);
+  }
+  return [...months].sort((a, b) => a - b);
+}
+
+/**
+ * Read rule versions from the rules file
+ */
+function readRulesFile() {
+  const filePath = process.env.RULES_FILE || DEFAULT_RULES_FILE;
+  const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return { source: filePath, rules: content.rules || [] };
+}
+
+/**
+ * Read rule versions from the Airtable "Reguli" table
+ */
+async function readRulesTable() {
+  const records = await getDataStore().select(TABLES.RULES);
+
+  const rules = records.map(record => {
+    const rawValue = record.get(FIELDS.RULE_VALUE);
+    let value;
+    try {
+      value = JSON.parse(rawValue);
+    } catch {
+      value = rawValue; // Reported by validation
+    }
+
+    return {
+      key: record.get(FIELDS.RULE_KEY),
+      value,
+      effectiveFrom: record.get(FIELDS.RULE_EFFECTIVE_FROM),
+      effectiveTo: record.get(FIELDS.RULE_EFFECTIVE_TO) || null,
+      description: record.get(FIELDS.RULE_DESCRIPTION) || null,
+      recordId: record.id
+    };
+  });
+
+  return { source: `Airtable table "${TABLES.RULES}"`, rules };
+}
+
+/**
+ * Validate rule versions and index them by key
+ * @param {Array<Object>} rules - Raw rule versions
+ * @param {Object} options - { saleMonthYears }: month-years with sales ("Luna YYYY"),
+ *   which the required keys must cover as well
+ * @returns {Object} { rulesByKey, errors }
+ */
+export function validateRules(rules, { saleMonthYears = [] } = {}) {
+  const errors = [];
+  const rulesByKey = {};
+
+  rules.forEach((rule, index) => {
+    const label = `Rule #${index + 1} (${rule.key || 'no key'})`;
+
+    const schema = getRuleSchema(rule.key);
+    if (!schema) {
+      errors.push(`${label}: unknown key`);
+      return;
+    }
+
+    const from = parseEffectiveMonth(rule.effectiveFrom);
+    const to = rule.effectiveTo ? parseEffectiveMonth(rule.effectiveTo) : Infinity;
+
+    if (from === null) {
+      errors.push(`${label}: effectiveFrom must be "YYYY-MM"`);
+      return;
+    }
+    if (to === null || to < from) {
+      errors.push(`${label}: effectiveTo must be "YYYY-MM" and not before effectiveFrom`);
+      return;
+    }
+
+    const valueError = schema(rule.value);
+    if (valueError) {
+      errors.push(`${label}: value ${valueError}`);
+      return;
+    }
+
+    const value = rule.value?.tiers && (rule.key.startsWith(COPYWRITER_PREFIX) || rule.key.startsWith(COMMISSION_PLAN_PREFIX))
+      ? { ...rule.value, tiers: withOpenEndedTier(rule.value.tiers) }
+      : rule.value;
+
+    rulesByKey[rule.key] = rulesByKey[rule.key] || [];
+    rulesByKey[rule.key].push({ ...rule, value, from, to });
+  });
+
+  // Versions of the same rule must not overlap
+  for (const [key, versions] of Object.entries(rulesByKey)) {
+    versions.sort((a, b) => a.from - b.from);
+    for (let i = 1; i < versions.length; i++) {
+      if (versions[i].from <= versions[i - 1].to) {
+        errors.push(`${key}: versions starting ${versions[i - 1].effectiveFrom} and ${versions[i].effectiveFrom} overlap`);
+      }
+    }
+  }
+
+  // A month without a required rule would fail part-way through its run
+  const saleMonths = saleMonthYears
+    .map(parseMonthYear)
+    .filter(Boolean)
+    .map(({ month, year }) => getMonthNumber(month, year));
+  const requiredMonths = getRequiredMonths(Object.values(rulesByKey).flat(), saleMonths);
+
+  for (const key of REQUIRED_KEYS) {
+    const versions = rulesByKey[key] || [];
+    const missing = requiredMonths.filter(month => !versions.some(v => v.from <= month && month <= v.to));
+    if (missing.length > 0) {
+      const examples = missing.slice(0, 3).map(formatEffectiveMonth).join(', ');
+      errors.push(`${key}: no rule in effect for ${missing.length} month(s) with rules or sales (${examples}${missing.length > 3 ? ', ...' : ''})`);
+    }
+  }
+
+  return { rulesByKey, errors };
+}
+
+/**
+ * Month-years with sales, for validating required keys
+ * If the sales can't be read, only the months from the earliest rule are checked.
+ */
+async function getSaleMonthYears() {
+  try {
+    return await getAllMonthYearsFromSales();
+  } catch (error) {
+    logger.warn('⚠️  Could not read sale months, checking required rules from the earliest rule only', {
+      error: error.message
+    });
+    return [];
+  }
+}
+
+/**
+ * Load (or reload) rules from the configured source
+ * Throws if the rules are invalid; previously loaded rules are kept in that case.
+ * @returns {Promise<Object>} { source, count }
+ */
+export async function loadRules() {
+  const sourceType = (process.env.RULES_SOURCE || 'file').toLowerCase();
+
+  if (!['file', 'airtable'].includes(sourceType)) {
+    throw new Error(`Unknown RULES_SOURCE "${sourceType}". Expected "file" or "airtable"`);
+  }
+
+  const { source, rules } = sourceType === 'airtable'
+    ? await readRulesTable()
+    : readRulesFile();
+
+  const { rulesByKey, errors } = validateRules(rules, { saleMonthYears: await getSaleMonthYears() });
+
+  if (errors.length > 0) {
+    logger.error('Invalid business rules', { source, errors });
+    throw new Error(`Invalid business rules in ${source}: ${errors.join('; ')}`);
+  }
+
+  loadedRules = rulesByKey;
+
+  logger.info('✅ Business rules loaded', { source, count: rules.length });
+  return { source, count: rules.length };
+}
+
+/**
+ * Reload rules at the start of a run
+ * If the edited rules are invalid, the run continues with the previously loaded
+ * rules (the errors are logged). Throws only if no valid rules were ever loaded.
+ */
+export async function refreshRules() {
+  try {
+    await loadRules();
+  } catch (error) {
+    if (!loadedRules) {
+      throw error;
+    }
+    logger.error('⚠️  Rules reload failed, keeping previously loaded rules', {
+      error: error.message
+    });
+  }
+}
+
+/**
+ * Make sure rules are loaded (services call this before using getRule)
+ */
+export async function ensureRulesLoaded() {
+  if (!loadedRules) {
+    await loadRules();
+  }
+}
+
+/**
+ * Find the rule value in effect for a month
+ * @param {string} key - Rule key (e.g. "stripe.feeRate")
+ * @param {string} month - Romanian month name (e.g. "Octombrie")
+ * @param {number|string} year - Year (e.g. 2025)
+ * @returns {*} Rule value or null if no version covers that month
+ */
+export function findRule(key, month, year) {
+  if (!loadedRules) {
+    throw new Error('Business rules not loaded. Call loadRules() first');
+  }
+  if (!ROMANIAN_MONTHS.includes(month)) {
+    throw new Error(`Invalid Romanian month name: ${month}`);
+  }
+
+  const monthNumber = getMonthNumber(month, year);
+  const version = (loadedRules[key] || []).find(v => v.from <= monthNumber && monthNumber <= v.to);
+
+  return version ? version.value : null;
+}
+
+/**
+ * Find every rule in effect for a month whose key starts with a prefix
+ * @param {string} prefix - Key prefix (e.g. "teamLeaders.")
+ * @param {string} month - Romanian month name
+ * @param {number|string} year - Year
+ * @returns {Array<Object>} [{ key, value }] sorted by key
+ */
+export function findRulesByPrefix(prefix, month, year) {
+  if (!loadedRules) {
+    throw new Error('Business rules not loaded. Call loadRules() first');
+  }
+
+  return Object.keys(loadedRules)
+    .filter(key => key.startsWith(prefix))
+    .sort()
+    .map(key => ({ key, value: findRule(key, month, year) }))
+    .filter(rule => rule.value !== null);
+}
+
+/**
+ * Get the rule value in effect for a month
+ * @throws {Error} If no version of the rule covers that month
+ */
+export function getRule(key, month, year) {
+  const value = findRule(key, month, year);
+  if (value === null) {
+    throw new Error(`No "${key}" rule in effect for ${month} ${year}`);
+  }
+  return value;
+}
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rule, requiredRules } from '../utils/testing.js';
+import { validateRules } from './rulesService.js';
+
+// Required rules except the one the version tests use
+const otherRequiredRules = requiredRules.filter(r => r.key !== 'setterCaller.commissionRate');
+
+test('accepts consecutive versions of a rule', () => {
+  const { rulesByKey, errors } = validateRules([
+    ...otherRequiredRules,
+    rule('setterCaller.commissionRate', 0.05, '2024-01', '2025-06'),
+    rule('setterCaller.commissionRate', 0.06, '2025-07')
+  ]);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(rulesByKey['setterCaller.commissionRate'].map(v => v.value), [0.05, 0.06]);
+});
+
+test('rejects overlapping versions of a rule', () => {
+  const { errors } = validateRules([
+    ...otherRequiredRules,
+    rule('setterCaller.commissionRate', 0.05, '2024-01', '2025-07'),
+    rule('setterCaller.commissionRate', 0.06, '2025-07')
+  ]);
+
+  assert.deepEqual(errors, ['setterCaller.commissionRate: versions starting 2024-01 and 2025-07 overlap']);
+});
+
+test('an open-ended version overlaps every later one', () => {
+  const { errors } = validateRules([
+    ...otherRequiredRules,
+    rule('setterCaller.commissionRate', 0.06, '2025-07'),
+    rule('setterCaller.commissionRate', 0.05, '2024-01')
+  ]);
+
+  assert.deepEqual(errors, ['setterCaller.commissionRate: versions starting 2024-01 and 2025-07 overlap']);
+});
+
+test('rejects unknown keys, bad dates and bad values', () => {
+  const { errors } = validateRules([
+    ...requiredRules,
+    rule('stripe.unknown', 1, '2024-01'),
+    rule('setterCaller.commissionRate', 0.05, '2024-13'),
+    rule('setterCaller.commissionRate', 0.05, '2025-01', '2024-12'),
+    rule('setterCaller.commissionRate', 5, '2026-01')
+  ]);
+
+  assert.deepEqual(errors, [
+    'Rule #6 (stripe.unknown): unknown key',
+    'Rule #7 (setterCaller.commissionRate): effectiveFrom must be "YYYY-MM"',
+    'Rule #8 (setterCaller.commissionRate): effectiveTo must be "YYYY-MM" and not before effectiveFrom',
+    'Rule #9 (setterCaller.commissionRate): value must be a rate between 0 and 1'
+  ]);
+});
+
+test('requires the mandatory rules for every month with sales or rules', () => {
+  const gap = validateRules([
+    ...requiredRules.filter(r => r.key !== 'vat.standardRate'),
+    rule('vat.standardRate', 0.19, '2024-01', '2024-12'),
+    rule('vat.standardRate', 0.21, '2025-03')
+  ]);
+  assert.deepEqual(gap.errors, ['vat.standardRate: no rule in effect for 2 month(s) with rules or sales (2025-01, 2025-02)']);
+
+  const earlySales = validateRules(requiredRules, { saleMonthYears: ['Decembrie 2023', 'Octombrie 2025'] });
+  assert.equal(earlySales.errors.length, 5);
+  assert.ok(earlySales.errors.every(error => error.endsWith('(2023-12)')));
+});
+
+test('setter/caller refunds need a commission rate in effect', () => {
+  const { errors } = validateRules([
+    ...requiredRules.filter(r => r.key !== 'setterCaller.commissionRate'),
+    rule('setterCaller.commissionRate', 0.05, '2024-01', '2025-06')
+  ]);
+
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^setterCaller\.commissionRate: no rule in effect for \d+ month\(s\) with rules or sales \(2025-07, /);
+});
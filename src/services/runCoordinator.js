@@ -0,0 +1,209 @@
+/**
+ * Run Coordinator
+ * Serialises every run that writes to the base (cron, startup run, refresh
+ * endpoints, P&L webhook, cleanup) so they never race on the
+ * check-then-create logic and produce duplicate Cheltuieli rows.
+ *
+ * Queue rules:
+ * - Only one run executes at a time; the rest wait in FIFO order.
+ * - A request identical to one already waiting (same type and month) is
+ *   coalesced into it - the caller gets the waiting job's ID.
+ * - A full refresh covers single-month refreshes and P&L refreshes:
+ *   those requested while a full refresh is waiting are coalesced into it,
+ *   and those already waiting when a full refresh is queued are merged into it
+ *   (their jobs finish with the full refresh's outcome).
+ * - Dry runs write nothing but read the base, so they wait their turn too;
+ *   they are never coalesced (each caller awaits its own change plan).
+ * - When RUN_QUEUE_MAX runs are already waiting, new requests are rejected.
+ */
+import { logger } from '../utils/logger.js';
+import { createJob, runJob, updateJob } from './jobService.js';
+
+export const RUN_TYPES = {
+  REFRESH_ALL: 'refresh-all',
+  REFRESH_MONTH: 'refresh-month',
+  PNL: 'pnl',
+  CLEANUP: 'cleanup',
+  DRY_RUN: 'dry-run'
+};
+
+// Run types a full refresh already performs
+const COVERED_BY_FULL_REFRESH = [RUN_TYPES.REFRESH_MONTH, RUN_TYPES.PNL];
+
+const pending = [];   // [{ type, monthYear, job, fn, mergedJobs, finishers }]
+let running = null;
+
+/**
+ * Maximum number of waiting runs
+ */
+function getQueueLimit() {
+  return parseInt(process.env.RUN_QUEUE_MAX, 10) || 20;
+}
+
+/**
+ * Describe an entry for logs and status responses
+ */
+function describeEntry(entry) {
+  return {
+    jobId: entry.job.id,
+    type: entry.type,
+    monthYear: entry.monthYear,
+    mergedJobIds: entry.mergedJobs.map(job => job.id)
+  };
+}
+
+/**
+ * Find a waiting run that already covers the requested one
+ */
+function findCoveringEntry(type, monthYear) {
+  if (type === RUN_TYPES.DRY_RUN) return null;
+
+  return pending.find(entry =>
+    (entry.type === type && entry.monthYear === monthYear) ||
+    (entry.type === RUN_TYPES.REFRESH_ALL && COVERED_BY_FULL_REFRESH.includes(type))
+  ) || null;
+}
+
+/**
+ * Position of an entry: 0 = running, 1 = next in line, ...
+ */
+function positionOf(entry) {
+  if (entry === running) return 0;
+  const index = pending.indexOf(entry);
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Execute waiting runs one at a time until the queue is empty
+ */
+async function drain() {
+  if (running) return;
+
+  while (pending.length > 0) {
+    running = pending.shift();
+
+    logger.info('Run started from queue', {
+      ...describeEntry(running),
+      waiting: pending.length
+    });
+
+    const job = await runJob(running.job, running.fn);
+
+    // Jobs merged into this run finish with its outcome
+    running.mergedJobs.forEach(mergedJob => {
+      updateJob(mergedJob, {
+        state: job.state,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        durationMs: job.durationMs,
+        result: job.result,
+        error: job.error
+      });
+    });
+
+    running.finishers.forEach(finish => finish());
+    running = null;
+  }
+}
+
+/**
+ * Queue a run
+ * @param {Object} request - { type, monthYear, trigger }
+ * @param {Function} fn - Async work function
+ * @returns {Object} { job, queuePosition, coalesced, rejected, done }
+ *   done resolves once the job has finished (null when rejected)
+ */
+export function enqueueRun({ type, monthYear = null, trigger = 'api' }, fn) {
+  const existing = findCoveringEntry(type, monthYear);
+
+  if (existing) {
+    logger.info('Run request coalesced into waiting run', {
+      type,
+      monthYear,
+      trigger,
+      into: existing.job.id
+    });
+
+    return {
+      job: existing.job,
+      queuePosition: positionOf(existing),
+      coalesced: true,
+      rejected: false,
+      done: existing.done
+    };
+  }
+
+  if (pending.length >= getQueueLimit()) {
+    logger.warn('⚠️  Run queue full, rejecting request', {
+      type,
+      monthYear,
+      trigger,
+      waiting: pending.length
+    });
+
+    return { job: null, queuePosition: null, coalesced: false, rejected: true, done: null };
+  }
+
+  const params = monthYear ? { monthYear } : {};
+  const entry = {
+    type,
+    monthYear,
+    job: createJob(type, { params, trigger }),
+    fn,
+    mergedJobs: [],
+    finishers: []
+  };
+  entry.done = new Promise(resolve => entry.finishers.push(resolve));
+
+  // A full refresh absorbs the single-month / P&L runs already waiting
+  if (type === RUN_TYPES.REFRESH_ALL) {
+    for (let i = pending.length - 1; i >= 0; i--) {
+      if (COVERED_BY_FULL_REFRESH.includes(pending[i].type)) {
+        const [merged] = pending.splice(i, 1);
+        [merged.job, ...merged.mergedJobs].forEach(job => {
+          updateJob(job, { mergedInto: entry.job.id });
+          entry.mergedJobs.push(job);
+        });
+        entry.finishers.push(...merged.finishers);
+      }
+    }
+  }
+
+  pending.push(entry);
+
+  // Starts the run right away when nothing else is running
+  drain();
+  const queuePosition = positionOf(entry);
+
+  logger.info('Run queued', {
+    ...describeEntry(entry),
+    trigger,
+    queuePosition
+  });
+
+  return { job: entry.job, queuePosition, coalesced: false, rejected: false, done: entry.done };
+}
+
+/**
+ * Current queue position of a job
+ * @param {string} jobId - Job ID (merged jobs report their full refresh's position)
+ * @returns {number|null} 0 = running, 1 = next, ...; null if not queued
+ */
+export function getQueuePosition(jobId) {
+  const entries = running ? [running, ...pending] : pending;
+  const entry = entries.find(e =>
+    e.job.id === jobId || e.mergedJobs.some(job => job.id === jobId)
+  );
+  return entry ? positionOf(entry) : null;
+}
+
+/**
+ * Snapshot of the queue
+ * @returns {Object} { running, pending }
+ */
+export function getQueueStatus() {
+  return {
+    running: running ? describeEntry(running) : null,
+    pending: pending.map(describeEntry)
+  };
+}
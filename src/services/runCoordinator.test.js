@@ -0,0 +1,146 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { JOB_STATES } from './jobService.js';
+import { enqueueRun, RUN_TYPES } from './runCoordinator.js';
+
+before(() => {
+  process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'runs-test-'));
+});
+
+after(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+/**
+ * A run that finishes when release() is called, recording whether it started
+ */
+function blockingRun(result = { success: true }) {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const run = { started: false, release: () => release() };
+  run.fn = async () => {
+    run.started = true;
+    await gate;
+    return result;
+  };
+  return run;
+}
+
+test('dry runs wait for the run in progress and are never coalesced', async () => {
+  const refresh = blockingRun();
+  const first = blockingRun({ success: true, dryRun: true });
+  const second = blockingRun({ success: true, dryRun: true });
+
+  const running = enqueueRun({ type: RUN_TYPES.REFRESH_MONTH, monthYear: 'Octombrie 2025' }, refresh.fn);
+  const dryRuns = [first, second].map(run =>
+    enqueueRun({ type: RUN_TYPES.DRY_RUN, monthYear: 'Octombrie 2025' }, run.fn)
+  );
+
+  assert.deepEqual(dryRuns.map(run => [run.queuePosition, run.coalesced]), [[1, false], [2, false]]);
+  assert.notEqual(dryRuns[0].job.id, dryRuns[1].job.id);
+  assert.equal(first.started, false);
+
+  refresh.release();
+  await running.done;
+  first.release();
+  second.release();
+  await Promise.all(dryRuns.map(run => run.done));
+
+  assert.ok(first.started && second.started);
+  assert.deepEqual(dryRuns.map(run => run.job.state), [JOB_STATES.SUCCEEDED, JOB_STATES.SUCCEEDED]);
+});
+
+test('runs execute one at a time, in order', async () => {
+  const order = [];
+  const runs = [blockingRun(), blockingRun()];
+  runs.forEach((run, index) => {
+    const fn = run.fn;
+    run.fn = async () => {
+      order.push(`start ${index}`);
+      await fn();
+      order.push(`end ${index}`);
+    };
+  });
+
+  const queued = [
+    enqueueRun({ type: RUN_TYPES.CLEANUP }, runs[0].fn),
+    enqueueRun({ type: RUN_TYPES.REFRESH_MONTH, monthYear: 'Octombrie 2025' }, runs[1].fn)
+  ];
+  assert.deepEqual(queued.map(run => run.queuePosition), [0, 1]);
+
+  runs[1].release();
+  runs[0].release();
+  await Promise.all(queued.map(run => run.done));
+
+  assert.deepEqual(order, ['start 0', 'end 0', 'start 1', 'end 1']);
+});
+
+test('a request identical to a waiting one is coalesced into it', async () => {
+  const running = blockingRun();
+  const waiting = blockingRun();
+  const duplicate = blockingRun();
+
+  const first = enqueueRun({ type: RUN_TYPES.CLEANUP }, running.fn);
+  const queued = enqueueRun({ type: RUN_TYPES.REFRESH_MONTH, monthYear: 'Octombrie 2025' }, waiting.fn);
+  const coalesced = enqueueRun({ type: RUN_TYPES.REFRESH_MONTH, monthYear: 'Octombrie 2025' }, duplicate.fn);
+  const otherMonth = enqueueRun({ type: RUN_TYPES.REFRESH_MONTH, monthYear: 'Noiembrie 2025' }, async () => ({ success: true }));
+
+  assert.equal(coalesced.coalesced, true);
+  assert.equal(coalesced.job.id, queued.job.id);
+  assert.equal(coalesced.queuePosition, 1);
+  assert.equal(otherMonth.coalesced, false);
+
+  running.release();
+  waiting.release();
+  await Promise.all([coalesced.done, otherMonth.done]);
+
+  assert.equal(duplicate.started, false);
+  assert.equal(coalesced.job.state, JOB_STATES.SUCCEEDED);
+});
+
+test('a full refresh absorbs the month and P&L runs waiting, and those requested after it', async () => {
+  const running = blockingRun();
+  const full = blockingRun({ success: false, error: 'Airtable unavailable' });
+  const month = blockingRun();
+
+  const first = enqueueRun({ type: RUN_TYPES.CLEANUP }, running.fn);
+  const waitingMonth = enqueueRun({ type: RUN_TYPES.REFRESH_MONTH, monthYear: 'Octombrie 2025' }, month.fn);
+  const waitingPnl = enqueueRun({ type: RUN_TYPES.PNL }, async () => ({ success: true }));
+  const refresh = enqueueRun({ type: RUN_TYPES.REFRESH_ALL }, full.fn);
+  const laterPnl = enqueueRun({ type: RUN_TYPES.PNL }, async () => ({ success: true }));
+
+  assert.equal(refresh.queuePosition, 1);
+  assert.equal(laterPnl.job.id, refresh.job.id);
+  assert.deepEqual([waitingMonth.job.mergedInto, waitingPnl.job.mergedInto], [refresh.job.id, refresh.job.id]);
+
+  running.release();
+  full.release();
+  await Promise.all([first.done, waitingMonth.done, waitingPnl.done, refresh.done]);
+
+  assert.equal(month.started, false);
+  assert.deepEqual(
+    [waitingMonth.job, waitingPnl.job, refresh.job].map(job => [job.state, job.error]),
+    Array(3).fill([JOB_STATES.FAILED, 'Airtable unavailable'])
+  );
+});
+
+test('requests are rejected once RUN_QUEUE_MAX runs are waiting', async () => {
+  process.env.RUN_QUEUE_MAX = '1';
+  const running = blockingRun();
+
+  try {
+    const first = enqueueRun({ type: RUN_TYPES.CLEANUP }, running.fn);
+    const waiting = enqueueRun({ type: RUN_TYPES.PNL }, async () => ({ success: true }));
+    const rejected = enqueueRun({ type: RUN_TYPES.REFRESH_MONTH, monthYear: 'Octombrie 2025' }, async () => ({ success: true }));
+
+    assert.deepEqual([rejected.rejected, rejected.job, rejected.done], [true, null, null]);
+
+    running.release();
+    await Promise.all([first.done, waiting.done]);
+  } finally {
+    delete process.env.RUN_QUEUE_MAX;
+  }
+});
@@ -2,456 +2,164 @@
  * Sales Representative Commission Processing
  * 
  * Processes monthly commissions for Sales reps, allocating them
- * across projects based on proportional sales.
+ * across projects based on proportional sales (a commission plan, see
+ * commissionPlanService).
+ * Negative commissions are recorded as debts in the debt ledger and repaid
+ * from later months' commissions (see debtLedgerService).
+ * Refunds linked to a commission are clawed back per the "clawback.salesRep"
+ * rule (see clawbackService): "Comision" is taken to include them, so the
+ * regular lines carry the commission before refunds and the clawback is a
+ * separate line.
  */
 import {
   getMonthlyCommissions,
-  getAllMonthsWithCommissions,
-  getSalesByIds,
-  expenseExists,
-  getExpenseByExpenseId,
-  getRepresentativeDebts,
-  createExpense,
-  updateExpense
+  getAllMonthYearsWithCommissions,
+  getSalesByIds
 } from './airtableService.js';
 import {
-  FIELDS,
   EXPENSE_CATEGORIES,
-  VAT_INCLUDED,
-  SOURCE,
-  getCurrentRomanianMonth,
-  getCurrentYear
+  EXPENSE_ID_PREFIXES,
+  CLAWBACK_ROLES
 } from '../config/constants.js';
-import { isSalesRole, isValidExpenseAmount, isValidProject } from '../utils/validators.js';
+import { recordDebt, applyDebtRepayments } from './debtLedgerService.js';
+import { definePlan, runCommissionPlan } from './commissionPlanService.js';
+import { getRefundCommission } from './clawbackService.js';
+import { isValidExpenseAmount } from '../utils/validators.js';
 import { logger } from '../utils/logger.js';
 
+// Sales Rep commission plan (see commissionPlanService): "Comision" of each
+// Sales record, allocated by the linked sales' "Suma Totală". Months are
+// processed chronologically, so debts are repaid from the earliest later month.
+const salesRepPlan = definePlan({
+  id: 'salesRep',
+  label: 'Sales Rep commissions',
+  expenseIdPrefix: EXPENSE_ID_PREFIXES.SALES_REP,
+  clawbackRole: CLAWBACK_ROLES.SALES_REP,
+  getMonthYears: getAllMonthYearsWithCommissions,
+  createStats: () => ({
+    processed: 0,
+    created: 0,
+    updated: 0,
+    skipped: 0,
+    errors: 0,
+    clawbacks: 0,
+    clawbackTotal: 0
+  }),
+  earners: getSalesRepEarners,
+  sales: ({ commission }) => (commission.sales?.length > 0 ? getSalesByIds(commission.sales) : []),
+  base: sale => sale.totalAmount,
+  basis: ({ commission }) => ({ amount: commission.finalCommission }),
+  refundCommission: (sale, earner, month, year) => getRefundCommission(CLAWBACK_ROLES.SALES_REP, sale, month, year),
+  adjust: settleSalesRepCommission,
+  expense: (line, earner) => ({
+    id: `${EXPENSE_ID_PREFIXES.SALES_REP}${earner.key}_${line.project}`,
+    name: earner.name,
+    description: earner.name,
+    category: earner.category
+  })
+});
+
 /**
  * Process Sales Rep commissions
  * @param {string} targetMonthYear - Optional. Format: "Luna YYYY" (e.g., "Octombrie 2025"). If provided, only processes that month.
  */
 export async function processSalesRepCommissions(targetMonthYear = null) {
-  if (targetMonthYear) {
-    logger.info(`Starting Sales Rep commission processing for: ${targetMonthYear}`);
-  } else {
-    logger.info('Starting Sales Rep commission processing for ALL months');
-  }
-  
-  try {
-    // Get all unique months with commissions
-    let months = await getAllMonthsWithCommissions();
-    
-    // If targetMonthYear is provided, extract month and filter
-    if (targetMonthYear) {
-      const [targetMonth] = targetMonthYear.split(' ');
-      months = months.filter(month => month === targetMonth);
-      logger.info(`Filtered to single month: ${targetMonth}`);
-    }
-    
-    if (months.length === 0) {
-      logger.info('No months with commissions found', { targetMonthYear });
-      return {
-        processed: 0,
-        created: 0,
-        updated: 0,
-        skipped: 0,
-        errors: 0
-      };
-    }
-    
-    logger.info(`Processing ${months.length} months: ${months.join(', ')}`);
-    
-    let totalCreated = 0;
-    let totalUpdated = 0;
-    let totalSkipped = 0;
-    let totalErrors = 0;
-    let totalProcessed = 0;
-    
-    // Process each month
-    for (const month of months) {
-      logger.info(`\n========== Processing month: ${month} ==========`);
-      const result = await processSalesRepCommissionsForMonth(month);
-      totalCreated += result.created;
-      totalUpdated += result.updated;
-      totalSkipped += result.skipped;
-      totalErrors += result.errors;
-      totalProcessed += result.processed;
-    }
-    
-    logger.info('Completed Sales Rep commission processing', {
-      targetMonthYear,
-      monthsProcessed: months.length,
-      totalProcessed,
-      totalCreated,
-      totalUpdated,
-      totalSkipped,
-      totalErrors
-    });
-    
-    return {
-      processed: totalProcessed,
-      created: totalCreated,
-      updated: totalUpdated,
-      skipped: totalSkipped,
-      errors: totalErrors
-    };
-  } catch (error) {
-    logger.error('Failed to process Sales Rep commissions', {
-      error: error.message,
-      stack: error.stack,
-      targetMonthYear
-    });
-    throw error;
-  }
+  return runCommissionPlan(salesRepPlan, targetMonthYear);
 }
 
 /**
- * Process Sales Rep commissions for a specific month
+ * The month's Sales Rep commission records, one earner each ("Rep - Month")
  */
-async function processSalesRepCommissionsForMonth(month) {
-  const year = getCurrentYear(); // We assume all months are for current year
+async function getSalesRepEarners(month, year, stats) {
+  const commissions = await getMonthlyCommissions(month, year);
+  stats.processed += commissions.length;
+  stats.completed = commissions.length > 0;
   
-  logger.info('Processing Sales Rep commissions for month', { month, year });
-  
-  try {
-    // Get all monthly commissions for this month
-    const commissions = await getMonthlyCommissions(month);
-    
-    if (commissions.length === 0) {
-      logger.info('No Sales Rep commissions found for current month', { month });
-      return {
-        processed: 0,
-        created: 0,
-        updated: 0,
-        skipped: 0,
-        errors: 0
-      };
-    }
-    
-    let created = 0;
-    let updated = 0;
-    let skipped = 0;
-    let errors = 0;
-    
-    // Process each commission
-    logger.info(`Starting to process ${commissions.length} commissions one by one`);
-    for (let i = 0; i < commissions.length; i++) {
-      const commission = commissions[i];
-      try {
-        logger.info(`[${i+1}/${commissions.length}] Processing commission`, {
-          commissionId: commission.id,
-          name: commission.name,
-          salesCount: commission.sales?.length || 0
-        });
-        const result = await processSalesRepCommission(commission, month, year);
-        logger.info(`[${i+1}/${commissions.length}] Commission processed`, {
-          commissionId: commission.id,
-          created: result.created,
-          updated: result.updated || 0,
-          skipped: result.skipped
-        });
-        created += result.created;
-        updated += (result.updated || 0);
-        skipped += result.skipped;
-      } catch (error) {
-        logger.error(`[${i+1}/${commissions.length}] Failed to process Sales Rep commission`, {
-          commissionId: commission.id,
-          representative: commission.name,
-          error: error.message,
-          stack: error.stack
-        });
-        errors++;
-      }
-    }
-    
-    logger.info('Finished processing all commissions');
-    
-    logger.info('Completed Sales Rep commission processing', {
-      total: commissions.length,
-      created,
-      updated,
-      skipped,
-      errors
-    });
-    
+  return commissions.map(commission => {
+    const representativeName = commission.representativeName || commission.name.split(' - ')[0];
     return {
-      processed: commissions.length,
-      created,
-      updated,
-      skipped,
-      errors
+      key: commission.id,
+      name: `${representativeName} - ${month}`,
+      category: EXPENSE_CATEGORIES.REPRESENTATIVES,
+      commission,
+      representativeId: Array.isArray(commission.representative) ? commission.representative[0] : commission.representative,
+      representativeName
     };
-  } catch (error) {
-    logger.error('Sales Rep commission processing failed', {
-      error: error.message,
-      stack: error.stack
-    });
-    throw error;
-  }
+  });
 }
 
 /**
- * Process a single Sales Rep commission
- * Allocates commission across projects based on sales proportions
- * Applies debt carryover from previous negative months
+ * Amount of a Sales Rep commission to allocate to its projects
+ * "Comision" includes the linked refunds; what is deducted depends on the clawback
+ * policy. Negative commissions become debts (and a debt is cleared if the
+ * commission was corrected); a positive one first repays outstanding debts.
+ * @returns {Promise<number|null>} Commission before refunds, less debt repaid
+ *   (clawbacks are booked as their own lines), or null when nothing is booked
  */
-async function processSalesRepCommission(commission, month, year) {
-  const { id: commissionId, finalCommission, sales: saleIds, name, representativeName, representative } = commission;
-  
-  logger.debug('Processing Sales Rep commission', {
-    commissionId,
-    representative: name,
-    finalCommission,
-    salesCount: saleIds.length
-  });
-  
-  // Validate commission amount
-  if (!isValidExpenseAmount(finalCommission)) {
-    logger.warn('Invalid commission amount (negative or zero), skipping expense creation', {
-      commissionId,
+async function settleSalesRepCommission({ earner, refunds, clawbacks }, month, year) {
+  const { commission, representativeId, representativeName } = earner;
+  const { finalCommission } = commission;
+  
+  const refundCommission = refunds.reduce((sum, refund) => sum + refund.commission, 0);
+  const clawbackTotal = clawbacks.reduce((sum, clawback) => sum + clawback.amount, 0);
+  const effectiveCommission = typeof finalCommission === 'number'
+    ? Math.round((finalCommission - refundCommission + clawbackTotal) * 100) / 100
+    : finalCommission;
+  
+  if (refunds.length > 0) {
+    logger.info('Refunds linked to commission', {
+      commissionId: commission.id,
       finalCommission,
-      note: 'This will be tracked as debt for future months'
-    });
-    return { created: 0, updated: 0, skipped: 1 };
-  }
-  
-  // Check for outstanding debts from previous months
-  let netCommission = finalCommission;
-  let debtInfo = null;
-  
-  if (representative && representative.length > 0) {
-    const representativeId = Array.isArray(representative) ? representative[0] : representative;
-    
-    logger.info('Checking for outstanding debts', {
-      commissionId,
-      representativeId,
-      currentMonth: month
+      refundCommission,
+      clawedBack: clawbackTotal,
+      effectiveCommission
     });
-    
-    const debts = await getRepresentativeDebts(representativeId, month);
-    
-    if (debts.length > 0) {
-      const totalDebt = Math.abs(debts.reduce((sum, d) => sum + d.amount, 0));
-      
-      logger.info('⚠️  Found outstanding debts to deduct', {
-        commissionId,
-        representative: name,
-        currentCommission: finalCommission,
-        totalDebt: totalDebt,
-        debtMonths: debts.map(d => d.month).join(', ')
-      });
-      
-      netCommission = finalCommission - totalDebt;
-      
-      debtInfo = {
-        debts: debts,
-        totalDebt: totalDebt,
-        originalCommission: finalCommission,
-        netCommission: netCommission
-      };
-      
-      if (netCommission <= 0) {
-        logger.warn('Net commission is zero or negative after debt deduction, skipping expense creation', {
-          commissionId,
-          representative: name,
-          originalCommission: finalCommission,
-          totalDebt: totalDebt,
-          netCommission: netCommission,
-          note: 'Debt partially or fully offsets current commission'
-        });
-        return { created: 0, updated: 0, skipped: 1 };
-      }
-      
-      logger.info('✅ Commission after debt deduction', {
-        commissionId,
-        representative: name,
-        originalCommission: finalCommission,
-        debtDeducted: totalDebt,
-        netCommission: netCommission
-      });
-    }
-  }
-  
-  // Fetch linked sales
-  if (!saleIds || saleIds.length === 0) {
-    logger.warn('No sales linked to commission, skipping', { commissionId });
-    return { created: 0, updated: 0, skipped: 1 };
   }
   
-  logger.info('About to fetch sales by IDs', { commissionId, saleIdsCount: saleIds.length });
-  const sales = await getSalesByIds(saleIds);
-  logger.info('Fetched sales successfully', { commissionId, salesCount: sales.length });
-  
-  if (sales.length === 0) {
-    logger.warn('Could not fetch sales for commission, skipping', {
-      commissionId,
-      requestedCount: saleIds.length
-    });
-    return { created: 0, updated: 0, skipped: 1 };
+  const ledgerCommission = {
+    commissionId: commission.id,
+    representativeId,
+    representativeName,
+    month,
+    year,
+    finalCommission: effectiveCommission
+  };
+  
+  if (representativeId) {
+    await recordDebt(ledgerCommission);
   }
   
-  // Group sales by project and track sale amounts (not commissions)
-  // We'll allocate the finalCommission from Comisioane Lunare proportionally
-  const projectGroups = {};
-  let totalSalesAmount = 0;
-  
-  for (const sale of sales) {
-    const project = sale.project;
-    const saleAmount = sale.totalAmount || 0;  // Use sale AMOUNT, not commission
-    
-    if (!project) {
-      logger.debug('Sale missing project, skipping', { saleId: sale.id });
-      continue;
-    }
-    
-    if (!isValidProject(project)) {
-      logger.debug('Invalid project name, skipping sale', {
-        saleId: sale.id,
-        project
-      });
-      continue;
-    }
-    
-    if (saleAmount <= 0) {
-      logger.debug('Sale amount is zero or invalid, skipping', {
-        saleId: sale.id,
-        amount: saleAmount
-      });
-      continue;
-    }
-    
-    if (!projectGroups[project]) {
-      projectGroups[project] = {
-        totalAmount: 0,  // Track sale amounts, not commissions
-        salesCount: 0,
-        saleIds: []
-      };
+  if (!isValidExpenseAmount(effectiveCommission)) {
+    // Repayments this commission made on earlier runs have no money behind them any more
+    if (representativeId) {
+      await applyDebtRepayments({ ...ledgerCommission, finalCommission: 0 });
     }
     
-    projectGroups[project].totalAmount += saleAmount;
-    projectGroups[project].salesCount++;
-    projectGroups[project].saleIds.push(sale.id);
-    totalSalesAmount += saleAmount;
-  }
-  
-  if (Object.keys(projectGroups).length === 0) {
-    logger.warn('No valid projects found in sales, skipping', { commissionId });
-    return { created: 0, updated: 0, skipped: 1 };
+    logger.warn('Invalid commission amount (negative or zero), skipping expense creation', {
+      commissionId: commission.id,
+      finalCommission: effectiveCommission,
+      note: representativeId ? 'Recorded as debt in the debt ledger' : 'No representative linked, debt not recorded'
+    });
+    return null;
   }
   
-  // Log the allocation breakdown
-  logger.info('Commission allocation breakdown', {
-    commissionId,
-    totalCommissionFromComisioane: netCommission,
-    totalSalesAmount: totalSalesAmount,
-    projectCount: Object.keys(projectGroups).length
-  });
-  
-  // Create expense for each project with proportional allocation
-  let created = 0;
-  let updated = 0;
-  let skipped = 0;
-  
-  logger.info('About to create expenses for projects', { 
-    commissionId, 
-    projectCount: Object.keys(projectGroups).length,
-    projects: Object.keys(projectGroups)
-  });
+  let netCommission = effectiveCommission;
   
-  for (const [project, group] of Object.entries(projectGroups)) {
-    // Calculate proportional allocation based on sale amounts
-    const allocationPercentage = totalSalesAmount > 0 ? (group.totalAmount / totalSalesAmount) : 0;
-    const allocatedCommission = netCommission * allocationPercentage;
-    
-    logger.info('Processing project with proportional allocation', { 
-      commissionId, 
-      project, 
-      projectSalesAmount: group.totalAmount,
-      totalSalesAmount: totalSalesAmount,
-      allocationPercentage: (allocationPercentage * 100).toFixed(2) + '%',
-      allocatedCommission: allocatedCommission.toFixed(2),
-      salesCount: group.salesCount
-    });
+  if (representativeId) {
+    const repayment = await applyDebtRepayments(ledgerCommission);
+    netCommission = repayment.netCommission;
     
-    // Round to 2 decimal places
-    const roundedCommission = Math.round(allocatedCommission * 100) / 100;
-    
-    // Generate unique expense ID per project
-    const expenseId = `commission_${commissionId}_${project}`;
-    
-    // Check if expense already exists
-    logger.info('Checking if expense exists', { commissionId, expenseId, project });
-    const existingExpense = await getExpenseByExpenseId(expenseId);
-    
-    // Build description
-    let description = `${representativeName || name.split(' - ')[0]} - ${month}`;
-    
-    // Sale IDs array (all sales for this project)
-    const saleIds = group.saleIds;
-    
-    // Prepare expense data
-    const expenseFields = {
-      [FIELDS.EXPENSE_NAME]: description, // Set Cheltuiala field to prevent empty P&L records
-      [FIELDS.EXPENSE_DESCRIPTION]: description,
-      [FIELDS.EXPENSE_PROJECT]: project,
-      [FIELDS.EXPENSE_CATEGORY]: EXPENSE_CATEGORIES.REPRESENTATIVES,
-      [FIELDS.EXPENSE_AMOUNT]: roundedCommission,
-      [FIELDS.EXPENSE_VAT_INCLUDED]: VAT_INCLUDED.NO,
-      [FIELDS.EXPENSE_MONTH]: month,
-      [FIELDS.EXPENSE_YEAR]: year,
-      [FIELDS.EXPENSE_SOURCE]: SOURCE.AUTOMATIC,
-      [FIELDS.EXPENSE_ID]: expenseId,
-      [FIELDS.EXPENSE_ASSOCIATED_SALES]: saleIds
-    };
-    
-    try {
-      if (existingExpense) {
-        // Update existing expense
-        logger.info('Updating existing Sales Rep expense', {
-          expenseId,
-          project,
-          oldAmount: existingExpense.amount,
-          newAmount: roundedCommission
-        });
-        
-        await updateExpense(existingExpense.id, {
-          fields: expenseFields
-        });
-        
-        updated++;
-        
-        logger.info('✅ Updated Sales Rep expense', {
-          expenseId,
-          project,
-          oldAmount: existingExpense.amount,
-          newAmount: roundedCommission,
-          salesCount: group.salesCount
-        });
-      } else {
-        // Create new expense
-        await createExpense({
-          fields: expenseFields
-        });
-        
-        created++;
-        
-        logger.info('✅ Created Sales Rep expense', {
-          expenseId,
-          project,
-          commission: roundedCommission,
-          salesCount: group.salesCount
-        });
-      }
-    } catch (error) {
-      logger.error('Failed to create/update expense for Sales Rep commission', {
-        expenseId,
-        project,
-        error: error.message
+    if (netCommission <= 0) {
+      logger.warn('Commission fully used to repay debt, skipping expense creation', {
+        commissionId: commission.id,
+        representative: commission.name,
+        originalCommission: effectiveCommission,
+        debtRepaid: repayment.applied,
+        note: 'Any remaining debt stays outstanding for later months'
       });
-      skipped++;
+      return null;
     }
   }
   
-  return { created, updated, skipped };
+  return netCommission - clawbackTotal;
 }
-
-
@@ -0,0 +1,61 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadTestRules, createTestStore, runWithStore, getExpensesById } from '../utils/testing.js';
+import { TABLES, FIELDS } from '../config/constants.js';
+import { getDebtLedger } from './debtLedgerService.js';
+import { processSalesRepCommissions } from './salesRepService.js';
+
+before(() => loadTestRules());
+
+/**
+ * Mario's September commission of -300 and October commission of 400, one sale each
+ */
+async function createStore() {
+  const store = await createTestStore({
+    [TABLES.SALES]: [
+      { [FIELDS.PROJECT]: 'CODCOM', [FIELDS.TOTAL_AMOUNT]: 1000, [FIELDS.SALE_MONTH]: 'Septembrie 2025' },
+      { [FIELDS.PROJECT]: 'CODCOM', [FIELDS.TOTAL_AMOUNT]: 2000, [FIELDS.SALE_MONTH]: 'Octombrie 2025' }
+    ]
+  });
+  const [september, october] = await store.select(TABLES.SALES, {});
+
+  const commission = (month, finalCommission, sale) => ({
+    [FIELDS.NAME]: `Mario Cazacu - ${month}`,
+    [FIELDS.REPRESENTATIVE]: ['recRep1'],
+    [FIELDS.MONTH]: month,
+    [FIELDS.COMMISSION_YEAR]: 2025,
+    [FIELDS.ROLE]: ['Sales'],
+    [FIELDS.FINAL_COMMISSION]: finalCommission,
+    [FIELDS.SALES]: [sale.id]
+  });
+  await store.createBatch(TABLES.MONTHLY_COMMISSIONS, [
+    commission('Septembrie', -300, september),
+    commission('Octombrie', 400, october)
+  ]);
+  return store;
+}
+
+test('a later commission repays the debt before it is booked', async () => {
+  const store = await createStore();
+
+  await runWithStore(store, () => processSalesRepCommissions());
+
+  const [ledger] = await runWithStore(store, () => getDebtLedger());
+  const [, october] = await store.select(TABLES.MONTHLY_COMMISSIONS, {});
+  assert.equal(ledger.outstanding, 0);
+  assert.equal((await getExpensesById(store))[`commission_${october.id}_CODCOM`].get(FIELDS.EXPENSE_AMOUNT), 100);
+});
+
+test('a commission that turns negative on a re-run takes back its repayments', async () => {
+  const store = await createStore();
+  await runWithStore(store, () => processSalesRepCommissions());
+
+  const [, october] = await store.select(TABLES.MONTHLY_COMMISSIONS, {});
+  await store.update(TABLES.MONTHLY_COMMISSIONS, october.id, { [FIELDS.FINAL_COMMISSION]: -50 });
+  const stats = await runWithStore(store, () => processSalesRepCommissions('Octombrie 2025'));
+
+  const [ledger] = await runWithStore(store, () => getDebtLedger());
+  assert.equal(ledger.outstanding, 350);
+  assert.deepEqual(ledger.debts.map(d => [d.amount, d.repaid]), [[300, 0], [50, 0]]);
+  assert.deepEqual(stats.staleExpenses.map(entry => entry.expenseId), [`commission_${october.id}_CODCOM`]);
+});
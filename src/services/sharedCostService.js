@@ -0,0 +1,329 @@
+/**
+ * Shared Cost Allocation
+ * Expenses of SHARED_COST_PROJECT ("Cheltuială Comună": unmapped Facebook
+ * campaigns, unmatched Stripe fees, manual common costs) never reach a real
+ * project's P&L. Before the P&L run, each one is divided across the projects
+ * of the month ("projects" rule) with the "sharedCosts.allocation" rule:
+ * - revenue: by "Total După TVA" of the month's verified sales
+ * - salesCount: by number of verified sales
+ * - fixed: by the rule's weights
+ * - none: left in the shared project
+ * The method can be set per expense category (rule "categories").
+ *
+ * Each share is an automatic expense line allocation_{sharedRecordId}_{project}
+ * in the shared expense's category, with "Alocat Din" = the shared expense's
+ * record ID. The P&L leaves allocated shared expenses out, so they are counted
+ * once, in the projects.
+ */
+import { getDataStore } from '../config/dataStore.js';
+import {
+  getExpenseByExpenseId,
+  createExpense,
+  updateExpense,
+  getAllMonthYearsFromSales
+} from './airtableService.js';
+import { ensureRulesLoaded, findRule, getRule } from './rulesService.js';
+import { cleanupStaleExpenses } from './staleExpenseService.js';
+import {
+  TABLES,
+  FIELDS,
+  SOURCE,
+  VAT_INCLUDED,
+  SALE_VERIFIED_STATUSES,
+  SHARED_COST_PROJECT,
+  ALLOCATION_METHODS,
+  EXPENSE_ID_PREFIXES,
+  parseMonthYear
+} from '../config/constants.js';
+import { eq, and, or } from '../stores/filters.js';
+import { logger } from '../utils/logger.js';
+
+const round = amount => Math.round(amount * 100) / 100;
+
+/**
+ * Allocation method of a shared expense's category
+ * @returns {Object} { method, weights? }
+ */
+function getAllocationMethod(rule, category) {
+  if (!rule) return { method: ALLOCATION_METHODS.NONE };
+  return rule.categories?.[category] || rule;
+}
+
+/**
+ * Verified sales of the month per project: "Total După TVA" and count
+ * @returns {Promise<Object>} { [project]: { revenue, count } }
+ */
+async function getSalesWeights(month, year) {
+  const records = await getDataStore().select(TABLES.SALES, {
+    filter: and(
+      eq(FIELDS.SALE_MONTH, `${month} ${year}`),
+      or(...SALE_VERIFIED_STATUSES.map(status => eq(FIELDS.VERIFICAT, status)))
+    ),
+    fields: [FIELDS.PROJECT, FIELDS.AMOUNT_WITHOUT_VAT]
+  });
+
+  const weights = {};
+  records.forEach(record => {
+    const project = record.get(FIELDS.PROJECT);
+    if (!project) return;
+
+    weights[project] = weights[project] || { revenue: 0, count: 0 };
+    weights[project].revenue += record.get(FIELDS.AMOUNT_WITHOUT_VAT) || 0;
+    weights[project].count++;
+  });
+
+  return weights;
+}
+
+/**
+ * Active shared expenses of the month (allocation lines excluded)
+ * @returns {Promise<Array<Object>>} [{ id, name, description, category, amount, vatIncluded }]
+ */
+async function getSharedExpenses(month, year) {
+  const records = await getDataStore().select(TABLES.EXPENSES, {
+    filter: and(
+      eq(FIELDS.EXPENSE_MONTH, month),
+      eq(FIELDS.EXPENSE_YEAR, year),
+      eq(FIELDS.EXPENSE_PROJECT, SHARED_COST_PROJECT)
+    ),
+    fields: [
+      FIELDS.EXPENSE_ID,
+      FIELDS.EXPENSE_NAME,
+      FIELDS.EXPENSE_DESCRIPTION,
+      FIELDS.EXPENSE_CATEGORY,
+      FIELDS.EXPENSE_AMOUNT,
+      FIELDS.EXPENSE_VAT_INCLUDED,
+      FIELDS.EXPENSE_CANCELLED
+    ]
+  });
+
+  return records
+    .filter(record => !record.get(FIELDS.EXPENSE_CANCELLED))
+    .filter(record => !(record.get(FIELDS.EXPENSE_ID) || '').startsWith(EXPENSE_ID_PREFIXES.ALLOCATION))
+    .map(record => ({
+      id: record.id,
+      name: record.get(FIELDS.EXPENSE_NAME) || '',
+      description: record.get(FIELDS.EXPENSE_DESCRIPTION) || '',
+      category: record.get(FIELDS.EXPENSE_CATEGORY),
+      amount: record.get(FIELDS.EXPENSE_AMOUNT) || 0,
+      vatIncluded: record.get(FIELDS.EXPENSE_VAT_INCLUDED) || VAT_INCLUDED.NO
+    }));
+}
+
+/**
+ * Share of each project for an allocation method
+ * Projects with no (or negative) revenue get no share.
+ * @param {Object} allocation - { method, weights? }
+ * @param {Array<string>} projects - Projects of the month
+ * @param {Object} salesWeights - From getSalesWeights
+ * @returns {Array<Object>} [{ project, share }], empty if nothing to allocate by
+ */
+export function getAllocationShares({ method, weights }, projects, salesWeights) {
+  const projectWeights = projects.map(project => {
+    let weight = 0;
+    if (method === ALLOCATION_METHODS.REVENUE) weight = salesWeights[project]?.revenue || 0;
+    if (method === ALLOCATION_METHODS.SALES_COUNT) weight = salesWeights[project]?.count || 0;
+    if (method === ALLOCATION_METHODS.FIXED) weight = weights[project] || 0;
+    return { project, weight: Math.max(0, weight) };
+  });
+
+  const total = projectWeights.reduce((sum, p) => sum + p.weight, 0);
+  if (total <= 0) return [];
+
+  return projectWeights
+    .filter(p => p.weight > 0)
+    .map(p => ({ project: p.project, share: p.weight / total }));
+}
+
+/**
+ * Divide an amount by shares, in cents (the last project gets the remainder)
+ * @returns {Array<Object>} [{ project, share, amount }]
+ */
+export function allocateAmount(amount, shares) {
+  let allocated = 0;
+
+  return shares.map(({ project, share }, index) => {
+    const part = index === shares.length - 1 ? round(amount - allocated) : round(amount * share);
+    allocated = round(allocated + part);
+    return { project, share, amount: part };
+  });
+}
+
+/**
+ * Create or update the allocation line of a shared expense for one project
+ * @returns {Promise<string>} 'created' or 'updated'
+ */
+async function createOrUpdateAllocationExpense(sharedExpense, allocation, method, month, year, producedExpenseIds) {
+  const { project, share, amount } = allocation;
+  const expenseId = `${EXPENSE_ID_PREFIXES.ALLOCATION}${sharedExpense.id}_${project}`.replace(/\s+/g, '_');
+  producedExpenseIds.add(expenseId);
+
+  const sharedName = sharedExpense.name || sharedExpense.category;
+  const expenseFields = {
+    [FIELDS.EXPENSE_NAME]: `Cost comun: ${sharedName}`,
+    [FIELDS.EXPENSE_DESCRIPTION]: `Alocare ${(share * 100).toFixed(2)}% (${method}) din "${sharedExpense.description || sharedName}"`,
+    [FIELDS.EXPENSE_PROJECT]: project,
+    [FIELDS.EXPENSE_CATEGORY]: sharedExpense.category,
+    [FIELDS.EXPENSE_AMOUNT]: amount,
+    [FIELDS.EXPENSE_VAT_INCLUDED]: sharedExpense.vatIncluded,
+    [FIELDS.EXPENSE_MONTH]: month,
+    [FIELDS.EXPENSE_YEAR]: year,
+    [FIELDS.EXPENSE_SOURCE]: SOURCE.AUTOMATIC,
+    [FIELDS.EXPENSE_ID]: expenseId,
+    [FIELDS.EXPENSE_ALLOCATED_FROM]: sharedExpense.id
+  };
+
+  const existingExpense = await getExpenseByExpenseId(expenseId);
+
+  if (existingExpense) {
+    await updateExpense(existingExpense.id, { fields: expenseFields });
+  } else {
+    await createExpense({ fields: expenseFields });
+  }
+
+  logger.info(`✅ ${existingExpense ? 'Updated' : 'Created'} shared cost allocation`, {
+    expenseId,
+    sharedExpenseId: sharedExpense.id,
+    project,
+    share: round(share * 100) + '%',
+    amount
+  });
+
+  return existingExpense ? 'updated' : 'created';
+}
+
+/**
+ * Main function to allocate shared costs
+ * @param {string} targetMonthYear - Optional. Format: "Luna YYYY" (e.g., "Octombrie 2025"). If provided, only processes that month.
+ * @returns {Promise<Object>} - Processing statistics
+ */
+export async function processSharedCosts(targetMonthYear = null) {
+  if (targetMonthYear) {
+    logger.info(`=== Allocating Shared Costs for: ${targetMonthYear} ===`);
+  } else {
+    logger.info('=== Allocating Shared Costs for ALL months ===');
+  }
+
+  try {
+    await ensureRulesLoaded();
+
+    let monthYears = await getAllMonthYearsFromSales();
+
+    // If targetMonthYear is provided, filter to only that month
+    if (targetMonthYear) {
+      monthYears = monthYears.filter(my => my === targetMonthYear);
+      logger.info(`Filtered to single month-year: ${targetMonthYear}`);
+    }
+
+    const totalStats = {
+      processed: 0,
+      created: 0,
+      updated: 0,
+      skipped: 0,
+      errors: 0,
+      allocatedTotal: 0,
+      stale: 0,
+      staleExpenses: []
+    };
+
+    for (const monthYear of monthYears) {
+      logger.info(`\n========== Allocating Shared Costs for: ${monthYear} ==========`);
+      const { month, year } = parseMonthYear(monthYear);
+      const producedExpenseIds = new Set();
+      const result = await processSharedCostsForMonth(month, year, producedExpenseIds);
+      totalStats.processed += result.processed;
+      totalStats.created += result.created;
+      totalStats.updated += result.updated;
+      totalStats.skipped += result.skipped;
+      totalStats.errors += result.errors;
+      totalStats.allocatedTotal = round(totalStats.allocatedTotal + result.allocatedTotal);
+
+      totalStats.staleExpenses.push(...await cleanupStaleExpenses({
+        prefix: EXPENSE_ID_PREFIXES.ALLOCATION,
+        month,
+        year,
+        producedExpenseIds,
+        hadErrors: result.errors > 0,
+        completed: result.completed === true
+      }));
+      totalStats.stale = totalStats.staleExpenses.length;
+    }
+
+    logger.info('Completed shared cost allocation', { targetMonthYear, ...totalStats });
+    return totalStats;
+  } catch (error) {
+    logger.error('Shared cost allocation failed', {
+      error: error.message,
+      stack: error.stack,
+      targetMonthYear
+    });
+    throw error;
+  }
+}
+
+/**
+ * Allocate the shared expenses of one month
+ * @param {Set<string>} producedExpenseIds - Collects the expense IDs generated for the month
+ * @returns {Promise<Object>} - Processing statistics
+ */
+async function processSharedCostsForMonth(month, year, producedExpenseIds) {
+  const stats = { processed: 0, created: 0, updated: 0, skipped: 0, errors: 0, allocatedTotal: 0 };
+
+  const rule = findRule('sharedCosts.allocation', month, year);
+  const projects = getRule('projects', month, year).filter(project => project !== SHARED_COST_PROJECT);
+
+  const sharedExpenses = await getSharedExpenses(month, year);
+  if (sharedExpenses.length === 0) {
+    // Cheltuieli is the source of shared expenses: none left means earlier allocations are stale
+    logger.info('No shared expenses to allocate', { month, year });
+    return { ...stats, completed: true };
+  }
+
+  const salesWeights = await getSalesWeights(month, year);
+
+  for (const sharedExpense of sharedExpenses) {
+    const allocation = getAllocationMethod(rule, sharedExpense.category);
+
+    if (allocation.method === ALLOCATION_METHODS.NONE) {
+      logger.debug('Shared expense not allocated (method none)', {
+        sharedExpenseId: sharedExpense.id,
+        category: sharedExpense.category
+      });
+      stats.skipped++;
+      continue;
+    }
+
+    const shares = getAllocationShares(allocation, projects, salesWeights);
+    if (shares.length === 0 || !sharedExpense.amount) {
+      logger.warn('⚠️  Shared expense left in shared project, nothing to allocate it by', {
+        sharedExpenseId: sharedExpense.id,
+        method: allocation.method,
+        amount: sharedExpense.amount,
+        month,
+        year
+      });
+      stats.skipped++;
+      continue;
+    }
+
+    try {
+      for (const share of allocateAmount(sharedExpense.amount, shares)) {
+        const result = await createOrUpdateAllocationExpense(
+          sharedExpense, share, allocation.method, month, year, producedExpenseIds
+        );
+        stats[result]++;
+      }
+      stats.processed++;
+      stats.allocatedTotal = round(stats.allocatedTotal + sharedExpense.amount);
+    } catch (error) {
+      logger.error('Failed to allocate shared expense', {
+        sharedExpenseId: sharedExpense.id,
+        error: error.message
+      });
+      stats.errors++;
+    }
+  }
+
+  logger.info('=== Shared Cost Allocation Complete ===', { month, year, ...stats });
+  return { ...stats, completed: true };
+}
@@ -0,0 +1,102 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { rule, loadTestRules, createTestStore, runWithStore, getExpensesById } from '../utils/testing.js';
+import {
+  TABLES,
+  FIELDS,
+  SOURCE,
+  ALLOCATION_METHODS,
+  SHARED_COST_PROJECT,
+  SALE_VERIFIED_STATUSES
+} from '../config/constants.js';
+import { getAllocationShares, allocateAmount, processSharedCosts } from './sharedCostService.js';
+
+before(() => loadTestRules([
+  rule('sharedCosts.allocation', { method: ALLOCATION_METHODS.REVENUE }, '2024-01')
+]));
+
+const projects = ['CODCOM', 'Artok Academy', 'Mentorat'];
+const salesWeights = {
+  CODCOM: { revenue: 6000, count: 1 },
+  'Artok Academy': { revenue: 2000, count: 3 },
+  Mentorat: { revenue: -500, count: 0 }
+};
+
+const sharesOf = shares => shares.map(({ project, share }) => [project, share]);
+
+test('shares follow revenue or sale count; projects without any get none', () => {
+  assert.deepEqual(
+    sharesOf(getAllocationShares({ method: ALLOCATION_METHODS.REVENUE }, projects, salesWeights)),
+    [['CODCOM', 0.75], ['Artok Academy', 0.25]]
+  );
+  assert.deepEqual(
+    sharesOf(getAllocationShares({ method: ALLOCATION_METHODS.SALES_COUNT }, projects, salesWeights)),
+    [['CODCOM', 0.25], ['Artok Academy', 0.75]]
+  );
+});
+
+test('fixed weights are normalized over the month\'s projects', () => {
+  const shares = getAllocationShares(
+    { method: ALLOCATION_METHODS.FIXED, weights: { CODCOM: 3, Mentorat: 1, Other: 4 } },
+    projects,
+    salesWeights
+  );
+
+  assert.deepEqual(sharesOf(shares), [['CODCOM', 0.75], ['Mentorat', 0.25]]);
+});
+
+test('nothing to allocate by gives no shares', () => {
+  assert.deepEqual(getAllocationShares({ method: ALLOCATION_METHODS.REVENUE }, ['Mentorat'], salesWeights), []);
+  assert.deepEqual(getAllocationShares({ method: ALLOCATION_METHODS.SALES_COUNT }, [], salesWeights), []);
+});
+
+test('allocates in cents and gives the remainder to the last project', () => {
+  const thirds = projects.map(project => ({ project, share: 1 / 3 }));
+
+  const allocations = allocateAmount(100, thirds);
+
+  assert.deepEqual(allocations.map(a => [a.project, a.amount]), [['CODCOM', 33.33], ['Artok Academy', 33.33], ['Mentorat', 33.34]]);
+  assert.equal(allocations.reduce((sum, a) => sum + a.amount * 100, 0), 10000);
+});
+
+test('a negative shared expense (a credit) is allocated the same way', () => {
+  const allocations = allocateAmount(-10.01, [{ project: 'CODCOM', share: 0.5 }, { project: 'Artok Academy', share: 0.5 }]);
+
+  assert.deepEqual(allocations.map(a => a.amount), [-5, -5.01]);
+});
+
+test('allocations of a cancelled shared expense are soft-deleted', async () => {
+  const sale = (project, amount) => ({
+    [FIELDS.SALE_MONTH]: 'Octombrie 2025',
+    [FIELDS.VERIFICAT]: SALE_VERIFIED_STATUSES[0],
+    [FIELDS.PROJECT]: project,
+    [FIELDS.AMOUNT_WITHOUT_VAT]: amount
+  });
+  const store = await createTestStore({
+    [TABLES.SALES]: [sale('CODCOM', 3000), sale('Artok Academy', 1000)],
+    [TABLES.EXPENSES]: [{
+      [FIELDS.EXPENSE_NAME]: 'Facebook Ads necartografiat',
+      [FIELDS.EXPENSE_PROJECT]: SHARED_COST_PROJECT,
+      [FIELDS.EXPENSE_CATEGORY]: 'Marketing',
+      [FIELDS.EXPENSE_AMOUNT]: 200,
+      [FIELDS.EXPENSE_MONTH]: 'Octombrie',
+      [FIELDS.EXPENSE_YEAR]: 2025,
+      [FIELDS.EXPENSE_SOURCE]: SOURCE.AUTOMATIC
+    }]
+  });
+  const [shared] = await store.select(TABLES.EXPENSES, {});
+  const allocationIds = [`allocation_${shared.id}_CODCOM`, `allocation_${shared.id}_Artok_Academy`];
+
+  const first = await runWithStore(store, () => processSharedCosts('Octombrie 2025'));
+  const allocated = await getExpensesById(store);
+  assert.equal(first.created, 2);
+  assert.deepEqual(allocationIds.map(id => allocated[id].get(FIELDS.EXPENSE_AMOUNT)), [150, 50]);
+
+  // e.g. the stale cleanup cancelled the month's only shared expense
+  await store.update(TABLES.EXPENSES, shared.id, { [FIELDS.EXPENSE_CANCELLED]: true });
+  const second = await runWithStore(store, () => processSharedCosts('Octombrie 2025'));
+
+  const expenses = await getExpensesById(store);
+  assert.deepEqual(second.staleExpenses.map(entry => [entry.expenseId, entry.action]), allocationIds.map(id => [id, 'soft-delete']));
+  assert.ok(allocationIds.every(id => expenses[id].get(FIELDS.EXPENSE_CANCELLED)));
+});
@@ -0,0 +1,123 @@
+/**
+ * Stale Expense Service
+ * Finds automatic Cheltuieli rows a service no longer produces for a month
+ * (a sale moved to another project, a commission dropped to zero, ...).
+ *
+ * Each service collects the expense IDs it generates while processing a month,
+ * then calls cleanupStaleExpenses with its ID prefix. Automatic rows of that
+ * month and prefix that were not generated are stale:
+ * - STALE_EXPENSE_ACTION=soft-delete (default): "Anulat" is checked, which
+ *   removes the row from the P&L; it is unchecked if the row is generated again
+ * - STALE_EXPENSE_ACTION=flag: rows are only reported
+ * Rows are never deleted. A month that had errors is not cleaned up, since
+ * its expenses may be missing only because processing failed. Rows are only
+ * soft-deleted when the service reports that it completed the month from
+ * actual data: a source that returned nothing (no campaigns, no balance
+ * transactions, no qualifying sales) may just be down or late, so its stale
+ * rows are reported as with STALE_EXPENSE_ACTION=flag.
+ */
+import { getDataStore } from '../config/dataStore.js';
+import { TABLES, FIELDS, SOURCE } from '../config/constants.js';
+import { eq, and } from '../stores/filters.js';
+import { logger } from '../utils/logger.js';
+
+export const STALE_EXPENSE_ACTIONS = {
+  SOFT_DELETE: 'soft-delete',
+  FLAG: 'flag'
+};
+
+/**
+ * Configured action for stale expenses
+ */
+function getStaleExpenseAction() {
+  const action = (process.env.STALE_EXPENSE_ACTION || STALE_EXPENSE_ACTIONS.SOFT_DELETE).toLowerCase();
+  return action === STALE_EXPENSE_ACTIONS.FLAG ? STALE_EXPENSE_ACTIONS.FLAG : STALE_EXPENSE_ACTIONS.SOFT_DELETE;
+}
+
+/**
+ * Flag or soft-delete a service's stale automatic expenses for a month
+ * @param {Object} options
+ * @param {string} options.prefix - Expense ID prefix of the service (EXPENSE_ID_PREFIXES)
+ * @param {string} options.month - Romanian month name
+ * @param {number} options.year - Year
+ * @param {Set<string>} options.producedExpenseIds - Expense IDs generated in this run
+ * @param {boolean} options.hadErrors - Skip the cleanup when the month had errors
+ * @param {boolean} options.completed - The service completed the month from actual data;
+ *   otherwise stale rows are only flagged
+ * @returns {Promise<Array<Object>>} Stale expenses: [{ expenseId, project, amount, action }]
+ */
+export async function cleanupStaleExpenses({ prefix, month, year, producedExpenseIds, hadErrors = false, completed = false }) {
+  if (hadErrors) {
+    logger.warn('⚠️  Skipping stale expense cleanup, month had processing errors', { prefix, month, year });
+    return [];
+  }
+
+  const action = completed ? getStaleExpenseAction() : STALE_EXPENSE_ACTIONS.FLAG;
+
+  try {
+    const records = await getDataStore().select(TABLES.EXPENSES, {
+      filter: and(
+        eq(FIELDS.EXPENSE_MONTH, month),
+        eq(FIELDS.EXPENSE_YEAR, year),
+        eq(FIELDS.EXPENSE_SOURCE, SOURCE.AUTOMATIC)
+      ),
+      fields: [FIELDS.EXPENSE_ID, FIELDS.EXPENSE_PROJECT, FIELDS.EXPENSE_AMOUNT, FIELDS.EXPENSE_CANCELLED]
+    });
+
+    const stale = [];
+
+    for (const record of records) {
+      const expenseId = record.get(FIELDS.EXPENSE_ID) || '';
+      if (!expenseId.startsWith(prefix)) continue;
+
+      const cancelled = Boolean(record.get(FIELDS.EXPENSE_CANCELLED));
+
+      if (producedExpenseIds.has(expenseId)) {
+        // Generated again: bring back a row soft-deleted by an earlier run
+        if (cancelled) {
+          await getDataStore().update(TABLES.EXPENSES, record.id, { [FIELDS.EXPENSE_CANCELLED]: false });
+          logger.info('✅ Restored previously stale expense', { expenseId, month, year });
+        }
+        continue;
+      }
+
+      // Already soft-deleted by an earlier run
+      if (cancelled) continue;
+
+      if (action === STALE_EXPENSE_ACTIONS.SOFT_DELETE) {
+        await getDataStore().update(TABLES.EXPENSES, record.id, { [FIELDS.EXPENSE_CANCELLED]: true });
+      }
+
+      const entry = {
+        expenseId,
+        project: record.get(FIELDS.EXPENSE_PROJECT),
+        amount: record.get(FIELDS.EXPENSE_AMOUNT) || 0,
+        action
+      };
+      stale.push(entry);
+
+      logger.warn('⚠️  Stale automatic expense (no longer generated)', { ...entry, month, year });
+    }
+
+    if (stale.length > 0) {
+      logger.info('Stale expense cleanup complete', { prefix, month, year, action, count: stale.length });
+      if (!completed) {
+        logger.warn('⚠️  Stale expenses only flagged, month was not confirmed complete (source returned no data)', {
+          prefix,
+          month,
+          year
+        });
+      }
+    }
+
+    return stale;
+  } catch (error) {
+    logger.error('Failed to clean up stale expenses', {
+      prefix,
+      month,
+      year,
+      error: error.message
+    });
+    throw error;
+  }
+}
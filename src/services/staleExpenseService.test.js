@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestStore, runWithStore } from '../utils/testing.js';
+import { TABLES, FIELDS, SOURCE } from '../config/constants.js';
+import { cleanupStaleExpenses, STALE_EXPENSE_ACTIONS } from './staleExpenseService.js';
+
+const month = 'Octombrie';
+const year = 2025;
+
+/**
+ * A store with two automatic Facebook Ads rows for the month
+ */
+function createStore() {
+  return createTestStore({
+    [TABLES.EXPENSES]: ['CODCOM', 'MINDSET'].map(project => ({
+      [FIELDS.EXPENSE_ID]: `facebook_ads_${project}_${month}_${year}`,
+      [FIELDS.EXPENSE_PROJECT]: project,
+      [FIELDS.EXPENSE_AMOUNT]: 100,
+      [FIELDS.EXPENSE_MONTH]: month,
+      [FIELDS.EXPENSE_YEAR]: year,
+      [FIELDS.EXPENSE_SOURCE]: SOURCE.AUTOMATIC
+    }))
+  });
+}
+
+async function getCancelled(store) {
+  const records = await store.select(TABLES.EXPENSES, {});
+  return records.filter(record => record.get(FIELDS.EXPENSE_CANCELLED)).map(record => record.get(FIELDS.EXPENSE_ID));
+}
+
+function cleanup(store, options) {
+  return runWithStore(store, () => cleanupStaleExpenses({
+    prefix: 'facebook_ads_',
+    month,
+    year,
+    ...options
+  }));
+}
+
+test('soft-deletes rows a completed month no longer produces', async () => {
+  const store = await createStore();
+
+  const stale = await cleanup(store, {
+    producedExpenseIds: new Set([`facebook_ads_CODCOM_${month}_${year}`]),
+    completed: true
+  });
+
+  assert.deepEqual(stale.map(entry => entry.action), [STALE_EXPENSE_ACTIONS.SOFT_DELETE]);
+  assert.deepEqual(await getCancelled(store), [`facebook_ads_MINDSET_${month}_${year}`]);
+});
+
+test('only flags rows when the source returned nothing (month not completed)', async () => {
+  const store = await createStore();
+
+  const stale = await cleanup(store, { producedExpenseIds: new Set() });
+
+  assert.equal(stale.length, 2);
+  assert.ok(stale.every(entry => entry.action === STALE_EXPENSE_ACTIONS.FLAG));
+  assert.deepEqual(await getCancelled(store), []);
+});
+
+test('skips months with processing errors', async () => {
+  const store = await createStore();
+
+  const stale = await cleanup(store, { producedExpenseIds: new Set(), hadErrors: true, completed: true });
+
+  assert.deepEqual(stale, []);
+  assert.deepEqual(await getCancelled(store), []);
+});
+
+test('restores a soft-deleted row that is produced again', async () => {
+  const store = await createStore();
+  await cleanup(store, { producedExpenseIds: new Set(), completed: true });
+
+  await cleanup(store, {
+    producedExpenseIds: new Set([`facebook_ads_MINDSET_${month}_${year}`]),
+    completed: true
+  });
+
+  assert.deepEqual(await getCancelled(store), [`facebook_ads_CODCOM_${month}_${year}`]);
+});
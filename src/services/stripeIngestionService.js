@@ -0,0 +1,356 @@
+/**
+ * Stripe Ingestion Service
+ * Reads Stripe balance transactions (charges, refunds, disputes and other
+ * Stripe fees, with currency conversion) and matches them to Vânzări rows.
+ *
+ * Sources (STRIPE_FEES_SOURCE):
+ * - api: Stripe REST API (STRIPE_SECRET_KEY, a restricted key with read access
+ *   to balance transactions and charges is enough)
+ * - fixture: transactions recorded in DATA_DIR/stripe-balance-transactions.json
+ *   (see scripts/record-stripe-fixture.js), for offline runs
+ * - rate: no transactions, fees are estimated from the "stripe.feeRate" rule
+ * Default: api when STRIPE_SECRET_KEY is set, otherwise rate.
+ *
+ * Amounts are converted from Stripe's minor units to the balance currency (RON).
+ */
+import axios from 'axios';
+import { STRIPE, getMonthIndex, getPreviousMonth, getNextMonth } from '../config/constants.js';
+import { readJsonFile, writeJsonFile } from '../utils/localStore.js';
+import { logger } from '../utils/logger.js';
+
+const FIXTURE_FILE = 'stripe-balance-transactions.json';
+
+export const STRIPE_FEE_SOURCES = {
+  API: 'api',
+  FIXTURE: 'fixture',
+  RATE: 'rate'
+};
+
+// Balance transaction reporting categories tied to a payment
+export const STRIPE_TRANSACTION_KINDS = {
+  CHARGE: 'charge',
+  REFUND: 'refund',
+  DISPUTE: 'dispute',
+  FEE: 'fee'
+};
+
+const KIND_BY_REPORTING_CATEGORY = {
+  charge: STRIPE_TRANSACTION_KINDS.CHARGE,
+  refund: STRIPE_TRANSACTION_KINDS.REFUND,
+  refund_failure: STRIPE_TRANSACTION_KINDS.REFUND,
+  dispute: STRIPE_TRANSACTION_KINDS.DISPUTE,
+  dispute_reversal: STRIPE_TRANSACTION_KINDS.DISPUTE,
+  fee: STRIPE_TRANSACTION_KINDS.FEE
+};
+
+/**
+ * Configured source of Stripe fees
+ * @returns {string} One of STRIPE_FEE_SOURCES
+ */
+export function getStripeFeeSource() {
+  const source = (process.env.STRIPE_FEES_SOURCE || '').toLowerCase();
+
+  if (Object.values(STRIPE_FEE_SOURCES).includes(source)) {
+    return source;
+  }
+  return process.env.STRIPE_SECRET_KEY ? STRIPE_FEE_SOURCES.API : STRIPE_FEE_SOURCES.RATE;
+}
+
+/**
+ * Unix timestamp of midnight (Europe/Bucharest) on the first day of a month
+ */
+function monthStartTimestamp(year, monthIndex) {
+  const utcMidnight = Date.UTC(year, monthIndex, 1);
+  const offset = new Intl.DateTimeFormat('en-US', {
+    timeZone: 'Europe/Bucharest',
+    timeZoneName: 'shortOffset'
+  })
+    .formatToParts(new Date(utcMidnight))
+    .find(part => part.type === 'timeZoneName').value; // e.g. "GMT+3"
+
+  const [, sign, hours, minutes = '0'] = offset.match(/GMT([+-])(\d+)(?::(\d+))?/) || [null, '+', '0'];
+  const offsetMs = (sign === '-' ? -1 : 1) * (parseInt(hours, 10) * 60 + parseInt(minutes, 10)) * 60000;
+
+  return Math.floor((utcMidnight - offsetMs) / 1000);
+}
+
+/**
+ * Time range of a month in Romania, as Unix timestamps [from, to)
+ * @param {string} month - Romanian month name
+ * @param {number} year - Year
+ * @returns {{from: number, to: number}}
+ */
+export function getMonthRange(month, year) {
+  const monthIndex = getMonthIndex(month);
+  return {
+    from: monthStartTimestamp(year, monthIndex),
+    to: monthIndex === 11 ? monthStartTimestamp(year + 1, 0) : monthStartTimestamp(year, monthIndex + 1)
+  };
+}
+
+/**
+ * Fetch raw balance transactions from the Stripe API
+ * Sources (charge, refund, dispute) are expanded down to the charge, so
+ * metadata and billing details are available for matching.
+ * @param {Object} range - { from, to } Unix timestamps
+ * @returns {Promise<Array<Object>>} Stripe balance transaction objects
+ * @throws {Error} When STRIPE.maxPages pages do not cover the range
+ */
+export async function fetchBalanceTransactions({ from, to }) {
+  const secretKey = process.env.STRIPE_SECRET_KEY;
+
+  if (!secretKey) {
+    throw new Error('Missing Stripe API credentials (STRIPE_SECRET_KEY)');
+  }
+
+  const transactions = [];
+  let startingAfter = null;
+  let pageCount = 0;
+
+  try {
+    do {
+      const response = await axios.get(`${STRIPE.apiBaseUrl}/balance_transactions`, {
+        headers: { Authorization: `Bearer ${secretKey}` },
+        params: {
+          'created[gte]': from,
+          'created[lt]': to,
+          limit: 100,
+          'expand[]': ['data.source', 'data.source.charge'],
+          ...(startingAfter ? { starting_after: startingAfter } : {})
+        },
+        paramsSerializer: { indexes: false },
+        timeout: STRIPE.timeout
+      });
+
+      const page = response.data?.data || [];
+      transactions.push(...page);
+      pageCount++;
+
+      startingAfter = response.data?.has_more && page.length > 0 ? page[page.length - 1].id : null;
+    } while (startingAfter && pageCount < STRIPE.maxPages);
+
+    // A truncated month would replace actual fees with estimates and clean up on partial data
+    if (startingAfter) {
+      throw new Error(`Stripe page limit reached (${STRIPE.maxPages} pages, ${transactions.length} transactions), month not fully fetched`);
+    }
+
+    logger.info('Fetched Stripe balance transactions', { count: transactions.length, pages: pageCount });
+    return transactions;
+  } catch (error) {
+    logger.error('Failed to fetch Stripe balance transactions', {
+      error: error.message,
+      response: error.response?.data?.error?.message
+    });
+    throw error;
+  }
+}
+
+/**
+ * Recorded balance transactions (fixture mode)
+ * @returns {Array<Object>} Stripe balance transaction objects
+ */
+function loadFixtureTransactions() {
+  return readJsonFile(FIXTURE_FILE, { transactions: [] }).transactions || [];
+}
+
+/**
+ * Add balance transactions to the recorded fixture (existing IDs are replaced)
+ * @param {Array<Object>} transactions - Stripe balance transaction objects
+ * @returns {Object} { recorded, total }
+ */
+export function recordFixtureTransactions(transactions) {
+  const byId = new Map(loadFixtureTransactions().map(tx => [tx.id, tx]));
+  transactions.forEach(tx => byId.set(tx.id, tx));
+
+  const all = [...byId.values()].sort((a, b) => a.created - b.created);
+  writeJsonFile(FIXTURE_FILE, { recordedAt: new Date().toISOString(), transactions: all });
+
+  return { recorded: transactions.length, total: all.length };
+}
+
+/**
+ * Charge object behind a balance transaction (when expanded)
+ */
+function getCharge(source) {
+  if (!source || typeof source !== 'object') return null;
+  if (source.object === 'charge') return source;
+  return source.charge && typeof source.charge === 'object' ? source.charge : null;
+}
+
+/**
+ * Charge ID behind a balance transaction
+ */
+function getChargeId(source) {
+  if (!source) return null;
+  if (typeof source === 'string') return source.startsWith('ch_') || source.startsWith('py_') ? source : null;
+  if (source.object === 'charge') return source.id;
+  return typeof source.charge === 'string' ? source.charge : source.charge?.id || null;
+}
+
+/**
+ * Convert a Stripe balance transaction to the shape used for matching
+ * @param {Object} tx - Stripe balance transaction
+ * @returns {Object} { id, kind, type, created, currency, amount, fee, net, chargeId, saleId,
+ *                     customerName, email, originalAmount, originalCurrency, exchangeRate }
+ */
+export function normalizeBalanceTransaction(tx) {
+  const charge = getCharge(tx.source);
+  const kind = KIND_BY_REPORTING_CATEGORY[tx.reporting_category] || null;
+  const toUnits = minor => Math.round(minor || 0) / 100;
+
+  return {
+    id: tx.id,
+    kind,
+    type: tx.type,
+    created: new Date(tx.created * 1000).toISOString(),
+    currency: (tx.currency || '').toUpperCase(),
+    amount: toUnits(tx.amount),
+    // What Stripe charged: a Stripe fee transaction (e.g. Radar) is the fee itself
+    fee: kind === STRIPE_TRANSACTION_KINDS.FEE ? toUnits(tx.fee - tx.amount) : toUnits(tx.fee),
+    net: toUnits(tx.net),
+    chargeId: getChargeId(tx.source),
+    saleId: charge?.metadata?.[STRIPE.saleMetadataKey] || null,
+    customerName: charge?.billing_details?.name || null,
+    email: charge?.billing_details?.email || charge?.receipt_email || null,
+    // Charges in another currency are converted to the balance currency by Stripe
+    originalAmount: charge && charge.currency && charge.currency !== tx.currency ? toUnits(charge.amount) : null,
+    originalCurrency: charge && charge.currency && charge.currency !== tx.currency ? charge.currency.toUpperCase() : null,
+    exchangeRate: tx.exchange_rate || null
+  };
+}
+
+/**
+ * Balance transactions created in a month, from the configured source
+ * Payouts, transfers and other movements that are neither payments nor fees are left out.
+ * @param {string} month - Romanian month name
+ * @param {number} year - Year
+ * @returns {Promise<Array<Object>>} Normalized transactions (empty for the rate source)
+ */
+export async function getMonthBalanceTransactions(month, year) {
+  const source = getStripeFeeSource();
+  if (source === STRIPE_FEE_SOURCES.RATE) return [];
+
+  const range = getMonthRange(month, year);
+  const raw = source === STRIPE_FEE_SOURCES.API
+    ? await fetchBalanceTransactions(range)
+    : loadFixtureTransactions().filter(tx => tx.created >= range.from && tx.created < range.to);
+
+  const transactions = raw.map(normalizeBalanceTransaction).filter(tx => tx.kind);
+
+  logger.info('Stripe balance transactions for month', {
+    month,
+    year,
+    source,
+    total: raw.length,
+    used: transactions.length
+  });
+
+  return transactions;
+}
+
+/**
+ * Sales named in the charge metadata of the months before and after a month
+ * Such a charge books its actual fee in its own month (see stripeService), so
+ * the sale gets no estimated fee in its month. Stripe charges a sale within
+ * days of it, so a charge outside the sale's month is in an adjacent one.
+ * @param {string} month - Romanian month name
+ * @param {number} year - Year
+ * @returns {Promise<Set<string>>} Sale IDs (empty for the rate source)
+ */
+export async function getAdjacentMonthChargedSaleIds(month, year) {
+  const saleIds = new Set();
+
+  for (const adjacent of [getPreviousMonth(month, year), getNextMonth(month, year)]) {
+    for (const tx of await getMonthBalanceTransactions(adjacent.month, adjacent.year)) {
+      if (tx.kind === STRIPE_TRANSACTION_KINDS.CHARGE && tx.saleId) saleIds.add(tx.saleId);
+    }
+  }
+
+  return saleIds;
+}
+
+/**
+ * Normalize a person's name for matching (case, diacritics, spacing)
+ */
+function normalizeName(name) {
+  return (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether a charge amount matches a sale's "Suma Totală"
+ * Converted charges only match approximately (the conversion rate differs slightly).
+ */
+function amountMatches(tx, sale) {
+  const tolerance = tx.originalCurrency ? Math.abs(sale.totalAmount) * STRIPE.conversionTolerance : 0.01;
+  return Math.abs(tx.amount - sale.totalAmount) <= tolerance;
+}
+
+/**
+ * Match balance transactions to sales
+ * - Charges: by sale record ID in the charge metadata (STRIPE.saleMetadataKey),
+ *   otherwise by amount among the Stripe sales, preferring the same client name,
+ *   then the closest sale date. Each sale matches one charge.
+ * - Refunds and disputes: through their charge (metadata or the matched charge)
+ * - Other Stripe fees belong to no sale
+ * @param {Array<Object>} transactions - Normalized transactions
+ * @param {Array<Object>} sales - Sales that may match: { id, project, totalAmount, clientName, saleDate, isStripe }
+ * @returns {Array<Object>} Transactions with saleId and matchedBy ('metadata' | 'amount' | 'charge' | null)
+ */
+export function matchTransactionsToSales(transactions, sales) {
+  const salesById = new Map(sales.map(sale => [sale.id, sale]));
+  const matchedSaleIds = new Set();
+  const saleByCharge = new Map();
+
+  const matched = transactions.map(tx => ({ ...tx, saleId: null, matchedBy: null, metadataSaleId: tx.saleId }));
+
+  // Charges with the sale ID in their metadata first, so amount matching can't take their sale
+  matched
+    .filter(tx => tx.kind === STRIPE_TRANSACTION_KINDS.CHARGE && tx.metadataSaleId && salesById.has(tx.metadataSaleId))
+    .forEach(tx => {
+      tx.saleId = tx.metadataSaleId;
+      tx.matchedBy = 'metadata';
+      matchedSaleIds.add(tx.saleId);
+      if (tx.chargeId) saleByCharge.set(tx.chargeId, tx.saleId);
+    });
+
+  matched
+    .filter(tx => tx.kind === STRIPE_TRANSACTION_KINDS.CHARGE && !tx.saleId)
+    .sort((a, b) => a.created.localeCompare(b.created))
+    .forEach(tx => {
+      const customer = normalizeName(tx.customerName);
+      const candidates = sales
+        .filter(sale => sale.isStripe && !matchedSaleIds.has(sale.id) && amountMatches(tx, sale))
+        .map(sale => ({
+          sale,
+          sameName: customer !== '' && normalizeName(sale.clientName) === customer,
+          distance: sale.saleDate ? Math.abs(new Date(sale.saleDate) - new Date(tx.created)) : Infinity
+        }))
+        .sort((a, b) => (b.sameName - a.sameName) || (a.distance - b.distance));
+
+      if (candidates.length > 0) {
+        tx.saleId = candidates[0].sale.id;
+        tx.matchedBy = 'amount';
+        matchedSaleIds.add(tx.saleId);
+        if (tx.chargeId) saleByCharge.set(tx.chargeId, tx.saleId);
+      }
+    });
+
+  matched
+    .filter(tx => tx.kind === STRIPE_TRANSACTION_KINDS.REFUND || tx.kind === STRIPE_TRANSACTION_KINDS.DISPUTE)
+    .forEach(tx => {
+      if (tx.metadataSaleId && salesById.has(tx.metadataSaleId)) {
+        tx.saleId = tx.metadataSaleId;
+        tx.matchedBy = 'metadata';
+      } else if (tx.chargeId && saleByCharge.has(tx.chargeId)) {
+        tx.saleId = saleByCharge.get(tx.chargeId);
+        tx.matchedBy = 'charge';
+      }
+    });
+
+  return matched.map(({ metadataSaleId, ...tx }) => tx);
+}
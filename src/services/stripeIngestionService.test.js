@@ -0,0 +1,157 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { STRIPE } from '../config/constants.js';
+import {
+  STRIPE_TRANSACTION_KINDS,
+  normalizeBalanceTransaction,
+  matchTransactionsToSales,
+  fetchBalanceTransactions
+} from './stripeIngestionService.js';
+
+const { CHARGE, REFUND, DISPUTE, FEE } = STRIPE_TRANSACTION_KINDS;
+
+const charge = (id, amount, extra = {}) => ({
+  id: `txn_${id}`,
+  kind: CHARGE,
+  created: '2025-10-10T10:00:00.000Z',
+  amount,
+  fee: 2,
+  chargeId: `ch_${id}`,
+  saleId: null,
+  customerName: null,
+  originalCurrency: null,
+  ...extra
+});
+
+const sale = (id, totalAmount, extra = {}) => ({
+  id,
+  project: 'CODCOM',
+  totalAmount,
+  clientName: null,
+  saleDate: '2025-10-10',
+  isStripe: true,
+  ...extra
+});
+
+const matchesOf = matched => matched.map(tx => [tx.id, tx.saleId, tx.matchedBy]);
+
+test('normalizes balance transactions to units, kinds and the charge behind them', () => {
+  const tx = normalizeBalanceTransaction({
+    id: 'txn_1',
+    reporting_category: 'charge',
+    type: 'charge',
+    created: 1760090400,
+    currency: 'ron',
+    amount: 12100,
+    fee: 254,
+    net: 11846,
+    source: {
+      object: 'charge',
+      id: 'ch_1',
+      currency: 'eur',
+      amount: 2400,
+      metadata: { sale_id: 'recS1' },
+      billing_details: { name: 'Ana Pop', email: 'ana@example.com' }
+    },
+    exchange_rate: 5.0417
+  });
+
+  assert.equal(tx.kind, CHARGE);
+  assert.equal(tx.currency, 'RON');
+  assert.deepEqual([tx.amount, tx.fee, tx.net], [121, 2.54, 118.46]);
+  assert.deepEqual([tx.chargeId, tx.saleId, tx.customerName], ['ch_1', 'recS1', 'Ana Pop']);
+  assert.deepEqual([tx.originalAmount, tx.originalCurrency], [24, 'EUR']);
+
+  // A Stripe fee (e.g. Radar) is the fee itself
+  const fee = normalizeBalanceTransaction({ id: 'txn_2', reporting_category: 'fee', created: 1760090400, amount: -500, fee: 0, net: -500 });
+  assert.equal(fee.kind, FEE);
+  assert.equal(fee.fee, 5);
+
+  assert.equal(normalizeBalanceTransaction({ id: 'txn_3', reporting_category: 'payout', created: 1760090400 }).kind, null);
+});
+
+test('matches charges by metadata before amount matching can take their sale', () => {
+  const matched = matchTransactionsToSales(
+    [charge('a', 100), charge('b', 100, { saleId: 'recS1' })],
+    [sale('recS1', 100), sale('recS2', 100)]
+  );
+
+  assert.deepEqual(matchesOf(matched), [
+    ['txn_a', 'recS2', 'amount'],
+    ['txn_b', 'recS1', 'metadata']
+  ]);
+});
+
+test('prefers the same client name, then the closest sale date, and matches each sale once', () => {
+  const matched = matchTransactionsToSales(
+    [
+      charge('a', 100, { customerName: 'Ána  Pop', created: '2025-10-01T10:00:00.000Z' }),
+      charge('b', 100, { created: '2025-10-02T10:00:00.000Z' }),
+      charge('c', 100, { created: '2025-10-03T10:00:00.000Z' })
+    ],
+    [
+      sale('recNear', 100, { saleDate: '2025-10-02' }),
+      sale('recAna', 100, { clientName: 'ana pop', saleDate: '2025-10-20' })
+    ]
+  );
+
+  assert.deepEqual(matchesOf(matched), [
+    ['txn_a', 'recAna', 'amount'],
+    ['txn_b', 'recNear', 'amount'],
+    ['txn_c', null, null]
+  ]);
+});
+
+test('matches converted charges within the conversion tolerance only', () => {
+  const converted = { originalCurrency: 'EUR' };
+  const matched = matchTransactionsToSales(
+    [charge('a', 1020, converted), charge('b', 1050, converted), charge('c', 100.5)],
+    [sale('recEur', 1000), sale('recEur2', 1000), sale('recRon', 100)]
+  );
+
+  assert.deepEqual(matchesOf(matched), [
+    ['txn_a', 'recEur', 'amount'],
+    ['txn_b', null, null],
+    ['txn_c', null, null]
+  ]);
+});
+
+test('only Stripe sales are matched by amount', () => {
+  const matched = matchTransactionsToSales([charge('a', 100)], [sale('recTransfer', 100, { isStripe: false })]);
+
+  assert.deepEqual(matchesOf(matched), [['txn_a', null, null]]);
+});
+
+test('refunds and disputes follow their charge; other fees belong to no sale', () => {
+  const matched = matchTransactionsToSales(
+    [
+      charge('a', 100),
+      { id: 'txn_r', kind: REFUND, created: '2025-10-15T10:00:00.000Z', amount: -100, chargeId: 'ch_a', saleId: null },
+      { id: 'txn_d', kind: DISPUTE, created: '2025-10-16T10:00:00.000Z', amount: -50, chargeId: 'ch_x', saleId: 'recS9' },
+      { id: 'txn_f', kind: FEE, created: '2025-10-17T10:00:00.000Z', amount: -5, chargeId: null, saleId: null }
+    ],
+    [sale('recS1', 100), sale('recS9', 50, { isStripe: false })]
+  );
+
+  assert.deepEqual(matchesOf(matched), [
+    ['txn_a', 'recS1', 'amount'],
+    ['txn_r', 'recS1', 'charge'],
+    ['txn_d', 'recS9', 'metadata'],
+    ['txn_f', null, null]
+  ]);
+});
+
+test('a month longer than the page limit is an error, not a partial month', async (t) => {
+  process.env.STRIPE_SECRET_KEY = 'rk_test';
+  t.after(() => delete process.env.STRIPE_SECRET_KEY);
+  let page = 0;
+  const get = mock.method(axios, 'get', async () => ({ data: { data: [{ id: `txn_${++page}` }], has_more: true } }));
+  t.after(() => get.mock.restore());
+
+  await assert.rejects(fetchBalanceTransactions({ from: 0, to: 1 }), /Stripe page limit reached/);
+  assert.equal(get.mock.callCount(), STRIPE.maxPages);
+
+  get.mock.mockImplementation(async () => ({ data: { data: [{ id: 'txn_last' }], has_more: false } }));
+  assert.deepEqual(await fetchBalanceTransactions({ from: 0, to: 1 }), [{ id: 'txn_last' }]);
+});
@@ -2,32 +2,39 @@
  * Stripe Fee Processing
  * 
  * Calculates and creates expense records for Stripe payment processing fees.
- * - Fee: 2% of "Suma Totală" (amount WITH VAT)
- * - Only for sales with "link de plata" payment method
- * - Grouped by project
+ * - Actual fees: Stripe balance transactions of the month (charges, refunds,
+ *   disputes, other Stripe fees) matched to Vânzări rows (see stripeIngestionService)
+ * - Estimated fees: "stripe.feeRate" rule (2%) of "Suma Totală" (amount WITH VAT),
+ *   only for "link de plata" sales no Stripe charge was matched to
+ * - Grouped by project; fees of transactions that match no sale go to STRIPE.unmatchedProject
+ * A fee plan (see commissionPlanService): Stripe earns the rate on the sales
+ * estimated, and the actual fees are added to the project lines as known amounts.
  */
-import { base } from '../config/airtable.js';
+import { getDataStore } from '../config/dataStore.js';
+import { eq } from '../stores/filters.js';
 import {
-  getExpenseByExpenseId,
-  createExpense,
-  updateExpense,
-  getAllMonthYearsFromSales
+  getAllMonthYearsFromSales,
+  getSalesByIds
 } from './airtableService.js';
+import { getRule } from './rulesService.js';
+import {
+  getStripeFeeSource,
+  getMonthBalanceTransactions,
+  getAdjacentMonthChargedSaleIds,
+  matchTransactionsToSales,
+  STRIPE_FEE_SOURCES,
+  STRIPE_TRANSACTION_KINDS
+} from './stripeIngestionService.js';
+import { definePlan, runCommissionPlan } from './commissionPlanService.js';
 import {
   TABLES,
   FIELDS,
   EXPENSE_CATEGORIES,
-  VAT_INCLUDED,
-  SOURCE,
   STRIPE,
-  getCurrentRomanianMonth,
-  getCurrentYear,
-  getCurrentMonthYearString
+  EXPENSE_ID_PREFIXES,
+  formatMonthYear
 } from '../config/constants.js';
-import {
-  isValidExpenseAmount,
-  isValidProject
-} from '../utils/validators.js';
+import { isValidProject } from '../utils/validators.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -55,359 +62,313 @@ function isStripePayment(paymentMethod) {
 }
 
 /**
- * Get all Stripe payments for a specific month
+ * Get all sales of a specific month, flagging Stripe payments
+ * (every sale can be matched through charge metadata; only Stripe payments
+ * are matched by amount or get an estimated fee)
  */
-async function getStripePayments(monthYear) {
-  logger.info('Fetching Stripe payments', { monthYear });
+async function getMonthSales(monthYear) {
+  logger.info('Fetching sales for Stripe matching', { monthYear });
   
   try {
-    const results = [];
-    
-    await base(TABLES.SALES)
-      .select({
-        filterByFormula: `{${FIELDS.SALE_MONTH}} = "${monthYear}"`,
-        maxRecords: 10000
-      })
-      .eachPage((records, fetchNextPage) => {
-        records.forEach(record => {
-          const paymentMethod = record.get(FIELDS.PAYMENT_METHOD);
-          const totalAmount = record.get(FIELDS.TOTAL_AMOUNT);
-          const project = record.get(FIELDS.PROJECT);
-          
-          // Check if this is a Stripe payment
-          if (isStripePayment(paymentMethod) && totalAmount && totalAmount > 0) {
-            results.push({
-              id: record.id,
-              project: project,
-              totalAmount: totalAmount,
-              paymentMethod: paymentMethod
-            });
-            
-            logger.debug('Found Stripe payment', {
-              id: record.id,
-              project,
-              amount: totalAmount,
-              paymentMethod
-            });
-          }
-        });
-        fetchNextPage();
-      });
-    
-    logger.info(`Fetched ${results.length} Stripe payments`, { monthYear });
-    return results;
-  } catch (error) {
-    logger.error('Failed to fetch Stripe payments', {
-      error: error.message,
-      monthYear
+    const records = await getDataStore().select(TABLES.SALES, {
+      filter: eq(FIELDS.SALE_MONTH, monthYear),
+      maxRecords: 10000
     });
-    throw error;
-  }
-}
-
-/**
- * Process Stripe fee expenses
- * @param {string} targetMonthYear - Optional. Format: "Luna YYYY" (e.g., "Octombrie 2025"). If provided, only processes that month.
- */
-export async function processStripeFees(targetMonthYear = null) {
-  if (targetMonthYear) {
-    logger.info(`=== Processing Stripe Fees for: ${targetMonthYear} ===`);
-  } else {
-    logger.info('=== Processing Stripe Fees for ALL months ===');
-  }
-  
-  try {
-    let monthYears = await getAllMonthYearsFromSales();
     
-    // If targetMonthYear is provided, filter to only that month
-    if (targetMonthYear) {
-      monthYears = monthYears.filter(my => my === targetMonthYear);
-      logger.info(`Filtered to single month-year: ${targetMonthYear}`);
-    }
-    
-    if (monthYears.length === 0) {
+    const sales = records.map(record => {
+      const paymentMethod = record.get(FIELDS.PAYMENT_METHOD);
+      const totalAmount = record.get(FIELDS.TOTAL_AMOUNT);
+      
       return {
-        processed: 0,
-        skipped: 0,
-        created: 0,
-        updated: 0,
-        errors: 0,
-        totalFees: 0,
-        totalProcessed: 0
+        id: record.id,
+        project: record.get(FIELDS.PROJECT),
+        totalAmount: totalAmount,
+        paymentMethod: paymentMethod,
+        clientName: record.get(FIELDS.CLIENT_NAME),
+        saleDate: record.get(FIELDS.SALE_DATE),
+        // Check if this is a Stripe payment
+        isStripe: isStripePayment(paymentMethod) && Boolean(totalAmount) && totalAmount > 0
       };
-    }
-    
-    logger.info(`Processing Stripe fees for ${monthYears.length} month-years: ${monthYears.join(', ')}`);
-    
-    let totalStats = {
-      processed: 0,
-      skipped: 0,
-      created: 0,
-      updated: 0,
-      errors: 0,
-      totalFees: 0,
-      totalProcessed: 0
-    };
-    
-    for (const monthYear of monthYears) {
-      logger.info(`\n========== Processing Stripe fees for: ${monthYear} ==========`);
-      const result = await processStripeFeesForMonthYear(monthYear);
-      totalStats.processed += result.processed;
-      totalStats.skipped += result.skipped;
-      totalStats.created += result.created;
-      totalStats.updated += result.updated;
-      totalStats.errors += result.errors;
-      totalStats.totalFees += result.totalFees;
-      totalStats.totalProcessed += result.totalProcessed;
-    }
+    });
     
-    logger.info('Completed Stripe fee processing', { targetMonthYear, ...totalStats });
-    return totalStats;
+    logger.info(`Fetched ${sales.filter(sale => sale.isStripe).length} Stripe payments`, {
+      monthYear,
+      totalSales: sales.length
+    });
+    return sales;
   } catch (error) {
-    logger.error('Failed to process Stripe fees', {
+    logger.error('Failed to fetch Stripe payments', {
       error: error.message,
-      stack: error.stack,
-      targetMonthYear
+      monthYear
     });
     throw error;
   }
 }
 
 /**
- * Process Stripe fees for a specific month-year
+ * Month stats of the Stripe fees
  */
-async function processStripeFeesForMonthYear(monthYear) {
-  // Parse month-year (format: "Luna YYYY")
-  const parts = monthYear.split(' ');
-  const month = parts[0];
-  const year = parseInt(parts[1]);
-  
-  logger.info('Processing Stripe fees for month-year', { monthYear, month, year });
-  
-  const stats = {
+function createStripeStats() {
+  return {
     processed: 0,
     skipped: 0,
     created: 0,
     updated: 0,
     errors: 0,
     totalFees: 0,
-    totalProcessed: 0
+    totalProcessed: 0,
+    actualFees: 0,
+    estimatedFees: 0,
+    matchedSales: 0,
+    estimatedSales: 0,
+    unmatchedTransactions: 0,
+    refunded: 0,
+    disputed: 0,
+    feesSource: getStripeFeeSource()
   };
-  
-  try {
-    // Get all Stripe payments for this month-year
-    const payments = await getStripePayments(monthYear);
-    
-    if (payments.length === 0) {
-      logger.info('No Stripe payments found for month-year', { monthYear });
-      return stats;
-    }
-    
-    logger.info(`Found ${payments.length} Stripe payments`);
-    
-    // Calculate fees and group by project
-    const feesByProject = {};
+}
+
+// Stripe fee plan (see commissionPlanService)
+const stripeFeePlan = definePlan({
+  id: 'stripe',
+  label: 'Stripe Fees',
+  expenseIdPrefix: EXPENSE_ID_PREFIXES.STRIPE,
+  getMonthYears: getAllMonthYearsFromSales,
+  createStats: createStripeStats,
+  earners: getStripeEarners,
+  // Estimated fees: fee rate of Suma Totală
+  base: payment => payment.totalAmount,
+  basis: earner => ({ rate: earner.feeRate }),
+  expense: (line, earner, month, year) => {
+    // stripe_{project}_{month}_{year}
+    // (records from before the year was added keep stripe_{project}_{month} until updated)
+    const legacyId = `${EXPENSE_ID_PREFIXES.STRIPE}${line.project}_${month}`.replace(/\s+/g, '_');
+    return {
+      id: `${legacyId}_${year}`,
+      legacyId,
+      description: getStripeExpenseDescription(line),
+      category: earner.category
+    };
+  },
+  onEarner: ({ commission, lines }, stats) => {
+    stats.estimatedFees += commission;
     
-    for (const payment of payments) {
-      stats.processed++;
+    for (const line of lines) {
+      const processed = (line.processed || 0) + line.base;
+      stats.totalFees += line.amount;
+      stats.totalProcessed += processed;
       
-      // Validate project
-      if (!isValidProject(payment.project)) {
-        logger.warn('Stripe payment has invalid or missing project, skipping', {
-          paymentId: payment.id,
-          project: payment.project
-        });
-        stats.skipped++;
-        continue;
-      }
-      
-      // Validate amount
-      if (!payment.totalAmount || payment.totalAmount <= 0) {
-        logger.warn('Stripe payment has invalid amount, skipping', {
-          paymentId: payment.id,
-          amount: payment.totalAmount
-        });
-        stats.skipped++;
-        continue;
-      }
-      
-      // Calculate Stripe fee (2% of Suma Totală)
-      const fee = payment.totalAmount * STRIPE.feeRate;
-      
-      logger.debug('Calculated Stripe fee', {
-        paymentId: payment.id,
-        project: payment.project,
-        totalAmount: payment.totalAmount,
-        fee: fee.toFixed(2)
+      logger.info(`Project: ${line.project}`, {
+        payments: (line.charges || 0) + line.salesCount,
+        processed: processed.toFixed(2) + ' RON',
+        fees: line.amount.toFixed(2) + ' RON'
       });
-      
-      // Group by project
-      if (!feesByProject[payment.project]) {
-        feesByProject[payment.project] = {
-          project: payment.project,
-          paymentCount: 0,
-          totalProcessed: 0,
-          totalFees: 0,
-          paymentIds: []
-        };
-      }
-      
-      feesByProject[payment.project].paymentCount++;
-      feesByProject[payment.project].totalProcessed += payment.totalAmount;
-      feesByProject[payment.project].totalFees += fee;
-      feesByProject[payment.project].paymentIds.push(payment.id);
-      
-      stats.totalFees += fee;
-      stats.totalProcessed += payment.totalAmount;
     }
     
     logger.info('Stripe fee calculation complete', {
       paymentsProcessed: stats.processed,
-      projectsWithFees: Object.keys(feesByProject).length,
+      projectsWithFees: lines.length,
       totalFeesCalculated: stats.totalFees.toFixed(2),
       totalAmountProcessed: stats.totalProcessed.toFixed(2)
     });
-    
-    // Log breakdown by project
-    for (const [project, data] of Object.entries(feesByProject)) {
-      logger.info(`Project: ${project}`, {
-        payments: data.paymentCount,
-        processed: data.totalProcessed.toFixed(2) + ' RON',
-        fees: data.totalFees.toFixed(2) + ' RON'
-      });
-    }
-    
-    // Create/update expense records
-    const groupedData = Object.values(feesByProject);
-    logger.info(`Creating/updating ${groupedData.length} Stripe expense records`);
-    
-    for (const group of groupedData) {
-      try {
-        const result = await createOrUpdateStripeExpense(group, month, year);
-        if (result === 'created') {
-          stats.created++;
-        } else if (result === 'updated') {
-          stats.updated++;
-        }
-      } catch (error) {
-        logger.error('Failed to create/update Stripe expense', {
-          error: error.message,
-          project: group.project
-        });
-        stats.errors++;
-      }
-    }
-    
-    logger.info('=== Stripe Fee Processing Complete ===', {
-      processed: stats.processed,
-      created: stats.created,
-      updated: stats.updated,
-      skipped: stats.skipped,
-      errors: stats.errors,
-      totalFees: stats.totalFees.toFixed(2) + ' RON'
-    });
-    
-    return stats;
-  } catch (error) {
-    logger.error('Stripe fee processing failed', {
-      error: error.message,
-      stack: error.stack
-    });
-    throw error;
   }
+});
+
+/**
+ * Process Stripe fee expenses
+ * @param {string} targetMonthYear - Optional. Format: "Luna YYYY" (e.g., "Octombrie 2025"). If provided, only processes that month.
+ */
+export async function processStripeFees(targetMonthYear = null) {
+  return runCommissionPlan(stripeFeePlan, targetMonthYear);
 }
 
 /**
- * Create or update Stripe expense record
+ * Stripe as the month's earner: the actual fees of the month's balance
+ * transactions by project (known amounts), and the Stripe payments no charge
+ * was matched to (estimated at the fee rate)
+ * @param {Object} stats - Month stats (everything but the booked totals is counted)
+ * @returns {Promise<Array<Object>>} [] when the month has no Stripe payments or transactions
  */
-async function createOrUpdateStripeExpense(group, month, year) {
-  const { project, paymentCount, totalProcessed, totalFees, paymentIds } = group;
+async function getStripeEarners(month, year, stats) {
+  const monthYear = formatMonthYear(month, year);
+  const feeRate = getRule('stripe.feeRate', month, year);
   
-  // Round fee to 2 decimals
-  const roundedFee = Math.round(totalFees * 100) / 100;
+  logger.info('Processing Stripe fees for month-year', { monthYear, month, year, feeRate });
   
-  // Validate fee amount
-  if (!isValidExpenseAmount(roundedFee)) {
-    logger.warn('Invalid Stripe fee amount, skipping', {
-      project,
-      fee: roundedFee
+  // Get all sales for this month-year
+  const sales = await getMonthSales(monthYear);
+  
+  // Get the month's Stripe balance transactions (none when fees are estimated from the rate)
+  // and the sales charged in the months around it
+  let transactions;
+  let chargedInAdjacentMonths;
+  try {
+    transactions = await getMonthBalanceTransactions(month, year);
+    chargedInAdjacentMonths = await getAdjacentMonthChargedSaleIds(month, year);
+  } catch (error) {
+    // Don't fall back to estimates: the month's actual fees would flip back and forth
+    logger.error('Could not read Stripe balance transactions, skipping month', {
+      monthYear,
+      error: error.message
     });
-    return null;
+    stats.errors++;
+    return [];
   }
   
-  // Generate unique expense ID: stripe_{project}_{month}
-  const expenseId = `stripe_${project}_${month}`.replace(/\s+/g, '_');
+  const payments = sales.filter(sale => sale.isStripe);
   
-  // Format total processed amount for description with thousand separators
-  const formattedTotalProcessed = formatNumberWithCommas(totalProcessed);
+  if (payments.length === 0 && transactions.length === 0) {
+    logger.info('No Stripe payments found for month-year', { monthYear });
+    return [];
+  }
   
-  // Prepare expense data
-  const expenseFields = {
-    [FIELDS.EXPENSE_DESCRIPTION]: `Comision procesare plati Stripe - ${project} (${paymentCount} tranzactii, ${formattedTotalProcessed} RON procesate)`,
-    [FIELDS.EXPENSE_PROJECT]: project,
-    [FIELDS.EXPENSE_CATEGORY]: EXPENSE_CATEGORIES.TAXE_IMPOZITE,
-    [FIELDS.EXPENSE_AMOUNT]: roundedFee,
-    [FIELDS.EXPENSE_VAT_INCLUDED]: VAT_INCLUDED.NO,
-    [FIELDS.EXPENSE_MONTH]: month,
-    [FIELDS.EXPENSE_YEAR]: year,
-    [FIELDS.EXPENSE_SOURCE]: SOURCE.AUTOMATIC,
-    [FIELDS.EXPENSE_ID]: expenseId,
-    [FIELDS.EXPENSE_ASSOCIATED_SALES]: paymentIds
-  };
+  logger.info(`Found ${payments.length} Stripe payments and ${transactions.length} balance transactions`);
   
-  try {
-    // Check if expense already exists
-    const existingExpense = await getExpenseByExpenseId(expenseId);
+  // Actual fees need the month's balance transactions: payments without any are not a complete month
+  stats.completed = getStripeFeeSource() === STRIPE_FEE_SOURCES.RATE || transactions.length > 0;
+  
+  // Sales named in charge metadata can belong to another month
+  const monthSaleIds = new Set(sales.map(sale => sale.id));
+  const otherSaleIds = [...new Set(transactions.map(tx => tx.saleId).filter(id => id && !monthSaleIds.has(id)))];
+  const otherSales = (await getSalesByIds(otherSaleIds)).map(sale => ({ ...sale, isStripe: false }));
+  const salesById = new Map([...sales, ...otherSales].map(sale => [sale.id, sale]));
+  
+  const matched = matchTransactionsToSales(transactions, [...salesById.values()]);
+  
+  // Actual fees from balance transactions, by project
+  const actualFeesByProject = {};
+  const chargedSaleIds = new Set();
+  
+  for (const tx of matched) {
+    if (tx.kind === STRIPE_TRANSACTION_KINDS.REFUND) stats.refunded -= tx.amount;
+    if (tx.kind === STRIPE_TRANSACTION_KINDS.DISPUTE) stats.disputed -= tx.amount;
     
-    if (existingExpense) {
-      logger.info('Updating existing Stripe expense', {
-        expenseId,
-        project,
-        oldAmount: existingExpense.amount,
-        newAmount: roundedFee,
-        paymentCount
-      });
-      
-      await updateExpense(existingExpense.id, {
-        fields: expenseFields
-      });
-      
-      logger.info('Stripe expense updated successfully', {
-        expenseId,
-        project,
-        amount: roundedFee
-      });
-      
-      return 'updated';
-    } else {
-      logger.info('Creating new Stripe expense', {
-        expenseId,
-        project,
-        amount: roundedFee,
-        paymentCount,
-        totalProcessed
+    const sale = tx.saleId ? salesById.get(tx.saleId) : null;
+    if (tx.kind === STRIPE_TRANSACTION_KINDS.CHARGE && sale) {
+      chargedSaleIds.add(sale.id);
+    }
+    
+    let project = sale?.project;
+    if (!sale) {
+      stats.unmatchedTransactions++;
+      logger.warn('⚠️  Stripe transaction matches no sale, fee goes to the common project', {
+        transactionId: tx.id,
+        kind: tx.kind,
+        amount: tx.amount,
+        fee: tx.fee,
+        customer: tx.customerName,
+        project: STRIPE.unmatchedProject
       });
-      
-      await createExpense({
-        fields: expenseFields
+      project = STRIPE.unmatchedProject;
+    } else if (!isValidProject(project)) {
+      logger.warn('Stripe transaction sale has invalid or missing project, fee goes to the common project', {
+        transactionId: tx.id,
+        saleId: sale.id,
+        project
       });
-      
-      logger.info('Stripe expense created successfully', {
-        expenseId,
-        project,
-        amount: roundedFee
+      project = STRIPE.unmatchedProject;
+    }
+    
+    if (tx.fee === 0 && tx.kind !== STRIPE_TRANSACTION_KINDS.CHARGE) continue;
+    
+    stats.actualFees += tx.fee;
+    
+    if (!actualFeesByProject[project]) {
+      actualFeesByProject[project] = { project, amount: 0, charges: 0, processed: 0, saleIds: [] };
+    }
+    const fees = actualFeesByProject[project];
+    fees.amount += tx.fee;
+    // Payments are charges; refunds, disputes and other fees only add their fee
+    if (tx.kind === STRIPE_TRANSACTION_KINDS.CHARGE) {
+      fees.processed += tx.amount;
+      if (tx.amount > 0) fees.charges++;
+    }
+    if (sale && !fees.saleIds.includes(sale.id)) {
+      fees.saleIds.push(sale.id);
+    }
+    
+    logger.debug('Stripe fee from balance transaction', {
+      transactionId: tx.id,
+      kind: tx.kind,
+      saleId: sale?.id,
+      matchedBy: tx.matchedBy,
+      project,
+      fee: tx.fee,
+      originalCurrency: tx.originalCurrency
+    });
+  }
+  
+  stats.matchedSales = chargedSaleIds.size;
+  
+  // Estimated fees for Stripe payments without a matched charge (in this month
+  // or, by metadata, in the month before or after, which books its actual fee)
+  const estimated = [];
+  
+  for (const payment of payments) {
+    stats.processed++;
+    
+    if (chargedSaleIds.has(payment.id)) continue;
+    if (chargedInAdjacentMonths.has(payment.id)) {
+      logger.debug('Stripe payment charged in an adjacent month, fee booked there', { paymentId: payment.id });
+      continue;
+    }
+    
+    // Validate project
+    if (!isValidProject(payment.project)) {
+      logger.warn('Stripe payment has invalid or missing project, skipping', {
+        paymentId: payment.id,
+        project: payment.project
       });
-      
-      return 'created';
+      stats.skipped++;
+      continue;
     }
-  } catch (error) {
-    logger.error('Failed to create/update Stripe expense', {
-      error: error.message,
-      expenseId,
-      project
+    
+    estimated.push(payment);
+  }
+  
+  stats.estimatedSales = estimated.length;
+  
+  if (transactions.length > 0 && estimated.length > 0) {
+    logger.warn('⚠️  Stripe payments without a matching charge, fee estimated from the rate', {
+      monthYear,
+      estimatedSales: estimated.length,
+      feeRate
     });
-    throw error;
   }
+  
+  return [{
+    key: 'stripe',
+    name: 'Stripe',
+    category: EXPENSE_CATEGORIES.TAXE_IMPOZITE,
+    feeRate,
+    sales: estimated,
+    knownAmounts: Object.values(actualFeesByProject)
+  }];
+}
+
+/**
+ * Description of a project's Stripe expense
+ * @param {Object} line - Project line: the actual fees are its known amount (see
+ *   addKnownAmounts), the estimated ones the fee rate of its sales' base
+ */
+function getStripeExpenseDescription({ project, amount, knownAmount, charges = 0, processed = 0, base, salesCount }) {
+  const actualFees = knownAmount;
+  const estimatedFees = amount - knownAmount;
+  const estimatedCount = salesCount;
+  const paymentCount = charges + salesCount;
+  
+  // Format total processed amount for description with thousand separators
+  const formattedTotalProcessed = formatNumberWithCommas(processed + base);
+  
+  // Say which part of the fee is Stripe's actual fee and which is estimated from the rate
+  let feeBreakdown = '';
+  if (actualFees !== 0 && estimatedCount > 0) {
+    feeBreakdown = ` - ${actualFees.toFixed(2)} RON comisioane Stripe reale, ${estimatedFees.toFixed(2)} RON estimat pentru ${estimatedCount} vanzari`;
+  } else if (actualFees !== 0) {
+    feeBreakdown = ' - comisioane Stripe reale';
+  }
+  
+  return `Comision procesare plati Stripe - ${project} (${paymentCount} tranzactii, ${formattedTotalProcessed} RON procesate)${feeBreakdown}`;
 }
 
 // Export helper function for testing
@@ -0,0 +1,76 @@
+import { test, before, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadTestRules, createTestStore, runWithStore, getExpensesById } from '../utils/testing.js';
+import { TABLES, FIELDS } from '../config/constants.js';
+import { recordFixtureTransactions, getMonthRange } from './stripeIngestionService.js';
+import { processStripeFees } from './stripeService.js';
+
+const sale = (monthYear, project, totalAmount, paymentMethod = 'Link de plata') => ({
+  [FIELDS.SALE_MONTH]: monthYear,
+  [FIELDS.PROJECT]: project,
+  [FIELDS.TOTAL_AMOUNT]: totalAmount,
+  [FIELDS.PAYMENT_METHOD]: paymentMethod
+});
+
+// Balance transaction of a charge, in minor units
+const charge = (id, created, amount, fee, saleId) => ({
+  id: `txn_${id}`,
+  reporting_category: 'charge',
+  type: 'charge',
+  created,
+  currency: 'ron',
+  amount,
+  fee,
+  net: amount - fee,
+  source: { object: 'charge', id: `ch_${id}`, currency: 'ron', amount, metadata: { sale_id: saleId } }
+});
+
+let store;
+let octoberSale;
+
+before(() => loadTestRules());
+
+beforeEach(async () => {
+  process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'stripe-test-'));
+  process.env.STRIPE_FEES_SOURCE = 'fixture';
+
+  store = await createTestStore({
+    [TABLES.SALES]: [
+      sale('Octombrie 2025', 'CODCOM', 121),
+      sale('Octombrie 2025', 'CODCOM', 200),
+      sale('Noiembrie 2025', 'Artok Academy', 500, 'Transfer bancar')
+    ]
+  });
+  [octoberSale] = await store.select(TABLES.SALES, {});
+});
+
+afterEach(() => {
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+  delete process.env.STRIPE_FEES_SOURCE;
+});
+
+test('a sale charged the next month gets its actual fee there and no estimate in its own month', async () => {
+  // October's sale paid on November 2
+  recordFixtureTransactions([charge('a', getMonthRange('Noiembrie', 2025).from + 86400, 12100, 350, octoberSale.id)]);
+
+  const october = await runWithStore(store, () => processStripeFees('Octombrie 2025'));
+  const november = await runWithStore(store, () => processStripeFees('Noiembrie 2025'));
+
+  const expenses = await getExpensesById(store);
+  assert.deepEqual([october.estimatedSales, october.estimatedFees], [1, 4]);
+  assert.equal(expenses.stripe_CODCOM_Octombrie_2025.get(FIELDS.EXPENSE_AMOUNT), 4);
+  assert.deepEqual([november.matchedSales, november.actualFees], [1, 3.5]);
+  assert.equal(expenses.stripe_CODCOM_Noiembrie_2025.get(FIELDS.EXPENSE_AMOUNT), 3.5);
+});
+
+test('a sale charged the month before is not estimated again', async () => {
+  recordFixtureTransactions([charge('a', getMonthRange('Octombrie', 2025).from - 3600, 12100, 350, octoberSale.id)]);
+
+  const october = await runWithStore(store, () => processStripeFees('Octombrie 2025'));
+
+  assert.equal(october.estimatedSales, 1);
+  assert.equal((await getExpensesById(store)).stripe_CODCOM_Octombrie_2025.get(FIELDS.EXPENSE_AMOUNT), 4);
+});
@@ -3,18 +3,27 @@
  * 
  * Calculates Team Leader commissions based on sales from monthly commission records.
  * Uses THE SAME sales as Setter/Caller commissions (from "Comisioane Lunare" table).
- * - George Coapsi (Team Leader Setteri): 5% of all Setter-generated sales
- * - Alexandru Prisiceanu (Team Leader Calleri): 2% of all Caller-generated sales
  * 
- * Commissions are calculated from "Total După TVA" (amount without VAT).
+ * Team leaders come from assignment rules ("teamLeaders.<id>", see rulesService):
+ * { name, role: "Setter" | "Caller", commissionRate, category, members? }
+ * - An assignment with members covers only those setters/callers
+ * - An assignment without members covers every other setter/caller of its role
+ * - Several assignments can cover the same member; each earns its own rate
+ *   (e.g. two Caller leaders at 1% split what used to be a single 2% leader)
+ * An assignment is only paid for months where its rule is in effect, so a
+ * leader leaving mid-year is an effectiveTo on one rule and an effectiveFrom on the next.
+ * 
+ * Commissions are calculated from "Total După TVA" (amount without VAT) and
+ * booked per assignment + project (a commission plan, see commissionPlanService).
+ * Refunds (negative amounts) are clawed back as separate lines per the
+ * "clawback.teamLeader" rule (see clawbackService); the monthly commission
+ * record holds the commission less the clawbacks booked that month.
  */
 import {
   getMonthlySetterCallerCommissions,
-  getAllMonthsWithCommissions,
+  getAllMonthYearsWithCommissions,
   getSalesByIds,
-  getExpenseByExpenseId,
-  createExpense,
-  updateExpense,
+  getRepresentativesByIds,
   getRepresentativeByExactName,
   getMonthlyCommissionByRepAndMonth,
   createMonthlyCommission,
@@ -22,324 +31,322 @@ import {
 } from './airtableService.js';
 import {
   FIELDS,
-  VAT_INCLUDED,
-  SOURCE,
-  TEAM_LEADERS,
-  getCurrentRomanianMonth,
-  getCurrentYear,
-  isMonthYearAfterOrEqual
+  EXPENSE_ID_PREFIXES,
+  CLAWBACK_ROLES
 } from '../config/constants.js';
-import {
-  isValidExpenseAmount,
-  isValidProject
-} from '../utils/validators.js';
+import { findRulesByPrefix } from './rulesService.js';
+import { definePlan, runCommissionPlan } from './commissionPlanService.js';
+import { isRefundSale } from './clawbackService.js';
+import { isValidProject } from '../utils/validators.js';
 import { logger} from '../utils/logger.js';
 
+// Team Leader commission plan (see commissionPlanService): each assignment
+// earns its rate of "Total După TVA" on the sales of the members it covers
+const teamLeaderPlan = definePlan({
+  id: 'teamLeader',
+  label: 'Team Leader Commissions',
+  expenseIdPrefix: EXPENSE_ID_PREFIXES.TEAM_LEADER,
+  clawbackRole: CLAWBACK_ROLES.TEAM_LEADER,
+  getMonthYears: getAllMonthYearsWithCommissions,
+  createStats: () => ({
+    processed: 0,
+    setterSales: 0,
+    callerSales: 0,
+    skipped: 0,
+    created: 0,
+    updated: 0,
+    errors: 0,
+    setterTeamLeaderTotal: 0,
+    callerTeamLeaderTotal: 0,
+    clawbacks: 0,
+    clawbackTotal: 0
+  }),
+  earners: getTeamLeaderEarners,
+  base: sale => sale.amountWithoutVat,
+  basis: earner => ({ rate: earner.commissionRate }),
+  expense: (line, earner, month, year) => {
+    // team_leader_{assignment}_{project}_{month}_{year}
+    // (records from before the year was added keep the ID without it until updated)
+    const legacyId = `${EXPENSE_ID_PREFIXES.TEAM_LEADER}${earner.key}_${line.project}_${month}`
+      .replace(/\s+/g, '_');
+    return {
+      id: `${legacyId}_${year}`,
+      legacyId,
+      name: earner.name,
+      description: `${line.salesCount} vanzari`,
+      category: earner.category
+    };
+  },
+  onEarner: ({ earner, commission }, stats) => {
+    if (earner.teamLeaderType === 'Setter') {
+      stats.setterTeamLeaderTotal += commission;
+    } else {
+      stats.callerTeamLeaderTotal += commission;
+    }
+  },
+  afterMonth: recordTeamLeaderMonthlyCommissions
+});
+
 /**
  * Process Team Leader commissions
  * Uses monthly commission records from "Comisioane Lunare" as source of truth
  * @param {string} targetMonthYear - Optional. Format: "Luna YYYY" (e.g., "Octombrie 2025"). If provided, only processes that month.
  */
 export async function processTeamLeaderCommissions(targetMonthYear = null) {
-  if (targetMonthYear) {
-    logger.info(`=== Processing Team Leader Commissions for: ${targetMonthYear} ===`);
-  } else {
-    logger.info('=== Processing Team Leader Commissions for ALL months ===');
+  return runCommissionPlan(teamLeaderPlan, targetMonthYear);
+}
+
+/**
+ * Team Leader assignments of a month, each with the sales of the setters/callers it covers
+ * Uses THE SAME sales as the Setter/Caller commissions. Refunds are included
+ * (clawed back separately); sales without an amount or project are skipped.
+ * @param {Object} stats - Month stats (completed, processed, skipped and sales are counted)
+ * @returns {Promise<Array<Object>>} Earners: assignments with sales
+ */
+async function getTeamLeaderEarners(month, year, stats) {
+  // Team leader assignments in effect for this month
+  const assignments = getTeamLeaderAssignments(month, year);
+  
+  logger.info('Processing Team Leader commissions for month', {
+    month,
+    year,
+    assignments: assignments.map(a => `${a.id}: ${a.name} (${a.role})`)
+  });
+  
+  // Get all monthly commissions for Setters/Callers
+  // This is THE SAME source that SetterCallerService uses
+  const commissions = await getMonthlySetterCallerCommissions(month, year);
+  stats.completed = commissions.length > 0;
+  
+  if (commissions.length === 0) {
+    logger.info('No Setter/Caller commissions found for Team Leader processing', { month, year });
+    return [];
   }
   
-  try {
-    let months = await getAllMonthsWithCommissions();
+  logger.info(`Found ${commissions.length} monthly Setter/Caller commission records`);
+  
+  // Member names are only needed when an assignment lists specific members
+  const memberNames = assignments.some(a => a.members)
+    ? await getMemberNames(commissions)
+    : {};
+  
+  const earners = new Map();
+  
+  for (const commission of commissions) {
+    const { id: commissionId, sales: saleIds, name, role } = commission;
     
-    // If targetMonthYear is provided, extract month and filter
-    if (targetMonthYear) {
-      const [targetMonth] = targetMonthYear.split(' ');
-      months = months.filter(month => month === targetMonth);
-      logger.info(`Filtered to single month: ${targetMonth}`);
-    }
+    logger.info(`Processing commission: ${name}`, {
+      role,
+      salesCount: saleIds?.length || 0
+    });
     
-    if (months.length === 0) {
-      return {
-        processed: 0,
-        setterSales: 0,
-        callerSales: 0,
-        skipped: 0,
-        created: 0,
-        updated: 0,
-        errors: 0,
-        georgeCoapsiTotal: 0,
-        alexandruPrisiceanuTotal: 0
-      };
+    // Check if there are associated sales
+    if (!saleIds || saleIds.length === 0) {
+      logger.warn('No associated sales for commission, skipping', { commissionId, name });
+      stats.skipped++;
+      continue;
     }
     
-    logger.info(`Processing Team Leader commissions for ${months.length} months: ${months.join(', ')}`);
-    
-    let totalStats = {
-      processed: 0,
-      setterSales: 0,
-      callerSales: 0,
-      skipped: 0,
-      created: 0,
-      updated: 0,
-      errors: 0,
-      georgeCoapsiTotal: 0,
-      alexandruPrisiceanuTotal: 0
-    };
+    // Determine if this is Setter or Caller
+    const roles = Array.isArray(role) ? role : [role];
+    let teamLeaderType = null;
     
-    for (const month of months) {
-      logger.info(`\n========== Processing Team Leader for month: ${month} ==========`);
-      const result = await processTeamLeaderCommissionsForMonth(month);
-      totalStats.processed += result.processed;
-      totalStats.setterSales += result.setterSales;
-      totalStats.callerSales += result.callerSales;
-      totalStats.skipped += result.skipped;
-      totalStats.created += result.created;
-      totalStats.updated += result.updated;
-      totalStats.errors += result.errors;
-      totalStats.georgeCoapsiTotal += result.georgeCoapsiTotal;
-      totalStats.alexandruPrisiceanuTotal += result.alexandruPrisiceanuTotal;
+    if (roles.includes('Setter')) {
+      teamLeaderType = 'Setter';
+    } else if (roles.includes('Caller')) {
+      teamLeaderType = 'Caller';
+    } else {
+      logger.debug(`${name} role is ${roles.join(', ')} - not Setter or Caller, skipping`);
+      stats.skipped++;
+      continue;
     }
     
-    logger.info('Completed Team Leader commission processing', { targetMonthYear, ...totalStats });
-    return totalStats;
-  } catch (error) {
-    logger.error('Failed to process Team Leader commissions', {
-      error: error.message,
-      stack: error.stack,
-      targetMonthYear
-    });
-    throw error;
-  }
-}
-
-/**
- * Process Team Leader commissions for a specific month
- */
-async function processTeamLeaderCommissionsForMonth(month) {
-  const year = getCurrentYear();
-  
-  logger.info('Processing Team Leader commissions for month', { month, year });
-  
-  const stats = {
-    processed: 0,
-    setterSales: 0,
-    callerSales: 0,
-    skipped: 0,
-    created: 0,
-    updated: 0,
-    errors: 0,
-    georgeCoapsiTotal: 0,
-    alexandruPrisiceanuTotal: 0
-  };
-  
-  try {
-    // Get all monthly commissions for Setters/Callers
-    // This is THE SAME source that SetterCallerService uses
-    const commissions = await getMonthlySetterCallerCommissions(month);
-    
-    if (commissions.length === 0) {
-      logger.info('No Setter/Caller commissions found for Team Leader processing', { month });
-      return stats;
+    // Find the Team Leader assignments covering this member
+    const memberName = memberNames[commissionId] || null;
+    const memberAssignments = getAssignmentsForMember(assignments, teamLeaderType, memberName);
+    if (memberAssignments.length === 0) {
+      logger.info(`Skipping ${name} for ${month} ${year} - no ${teamLeaderType} Team Leader assignment in effect`);
+      stats.skipped++;
+      continue;
     }
     
-    logger.info(`Found ${commissions.length} monthly Setter/Caller commission records`);
+    logger.debug(`${name} is a ${teamLeaderType} → Team Leader: ${memberAssignments.map(a => a.name).join(', ')}`);
     
-    // Process each commission record
-    const teamLeaderCommissionsByProject = {};
+    // Fetch full sale records
+    const sales = await getSalesByIds(saleIds);
     
-    for (const commission of commissions) {
-      const { id: commissionId, sales: saleIds, name, role } = commission;
-      
-      logger.info(`Processing commission: ${name}`, {
-        role,
-        salesCount: saleIds?.length || 0
-      });
+    logger.info(`Fetched ${sales.length} sales for ${name}`);
+    
+    for (const sale of sales) {
+      stats.processed++;
       
-      // Check if there are associated sales
-      if (!saleIds || saleIds.length === 0) {
-        logger.warn('No associated sales for commission, skipping', { commissionId, name });
+      // Validate amount exists (negative amounts are refunds)
+      if (sale.amountWithoutVat === null || sale.amountWithoutVat === undefined) {
+        logger.debug('Skipping sale - missing amount', {
+          saleId: sale.id,
+          amount: sale.amountWithoutVat
+        });
         stats.skipped++;
         continue;
       }
       
-      // Determine if this is Setter or Caller
-      const roles = Array.isArray(role) ? role : [role];
-      let teamLeaderConfig = null;
-      
-      if (roles.includes('Setter')) {
-        teamLeaderConfig = TEAM_LEADERS.SETTER;
-        logger.debug(`${name} is a Setter → Team Leader: ${teamLeaderConfig.name}`);
-      } else if (roles.includes('Caller')) {
-        teamLeaderConfig = TEAM_LEADERS.CALLER;
-        logger.debug(`${name} is a Caller → Team Leader: ${teamLeaderConfig.name}`);
-      } else {
-        logger.debug(`${name} role is ${roles.join(', ')} - not Setter or Caller, skipping`);
+      // Validate project
+      if (!isValidProject(sale.project)) {
+        logger.debug('Skipping sale - invalid project', {
+          saleId: sale.id,
+          project: sale.project
+        });
         stats.skipped++;
         continue;
       }
       
-      // Check if this month is before the Team Leader's start date
-      if (!isMonthYearAfterOrEqual(month, year, teamLeaderConfig.startMonth, teamLeaderConfig.startYear)) {
-        logger.info(`Skipping ${teamLeaderConfig.name} for ${month} ${year} - started in ${teamLeaderConfig.startMonth} ${teamLeaderConfig.startYear}`);
-        stats.skipped++;
-        continue;
+      if (!isRefundSale(sale)) {
+        if (teamLeaderType === 'Setter') stats.setterSales++;
+        else stats.callerSales++;
       }
       
-      // Fetch full sale records
-      const sales = await getSalesByIds(saleIds);
-      
-      logger.info(`Fetched ${sales.length} sales for ${name}`);
-      
-      // Process each sale
-      for (const sale of sales) {
-        stats.processed++;
-        
-        // Validate amount exists (allow negative amounts for refunds)
-        if (sale.amountWithoutVat === null || sale.amountWithoutVat === undefined) {
-          logger.debug('Skipping sale - missing amount', {
-            saleId: sale.id,
-            amount: sale.amountWithoutVat
-          });
-          stats.skipped++;
-          continue;
-        }
-        
-        // Validate project
-        if (!isValidProject(sale.project)) {
-          logger.debug('Skipping sale - invalid project', {
-            saleId: sale.id,
-            project: sale.project
+      for (const assignment of memberAssignments) {
+        if (!earners.has(assignment.id)) {
+          earners.set(assignment.id, {
+            ...assignment,
+            key: assignment.id,
+            name: `TM ${teamLeaderType}s: ${assignment.name}`,
+            teamLeaderName: assignment.name,
+            teamLeaderType,
+            sales: []
           });
-          stats.skipped++;
-          continue;
         }
-        
-        // Calculate Team Leader commission (includes refunds)
-        const commission = sale.amountWithoutVat * teamLeaderConfig.commissionRate;
-        const isRefund = sale.amountWithoutVat < 0;
-        
-        // Track for stats (only count positive sales, not refunds)
-        if (teamLeaderConfig.name === TEAM_LEADERS.SETTER.name) {
-          if (!isRefund) stats.setterSales++;
-          stats.georgeCoapsiTotal += commission;
-        } else {
-          if (!isRefund) stats.callerSales++;
-          stats.alexandruPrisiceanuTotal += commission;
-        }
-        
-        // Group by Team Leader + Project
-        const key = `${teamLeaderConfig.name}_${sale.project}`;
-        if (!teamLeaderCommissionsByProject[key]) {
-          teamLeaderCommissionsByProject[key] = {
-            teamLeaderName: teamLeaderConfig.name,
-            teamLeaderType: teamLeaderConfig.name === TEAM_LEADERS.SETTER.name ? 'Setter' : 'Caller',
-            category: teamLeaderConfig.category,
-            project: sale.project,
-            commissionRate: teamLeaderConfig.commissionRate,
-            totalCommission: 0,
-            salesCount: 0,
-            saleIds: []
-          };
-        }
-        
-        teamLeaderCommissionsByProject[key].totalCommission += commission;
-        // Only count positive sales, not refunds
-        if (!isRefund) teamLeaderCommissionsByProject[key].salesCount++;
-        teamLeaderCommissionsByProject[key].saleIds.push(sale.id);
-        
-        logger.debug('Calculated Team Leader commission', {
-          saleId: sale.id,
-          project: sale.project,
-          teamLeader: teamLeaderConfig.name,
-          amount: sale.amountWithoutVat,
-          rate: teamLeaderConfig.commissionRate,
-          commission
-        });
+        earners.get(assignment.id).sales.push(sale);
       }
     }
+  }
+  
+  logger.info('Team Leader sales collected', {
+    processed: stats.processed,
+    setterSales: stats.setterSales,
+    callerSales: stats.callerSales,
+    skipped: stats.skipped,
+    assignments: earners.size
+  });
+  
+  return [...earners.values()];
+}
+
+/**
+ * Create/update each team leader's monthly commission record: their commission
+ * over all projects and assignments, less the clawbacks booked this month
+ * (salesCount 0: refunds are not sales)
+ */
+async function recordTeamLeaderMonthlyCommissions(calculations, clawbacks, month, year, stats) {
+  const teamLeaderSummary = {};
+  const summaryItems = [
+    ...calculations.flatMap(({ earner, lines }) => lines.map(line => ({
+      teamLeaderName: earner.teamLeaderName,
+      totalCommission: line.amount,
+      salesCount: line.salesCount,
+      saleIds: line.saleIds
+    }))),
+    ...clawbacks.map(c => ({ teamLeaderName: c.earner.teamLeaderName, totalCommission: c.amount, salesCount: 0, saleIds: c.saleIds }))
+  ];
+  
+  for (const item of summaryItems) {
+    const { teamLeaderName } = item;
     
-    logger.info('Team Leader commission calculation complete', {
-      processed: stats.processed,
-      setterSales: stats.setterSales,
-      callerSales: stats.callerSales,
-      skipped: stats.skipped,
-      georgeCoapsiTotal: stats.georgeCoapsiTotal.toFixed(2),
-      alexandruPrisiceanuTotal: stats.alexandruPrisiceanuTotal.toFixed(2)
-    });
-    
-    const grouped = Object.values(teamLeaderCommissionsByProject);
-    logger.info(`Grouped into ${grouped.length} Team Leader + Project combinations`);
-    
-    // Group by team leader (aggregate all projects for monthly commission record)
-    const teamLeaderSummary = {};
-    
-    for (const group of grouped) {
-      const { teamLeaderName } = group;
-      
-      if (!teamLeaderSummary[teamLeaderName]) {
-        teamLeaderSummary[teamLeaderName] = {
-          teamLeaderName,
-          totalCommission: 0,
-          salesCount: 0,
-          saleIds: new Set()
-        };
-      }
-      
-      teamLeaderSummary[teamLeaderName].totalCommission += group.totalCommission;
-      teamLeaderSummary[teamLeaderName].salesCount += group.salesCount;
-      group.saleIds.forEach(id => teamLeaderSummary[teamLeaderName].saleIds.add(id));
+    if (!teamLeaderSummary[teamLeaderName]) {
+      teamLeaderSummary[teamLeaderName] = {
+        teamLeaderName,
+        totalCommission: 0,
+        salesCount: 0,
+        saleIds: new Set()
+      };
     }
     
-    // Create/update monthly commission records for each team leader
+    teamLeaderSummary[teamLeaderName].totalCommission += item.totalCommission;
+    teamLeaderSummary[teamLeaderName].salesCount += item.salesCount;
+    item.saleIds.forEach(id => teamLeaderSummary[teamLeaderName].saleIds.add(id));
+  }
+  
+  if (summaryItems.length > 0) {
     logger.info('Creating/updating monthly commission records for team leaders');
-    
-    for (const [teamLeaderName, summary] of Object.entries(teamLeaderSummary)) {
-      try {
-        await createOrUpdateTeamLeaderMonthlyCommission(
-          teamLeaderName,
-          summary,
-          month,
-          year
-        );
-      } catch (error) {
-        logger.error('Failed to create/update team leader monthly commission', {
-          teamLeaderName,
-          error: error.message,
-          stack: error.stack
-        });
-        stats.errors++;
-      }
-    }
-    
-    // Create/update expense records
-    for (const group of grouped) {
-      try {
-        const result = await createOrUpdateTeamLeaderExpense(group, month, year);
-        if (result === 'created') {
-          stats.created++;
-        } else if (result === 'updated') {
-          stats.updated++;
-        }
-      } catch (error) {
-        logger.error('Failed to create/update Team Leader expense', {
-          error: error.message,
-          group
-        });
-        stats.errors++;
-      }
+  }
+  
+  for (const [teamLeaderName, summary] of Object.entries(teamLeaderSummary)) {
+    try {
+      await createOrUpdateTeamLeaderMonthlyCommission(
+        teamLeaderName,
+        summary,
+        month,
+        year
+      );
+    } catch (error) {
+      logger.error('Failed to create/update team leader monthly commission', {
+        teamLeaderName,
+        error: error.message,
+        stack: error.stack
+      });
+      stats.errors++;
     }
-    
-    logger.info('=== Team Leader Commission Processing Complete ===', stats);
-    
-    return stats;
-  } catch (error) {
-    logger.error('Team Leader commission processing failed', {
-      error: error.message,
-      stack: error.stack
-    });
-    throw error;
   }
 }
 
+/**
+ * Team leader assignments in effect for a month
+ * @returns {Array<Object>} [{ id, name, role, commissionRate, category, members }]
+ */
+function getTeamLeaderAssignments(month, year) {
+  return findRulesByPrefix('teamLeaders.', month, year).map(({ key, value }) => ({
+    ...value,
+    id: key.slice('teamLeaders.'.length),
+    members: value.members || null
+  }));
+}
+
+/**
+ * Assignments covering a setter/caller: the ones listing them as a member,
+ * otherwise the role-wide ones (no members list)
+ */
+function getAssignmentsForMember(assignments, role, memberName) {
+  const forRole = assignments.filter(a => a.role === role);
+  const normalizedMember = memberName ? normalizeName(memberName) : null;
+  
+  const explicit = normalizedMember
+    ? forRole.filter(a => a.members && a.members.some(m => normalizeName(m) === normalizedMember))
+    : [];
+  
+  return explicit.length > 0 ? explicit : forRole.filter(a => !a.members);
+}
+
+/**
+ * Resolve the setter/caller name of each monthly commission record
+ * Uses the linked representative; falls back to the record name ("Name - Month")
+ * @returns {Object} commissionId -> member name
+ */
+async function getMemberNames(commissions) {
+  const representativeIds = commissions.flatMap(c => c.representative || []);
+  const representatives = await getRepresentativesByIds(representativeIds);
+  const nameById = Object.fromEntries(representatives.map(rep => [rep.id, rep.name]));
+  
+  const memberNames = {};
+  for (const commission of commissions) {
+    const [representativeId] = commission.representative || [];
+    memberNames[commission.id] = nameById[representativeId] ||
+      (commission.name ? commission.name.split(' - ')[0] : null);
+  }
+  return memberNames;
+}
+
+/**
+ * Normalize a person's name for matching (case, diacritics, spacing)
+ */
+function normalizeName(name) {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
 /**
  * Create or update Team Leader monthly commission record in "Comisioane Lunare" table
  */
@@ -365,10 +372,11 @@ async function createOrUpdateTeamLeaderMonthlyCommission(teamLeaderName, summary
     
     // Check if monthly commission record already exists
     // Search by NAME (not ID) because ARRAYJOIN on linked records returns names
-    logger.info(`About to search with: repName="${representative.name}" month="${month}"`);
+    logger.info(`About to search with: repName="${representative.name}" month="${month}" year=${year}`);
     const existingCommission = await getMonthlyCommissionByRepAndMonth(
       representative.name,
-      month
+      month,
+      year
     );
     logger.info(`Search result: ${existingCommission ? 'FOUND' : 'NOT FOUND'}`);
     
@@ -386,6 +394,7 @@ async function createOrUpdateTeamLeaderMonthlyCommission(teamLeaderName, summary
       
       await updateMonthlyCommission(existingCommission.id, {
         fields: {
+          [FIELDS.COMMISSION_YEAR]: year,
           [FIELDS.SALES]: saleIds,
           [FIELDS.TEAM_LEADER_COMMISSION]: summary.totalCommission
         }
@@ -411,6 +420,7 @@ async function createOrUpdateTeamLeaderMonthlyCommission(teamLeaderName, summary
         fields: {
           [FIELDS.REPRESENTATIVE]: [representative.id],
           [FIELDS.MONTH]: month,
+          [FIELDS.COMMISSION_YEAR]: year,
           [FIELDS.SALES]: saleIds,
           [FIELDS.TEAM_LEADER_COMMISSION]: summary.totalCommission
         }
@@ -432,99 +442,3 @@ async function createOrUpdateTeamLeaderMonthlyCommission(teamLeaderName, summary
     throw error;
   }
 }
-
-/**
- * Create or update Team Leader expense record
- * Returns 'created', 'updated', or throws error
- */
-async function createOrUpdateTeamLeaderExpense(group, month, year) {
-  const { teamLeaderName, teamLeaderType, category, project, totalCommission, salesCount, saleIds } = group;
-  
-  // Round commission to 2 decimals
-  const roundedCommission = Math.round(totalCommission * 100) / 100;
-  
-  // Validate commission amount
-  if (!isValidExpenseAmount(roundedCommission)) {
-    logger.warn('Invalid Team Leader commission amount, skipping', {
-      teamLeaderName,
-      project,
-      commission: roundedCommission
-    });
-    return null;
-  }
-  
-  // Generate unique expense ID: team_leader_{type}_{project}_{month}
-  const expenseId = `team_leader_${teamLeaderType.toLowerCase()}_${project}_${month}`
-    .replace(/\s+/g, '_');
-  
-  // Prepare expense data
-  const expenseFields = {
-    [FIELDS.EXPENSE_NAME]: `TM ${teamLeaderType}s: ${teamLeaderName}`,
-    [FIELDS.EXPENSE_DESCRIPTION]: `${salesCount} vanzari`,
-    [FIELDS.EXPENSE_PROJECT]: project,
-    [FIELDS.EXPENSE_CATEGORY]: category,
-    [FIELDS.EXPENSE_AMOUNT]: roundedCommission,
-    [FIELDS.EXPENSE_VAT_INCLUDED]: VAT_INCLUDED.NO,
-    [FIELDS.EXPENSE_MONTH]: month,
-    [FIELDS.EXPENSE_YEAR]: year,
-    [FIELDS.EXPENSE_SOURCE]: SOURCE.AUTOMATIC,
-    [FIELDS.EXPENSE_ID]: expenseId,
-    [FIELDS.EXPENSE_ASSOCIATED_SALES]: saleIds
-  };
-  
-  try {
-    // Check if expense already exists
-    const existingExpense = await getExpenseByExpenseId(expenseId);
-    
-    if (existingExpense) {
-      logger.info('Updating existing Team Leader expense', {
-        expenseId,
-        oldAmount: existingExpense.amount,
-        newAmount: roundedCommission,
-        salesCount
-      });
-      
-      await updateExpense(existingExpense.id, {
-        fields: expenseFields
-      });
-      
-      logger.info('Team Leader expense updated successfully', {
-        expenseId,
-        teamLeaderName,
-        project,
-        amount: roundedCommission
-      });
-      
-      return 'updated';
-    } else {
-      logger.info('Creating new Team Leader expense', {
-        expenseId,
-        teamLeaderName,
-        project,
-        amount: roundedCommission,
-        salesCount
-      });
-      
-      await createExpense({
-        fields: expenseFields
-      });
-      
-      logger.info('Team Leader expense created successfully', {
-        expenseId,
-        teamLeaderName,
-        project,
-        amount: roundedCommission
-      });
-      
-      return 'created';
-    }
-  } catch (error) {
-    logger.error('Failed to create/update Team Leader expense', {
-      error: error.message,
-      expenseId,
-      teamLeaderName,
-      project
-    });
-    throw error;
-  }
-}
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rule, loadTestRules, createTestStore, runWithStore, getExpensesById } from '../utils/testing.js';
+import { TABLES, FIELDS } from '../config/constants.js';
+import { processTeamLeaderCommissions } from './teamLeaderService.js';
+
+const setterLeader = { name: 'Ana Lider', role: 'Setter', commissionRate: 0.02, category: 'Setteri' };
+
+const sale = (project, amount) => ({
+  [FIELDS.SALE_MONTH]: 'Octombrie 2025',
+  [FIELDS.PROJECT]: project,
+  [FIELDS.TOTAL_AMOUNT]: amount,
+  [FIELDS.AMOUNT_WITHOUT_VAT]: amount
+});
+
+/**
+ * Mario's October Setter commission on two sales and a refund
+ */
+async function createStore() {
+  const store = await createTestStore({
+    [TABLES.REPRESENTATIVES]: [{ [FIELDS.REP_NAME]: 'Ana Lider' }],
+    [TABLES.SALES]: [sale('CODCOM', 1000), sale('Artok Academy', 500), sale('CODCOM', -200)]
+  });
+  const sales = (await store.select(TABLES.SALES, {})).map(record => record.id);
+
+  await store.createBatch(TABLES.MONTHLY_COMMISSIONS, [{
+    [FIELDS.NAME]: 'AbagiuMario - Octombrie',
+    [FIELDS.MONTH]: 'Octombrie',
+    [FIELDS.COMMISSION_YEAR]: 2025,
+    [FIELDS.ROLE]: ['Setter'],
+    [FIELDS.SALES]: sales
+  }]);
+  return store;
+}
+
+test('an assignment earns its rate on the covered sales per project, less the refunds', async () => {
+  await loadTestRules([rule('teamLeaders.setters', setterLeader, '2025-01')]);
+  const store = await createStore();
+
+  const stats = await runWithStore(store, () => processTeamLeaderCommissions('Octombrie 2025'));
+
+  const expenses = await getExpensesById(store);
+  assert.deepEqual([stats.processed, stats.setterSales, stats.setterTeamLeaderTotal, stats.clawbackTotal], [3, 2, 30, -4]);
+  assert.deepEqual(
+    ['team_leader_setters_CODCOM_Octombrie_2025', 'team_leader_setters_Artok_Academy_Octombrie_2025', 'clawback_teamLeader_setters_CODCOM_Octombrie_2025']
+      .map(id => expenses[id].get(FIELDS.EXPENSE_AMOUNT)),
+    [20, 10, -4]
+  );
+
+  const leaderCommission = (await store.select(TABLES.MONTHLY_COMMISSIONS, {}))
+    .find(record => record.get(FIELDS.REPRESENTATIVE));
+  assert.deepEqual([leaderCommission.get(FIELDS.TEAM_LEADER_COMMISSION), leaderCommission.get(FIELDS.SALES).length], [26, 3]);
+});
+
+test('an assignment no longer in effect earns nothing and its rows are soft-deleted', async () => {
+  await loadTestRules([rule('teamLeaders.setters', setterLeader, '2025-01')]);
+  const store = await createStore();
+  await runWithStore(store, () => processTeamLeaderCommissions('Octombrie 2025'));
+
+  await loadTestRules([rule('teamLeaders.setters', setterLeader, '2025-01', '2025-09')]);
+  const stats = await runWithStore(store, () => processTeamLeaderCommissions('Octombrie 2025'));
+
+  assert.equal(stats.skipped, 1);
+  assert.equal(stats.stale, 3);
+});
@@ -0,0 +1,85 @@
+/**
+ * Progressive Tier Engine
+ * Commission on tiered rates: [{ max, rate }, ..., { max: Infinity, rate }],
+ * each rate applying to the part of the tier base between the previous max and its own.
+ *
+ * The tier base is the sales of an accumulation window (TIER_WINDOWS): the month
+ * alone, quarter-to-date or year-to-date. With a cumulative window the month's
+ * commission is marginal: cumulative commission including the month, minus the
+ * cumulative commission at the end of the previous month of the window. So the
+ * months of a window add up to the commission on the window's total sales.
+ *
+ * Amounts are in the tiers' currency; callers convert.
+ */
+import { TIER_WINDOWS } from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Commission on an amount at progressive tier rates
+ * @param {number} amount - Tier base
+ * @param {Array<{max: number, rate: number}>} tiers - Tiers (ascending max, the last open-ended)
+ * @returns {number} Commission
+ */
+export function calculateProgressiveCommission(amount, tiers) {
+  let commission = 0;
+  let previousThreshold = 0;
+
+  for (const tier of tiers) {
+    if (amount <= previousThreshold) break;
+
+    // Part of the amount in this tier
+    const tierAmount = Math.min(amount, tier.max) - previousThreshold;
+    commission += tierAmount * tier.rate;
+
+    logger.debug('Tier calculation', {
+      tierMax: tier.max,
+      tierRate: `${(tier.rate * 100).toFixed(1)}%`,
+      tierAmount: tierAmount.toFixed(2),
+      tierCommission: (tierAmount * tier.rate).toFixed(2)
+    });
+
+    previousThreshold = tier.max;
+  }
+
+  return commission;
+}
+
+/**
+ * Rate of the tier the next unit of sales falls in
+ * @param {number} amount - Tier base reached so far
+ * @returns {number} Rate
+ */
+export function getMarginalTierRate(amount, tiers) {
+  return (tiers.find(tier => amount < tier.max) || tiers[tiers.length - 1]).rate;
+}
+
+/**
+ * Commission for a month's sales on top of the earlier sales of its window
+ * @param {number} sales - The month's sales
+ * @param {Array<{max: number, rate: number}>} tiers - Tiers
+ * @param {Object} options - { window, previousSales }: TIER_WINDOWS value and the
+ *   sales of the window's earlier months (ignored for monthly windows)
+ * @returns {Object} { commission, cumulativeSales, cumulativeCommission, previousCommission }
+ */
+export function calculateWindowCommission(sales, tiers, { window = TIER_WINDOWS.MONTHLY, previousSales = 0 } = {}) {
+  const base = window === TIER_WINDOWS.MONTHLY ? 0 : previousSales;
+  const previousCommission = calculateProgressiveCommission(base, tiers);
+  const cumulativeCommission = calculateProgressiveCommission(base + sales, tiers);
+  const commission = cumulativeCommission - previousCommission;
+
+  logger.info('Progressive commission calculated', {
+    window,
+    sales: sales.toFixed(2),
+    previousSales: base.toFixed(2),
+    commission: commission.toFixed(2),
+    cumulativeCommission: cumulativeCommission.toFixed(2),
+    effectiveRate: sales > 0 ? `${((commission / sales) * 100).toFixed(2)}%` : null
+  });
+
+  return {
+    commission,
+    cumulativeSales: base + sales,
+    cumulativeCommission,
+    previousCommission
+  };
+}
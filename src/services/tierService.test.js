@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TIER_WINDOWS, getTierWindowPreviousMonths } from '../config/constants.js';
+import {
+  calculateProgressiveCommission,
+  getMarginalTierRate,
+  calculateWindowCommission
+} from './tierService.js';
+
+// 10% up to 1000, 20% up to 3000, 30% above
+const tiers = [
+  { max: 1000, rate: 0.1 },
+  { max: 3000, rate: 0.2 },
+  { max: Infinity, rate: 0.3 }
+];
+
+test('each rate applies to the part of the amount in its tier', () => {
+  assert.equal(calculateProgressiveCommission(0, tiers), 0);
+  assert.equal(calculateProgressiveCommission(800, tiers), 80);
+  assert.equal(calculateProgressiveCommission(1000, tiers), 100);
+  assert.equal(calculateProgressiveCommission(2500, tiers), 400);
+  assert.equal(calculateProgressiveCommission(4000, tiers), 800);
+  assert.equal(calculateProgressiveCommission(-100, tiers), 0);
+});
+
+test('the marginal rate is the rate of the tier the next sale falls in', () => {
+  assert.equal(getMarginalTierRate(0, tiers), 0.1);
+  assert.equal(getMarginalTierRate(1000, tiers), 0.2);
+  assert.equal(getMarginalTierRate(10000, tiers), 0.3);
+});
+
+test('a monthly window ignores the earlier sales', () => {
+  const result = calculateWindowCommission(800, tiers, { window: TIER_WINDOWS.MONTHLY, previousSales: 5000 });
+
+  assert.deepEqual(result, { commission: 80, cumulativeSales: 800, cumulativeCommission: 80, previousCommission: 0 });
+  assert.deepEqual(calculateWindowCommission(800, tiers), result);
+});
+
+test('a cumulative window pays the month at the tiers reached by the window', () => {
+  const result = calculateWindowCommission(1500, tiers, { window: TIER_WINDOWS.QUARTERLY, previousSales: 800 });
+
+  // 200 at 10% and 1300 at 20%
+  assert.equal(result.commission, 280);
+  assert.equal(result.cumulativeSales, 2300);
+  assert.equal(result.previousCommission, 80);
+});
+
+test('the months of a window add up to the commission on its total sales', () => {
+  let previousSales = 0;
+  let total = 0;
+
+  for (const sales of [800, 1500, 1700]) {
+    const { commission, cumulativeSales } = calculateWindowCommission(sales, tiers, { window: TIER_WINDOWS.ANNUAL, previousSales });
+    total += commission;
+    previousSales = cumulativeSales;
+  }
+
+  assert.equal(total, calculateProgressiveCommission(4000, tiers));
+});
+
+test('windows start at the month, the quarter or January', () => {
+  const months = window => getTierWindowPreviousMonths('Mai', '2025', window).map(m => `${m.month} ${m.year}`);
+
+  assert.deepEqual(months(TIER_WINDOWS.MONTHLY), []);
+  assert.deepEqual(months(TIER_WINDOWS.QUARTERLY), ['Aprilie 2025']);
+  assert.deepEqual(months(TIER_WINDOWS.ANNUAL), ['Ianuarie 2025', 'Februarie 2025', 'Martie 2025', 'Aprilie 2025']);
+  assert.deepEqual(getTierWindowPreviousMonths('Ianuarie', 2026, TIER_WINDOWS.ANNUAL), []);
+});
@@ -0,0 +1,152 @@
+/**
+ * TikTok Ads Expense Processing
+ *
+ * TikTok API for Business implementation of an ad platform (see adPlatformService):
+ * campaign spend for the advertiser (TIKTOK_ADS_ADVERTISER_ID), which must be in
+ * RON, with a long-lived access token (TIKTOK_ADS_ACCESS_TOKEN).
+ * Expenses are created per project with the ID tiktok_ads_{project}_{month}_{year}.
+ */
+import axios from 'axios';
+import { processAdPlatform } from './adPlatformService.js';
+import {
+  TIKTOK_ADS,
+  AD_PLATFORMS,
+  EXPENSE_ID_PREFIXES
+} from '../config/constants.js';
+import { logger } from '../utils/logger.js';
+
+// TikTok API codes (errors come back with HTTP 200 and a non-zero code)
+const TIKTOK_CODES = {
+  OK: 0,
+  INVALID_TOKEN: 40105,
+  RATE_LIMIT: 40100
+};
+
+/**
+ * GET a TikTok API endpoint and return its data
+ * @param {Object} connection - { advertiserId, accessToken }
+ * @param {string} path - Endpoint path ("/advertiser/info/")
+ * @param {Object} params - Query parameters (objects and arrays are sent as JSON)
+ * @returns {Promise<Object>} Response data
+ */
+async function request({ accessToken }, path, params) {
+  const url = `${TIKTOK_ADS.baseUrl}/${TIKTOK_ADS.apiVersion}${path}`;
+  const query = Object.fromEntries(
+    Object.entries(params).map(([key, value]) => [key, typeof value === 'object' ? JSON.stringify(value) : value])
+  );
+
+  let response;
+  try {
+    response = await axios.get(url, {
+      params: query,
+      headers: { 'Access-Token': accessToken },
+      timeout: TIKTOK_ADS.timeout
+    });
+  } catch (error) {
+    logger.error('TikTok Ads request failed', {
+      path,
+      error: error.message,
+      response: error.response?.data
+    });
+    throw error;
+  }
+
+  const { code, message, data } = response.data || {};
+
+  if (code === TIKTOK_CODES.RATE_LIMIT) {
+    logger.error('TikTok Ads API rate limit exceeded', { path, error: message });
+    throw new Error('RATE_LIMIT_EXCEEDED');
+  }
+
+  if (code === TIKTOK_CODES.INVALID_TOKEN) {
+    logger.error('TikTok Ads access token is invalid or expired', { path, error: message });
+    throw new Error('INVALID_TOKEN');
+  }
+
+  if (code !== TIKTOK_CODES.OK) {
+    logger.error('TikTok Ads API error', { path, code, error: message });
+    throw new Error(`TikTok Ads API error ${code}: ${message}`);
+  }
+
+  return data;
+}
+
+/**
+ * TikTok Ads platform
+ */
+export const tiktokAdsPlatform = {
+  id: AD_PLATFORMS.TIKTOK,
+  name: 'TikTok Ads',
+  expenseIdPrefix: EXPENSE_ID_PREFIXES.TIKTOK_ADS,
+  sourceEnv: 'TIKTOK_ADS_SOURCE',
+  expectedCurrency: TIKTOK_ADS.expectedCurrency,
+  optional: true,
+
+  isConfigured() {
+    return Boolean(process.env.TIKTOK_ADS_ACCESS_TOKEN && process.env.TIKTOK_ADS_ADVERTISER_ID);
+  },
+
+  async connect() {
+    return {
+      advertiserId: process.env.TIKTOK_ADS_ADVERTISER_ID,
+      accessToken: process.env.TIKTOK_ADS_ACCESS_TOKEN
+    };
+  },
+
+  async getAccountCurrency(connection) {
+    const data = await request(connection, '/advertiser/info/', {
+      advertiser_ids: [connection.advertiserId],
+      fields: ['currency']
+    });
+    return data?.list?.[0]?.currency;
+  },
+
+  async fetchCampaigns(connection, { startDate, endDate }) {
+    logger.info('Fetching TikTok Ads data', {
+      advertiserId: connection.advertiserId,
+      dateRange: `${startDate} to ${endDate}`
+    });
+
+    const rows = [];
+    let page = 1;
+    let totalPages = 1;
+
+    while (page <= totalPages && page <= TIKTOK_ADS.maxPages) {
+      const data = await request(connection, '/report/integrated/get/', {
+        advertiser_id: connection.advertiserId,
+        report_type: 'BASIC',
+        data_level: 'AUCTION_CAMPAIGN',
+        dimensions: ['campaign_id'],
+        metrics: ['campaign_name', 'spend'],
+        start_date: startDate,
+        end_date: endDate,
+        page,
+        page_size: TIKTOK_ADS.pageSize
+      });
+
+      rows.push(...(data?.list || []));
+      totalPages = data?.page_info?.total_page || 1;
+      logger.debug(`Fetched page ${page}, campaigns: ${data?.list?.length || 0}`);
+      page++;
+    }
+
+    logger.info('TikTok Ads data fetched', { totalCampaigns: rows.length, pages: page - 1 });
+
+    return rows
+      .map(row => ({
+        id: row.dimensions?.campaign_id,
+        name: row.metrics?.campaign_name,
+        spend: parseFloat(row.metrics?.spend || 0)
+      }))
+      .filter(campaign => campaign.spend > 0);
+  }
+};
+
+/**
+ * Main function to process TikTok Ads expenses
+ * @param {string} targetMonthYear - Optional. Format: "Luna YYYY" (e.g., "Octombrie 2025"). If provided, only processes that month.
+ * @returns {Promise<Object>} - Processing statistics
+ */
+export function processTiktokAds(targetMonthYear = null) {
+  return processAdPlatform(tiktokAdsPlatform, targetMonthYear);
+}
@@ -0,0 +1,194 @@
+/**
+ * Airtable data store
+ *
+ * Implements the data store interface on top of the Airtable SDK.
+ * Handles rate limiting and retries so callers never deal with them.
+ */
+import { base } from '../config/airtable.js';
+import { toFormula } from './filters.js';
+import { toRecord } from './record.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Rate limiting: Airtable allows 5 requests/second
+ */
+const RATE_LIMIT_DELAY = 250; // 4 requests/second to be safe
+let lastRequestTime = 0;
+
+// Airtable accepts at most 10 records per create/update/destroy call
+const BATCH_SIZE = 10;
+
+/**
+ * Wait to respect rate limits
+ */
+async function waitForRateLimit() {
+  const now = Date.now();
+  const timeSinceLastRequest = now - lastRequestTime;
+
+  if (timeSinceLastRequest < RATE_LIMIT_DELAY) {
+    await new Promise(resolve =>
+      setTimeout(resolve, RATE_LIMIT_DELAY - timeSinceLastRequest)
+    );
+  }
+
+  lastRequestTime = Date.now();
+}
+
+/**
+ * Retry with exponential backoff
+ */
+export async function retryWithBackoff(fn, maxAttempts = 3) {
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      await waitForRateLimit();
+      return await fn();
+    } catch (error) {
+      if (attempt === maxAttempts) {
+        logger.error('=== RETRY EXHAUSTED START ===');
+        logger.error('Typeof error:', typeof error);
+        logger.error('Error constructor:', error?.constructor?.name || 'NO CONSTRUCTOR');
+        logger.error('Error message:', error?.message || 'NO MESSAGE');
+        logger.error('Error statusCode:', error?.statusCode || 'NO STATUS CODE');
+        logger.error('Error string:', String(error));
+        logger.error('Error properties:', Object.getOwnPropertyNames(error || {}));
+        logger.error('=== RETRY EXHAUSTED END ===');
+        throw error;
+      }
+
+      const delay = Math.pow(2, attempt) * 1000;
+      logger.warn(`Request failed, retrying...`, {
+        attempt,
+        maxAttempts,
+        delay: `${delay}ms`,
+        error: error.message,
+        statusCode: error.statusCode
+      });
+
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Split an array into Airtable-sized batches
+ */
+function toBatches(items) {
+  const batches = [];
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    batches.push(items.slice(i, i + BATCH_SIZE));
+  }
+  return batches;
+}
+
+/**
+ * Create the Airtable-backed data store
+ * @returns {Object} Data store
+ */
+export function createAirtableStore() {
+  return {
+    name: 'airtable',
+
+    /**
+     * Select records matching a filter
+     * @param {string} table - Table name
+     * @param {Object} options - { filter, fields, maxRecords, sort }
+     * @returns {Promise<Array>} Records
+     */
+    async select(table, { filter = null, fields, maxRecords, sort } = {}) {
+      const params = {};
+      if (filter) params.filterByFormula = toFormula(filter);
+      if (fields) params.fields = fields;
+      if (maxRecords) params.maxRecords = maxRecords;
+      if (sort) params.sort = sort;
+
+      const results = [];
+
+      await retryWithBackoff(async () => {
+        // Reset on retry so a failed page doesn't leave partial results behind
+        results.length = 0;
+
+        await base(table)
+          .select(params)
+          .eachPage((records, fetchNextPage) => {
+            records.forEach(record => {
+              results.push(toRecord(record.id, record.fields, record._rawJson?.createdTime || null));
+            });
+            fetchNextPage();
+          });
+      });
+
+      return results;
+    },
+
+    /**
+     * Find a record by its Airtable record ID
+     * @returns {Promise<Object|null>} Record or null if it doesn't exist
+     */
+    async find(table, recordId) {
+      return retryWithBackoff(async () => {
+        try {
+          const record = await base(table).find(recordId);
+          return toRecord(record.id, record.fields, record._rawJson?.createdTime || null);
+        } catch (error) {
+          // A missing record is an answer, not a failure - don't retry it
+          if (error.statusCode === 404 || error.error === 'NOT_FOUND') {
+            return null;
+          }
+          throw error;
+        }
+      });
+    },
+
+    async create(table, fields) {
+      const [created] = await this.createBatch(table, [fields]);
+      return created;
+    },
+
+    async update(table, recordId, fields) {
+      const [updated] = await this.updateBatch(table, [{ id: recordId, fields }]);
+      return updated;
+    },
+
+    async destroy(table, recordId) {
+      await this.destroyBatch(table, [recordId]);
+      return true;
+    },
+
+    /**
+     * Create many records (chunked to Airtable's batch limit)
+     * @param {Array<Object>} fieldsList - Field objects, one per record
+     */
+    async createBatch(table, fieldsList) {
+      const created = [];
+      for (const batch of toBatches(fieldsList)) {
+        const records = await retryWithBackoff(() =>
+          base(table).create(batch.map(fields => ({ fields })))
+        );
+        records.forEach(record => created.push(toRecord(record.id, record.fields, record._rawJson?.createdTime || null)));
+      }
+      return created;
+    },
+
+    /**
+     * Update many records (chunked to Airtable's batch limit)
+     * @param {Array<{id: string, fields: Object}>} updates
+     */
+    async updateBatch(table, updates) {
+      const updated = [];
+      for (const batch of toBatches(updates)) {
+        const records = await retryWithBackoff(() =>
+          base(table).update(batch.map(({ id, fields }) => ({ id, fields })))
+        );
+        records.forEach(record => updated.push(toRecord(record.id, record.fields, record._rawJson?.createdTime || null)));
+      }
+      return updated;
+    },
+
+    async destroyBatch(table, recordIds) {
+      for (const batch of toBatches(recordIds)) {
+        await retryWithBackoff(() => base(table).destroy(batch));
+      }
+      return true;
+    }
+  };
+}
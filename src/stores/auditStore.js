@@ -0,0 +1,154 @@
+/**
+ * Audit data store
+ *
+ * Wraps another data store and reports every field the automation writes:
+ * creates (old value empty), updates (only fields whose value changes) and
+ * deletes (new value empty). Each entry carries the run context (job ID,
+ * trigger, service) so a changed amount can be traced back to the run that
+ * changed it. Reads go straight to the wrapped store.
+ *
+ * Old values are read in one select per batch before the write: for updates
+ * only the written fields and the fields the record is described by, for
+ * deletes the whole record (every field is cleared).
+ */
+import { recordIdIn } from './filters.js';
+import { describeRecord, getDescriptionFields } from './record.js';
+import { getRunContext } from '../utils/runContext.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Compare two field values (arrays and numbers included)
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Create an audit store on top of an existing data store
+ * @param {Object} baseStore - Store that performs the reads and writes
+ * @param {Object} options
+ * @param {Function} options.onChanges - Called with the audit entries of each write
+ * @param {Array<string>} options.ignoreTables - Tables whose writes are not audited
+ * @returns {Object} Data store
+ */
+export function createAuditStore(baseStore, { onChanges, ignoreTables = [] }) {
+  /**
+   * Build audit entries for one record
+   */
+  function buildEntries(action, table, recordId, before, after, fieldNames) {
+    const { jobId = null, trigger = 'manual', service = null } = getRunContext();
+    const { project, month, name } = describeRecord({ ...before, ...after });
+    const timestamp = new Date().toISOString();
+
+    return fieldNames
+      .filter(field => !sameValue(before[field], after[field]))
+      .map(field => ({
+        timestamp,
+        action,
+        table,
+        recordId,
+        key: name,
+        project,
+        month,
+        field,
+        oldValue: before[field] ?? null,
+        newValue: after[field] ?? null,
+        jobId,
+        trigger,
+        service
+      }));
+  }
+
+  /**
+   * Current fields of records about to be changed
+   * @param {Array<string>} fieldNames - Optional. Fields to read (default: all)
+   */
+  async function currentFields(table, recordIds, fieldNames) {
+    if (recordIds.length === 0) return new Map();
+    const records = await baseStore.select(table, { filter: recordIdIn(recordIds), fields: fieldNames });
+    return new Map(records.map(record => [record.id, record.fields]));
+  }
+
+  /**
+   * Hand entries to the audit log; auditing never fails the write itself
+   */
+  async function report(entries) {
+    if (entries.length === 0) return;
+    try {
+      await onChanges(entries);
+    } catch (error) {
+      logger.error('Failed to record audit entries', {
+        count: entries.length,
+        error: error.message
+      });
+    }
+  }
+
+  return {
+    name: `audit(${baseStore.name})`,
+
+    select(table, options) {
+      return baseStore.select(table, options);
+    },
+
+    find(table, recordId) {
+      return baseStore.find(table, recordId);
+    },
+
+    async create(table, fields) {
+      const [record] = await this.createBatch(table, [fields]);
+      return record;
+    },
+
+    async update(table, recordId, fields) {
+      const [record] = await this.updateBatch(table, [{ id: recordId, fields }]);
+      return record;
+    },
+
+    async destroy(table, recordId) {
+      return this.destroyBatch(table, [recordId]);
+    },
+
+    async createBatch(table, fieldsList) {
+      const records = await baseStore.createBatch(table, fieldsList);
+      if (ignoreTables.includes(table)) return records;
+
+      await report(records.flatMap((record, index) =>
+        buildEntries('create', table, record.id, {}, fieldsList[index], Object.keys(fieldsList[index]))
+      ));
+      return records;
+    },
+
+    async updateBatch(table, updates) {
+      if (ignoreTables.includes(table)) {
+        return baseStore.updateBatch(table, updates);
+      }
+
+      const fieldNames = new Set(getDescriptionFields(table));
+      updates.forEach(({ fields }) => Object.keys(fields).forEach(field => fieldNames.add(field)));
+
+      const before = await currentFields(table, updates.map(u => u.id), [...fieldNames]);
+      const records = await baseStore.updateBatch(table, updates);
+
+      await report(updates.flatMap(({ id, fields }) =>
+        buildEntries('update', table, id, before.get(id) || {}, fields, Object.keys(fields))
+      ));
+      return records;
+    },
+
+    async destroyBatch(table, recordIds) {
+      if (ignoreTables.includes(table)) {
+        return baseStore.destroyBatch(table, recordIds);
+      }
+
+      const before = await currentFields(table, recordIds);
+      const result = await baseStore.destroyBatch(table, recordIds);
+
+      await report(recordIds.flatMap(id => {
+        const fields = before.get(id) || {};
+        return buildEntries('delete', table, id, fields, {}, Object.keys(fields));
+      }));
+      return result;
+    }
+  };
+}
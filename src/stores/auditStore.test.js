@@ -0,0 +1,57 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { TABLES, FIELDS } from '../config/constants.js';
+import { createTestStore } from '../utils/testing.js';
+import { createAuditStore } from './auditStore.js';
+
+const expense = {
+  [FIELDS.EXPENSE_ID]: 'stripe_CODCOM_Octombrie_2025',
+  [FIELDS.EXPENSE_PROJECT]: 'CODCOM',
+  [FIELDS.EXPENSE_MONTH]: 'Octombrie',
+  [FIELDS.EXPENSE_YEAR]: 2025,
+  [FIELDS.EXPENSE_AMOUNT]: 40,
+  [FIELDS.EXPENSE_DESCRIPTION]: 'Comision Stripe'
+};
+
+async function createStores() {
+  const base = await createTestStore({ [TABLES.EXPENSES]: [expense] });
+  const entries = [];
+  const audited = createAuditStore(base, { onChanges: batch => entries.push(...batch) });
+  const [record] = await base.select(TABLES.EXPENSES, {});
+  return { base, audited, entries, record };
+}
+
+test('an update reads only the written fields and the record description', async () => {
+  const { base, audited, entries, record } = await createStores();
+  const select = mock.method(base, 'select');
+
+  await audited.update(TABLES.EXPENSES, record.id, {
+    [FIELDS.EXPENSE_AMOUNT]: 42.5,
+    [FIELDS.EXPENSE_DESCRIPTION]: 'Comision Stripe'
+  });
+
+  assert.equal(select.mock.callCount(), 1);
+  assert.deepEqual(select.mock.calls[0].arguments[1].fields, [
+    FIELDS.EXPENSE_ID,
+    FIELDS.EXPENSE_NAME,
+    FIELDS.EXPENSE_PROJECT,
+    FIELDS.EXPENSE_MONTH,
+    FIELDS.EXPENSE_YEAR,
+    FIELDS.EXPENSE_AMOUNT,
+    FIELDS.EXPENSE_DESCRIPTION
+  ]);
+  assert.deepEqual(
+    entries.map(e => [e.action, e.key, e.project, e.month, e.field, e.oldValue, e.newValue]),
+    [['update', 'stripe_CODCOM_Octombrie_2025', 'CODCOM', 'Octombrie 2025', FIELDS.EXPENSE_AMOUNT, 40, 42.5]]
+  );
+});
+
+test('a delete records every field of the record', async () => {
+  const { audited, entries, record } = await createStores();
+
+  await audited.destroy(TABLES.EXPENSES, record.id);
+
+  assert.deepEqual(entries.map(e => [e.action, e.field, e.oldValue, e.newValue]), Object.entries(expense).map(
+    ([field, value]) => ['delete', field, value, null]
+  ));
+});
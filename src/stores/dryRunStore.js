@@ -0,0 +1,295 @@
+/**
+ * Dry-run data store
+ *
+ * Wraps another data store: reads go to the wrapped store, writes are staged
+ * in memory and recorded as a change plan instead of being applied. Writes
+ * outside the data store (local files, token exchanges) are skipped by the
+ * services and listed in the plan too (see skipInDryRun). Staged
+ * records are visible to later reads in the same run, so the pipeline behaves
+ * as it would for real (e.g. P&L sees the expenses planned earlier in the run).
+ *
+ * Staged creates are filtered like jsonStore filters its records: linked
+ * record IDs read as the linked record's primary field.
+ *
+ * Limitation: staged updates are merged into records returned by the wrapped
+ * store but filters are not re-evaluated against them. The pipeline never
+ * updates the fields it filters on (IDs, project, month), so this is safe here.
+ */
+import crypto from 'crypto';
+import { matchesFilter } from './filters.js';
+import { toRecord, describeRecord, PRIMARY_FIELDS } from './record.js';
+import { getRunContext } from '../utils/runContext.js';
+
+/**
+ * Compare two field values (arrays and numbers included)
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Create a dry-run store on top of an existing data store
+ * @param {Object} baseStore - Store used for reads
+ * @returns {Object} Data store with an extra getChanges() method
+ */
+export function createDryRunStore(baseStore) {
+  const created = {};   // table -> [{ id, fields, change }]
+  const updated = {};   // table -> Map(recordId -> fields)
+  const deleted = new Set();
+  const seen = {};      // table -> Map(recordId -> original fields)
+  const linked = new Map();   // linked recordId -> primary field value
+  const changes = [];
+  const localWrites = [];
+
+  function stagedCreates(table) {
+    if (!created[table]) created[table] = [];
+    return created[table];
+  }
+
+  function stagedUpdates(table) {
+    if (!updated[table]) updated[table] = new Map();
+    return updated[table];
+  }
+
+  function remember(table, records) {
+    if (!seen[table]) seen[table] = new Map();
+    records.forEach(record => {
+      if (!seen[table].has(record.id)) {
+        seen[table].set(record.id, { ...record.fields });
+      }
+    });
+  }
+
+  async function originalFields(table, recordId) {
+    if (seen[table]?.has(recordId)) {
+      return seen[table].get(recordId);
+    }
+    const record = await baseStore.find(table, recordId);
+    if (record) remember(table, [record]);
+    return record ? record.fields : null;
+  }
+
+  /**
+   * Primary field value of a linked record: staged or read earlier in this
+   * run, else looked up in the wrapped store (the ID itself if not found)
+   */
+  async function lookupLinked(recordId) {
+    for (const [table, primaryField] of Object.entries(PRIMARY_FIELDS)) {
+      const fields = stagedCreates(table).find(r => r.id === recordId)?.fields || seen[table]?.get(recordId);
+      if (fields) return fields[primaryField] ?? recordId;
+    }
+    for (const [table, primaryField] of Object.entries(PRIMARY_FIELDS)) {
+      const record = await baseStore.find(table, recordId);
+      if (record) return record.fields[primaryField] ?? recordId;
+    }
+    return recordId;
+  }
+
+  /**
+   * Resolver for the linked record IDs in staged records (see matchesFilter)
+   */
+  async function linkedResolver(records) {
+    const recordIds = records
+      .flatMap(record => Object.values(record.fields))
+      .filter(Array.isArray)
+      .flat()
+      .filter(value => typeof value === 'string' && (value.startsWith('rec') || value.startsWith('dryrun_')));
+
+    for (const recordId of new Set(recordIds)) {
+      if (!linked.has(recordId)) {
+        linked.set(recordId, await lookupLinked(recordId));
+      }
+    }
+    return value => linked.get(value) ?? value;
+  }
+
+  function withStagedFields(table, record) {
+    const staged = stagedUpdates(table).get(record.id);
+    return staged ? toRecord(record.id, { ...record.fields, ...staged }, record.createdTime) : record;
+  }
+
+  return {
+    name: `dry-run(${baseStore.name})`,
+
+    async select(table, options = {}) {
+      const { filter = null, maxRecords } = options;
+      const records = await baseStore.select(table, options);
+      // Partial field selections can't serve as "old values" for the plan
+      if (!options.fields) remember(table, records);
+
+      const resolveLinked = filter ? await linkedResolver(stagedCreates(table)) : null;
+
+      const results = [
+        ...records
+          .filter(record => !deleted.has(record.id))
+          .map(record => withStagedFields(table, record)),
+        ...stagedCreates(table)
+          .filter(record => matchesFilter(filter, record, resolveLinked))
+          .map(record => toRecord(record.id, record.fields))
+      ];
+
+      return maxRecords ? results.slice(0, maxRecords) : results;
+    },
+
+    async find(table, recordId) {
+      const staged = stagedCreates(table).find(r => r.id === recordId);
+      if (staged) {
+        return toRecord(staged.id, staged.fields);
+      }
+      if (deleted.has(recordId)) {
+        return null;
+      }
+      const record = await baseStore.find(table, recordId);
+      if (record) remember(table, [record]);
+      return record ? withStagedFields(table, record) : null;
+    },
+
+    async create(table, fields) {
+      const [record] = await this.createBatch(table, [fields]);
+      return record;
+    },
+
+    async update(table, recordId, fields) {
+      const [record] = await this.updateBatch(table, [{ id: recordId, fields }]);
+      return record;
+    },
+
+    async destroy(table, recordId) {
+      return this.destroyBatch(table, [recordId]);
+    },
+
+    async createBatch(table, fieldsList) {
+      const { service = null } = getRunContext();
+
+      return fieldsList.map(fields => {
+        const change = {
+          action: 'create',
+          service,
+          table,
+          recordId: null,
+          ...describeRecord(fields),
+          fields: { ...fields }
+        };
+        changes.push(change);
+
+        const record = { id: `dryrun_${crypto.randomBytes(6).toString('hex')}`, fields: { ...fields }, change };
+        stagedCreates(table).push(record);
+
+        return toRecord(record.id, record.fields);
+      });
+    },
+
+    async updateBatch(table, updates) {
+      const { service = null } = getRunContext();
+      const results = [];
+
+      for (const { id, fields } of updates) {
+        const staged = stagedCreates(table).find(r => r.id === id);
+        if (staged) {
+          // Updating a record planned earlier in this run - fold into the create
+          Object.assign(staged.fields, fields);
+          Object.assign(staged.change.fields, fields);
+          results.push(toRecord(staged.id, staged.fields));
+          continue;
+        }
+
+        const original = (await originalFields(table, id)) || {};
+        const current = { ...original, ...(stagedUpdates(table).get(id) || {}) };
+
+        const diff = {};
+        for (const [field, value] of Object.entries(fields)) {
+          if (!sameValue(current[field], value)) {
+            diff[field] = { old: current[field] ?? null, new: value };
+          }
+        }
+
+        stagedUpdates(table).set(id, { ...(stagedUpdates(table).get(id) || {}), ...fields });
+
+        changes.push({
+          action: Object.keys(diff).length > 0 ? 'update' : 'unchanged',
+          service,
+          table,
+          recordId: id,
+          ...describeRecord({ ...original, ...fields }),
+          changes: diff
+        });
+
+        results.push(toRecord(id, { ...current, ...fields }));
+      }
+
+      return results;
+    },
+
+    async destroyBatch(table, recordIds) {
+      const { service = null } = getRunContext();
+
+      for (const id of recordIds) {
+        const original = (await originalFields(table, id)) || {};
+        deleted.add(id);
+        changes.push({
+          action: 'delete',
+          service,
+          table,
+          recordId: id,
+          ...describeRecord(original),
+          fields: original
+        });
+      }
+      return true;
+    },
+
+    /**
+     * Planned changes recorded so far
+     * @returns {Array<Object>} Changes in the order they were made
+     */
+    getChanges() {
+      return changes;
+    },
+
+    /**
+     * Record a skipped write outside the data store (see skipInDryRun)
+     */
+    recordLocalWrite(write) {
+      localWrites.push(write);
+    },
+
+    /**
+     * Skipped writes outside the data store
+     * @returns {Array<Object>} [{ service, action, target, ... }]
+     */
+    getLocalWrites() {
+      return localWrites;
+    }
+  };
+}
+
+/**
+ * Group planned changes by service, project and month
+ * @param {Array<Object>} changes - Changes from a dry-run store
+ * @param {Array<Object>} localWrites - Skipped writes outside the data store
+ * @returns {Object} Change plan: { summary, services: { [service]: { [project]: { [month]: [...] } } }, localWrites }
+ */
+export function buildChangePlan(changes, localWrites = []) {
+  const summary = { creates: 0, updates: 0, deletes: 0, unchanged: 0, localWrites: localWrites.length };
+  const services = {};
+
+  for (const change of changes) {
+    if (change.action === 'unchanged') {
+      summary.unchanged++;
+      continue;
+    }
+    summary[`${change.action}s`]++;
+
+    const { service, project, month, ...entry } = change;
+    const serviceKey = service || 'other';
+    const projectKey = project || 'Fără proiect';
+    const monthKey = month || 'Fără lună';
+
+    services[serviceKey] = services[serviceKey] || {};
+    services[serviceKey][projectKey] = services[serviceKey][projectKey] || {};
+    services[serviceKey][projectKey][monthKey] = services[serviceKey][projectKey][monthKey] || [];
+    services[serviceKey][projectKey][monthKey].push(entry);
+  }
+
+  return { summary, services, localWrites };
+}
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TABLES, FIELDS } from '../config/constants.js';
+import { createTestStore } from '../utils/testing.js';
+import { contains, eq } from './filters.js';
+import { createDryRunStore } from './dryRunStore.js';
+
+test('staged records are filtered on the names of the records they link to', async () => {
+  const base = await createTestStore({
+    [TABLES.REPRESENTATIVES]: [{ [FIELDS.REP_NAME]: 'Mario Cazacu' }, { [FIELDS.REP_NAME]: 'Ana Pop' }]
+  });
+  const [mario] = await base.select(TABLES.REPRESENTATIVES, { filter: eq(FIELDS.REP_NAME, 'Mario Cazacu') });
+  const store = createDryRunStore(base);
+
+  const [sale] = await store.createBatch(TABLES.SALES, [{ [FIELDS.CLIENT_NAME]: 'Ion Popescu' }]);
+  const [commission] = await store.createBatch(TABLES.MONTHLY_COMMISSIONS, [{
+    [FIELDS.NAME]: 'Mario Cazacu - Octombrie',
+    [FIELDS.REPRESENTATIVE]: [mario.id],
+    [FIELDS.SALES]: [sale.id]
+  }]);
+
+  const select = filter => store.select(TABLES.MONTHLY_COMMISSIONS, { filter });
+  assert.deepEqual((await select(contains(FIELDS.REPRESENTATIVE, 'Mario'))).map(r => r.id), [commission.id]);
+  assert.deepEqual(await select(contains(FIELDS.REPRESENTATIVE, 'Ana')), []);
+  // A record staged earlier in the run
+  assert.deepEqual((await select(eq(FIELDS.SALES, 'Ion Popescu'))).map(r => r.id), [commission.id]);
+});
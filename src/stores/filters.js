@@ -0,0 +1,116 @@
+/**
+ * Store-neutral record filters
+ *
+ * Filters are plain objects so every data store can interpret them:
+ * the Airtable store compiles them to a filterByFormula string,
+ * the JSON store evaluates them in memory.
+ *
+ * Example:
+ *   and(eq(FIELDS.EXPENSE_MONTH, 'Octombrie'), eq(FIELDS.EXPENSE_YEAR, 2025))
+ */
+
+export const eq = (field, value) => ({ op: 'eq', field, value });
+export const neq = (field, value) => ({ op: 'neq', field, value });
+export const lt = (field, value) => ({ op: 'lt', field, value });
+export const gt = (field, value) => ({ op: 'gt', field, value });
+export const isEmpty = (field) => ({ op: 'empty', field });
+
+/**
+ * Substring match on a text field, or on the joined names of a linked-record field
+ * (Airtable: FIND(value, ARRAYJOIN({field})) > 0)
+ */
+export const contains = (field, value) => ({ op: 'contains', field, value });
+
+export const recordIdIn = (ids) => ({ op: 'idIn', value: ids });
+export const and = (...filters) => ({ op: 'and', filters: filters.filter(Boolean) });
+export const or = (...filters) => ({ op: 'or', filters: filters.filter(Boolean) });
+
+/**
+ * Format a value as an Airtable formula literal
+ */
+function formulaLiteral(value) {
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  return `"${String(value ?? '').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Compile a filter to an Airtable filterByFormula string
+ * @param {Object} filter - Filter built with the helpers above
+ * @returns {string} Airtable formula
+ */
+export function toFormula(filter) {
+  switch (filter.op) {
+    case 'eq':
+      return `{${filter.field}} = ${formulaLiteral(filter.value)}`;
+    case 'neq':
+      return `{${filter.field}} != ${formulaLiteral(filter.value)}`;
+    case 'lt':
+      return `{${filter.field}} < ${formulaLiteral(filter.value)}`;
+    case 'gt':
+      return `{${filter.field}} > ${formulaLiteral(filter.value)}`;
+    case 'empty':
+      return `{${filter.field}} = ""`;
+    case 'contains':
+      return `FIND(${formulaLiteral(filter.value)}, ARRAYJOIN({${filter.field}})) > 0`;
+    case 'idIn':
+      return `OR(${filter.value.map(id => `RECORD_ID() = ${formulaLiteral(id)}`).join(', ')})`;
+    case 'and':
+      return `AND(${filter.filters.map(toFormula).join(', ')})`;
+    case 'or':
+      return `OR(${filter.filters.map(toFormula).join(', ')})`;
+    default:
+      throw new Error(`Unsupported filter operator: ${filter.op}`);
+  }
+}
+
+/**
+ * Render a field value as text, the way Airtable formulas see it
+ * Linked-record arrays are joined using their primary field values.
+ */
+function fieldAsText(value, resolveLinked) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) {
+    return value.map(v => (resolveLinked ? resolveLinked(v) : v)).join(', ');
+  }
+  return String(value);
+}
+
+/**
+ * Evaluate a filter against a record in memory
+ * @param {Object} filter - Filter built with the helpers above
+ * @param {Object} record - Record with { id, fields }
+ * @param {Function} resolveLinked - Optional (recordId) => primary field value
+ * @returns {boolean} True if the record matches
+ */
+export function matchesFilter(filter, record, resolveLinked = null) {
+  if (!filter) return true;
+
+  const value = filter.field ? record.fields[filter.field] : undefined;
+
+  switch (filter.op) {
+    case 'eq':
+      return typeof filter.value === 'number'
+        ? Number(value) === filter.value
+        : fieldAsText(value, resolveLinked) === String(filter.value);
+    case 'neq':
+      return !matchesFilter({ ...filter, op: 'eq' }, record, resolveLinked);
+    case 'lt':
+      return value !== null && value !== undefined && value !== '' && Number(value) < Number(filter.value);
+    case 'gt':
+      return value !== null && value !== undefined && value !== '' && Number(value) > Number(filter.value);
+    case 'empty':
+      return fieldAsText(value, resolveLinked) === '';
+    case 'contains':
+      return fieldAsText(value, resolveLinked).includes(String(filter.value));
+    case 'idIn':
+      return filter.value.includes(record.id);
+    case 'and':
+      return filter.filters.every(f => matchesFilter(f, record, resolveLinked));
+    case 'or':
+      return filter.filters.some(f => matchesFilter(f, record, resolveLinked));
+    default:
+      throw new Error(`Unsupported filter operator: ${filter.op}`);
+  }
+}
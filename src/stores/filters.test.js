@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  eq,
+  neq,
+  lt,
+  gt,
+  isEmpty,
+  contains,
+  recordIdIn,
+  and,
+  or,
+  toFormula,
+  matchesFilter
+} from './filters.js';
+
+const record = {
+  id: 'recA',
+  fields: {
+    Luna: 'Octombrie',
+    An: 2025,
+    Suma: '150',
+    Descriere: 'Comision "Mario" Cazacu',
+    Reprezentant: ['recRep1', 'recRep2']
+  }
+};
+
+const names = { recRep1: 'Mario Cazacu', recRep2: 'Ana Pop' };
+const resolveLinked = id => names[id] || id;
+
+test('compiles filters to Airtable formulas', () => {
+  assert.equal(
+    toFormula(and(eq('Luna', 'Octombrie'), eq('An', 2025))),
+    'AND({Luna} = "Octombrie", {An} = 2025)'
+  );
+  assert.equal(toFormula(or(neq('An', 2024), lt('Suma', 0), gt('Suma', 100))), 'OR({An} != 2024, {Suma} < 0, {Suma} > 100)');
+  assert.equal(toFormula(isEmpty('ID')), '{ID} = ""');
+  assert.equal(toFormula(contains('Reprezentant', 'Mario')), 'FIND("Mario", ARRAYJOIN({Reprezentant})) > 0');
+  assert.equal(toFormula(recordIdIn(['recA', 'recB'])), 'OR(RECORD_ID() = "recA", RECORD_ID() = "recB")');
+});
+
+test('escapes quotes in formula literals and leaves out empty filters', () => {
+  assert.equal(toFormula(eq('Descriere', 'Comision "Mario"')), '{Descriere} = "Comision \\"Mario\\""');
+  assert.equal(toFormula(and(eq('An', 2025), null, undefined)), 'AND({An} = 2025)');
+});
+
+test('rejects unknown operators', () => {
+  assert.throws(() => toFormula({ op: 'like', field: 'Luna', value: 'Oct' }), /Unsupported filter operator: like/);
+  assert.throws(() => matchesFilter({ op: 'like', field: 'Luna', value: 'Oct' }, record), /Unsupported filter operator/);
+});
+
+test('evaluates filters in memory like Airtable formulas', () => {
+  assert.ok(matchesFilter(and(eq('Luna', 'Octombrie'), eq('An', 2025)), record));
+  assert.ok(!matchesFilter(eq('An', 2024), record));
+  assert.ok(matchesFilter(neq('An', 2024), record));
+  // Numbers compare numerically, whatever the stored type
+  assert.ok(matchesFilter(eq('Suma', 150), record));
+  assert.ok(matchesFilter(gt('Suma', 100), record));
+  assert.ok(!matchesFilter(lt('Suma', 100), record));
+  assert.ok(!matchesFilter(lt('Lipsa', 100), record));
+  assert.ok(matchesFilter(isEmpty('Lipsa'), record));
+  assert.ok(matchesFilter(recordIdIn(['recA']), record));
+  assert.ok(matchesFilter(or(eq('Luna', 'Noiembrie'), contains('Descriere', '"Mario"')), record));
+  assert.ok(matchesFilter(null, record));
+});
+
+test('matches linked records by their primary field values', () => {
+  assert.ok(matchesFilter(contains('Reprezentant', 'Mario Cazacu'), record, resolveLinked));
+  assert.ok(matchesFilter(eq('Reprezentant', 'Mario Cazacu, Ana Pop'), record, resolveLinked));
+  assert.ok(!matchesFilter(contains('Reprezentant', 'Mario Cazacu'), record));
+});
@@ -0,0 +1,173 @@
+/**
+ * JSON file data store
+ *
+ * Keeps a snapshot of the base in memory and (optionally) writes changes back
+ * to the snapshot file. Lets the whole pipeline run offline without touching
+ * production data.
+ *
+ * Snapshot format (see scripts/export-airtable-snapshot.js):
+ *   { "tables": { "Cheltuieli": [ { "id": "rec...", "createdTime": "...", "fields": { ... } } ] } }
+ *
+ * Note: formula/rollup fields are stored as exported values and are NOT
+ * recomputed when records are created or updated locally.
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { matchesFilter } from './filters.js';
+import { toRecord, PRIMARY_FIELDS } from './record.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Generate an Airtable-style record ID
+ */
+function generateRecordId() {
+  return `rec${crypto.randomBytes(10).toString('base64url').slice(0, 14)}`;
+}
+
+/**
+ * Load a snapshot file, or start empty if it doesn't exist
+ */
+function loadSnapshot(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    logger.warn('JSON data store file not found, starting with an empty store', { filePath });
+    return { tables: {} };
+  }
+
+  const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return { tables: snapshot.tables || {} };
+}
+
+/**
+ * Create the JSON file data store
+ * @param {Object} options
+ * @param {string} options.filePath - Snapshot file path
+ * @param {boolean} options.persist - Write changes back to the file (default true)
+ * @returns {Object} Data store
+ */
+export function createJsonStore({ filePath, persist = true } = {}) {
+  const snapshot = loadSnapshot(filePath);
+
+  logger.info('JSON data store initialized', {
+    filePath,
+    persist,
+    tables: Object.fromEntries(
+      Object.entries(snapshot.tables).map(([table, records]) => [table, records.length])
+    )
+  });
+
+  function tableRecords(table) {
+    if (!snapshot.tables[table]) {
+      snapshot.tables[table] = [];
+    }
+    return snapshot.tables[table];
+  }
+
+  /**
+   * Resolve a linked record ID to its primary field value
+   */
+  function resolveLinked(value) {
+    if (typeof value !== 'string' || !value.startsWith('rec')) {
+      return value;
+    }
+    for (const [table, records] of Object.entries(snapshot.tables)) {
+      const record = records.find(r => r.id === value);
+      if (record) {
+        return record.fields[PRIMARY_FIELDS[table]] ?? value;
+      }
+    }
+    return value;
+  }
+
+  function save() {
+    if (!persist || !filePath) return;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(snapshot, null, 2));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  function findRaw(table, recordId) {
+    return tableRecords(table).find(r => r.id === recordId) || null;
+  }
+
+  return {
+    name: 'json',
+
+    async select(table, { filter = null, fields, maxRecords, sort } = {}) {
+      let records = tableRecords(table).filter(r => matchesFilter(filter, r, resolveLinked));
+
+      if (sort && sort.length > 0) {
+        records = [...records].sort((a, b) => {
+          for (const { field, direction = 'asc' } of sort) {
+            const av = a.fields[field];
+            const bv = b.fields[field];
+            if (av === bv) continue;
+            const cmp = (av ?? '') < (bv ?? '') ? -1 : 1;
+            return direction === 'desc' ? -cmp : cmp;
+          }
+          return 0;
+        });
+      }
+
+      if (maxRecords) {
+        records = records.slice(0, maxRecords);
+      }
+
+      return records.map(r => {
+        const selected = fields
+          ? Object.fromEntries(fields.filter(f => f in r.fields).map(f => [f, r.fields[f]]))
+          : r.fields;
+        return toRecord(r.id, selected, r.createdTime || null);
+      });
+    },
+
+    async find(table, recordId) {
+      const record = findRaw(table, recordId);
+      return record ? toRecord(record.id, record.fields, record.createdTime || null) : null;
+    },
+
+    async create(table, fields) {
+      const [created] = await this.createBatch(table, [fields]);
+      return created;
+    },
+
+    async update(table, recordId, fields) {
+      const [updated] = await this.updateBatch(table, [{ id: recordId, fields }]);
+      return updated;
+    },
+
+    async destroy(table, recordId) {
+      return this.destroyBatch(table, [recordId]);
+    },
+
+    async createBatch(table, fieldsList) {
+      const createdTime = new Date().toISOString();
+      const created = fieldsList.map(fields => ({ id: generateRecordId(), createdTime, fields: { ...fields } }));
+      tableRecords(table).push(...created);
+      save();
+      return created.map(r => toRecord(r.id, r.fields, r.createdTime));
+    },
+
+    async updateBatch(table, updates) {
+      const updated = updates.map(({ id, fields }) => {
+        const record = findRaw(table, id);
+        if (!record) {
+          throw new Error(`Record ${id} not found in ${table}`);
+        }
+        Object.assign(record.fields, fields);
+        return toRecord(record.id, record.fields, record.createdTime || null);
+      });
+      save();
+      return updated;
+    },
+
+    async destroyBatch(table, recordIds) {
+      const ids = new Set(recordIds);
+      snapshot.tables[table] = tableRecords(table).filter(r => !ids.has(r.id));
+      save();
+      return true;
+    }
+  };
+}
@@ -0,0 +1,69 @@
+/**
+ * Store record shape shared by all data stores
+ */
+import { TABLES, FIELDS } from '../config/constants.js';
+
+// Primary field per table - what Airtable shows for a linked record
+export const PRIMARY_FIELDS = {
+  [TABLES.MONTHLY_COMMISSIONS]: FIELDS.NAME,
+  [TABLES.SALES]: FIELDS.CLIENT_NAME,
+  [TABLES.REPRESENTATIVES]: FIELDS.REP_NAME,
+  [TABLES.EXPENSES]: FIELDS.EXPENSE_NAME,
+  [TABLES.PNL]: FIELDS.PNL_CHELTUIALA
+};
+
+/**
+ * Build a store record
+ * Exposes get(field) like Airtable SDK records so mapping code reads the same
+ * regardless of the backing store.
+ * @param {string} id - Record ID
+ * @param {Object} fields - Field values keyed by field name
+ * @param {string|null} createdTime - When the record was created (ISO), if known
+ * @returns {{id: string, fields: Object, createdTime: string|null, get: Function}}
+ */
+export function toRecord(id, fields, createdTime = null) {
+  return {
+    id,
+    fields: { ...fields },
+    createdTime,
+    get(field) {
+      return this.fields[field];
+    }
+  };
+}
+
+/**
+ * Describe a record for change plans and the audit log
+ * Cheltuieli and P&L's share the Proiect / Luna / An field names;
+ * Comisioane Lunare uses Lună / An. The name is the expense ID when there is one.
+ * @param {Object} fields - Record fields
+ * @returns {{project: string|null, month: string|null, name: string|null}}
+ */
+export function describeRecord(fields) {
+  const monthName = fields[FIELDS.EXPENSE_MONTH] || fields[FIELDS.MONTH] || null;
+  const year = fields[FIELDS.EXPENSE_YEAR] || fields[FIELDS.COMMISSION_YEAR];
+  const month = monthName && year ? `${monthName} ${year}` : monthName;
+
+  return {
+    project: fields[FIELDS.EXPENSE_PROJECT] || null,
+    month,
+    name: fields[FIELDS.EXPENSE_ID] || fields[FIELDS.EXPENSE_NAME] || fields[FIELDS.NAME] || null
+  };
+}
+
+// Fields describeRecord reads, per table
+const DESCRIPTION_FIELDS = {
+  [TABLES.EXPENSES]: [FIELDS.EXPENSE_ID, FIELDS.EXPENSE_NAME, FIELDS.EXPENSE_PROJECT, FIELDS.EXPENSE_MONTH, FIELDS.EXPENSE_YEAR],
+  [TABLES.PNL]: [FIELDS.PNL_CHELTUIALA, FIELDS.PNL_PROJECT, FIELDS.PNL_MONTH, FIELDS.PNL_YEAR],
+  [TABLES.MONTHLY_COMMISSIONS]: [FIELDS.NAME, FIELDS.MONTH, FIELDS.COMMISSION_YEAR],
+  [TABLES.DEBT_LEDGER]: [FIELDS.LEDGER_ID, FIELDS.LEDGER_MONTH, FIELDS.LEDGER_YEAR]
+};
+
+/**
+ * Fields a table's records are described by (see describeRecord)
+ * @param {string} table - Table name
+ * @returns {Array<string>} Field names (none for tables without a description)
+ */
+export function getDescriptionFields(table) {
+  return DESCRIPTION_FIELDS[table] || [];
+}
@@ -0,0 +1,32 @@
+/**
+ * CSV formatting
+ * Comma-separated, with a header row; values containing commas, quotes or
+ * line breaks are quoted (RFC 4180). Empty values (null, undefined) are left blank.
+ */
+
+/**
+ * Escape one CSV value
+ * @param {*} value - Value to write
+ * @returns {string} CSV field
+ */
+function formatCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows as CSV
+ * @param {Array<Object>} columns - [{ key, header }]: row property and its column title
+ * @param {Array<Object>} rows - Rows to write
+ * @returns {string} CSV document
+ */
+export function toCsv(columns, rows) {
+  const lines = [
+    columns.map(column => formatCsvValue(column.header)).join(','),
+    ...rows.map(row => columns.map(column => formatCsvValue(row[column.key])).join(','))
+  ];
+
+  return lines.join('\r\n') + '\r\n';
+}
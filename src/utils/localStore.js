@@ -0,0 +1,104 @@
+/**
+ * Local JSON persistence
+ *
+ * Small helper for state the service keeps outside Airtable (job history, audit log etc.).
+ * Files live in DATA_DIR (default ./data) and are written atomically so a crash
+ * mid-write never leaves a truncated file behind. Append-only logs use JSON Lines
+ * files instead, so an entry is never rewritten once recorded.
+ */
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+/**
+ * Get the directory used for local data files
+ * @returns {string} Directory path
+ */
+export function getDataDir() {
+  return process.env.DATA_DIR || './data';
+}
+
+/**
+ * Read a JSON file from the data directory
+ * @param {string} fileName - File name inside DATA_DIR
+ * @param {*} fallback - Value returned when the file is missing or unreadable
+ * @returns {*} Parsed content or fallback
+ */
+export function readJsonFile(fileName, fallback) {
+  const filePath = path.join(getDataDir(), fileName);
+
+  if (!fs.existsSync(filePath)) {
+    return fallback;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    logger.error('Failed to read local data file, using defaults', {
+      filePath,
+      error: error.message
+    });
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON file to the data directory (atomic)
+ * @param {string} fileName - File name inside DATA_DIR
+ * @param {*} data - JSON-serializable content
+ */
+export function writeJsonFile(fileName, data) {
+  const filePath = path.join(getDataDir(), fileName);
+  const tmpPath = `${filePath}.tmp`;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Append items to a JSON Lines file in the data directory (one JSON value per line)
+ * Used for append-only logs: existing lines are never rewritten.
+ * @param {string} fileName - File name inside DATA_DIR
+ * @param {Array<*>} items - JSON-serializable items
+ */
+export function appendJsonLines(fileName, items) {
+  if (items.length === 0) return;
+
+  const filePath = path.join(getDataDir(), fileName);
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, items.map(item => JSON.stringify(item)).join('\n') + '\n');
+}
+
+/**
+ * Read a JSON Lines file from the data directory
+ * Unreadable lines (e.g. a write cut short by a crash) are skipped.
+ * @param {string} fileName - File name inside DATA_DIR
+ * @returns {Array<*>} Parsed items (empty if the file is missing)
+ */
+export function readJsonLines(fileName) {
+  const filePath = path.join(getDataDir(), fileName);
+
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const items = [];
+  let skipped = 0;
+
+  for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      items.push(JSON.parse(line));
+    } catch {
+      skipped++;
+    }
+  }
+
+  if (skipped > 0) {
+    logger.warn('⚠️  Skipped unreadable lines in local data file', { filePath, skipped });
+  }
+
+  return items;
+}
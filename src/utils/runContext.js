@@ -0,0 +1,52 @@
+/**
+ * Run context
+ *
+ * Carries per-run state (e.g. the dry-run store and the service currently
+ * being processed) through async calls without threading extra parameters
+ * through every service function. Concurrent runs each see their own context.
+ */
+import { AsyncLocalStorage } from 'async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function inside a new run context
+ * @param {Object} context - Context values for this run
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} Result of fn
+ */
+export function runWithContext(context, fn) {
+  return storage.run({ ...context }, fn);
+}
+
+/**
+ * Run a function with the current context extended by extra values
+ * @param {Object} values - Values to add (e.g. { service: 'salesRep' })
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} Result of fn
+ */
+export function withContext(values, fn) {
+  return storage.run({ ...getRunContext(), ...values }, fn);
+}
+
+/**
+ * Get the current run context
+ * @returns {Object} Context values (empty object outside of a run)
+ */
+export function getRunContext() {
+  return storage.getStore() || {};
+}
+
+/**
+ * In a dry run, record a write outside the data store (a DATA_DIR file, a token
+ * exchange) in the change plan instead of making it
+ * @param {Object} write - { action, target, ... } describing the skipped write
+ * @returns {boolean} True when the caller must skip the write
+ */
+export function skipInDryRun(write) {
+  const { dryRun = false, dataStore = null, service = null } = getRunContext();
+  if (!dryRun) return false;
+
+  dataStore?.recordLocalWrite?.({ service, ...write });
+  return true;
+}
@@ -0,0 +1,78 @@
+/**
+ * Unit test fixtures
+ * An in-memory data store that services use through the run context (as in a
+ * run), and business rules loaded from a list instead of the rules file.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createJsonStore } from '../stores/jsonStore.js';
+import { loadRules } from '../services/rulesService.js';
+import { TABLES, FIELDS } from '../config/constants.js';
+import { runWithContext } from './runContext.js';
+
+/**
+ * A rule version, open-ended unless effectiveTo is given
+ */
+export const rule = (key, value, effectiveFrom, effectiveTo = null) => ({ key, value, effectiveFrom, effectiveTo });
+
+// Rules every month needs, from January 2024 (see REQUIRED_KEYS in rulesService)
+export const requiredRules = [
+  rule('stripe.feeRate', 0.02, '2024-01'),
+  rule('exchangeRates.eurRonFallback', 5.08, '2024-01'),
+  rule('vat.standardRate', 0.21, '2024-01'),
+  rule('projects', ['CODCOM', 'Artok Academy'], '2024-01'),
+  rule('setterCaller.commissionRate', 0.05, '2024-01')
+];
+
+/**
+ * In-memory store, seeded with records per table
+ * @param {Object} tables - Optional. { [table]: [fields, ...] }
+ * @returns {Promise<Object>} Store
+ */
+export async function createTestStore(tables = {}) {
+  const store = createJsonStore({ persist: false });
+  for (const [table, records] of Object.entries(tables)) {
+    await store.createBatch(table, records);
+  }
+  return store;
+}
+
+/**
+ * Run a function with a store as the data store
+ */
+export function runWithStore(store, fn) {
+  return runWithContext({ dataStore: store }, fn);
+}
+
+/**
+ * Load business rules for tests
+ * Required rules a test does not set come from requiredRules.
+ * @param {Array<Object>} rules - Rule versions (see rule)
+ */
+export async function loadTestRules(rules = []) {
+  const keys = new Set(rules.map(r => r.key));
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-test-'));
+  const previousRulesFile = process.env.RULES_FILE;
+  process.env.RULES_FILE = path.join(dir, 'rules.json');
+
+  try {
+    fs.writeFileSync(process.env.RULES_FILE, JSON.stringify({
+      rules: [...requiredRules.filter(r => !keys.has(r.key)), ...rules]
+    }));
+    await runWithStore(await createTestStore(), () => loadRules());
+  } finally {
+    if (previousRulesFile === undefined) delete process.env.RULES_FILE;
+    else process.env.RULES_FILE = previousRulesFile;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Expense records of a store by "ID Cheltuială"
+ * @returns {Promise<Object>} { [expenseId]: record }
+ */
+export async function getExpensesById(store) {
+  const records = await store.select(TABLES.EXPENSES, {});
+  return Object.fromEntries(records.map(record => [record.get(FIELDS.EXPENSE_ID), record]));
+}